@@ -0,0 +1,62 @@
+// candleCache.js
+
+const { BAR_MS } = require("./lib/backtest.js");
+
+
+
+// Closed candles never change, so they are kept in the `candles` collection and every instrument/bar pair
+// remembers the time ranges already downloaded (`candleRanges`). Only the gaps are fetched; the candle still
+// forming, and anything after it, always comes from the exchange.
+
+// Sorted, non-overlapping [start, end] ranges; ranges that touch are joined.
+function mergeRanges(ranges) {
+    const merged = [];
+    [...ranges].sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1] + 1) last[1] = Math.max(last[1], end);
+        else merged.push([start, end]);
+    });
+    return merged;
+}
+
+// Parts of [start, end] not covered by `ranges`.
+function missingRanges(ranges, start, end) {
+    const gaps = [];
+    let cursor = start;
+    for (const [from, to] of mergeRanges(ranges)) {
+        if (to < cursor) continue;
+        if (from > end) break;
+        if (from > cursor) gaps.push([cursor, from - 1]);
+        cursor = Math.max(cursor, to + 1);
+    }
+    if (cursor <= end) gaps.push([cursor, end]);
+    return gaps;
+}
+
+// -> [{ time, open, high, low, close }] with startTime <= time <= endTime, oldest first, or { error }.
+async function getCachedCandles(db, adapter, instId, bar, startTime, endTime, now = Date.now()) {
+    const key = `${instId}|${bar}`;
+    const candles = db.collection("candles");
+    const closedUntil = Math.min(endTime, now - BAR_MS[bar]);
+    if (closedUntil >= startTime) {
+        const coverage = await db.collection("candleRanges").findOne({ _id: key });
+        let ranges = coverage?.ranges || [];
+        const gaps = missingRanges(ranges, startTime, closedUntil);
+        for (const [from, to] of gaps) {
+            const fetched = await adapter.getCandlesBetween(instId, bar, from, to);
+            if (fetched.error) return fetched;
+            await candles.deleteMany({ instId, bar, time: { $gte: from, $lte: to } });
+            if (fetched.length > 0) await candles.insertMany(fetched.map(c => ({ _id: `${key}|${c.time}`, instId, bar, ...c })));
+            ranges = mergeRanges([...ranges, [from, to]]);
+        }
+        if (gaps.length > 0) await db.collection("candleRanges").updateOne({ _id: key }, { $set: { ranges } }, { upsert: true });
+    }
+    const cached = closedUntil >= startTime ? await candles.find({ instId, bar, time: { $gte: startTime, $lte: closedUntil } }).sort({ time: 1 }).toArray() : [];
+    const live = endTime > closedUntil ? await adapter.getCandlesBetween(instId, bar, Math.max(startTime, closedUntil + 1), endTime) : [];
+    if (live.error) return live;
+    return [...cached, ...live].map(({ time, open, high, low, close }) => ({ time, open, high, low, close }));
+}
+
+
+
+module.exports = { mergeRanges, missingRanges, getCachedCandles };
@@ -2,6 +2,8 @@
 
 const { MongoClient } = require("mongodb");
 
+const { MemoryDatabase } = require("./memoryDatabase.js");
+
 require("dotenv").config();
 
 
@@ -16,7 +18,11 @@ if (!uri) {
 
 
 
-const client = new MongoClient(uri);
+// MONGO_URI=memory:// swaps MongoDB for the in-memory stand-in used by the offline scenarios.
+
+const useMemory = uri.startsWith("memory://");
+
+const client = useMemory ? null : new MongoClient(uri);
 
 let db;
 
@@ -26,6 +32,16 @@ async function connectDB() {
 
     if (db) return db;
 
+    if (useMemory) {
+
+        db = new MemoryDatabase();
+
+        console.log("Using the in-memory database.");
+
+        return db;
+
+    }
+
     try {
 
         await client.connect();
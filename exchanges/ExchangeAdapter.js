@@ -0,0 +1,99 @@
+// exchanges/ExchangeAdapter.js
+
+// Common interface of every exchange implementation. Instruments are always named the OKX way
+// ("BTC-USDT") and values are quoted in USDT, whatever the exchange itself calls them.
+class ExchangeAdapter {
+    constructor(account = {}) {
+        this.name = "Exchange";
+        this.accountId = account.id;
+        this.accountName = account.name || account.id;
+    }
+
+    notImplemented(method) {
+        throw new Error(`${this.name}: ${method} is not implemented`);
+    }
+
+    // -> { [instId]: { price, open24h, change24h, volCcy24h } } or { error }
+    async getMarketPrices() { this.notImplemented("getMarketPrices"); }
+
+    // -> { assets: [{ asset, price, value, amount, change24h }], total, usdtValue } or { error }
+    async getPortfolio(prices) { this.notImplemented("getPortfolio"); }
+
+    // -> { [ccy]: amount } or null
+    async getBalanceForComparison() { this.notImplemented("getBalanceForComparison"); }
+
+    // -> { price, high24h, low24h, vol24h } or { error }
+    async getInstrumentDetails(instId) { this.notImplemented("getInstrumentDetails"); }
+
+    // -> [{ time, open, high, low, close, volume }], oldest first; `volume` is in the base currency
+    async getHistoricalCandles(instId, bar, limit) { this.notImplemented("getHistoricalCandles"); }
+
+    // -> [{ time, open, high, low, close }] with startTime <= time <= endTime (ms), oldest first, or { error }
+    async getCandlesBetween(instId, bar, startTime, endTime) { this.notImplemented("getCandlesBetween"); }
+
+    // -> { fills: [{ billId, ordId, instId, side, size, price, fee, feeCcy, time }], truncated, resume } or { error },
+    // oldest first. `fee` is the fee charged (positive) in `feeCcy`. A history too long for one call is read over
+    // several: `truncated` means newer fills are still to come, and `resume` (opaque, null when unused) is the
+    // paging or lookup state to store with the cursor and pass back on the next call.
+    async getFills(cursor, resume) { this.notImplemented("getFills"); }
+
+    // Cursor to persist once `fills` (oldest first) have been processed.
+    advanceFillsCursor(cursor, fills) { this.notImplemented("advanceFillsCursor"); }
+
+    // -> { flows: [{ id, kind, ccy, amount, time, affectsCapital }] } or { error }, oldest first.
+    // `kind` is deposit, withdrawal, transfer_in or transfer_out; `amount` is signed. `truncated` and `resume` as
+    // for getFills.
+    async getCashFlows(cursors, resume) { this.notImplemented("getCashFlows"); }
+
+    // Cursors to persist once `flows` (oldest first) have been processed.
+    advanceCashFlowCursors(cursors, flows) { this.notImplemented("advanceCashFlowCursors"); }
+
+    // Order placement is optional: adapters that can trade override canTrade() and the methods below.
+    canTrade() { return false; }
+
+    // -> { asks: [[price, size]], bids: [[price, size]] } best price first, or { error }
+    async getOrderBook(instId, depth) { this.notImplemented("getOrderBook"); }
+
+    // -> { minSize, lotSize, takerFeeRate } or { error }. Sizes are in the base currency.
+    async getTradingRules(instId) { this.notImplemented("getTradingRules"); }
+
+    // Market order; `size` is in USDT for buys and in the base currency for sells.
+    // -> { orderId } or { error }
+    async placeMarketOrder({ instId, side, size, clientOrderId }) { this.notImplemented("placeMarketOrder"); }
+
+    // Protective exits held by the exchange itself. When canHoldProtection() is false, the bot enforces
+    // take-profit, stop-loss and trailing levels on its own with market orders.
+    canHoldProtection() { return false; }
+
+    // One sell order for `size` of the base currency, triggered by `levels`: { takeProfit, stopLoss } (either or both)
+    // or { trailingPercent }. -> { orderIds: [id] } or { error }
+    async placeProtectionOrders(instId, size, levels) { this.notImplemented("placeProtectionOrders"); }
+
+    // -> {} or { error }
+    async cancelProtectionOrders(instId, orderIds) { this.notImplemented("cancelProtectionOrders"); }
+
+    // -> { orders: [{ id, state: 'live' | 'triggered' | 'canceled' | 'failed', kind: 'takeProfit' | 'stopLoss' | 'trailing' }] } or { error }
+    async getProtectionOrders(instId, orderIds) { this.notImplemented("getProtectionOrders"); }
+}
+
+// Deposits and withdrawals are listed by their creation time but only once completed, so one that completes
+// after a newer one would fall behind a plain time cursor. Their cursor is the newest time seen with the ids seen
+// within CASH_FLOW_LOOKBACK_MS of it: every read goes back that far and skips the ids already seen.
+const CASH_FLOW_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// -> { time, seen: [[id, time]] }. Older cursors were a time string ("ts" or "ts:ids").
+function readLookbackCursor(value) {
+    if (value && typeof value === 'object') return { time: value.time || 0, seen: value.seen || [] };
+    return { time: parseInt(value) || 0, seen: [] };
+}
+
+function advanceLookbackCursor(value, flow) {
+    const cursor = readLookbackCursor(value);
+    const time = Math.max(cursor.time, flow.time);
+    const seen = [...cursor.seen.filter(([id]) => id !== flow.id), [flow.id, flow.time]];
+    return { time, seen: seen.filter(([, seenTime]) => seenTime >= time - CASH_FLOW_LOOKBACK_MS) };
+}
+
+
+
+module.exports = { ExchangeAdapter, CASH_FLOW_LOOKBACK_MS, readLookbackCursor, advanceLookbackCursor };
@@ -0,0 +1,239 @@
+// exchanges/binance.js
+
+const fetch = require("node-fetch");
+const crypto = require("crypto");
+const { ExchangeAdapter, CASH_FLOW_LOOKBACK_MS, readLookbackCursor, advanceLookbackCursor } = require("./ExchangeAdapter.js");
+
+
+
+const BAR_INTERVALS = { '1m': '1m', '5m': '5m', '15m': '15m', '1H': '1h', '4H': '4h', '1D': '1d', '1W': '1w', '1M': '1M' };
+const toSymbol = (instId) => instId.toUpperCase().replace('-', '');
+const TRADES_PAGE_LIMIT = 1000;
+// A myTrades query by time may span 24 hours at most.
+const TRADES_WINDOW_MS = 24 * 60 * 60 * 1000;
+const INVALID_SYMBOL_CODE = -1121;
+
+class BinanceAdapter extends ExchangeAdapter {
+    constructor(account = {}) {
+        super(account);
+        this.name = "Binance";
+        this.baseURL = "https://api.binance.com";
+        this.credentials = { apiKey: account.apiKey, secretKey: account.secretKey };
+    }
+
+    async signedGet(path, params = {}) {
+        const query = new URLSearchParams({ ...params, recvWindow: "10000", timestamp: String(Date.now()) }).toString();
+        const signature = crypto.createHmac("sha256", this.credentials.secretKey).update(query).digest("hex");
+        const res = await fetch(`${this.baseURL}${path}?${query}&signature=${signature}`, { headers: { "X-MBX-APIKEY": this.credentials.apiKey } });
+        const json = await res.json();
+        if (!res.ok) throw Object.assign(new Error(json.msg || `HTTP ${res.status}`), { code: json.code });
+        return json;
+    }
+
+    async getMarketPrices() {
+        try {
+            const res = await fetch(`${this.baseURL}/api/v3/ticker/24hr`);
+            const tickers = await res.json();
+            if (!Array.isArray(tickers)) { return { error: `فشل جلب أسعار السوق: ${tickers.msg || 'بيانات غير متوقعة'}` }; }
+            const prices = {};
+            tickers.forEach(t => {
+                if (t.symbol.endsWith('USDT')) {
+                    const lastPrice = parseFloat(t.lastPrice);
+                    const openPrice = parseFloat(t.openPrice);
+                    const change24h = openPrice > 0 ? (lastPrice - openPrice) / openPrice : 0;
+                    prices[`${t.symbol.slice(0, -4)}-USDT`] = { price: lastPrice, open24h: openPrice, change24h, volCcy24h: parseFloat(t.quoteVolume) };
+                }
+            });
+            return prices;
+        } catch (error) { return { error: "خطأ استثنائي عند جلب أسعار السوق." }; }
+    }
+
+    async getBalances() {
+        const json = await this.signedGet("/api/v3/account");
+        const balances = {};
+        (json.balances || []).forEach(b => {
+            const amount = parseFloat(b.free) + parseFloat(b.locked);
+            if (amount > 0) balances[b.asset] = amount;
+        });
+        return balances;
+    }
+
+    async getPortfolio(prices) {
+        try {
+            const balances = await this.getBalances();
+            let assets = [], total = 0, usdtValue = 0;
+            Object.entries(balances).forEach(([ccy, amount]) => {
+                const priceData = prices[`${ccy}-USDT`] || { price: (ccy === "USDT" ? 1 : 0), change24h: 0 };
+                const value = amount * priceData.price;
+                total += value;
+                if (ccy === "USDT") usdtValue = value;
+                if (value >= 1) assets.push({ asset: ccy, price: priceData.price, value, amount, change24h: priceData.change24h });
+            });
+            assets.sort((a, b) => b.value - a.value);
+            return { assets, total, usdtValue };
+        } catch (e) { return { error: `خطأ في الاتصال بمنصة Binance: ${e.message}` }; }
+    }
+
+    async getBalanceForComparison() {
+        try { return await this.getBalances(); } catch (e) { return null; }
+    }
+
+    async getInstrumentDetails(instId) {
+        try {
+            const res = await fetch(`${this.baseURL}/api/v3/ticker/24hr?symbol=${toSymbol(instId)}`);
+            const t = await res.json();
+            if (!res.ok || !t.lastPrice) { return { error: `لم يتم العثور على العملة.` }; }
+            return { price: parseFloat(t.lastPrice), high24h: parseFloat(t.highPrice), low24h: parseFloat(t.lowPrice), vol24h: parseFloat(t.quoteVolume) };
+        } catch (e) { throw new Error("خطأ في الاتصال بالمنصة لجلب بيانات السوق."); }
+    }
+
+    async getHistoricalCandles(instId, bar = '1D', limit = 100) {
+        const allCandles = [];
+        let endTime = '';
+        try {
+            while (allCandles.length < limit) {
+                const currentLimit = Math.min(1000, limit - allCandles.length);
+                const res = await fetch(`${this.baseURL}/api/v3/klines?symbol=${toSymbol(instId)}&interval=${BAR_INTERVALS[bar] || '1d'}&limit=${currentLimit}${endTime}`);
+                const json = await res.json();
+                if (!Array.isArray(json) || json.length === 0) break;
+                const newCandles = json.map(k => ({ time: k[0], open: parseFloat(k[1]), high: parseFloat(k[2]), low: parseFloat(k[3]), close: parseFloat(k[4]), volume: parseFloat(k[5]) }));
+                allCandles.unshift(...newCandles);
+                if (newCandles.length < currentLimit) break;
+                endTime = `&endTime=${newCandles[0].time - 1}`;
+            }
+            return allCandles;
+        } catch (e) { console.error(`Error fetching historical candles for ${instId}:`, e); return []; }
+    }
+
+    async getCandlesBetween(instId, bar, startTime, endTime) {
+        const candles = [];
+        let from = startTime;
+        try {
+            while (from <= endTime) {
+                const res = await fetch(`${this.baseURL}/api/v3/klines?symbol=${toSymbol(instId)}&interval=${BAR_INTERVALS[bar] || '1d'}&limit=1000&startTime=${from}&endTime=${endTime}`);
+                const json = await res.json();
+                if (!Array.isArray(json)) return { error: json.msg || 'بيانات غير متوقعة' };
+                if (json.length === 0) break;
+                candles.push(...json.map(k => ({ time: k[0], open: parseFloat(k[1]), high: parseFloat(k[2]), low: parseFloat(k[3]), close: parseFloat(k[4]) })));
+                if (json.length < 1000) break;
+                from = json[json.length - 1][0] + 1;
+            }
+            return candles;
+        } catch (e) { console.error(`Error fetching candles for ${instId}:`, e); return { error: e.message }; }
+    }
+
+    // Binance only lists trades per symbol, so the cursor keeps the last trade id of every symbol seen,
+    // plus the time from which symbols without an id yet (e.g. a newly bought coin) are read. The symbols held
+    // or with an open order are passed on in `resume`, so a coin sold off before the next run is still read;
+    // a coin bought and sold again at market between two runs leaves no trace to find it by, and its USDT
+    // change is left to the balance check. A failed symbol fails the whole read, so no trade is skipped.
+    async getFills(cursor = null, resume = null) {
+        try {
+            const state = cursor ? JSON.parse(cursor) : null;
+            const balances = await this.getBalances();
+            const openOrders = await this.signedGet("/api/v3/openOrders");
+            const watched = [...new Set([
+                ...Object.keys(balances).filter(ccy => ccy !== 'USDT').map(ccy => `${ccy}USDT`),
+                ...openOrders.map(o => o.symbol).filter(symbol => symbol.endsWith('USDT')),
+            ])];
+            const symbols = new Set([...watched, ...(resume?.watched || []), ...Object.keys(state?.ids || {})]);
+            const fills = [];
+            let truncated = false;
+            for (const symbol of symbols) {
+                const result = await this.getSymbolTrades(symbol, state);
+                if (!result) continue;
+                truncated = truncated || result.truncated;
+                result.trades.forEach(t => fills.push({
+                    billId: `${symbol}:${t.id}`,
+                    tradeId: t.id,
+                    ordId: String(t.orderId),
+                    instId: `${symbol.slice(0, -4)}-USDT`,
+                    side: t.isBuyer ? 'buy' : 'sell',
+                    size: parseFloat(t.qty),
+                    price: parseFloat(t.price),
+                    fee: parseFloat(t.commission),
+                    feeCcy: t.commissionAsset,
+                    time: t.time,
+                }));
+            }
+            fills.sort((a, b) => a.time - b.time);
+            return { fills, truncated, resume: { watched } };
+        } catch (e) { return { error: `خطأ في الاتصال بمنصة Binance لجلب سجل التنفيذات: ${e.message}` }; }
+    }
+
+    // -> { trades, truncated } for one symbol since the cursor, or null when Binance has no such market
+    // (e.g. a balance in an asset without a USDT pair). `truncated` means more trades are to be read by id.
+    async getSymbolTrades(symbol, state) {
+        const myTrades = async (params) => {
+            try { return await this.signedGet("/api/v3/myTrades", { symbol, ...params }); } catch (e) {
+                if (e.code === INVALID_SYMBOL_CODE) return null;
+                throw e;
+            }
+        };
+        const limit = String(TRADES_PAGE_LIMIT);
+        // First run: only the newest trade is needed to anchor the cursor.
+        if (!state) {
+            const trades = await myTrades({ limit: "1" });
+            return trades && { trades, truncated: false };
+        }
+        if (state.ids?.[symbol] !== undefined) {
+            const trades = await myTrades({ fromId: String(state.ids[symbol] + 1), limit });
+            return trades && { trades, truncated: trades.length === TRADES_PAGE_LIMIT };
+        }
+        // Without a trade id, the newest trades are read first; only when they are all newer than `since` is the gap
+        // before them read by time, one window at a time, and the rest follows by id on the next run.
+        const recent = await myTrades({ limit });
+        if (!recent) return null;
+        if (recent.length < TRADES_PAGE_LIMIT || recent[0].time < state.since) {
+            return { trades: recent.filter(t => t.time >= state.since), truncated: false };
+        }
+        for (let start = state.since; start <= recent[0].time; start += TRADES_WINDOW_MS) {
+            const trades = await myTrades({ startTime: String(start), endTime: String(start + TRADES_WINDOW_MS - 1), limit });
+            if (trades.length > 0) return { trades, truncated: true };
+        }
+        return { trades: recent, truncated: false };
+    }
+
+    advanceFillsCursor(cursor, fills) {
+        const state = cursor ? JSON.parse(cursor) : { since: Date.now(), ids: {} };
+        for (const fill of fills) {
+            const [symbol, id] = fill.billId.split(':');
+            state.ids[symbol] = Math.max(state.ids[symbol] || 0, parseInt(id));
+            state.since = Math.max(state.since, fill.time);
+        }
+        return JSON.stringify(state);
+    }
+
+    // Binance credits deposits to the spot wallet that getPortfolio() measures, so every flow affects capital.
+    // Both histories are filtered on the creation time (insertTime/applyTime) and list only completed records, so
+    // each read goes back over the lookback window of its cursor (see readLookbackCursor) and skips the ids seen.
+    async getCashFlows(cursors = {}) {
+        try {
+            const deposits = await this.getRecentFlows("/sapi/v1/capital/deposit/hisrec", { status: "1" }, cursors.deposit, d => ({
+                id: String(d.id || d.txId), kind: 'deposit', ccy: d.coin, amount: parseFloat(d.amount), time: d.insertTime, affectsCapital: true,
+            }));
+            const withdrawals = await this.getRecentFlows("/sapi/v1/capital/withdraw/history", { status: "6" }, cursors.withdrawal, w => ({
+                id: String(w.id), kind: 'withdrawal', ccy: w.coin, amount: -(parseFloat(w.amount) + parseFloat(w.transactionFee || 0)), time: Date.parse(`${w.applyTime.replace(' ', 'T')}Z`), affectsCapital: true,
+            }));
+            return { flows: [...deposits, ...withdrawals].sort((a, b) => a.time - b.time) };
+        } catch (e) { return { error: `خطأ في الاتصال بمنصة Binance لجلب التدفقات النقدية: ${e.message}` }; }
+    }
+
+    // Without a cursor time, Binance's default window (the last 90 days) is read.
+    async getRecentFlows(path, params, cursor, mapRecord) {
+        const { time, seen } = readLookbackCursor(cursor);
+        const seenIds = new Set(seen.map(([id]) => id));
+        const records = await this.signedGet(path, time > 0 ? { ...params, startTime: String(time - CASH_FLOW_LOOKBACK_MS) } : params);
+        return records.map(mapRecord).filter(flow => !seenIds.has(flow.id));
+    }
+
+    advanceCashFlowCursors(cursors, flows) {
+        const next = { deposit: '0', withdrawal: '0', ...cursors };
+        for (const flow of flows) next[flow.kind] = advanceLookbackCursor(next[flow.kind], flow);
+        return next;
+    }
+}
+
+
+
+module.exports = { BinanceAdapter };
@@ -0,0 +1,54 @@
+// exchanges/index.js
+
+const { ExchangeAdapter } = require("./ExchangeAdapter.js");
+const { OKXAdapter } = require("./okx.js");
+const { BinanceAdapter } = require("./binance.js");
+const { SimulatorAdapter } = require("./simulator.js");
+
+
+
+const ADAPTERS = { okx: OKXAdapter, binance: BinanceAdapter, simulator: SimulatorAdapter };
+// Pseudo account id used for the aggregated view of every account.
+const ALL_ACCOUNTS = "all";
+
+// Credentials can be given inline or as the name of the env variable holding them ("apiKeyEnv"...),
+// which keeps secrets out of the EXCHANGE_ACCOUNTS JSON itself.
+function readSecret(entry, field) {
+    if (entry[`${field}Env`]) return process.env[entry[`${field}Env`]];
+    return entry[field];
+}
+
+// Accounts come from EXCHANGE_ACCOUNTS, a JSON array such as
+// [{ "id": "main", "name": "OKX Main", "exchange": "okx", "apiKeyEnv": "OKX_API_KEY", ... }].
+// Without it, the bot runs the single OKX account configured by the OKX_API_* variables,
+// or, when SIMULATOR_SCENARIO points to a scenario file, a single offline simulator account.
+function loadAccounts() {
+    let entries;
+    if (process.env.EXCHANGE_ACCOUNTS) {
+        try {
+            entries = JSON.parse(process.env.EXCHANGE_ACCOUNTS);
+        } catch (e) {
+            throw new Error("EXCHANGE_ACCOUNTS is not valid JSON.");
+        }
+        if (!Array.isArray(entries) || entries.length === 0) throw new Error("EXCHANGE_ACCOUNTS must be a non-empty array.");
+    } else if (process.env.SIMULATOR_SCENARIO) {
+        entries = [{ id: "main", name: "Simulator", exchange: "simulator", scenarioFile: process.env.SIMULATOR_SCENARIO }];
+    } else {
+        entries = [{ id: "main", name: "OKX", exchange: "okx", apiKeyEnv: "OKX_API_KEY", secretKeyEnv: "OKX_API_SECRET_KEY", passphraseEnv: "OKX_API_PASSPHRASE" }];
+    }
+    const seen = new Set();
+    return entries.map(entry => {
+        const exchange = String(entry.exchange || "okx").toLowerCase();
+        const Adapter = ADAPTERS[exchange];
+        if (!Adapter) throw new Error(`Unsupported exchange "${entry.exchange}" for account ${entry.id}.`);
+        if (!entry.id || entry.id === ALL_ACCOUNTS || seen.has(entry.id)) throw new Error(`Invalid or duplicate account id "${entry.id}".`);
+        seen.add(entry.id);
+        const account = { id: String(entry.id), name: entry.name || String(entry.id), exchange };
+        account.adapter = new Adapter({ ...account, scenarioFile: entry.scenarioFile, apiKey: readSecret(entry, "apiKey"), secretKey: readSecret(entry, "secretKey"), passphrase: readSecret(entry, "passphrase") });
+        return account;
+    });
+}
+
+
+
+module.exports = { ExchangeAdapter, OKXAdapter, BinanceAdapter, SimulatorAdapter, ALL_ACCOUNTS, loadAccounts };
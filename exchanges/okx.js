@@ -0,0 +1,341 @@
+// exchanges/okx.js
+
+const fetch = require("node-fetch");
+const crypto = require("crypto");
+const { ExchangeAdapter, CASH_FLOW_LOOKBACK_MS, readLookbackCursor, advanceLookbackCursor } = require("./ExchangeAdapter.js");
+
+
+// Pages of 100 records read per history request by one run; a longer backlog is read over the next runs.
+const HISTORY_MAX_PAGES = 30;
+
+class OKXAdapter extends ExchangeAdapter {
+    constructor(account = {}) {
+        super(account);
+        this.name = "OKX";
+        this.baseURL = "https://www.okx.com";
+        this.credentials = { apiKey: account.apiKey, secretKey: account.secretKey, passphrase: account.passphrase };
+    }
+
+    getHeaders(method, path, body = "") {
+        const timestamp = new Date().toISOString();
+        const prehash = timestamp + method.toUpperCase() + path + (typeof body === 'object' ? JSON.stringify(body) : body);
+        const sign = crypto.createHmac("sha256", this.credentials.secretKey).update(prehash).digest("base64");
+        return {
+            "OK-ACCESS-KEY": this.credentials.apiKey,
+            "OK-ACCESS-SIGN": sign,
+            "OK-ACCESS-TIMESTAMP": timestamp,
+            "OK-ACCESS-PASSPHRASE": this.credentials.passphrase,
+            "Content-Type": "application/json",
+        };
+    }
+
+    async getMarketPrices() {
+        try {
+            const tickersRes = await fetch(`${this.baseURL}/api/v5/market/tickers?instType=SPOT`);
+            const tickersJson = await tickersRes.json();
+            if (tickersJson.code !== '0') { return { error: `فشل جلب أسعار السوق: ${tickersJson.msg}` }; }
+            const prices = {};
+            tickersJson.data.forEach(t => {
+                if (t.instId.endsWith('-USDT')) {
+                    const lastPrice = parseFloat(t.last);
+                    const openPrice = parseFloat(t.open24h);
+                    let change24h = 0;
+                    if (openPrice > 0) change24h = (lastPrice - openPrice) / openPrice;
+                    prices[t.instId] = { price: lastPrice, open24h: openPrice, change24h, volCcy24h: parseFloat(t.volCcy24h) };
+                }
+            });
+            return prices;
+        } catch (error) { return { error: "خطأ استثنائي عند جلب أسعار السوق." }; }
+    }
+
+    async getPortfolio(prices) {
+        try {
+            const path = "/api/v5/account/balance";
+            const res = await fetch(`${this.baseURL}${path}`, { headers: this.getHeaders("GET", path) });
+            const json = await res.json();
+            if (json.code !== '0' || !json.data || !json.data[0] || !json.data[0].details) { return { error: `فشل جلب المحفظة: ${json.msg || 'بيانات غير متوقعة'}` }; }
+            let assets = [], total = 0, usdtValue = 0;
+            json.data[0].details.forEach(asset => {
+                const amount = parseFloat(asset.eq);
+                if (amount > 0) {
+                    const instId = `${asset.ccy}-USDT`;
+                    const priceData = prices[instId] || { price: (asset.ccy === "USDT" ? 1 : 0), change24h: 0 };
+                    const value = amount * priceData.price;
+                    total += value;
+                    if (asset.ccy === "USDT") usdtValue = value;
+                    if (value >= 1) assets.push({ asset: asset.ccy, price: priceData.price, value, amount, change24h: priceData.change24h });
+                }
+            });
+            assets.sort((a, b) => b.value - a.value);
+            return { assets, total, usdtValue };
+        } catch (e) { return { error: "خطأ في الاتصال بمنصة OKX." }; }
+    }
+
+    async getBalanceForComparison() {
+        try {
+            const path = "/api/v5/account/balance";
+            const res = await fetch(`${this.baseURL}${path}`, { headers: this.getHeaders("GET", path) });
+            const json = await res.json();
+            if (json.code !== '0' || !json.data || !json.data[0] || !json.data[0].details) { return null; }
+            const balances = {};
+            json.data[0].details.forEach(asset => {
+                const amount = parseFloat(asset.eq);
+                if (amount > 0) balances[asset.ccy] = amount;
+            });
+            return balances;
+        } catch (e) { return null; }
+    }
+
+    async getInstrumentDetails(instId) {
+        try {
+            const tickerRes = await fetch(`${this.baseURL}/api/v5/market/ticker?instId=${instId.toUpperCase()}`);
+            const tickerJson = await tickerRes.json();
+            if (tickerJson.code !== '0' || !tickerJson.data[0]) { return { error: `لم يتم العثور على العملة.` }; }
+            const tickerData = tickerJson.data[0];
+            return { price: parseFloat(tickerData.last), high24h: parseFloat(tickerData.high24h), low24h: parseFloat(tickerData.low24h), vol24h: parseFloat(tickerData.volCcy24h), };
+        } catch (e) { throw new Error("خطأ في الاتصال بالمنصة لجلب بيانات السوق."); }
+    }
+
+    async getHistoricalCandles(instId, bar = '1D', limit = 100) {
+        let allCandles = [];
+        let after = '';
+        const maxLimitPerRequest = 100;
+        try {
+            while (allCandles.length < limit) {
+                const currentLimit = Math.min(maxLimitPerRequest, limit - allCandles.length);
+                const url = `${this.baseURL}/api/v5/market/history-candles?instId=${instId}&bar=${bar}&limit=${currentLimit}${after}`;
+                const res = await fetch(url);
+                const json = await res.json();
+                if (json.code !== '0' || !json.data || json.data.length === 0) { break; }
+                const newCandles = json.data.map(c => ({ time: parseInt(c[0]), open: parseFloat(c[1]), high: parseFloat(c[2]), low: parseFloat(c[3]), close: parseFloat(c[4]), volume: parseFloat(c[5]) }));
+                allCandles.push(...newCandles);
+                if (newCandles.length < maxLimitPerRequest) { break; }
+                const lastTimestamp = newCandles[newCandles.length - 1].time;
+                after = `&after=${lastTimestamp}`;
+            }
+            return allCandles.reverse();
+        } catch (e) { console.error(`Error fetching historical candles for ${instId}:`, e); return []; }
+    }
+
+    // Pages back from `endTime` with `after` (records older than the given timestamp) until `startTime` is passed.
+    async getCandlesBetween(instId, bar, startTime, endTime) {
+        const candles = [];
+        let after = endTime + 1;
+        try {
+            while (after > startTime) {
+                const res = await fetch(`${this.baseURL}/api/v5/market/history-candles?instId=${instId}&bar=${bar}&limit=100&after=${after}`);
+                const json = await res.json();
+                if (json.code !== '0') return { error: json.msg || 'بيانات غير متوقعة' };
+                if (!json.data || json.data.length === 0) break;
+                json.data.forEach(c => {
+                    const time = parseInt(c[0]);
+                    if (time >= startTime && time <= endTime) candles.push({ time, open: parseFloat(c[1]), high: parseFloat(c[2]), low: parseFloat(c[3]), close: parseFloat(c[4]) });
+                });
+                after = parseInt(json.data[json.data.length - 1][0]);
+            }
+            return candles.reverse();
+        } catch (e) { console.error(`Error fetching candles for ${instId}:`, e); return { error: e.message }; }
+    }
+
+    // Walks a newest-first OKX history endpoint back page by page (with `after`) until `cursor` is reached.
+    // `cursorField` names the ordered id of the records (a billId or a timestamp). Returns records oldest first.
+    // Without a cursor only the newest page is read, which is enough to anchor a new cursor.
+    // When the cursor is more than HISTORY_MAX_PAGES back, nothing is returned (so the cursor stays) but the
+    // `resume` point to page on from, which the caller passes back on the next run. Once that run reaches the
+    // cursor, it returns the oldest part of the backlog with `truncated` (newer records are still to come); the
+    // cursor then moves past it and the following runs read the rest. The resumed run starts one record early
+    // so it always returns something, even when the backlog ended right at the page limit.
+    async getHistorySince(basePath, cursorField, cursor, mapRecord, resume = null) {
+        const records = [];
+        const resumed = Boolean(cursor && resume);
+        let oldest = resumed ? resume : null;
+        for (let page = 0; page < HISTORY_MAX_PAGES; page++) {
+            const path = `${basePath}${basePath.includes('?') ? '&' : '?'}limit=100${oldest ? `&after=${oldest}` : ''}`;
+            const json = await this.signedGet(path);
+            if (json.code !== '0') { return { error: json.msg || 'بيانات غير متوقعة' }; }
+            if (!json.data || json.data.length === 0) return { records: records.reverse(), truncated: resumed };
+            let reachedCursor = false;
+            for (const record of json.data) {
+                if (cursor && BigInt(record[cursorField]) <= BigInt(cursor)) { reachedCursor = true; break; }
+                const mapped = mapRecord(record);
+                if (mapped) records.push(mapped);
+            }
+            if (reachedCursor || !cursor || json.data.length < 100) return { records: records.reverse(), truncated: resumed };
+            oldest = json.data[json.data.length - (page === HISTORY_MAX_PAGES - 1 ? 2 : 1)][cursorField];
+        }
+        console.log(`OKX ${basePath}: more than ${HISTORY_MAX_PAGES * 100} records since the cursor, catching up over the next runs.`);
+        return { records: [], truncated: true, resume: oldest };
+    }
+
+    // Returns SPOT fills newer than `cursor` (a billId), oldest first.
+    async getFills(cursor = null, resume = null) {
+        try {
+            const { records, truncated, resume: nextResume, error } = await this.getHistorySince("/api/v5/trade/fills-history?instType=SPOT", "billId", cursor, f => ({
+                billId: f.billId,
+                tradeId: f.tradeId,
+                ordId: f.ordId,
+                instId: f.instId,
+                side: f.side,
+                size: parseFloat(f.fillSz),
+                price: parseFloat(f.fillPx),
+                fee: -parseFloat(f.fee || 0), // OKX reports charged fees as negative numbers
+                feeCcy: f.feeCcy,
+                time: parseInt(f.ts),
+            }), resume);
+            if (error) return { error: `فشل جلب سجل التنفيذات: ${error}` };
+            return { fills: records, truncated, resume: nextResume || null };
+        } catch (e) { return { error: "خطأ في الاتصال بمنصة OKX لجلب سجل التنفيذات." }; }
+    }
+
+    advanceFillsCursor(cursor, fills) {
+        return fills.length > 0 ? fills[fills.length - 1].billId : (cursor || '0');
+    }
+
+    // Returns completed deposits, withdrawals and funding <-> trading transfers not seen yet by the given cursors, oldest first.
+    // Deposits and withdrawals land in the funding account; only transfers move value in or out of
+    // the trading account that getPortfolio() measures, so only they are marked `affectsCapital`.
+    async getCashFlows(cursors = {}, resume = {}) {
+        try {
+            const deposits = await this.getRecentFlows("/api/v5/asset/deposit-history?state=2", cursors.deposit, d => ({
+                id: d.depId, kind: 'deposit', ccy: d.ccy, amount: parseFloat(d.amt), time: parseInt(d.ts), affectsCapital: false,
+            }), resume.deposit);
+            if (deposits.error) return { error: `فشل جلب سجل الإيداعات: ${deposits.error}` };
+            const withdrawals = await this.getRecentFlows("/api/v5/asset/withdrawal-history?state=2", cursors.withdrawal, w => ({
+                id: w.wdId, kind: 'withdrawal', ccy: w.ccy, amount: -parseFloat(w.amt), time: parseInt(w.ts), affectsCapital: false,
+            }), resume.withdrawal);
+            if (withdrawals.error) return { error: `فشل جلب سجل السحوبات: ${withdrawals.error}` };
+            // Funding account bills: 131 = transferred to the trading account, 130 = transferred from it.
+            const transfers = await this.getHistorySince("/api/v5/asset/bills", "billId", cursors.transfer, b => {
+                if (b.type !== '130' && b.type !== '131') return null;
+                const amount = Math.abs(parseFloat(b.balChg));
+                return { id: b.billId, kind: b.type === '131' ? 'transfer_in' : 'transfer_out', ccy: b.ccy, amount: b.type === '131' ? amount : -amount, time: parseInt(b.ts), affectsCapital: true };
+            }, resume.transfer);
+            if (transfers.error) return { error: `فشل جلب سجل التحويلات: ${transfers.error}` };
+            const flows = [...deposits.records, ...withdrawals.records, ...transfers.records].sort((a, b) => a.time - b.time);
+            const nextResume = {};
+            if (deposits.resume) nextResume.deposit = deposits.resume;
+            if (withdrawals.resume) nextResume.withdrawal = withdrawals.resume;
+            if (transfers.resume) nextResume.transfer = transfers.resume;
+            return { flows, truncated: Boolean(deposits.truncated || withdrawals.truncated || transfers.truncated), resume: nextResume };
+        } catch (e) { return { error: "خطأ في الاتصال بمنصة OKX لجلب التدفقات النقدية." }; }
+    }
+
+    // Completed deposits or withdrawals created within the lookback window of their cursor (see
+    // readLookbackCursor), without the ones already seen. `ts` is the creation time.
+    async getRecentFlows(basePath, cursor, mapRecord, resume) {
+        if (cursor === undefined || cursor === null) return await this.getHistorySince(basePath, "ts", null, mapRecord, resume);
+        const { time, seen } = readLookbackCursor(cursor);
+        const seenIds = new Set(seen.map(([id]) => id));
+        const result = await this.getHistorySince(basePath, "ts", String(time - CASH_FLOW_LOOKBACK_MS - 1), mapRecord, resume);
+        return result.error ? result : { ...result, records: result.records.filter(r => !seenIds.has(r.id)) };
+    }
+
+    advanceCashFlowCursors(cursors, flows) {
+        const next = { deposit: '0', withdrawal: '0', transfer: '0', ...cursors };
+        for (const flow of flows) {
+            if (flow.kind === 'deposit' || flow.kind === 'withdrawal') next[flow.kind] = advanceLookbackCursor(next[flow.kind], flow);
+            else next.transfer = flow.id;
+        }
+        return next;
+    }
+
+    // Signed GET on the private API; returns the parsed response.
+    async signedGet(path) {
+        const res = await fetch(`${this.baseURL}${path}`, { headers: this.getHeaders("GET", path) });
+        return await res.json();
+    }
+
+    // Signed POST to the trading API; returns the parsed response.
+    async signedPost(path, body) {
+        const res = await fetch(`${this.baseURL}${path}`, { method: "POST", headers: this.getHeaders("POST", path, body), body: JSON.stringify(body) });
+        return await res.json();
+    }
+
+    canTrade() { return true; }
+
+    async getOrderBook(instId, depth = 50) {
+        try {
+            const res = await fetch(`${this.baseURL}/api/v5/market/books?instId=${instId.toUpperCase()}&sz=${depth}`);
+            const json = await res.json();
+            if (json.code !== '0' || !json.data || !json.data[0]) { return { error: `فشل جلب دفتر الأوامر: ${json.msg || 'بيانات غير متوقعة'}` }; }
+            const toLevels = (levels) => levels.map(l => [parseFloat(l[0]), parseFloat(l[1])]);
+            return { asks: toLevels(json.data[0].asks), bids: toLevels(json.data[0].bids) };
+        } catch (e) { return { error: "خطأ في الاتصال بمنصة OKX لجلب دفتر الأوامر." }; }
+    }
+
+    async getTradingRules(instId) {
+        try {
+            const res = await fetch(`${this.baseURL}/api/v5/public/instruments?instType=SPOT&instId=${instId.toUpperCase()}`);
+            const json = await res.json();
+            if (json.code !== '0' || !json.data || !json.data[0]) { return { error: `لم يتم العثور على زوج التداول ${instId}.` }; }
+            const rules = { minSize: parseFloat(json.data[0].minSz), lotSize: parseFloat(json.data[0].lotSz), takerFeeRate: 0.001 };
+            // The account's own fee tier; OKX reports fee rates as negative numbers.
+            const feePath = `/api/v5/account/trade-fee?instType=SPOT&instId=${instId.toUpperCase()}`;
+            const feeRes = await fetch(`${this.baseURL}${feePath}`, { headers: this.getHeaders("GET", feePath) });
+            const feeJson = await feeRes.json();
+            if (feeJson.code === '0' && feeJson.data && feeJson.data[0]) rules.takerFeeRate = Math.abs(parseFloat(feeJson.data[0].taker));
+            return rules;
+        } catch (e) { return { error: "خطأ في الاتصال بمنصة OKX لجلب قواعد التداول." }; }
+    }
+
+    async placeMarketOrder({ instId, side, size, clientOrderId }) {
+        try {
+            const body = { instId: instId.toUpperCase(), tdMode: "cash", side, ordType: "market", sz: String(size), tgtCcy: side === 'buy' ? 'quote_ccy' : 'base_ccy' };
+            if (clientOrderId) body.clOrdId = clientOrderId;
+            const json = await this.signedPost("/api/v5/trade/order", body);
+            const result = json.data && json.data[0];
+            if (json.code !== '0' || !result || result.sCode !== '0') { return { error: `رفضت المنصة الأمر: ${result?.sMsg || json.msg || 'سبب غير معروف'}` }; }
+            return { orderId: result.ordId };
+        } catch (e) { return { error: "خطأ في الاتصال بمنصة OKX لإرسال الأمر." }; }
+    }
+
+    canHoldProtection() { return true; }
+
+    // Take profit and stop loss go in one algo order (OCO when both are set), a trailing stop in a move_order_stop
+    // order. Either way a single order triggers a market sell.
+    async placeProtectionOrders(instId, size, levels) {
+        const body = { instId: instId.toUpperCase(), tdMode: "cash", side: "sell", sz: String(size) };
+        if (levels.takeProfit || levels.stopLoss) {
+            body.ordType = levels.takeProfit && levels.stopLoss ? "oco" : "conditional";
+            if (levels.takeProfit) Object.assign(body, { tpTriggerPx: String(levels.takeProfit), tpOrdPx: "-1" });
+            if (levels.stopLoss) Object.assign(body, { slTriggerPx: String(levels.stopLoss), slOrdPx: "-1" });
+        } else {
+            Object.assign(body, { ordType: "move_order_stop", callbackRatio: String(levels.trailingPercent / 100) });
+        }
+        try {
+            const json = await this.signedPost("/api/v5/trade/order-algo", body);
+            const result = json.data && json.data[0];
+            if (json.code !== '0' || !result || result.sCode !== '0') return { error: `رفضت المنصة أمر الحماية: ${result?.sMsg || json.msg || 'سبب غير معروف'}` };
+            return { orderIds: [result.algoId] };
+        } catch (e) { return { error: "خطأ في الاتصال بمنصة OKX لوضع أوامر الحماية." }; }
+    }
+
+    async cancelProtectionOrders(instId, orderIds) {
+        try {
+            const json = await this.signedPost("/api/v5/trade/cancel-algos", orderIds.map(algoId => ({ algoId, instId: instId.toUpperCase() })));
+            if (json.code !== '0') return { error: `فشل إلغاء أوامر الحماية: ${json.msg}` };
+            return {};
+        } catch (e) { return { error: "خطأ في الاتصال بمنصة OKX لإلغاء أوامر الحماية." }; }
+    }
+
+    async getProtectionOrders(instId, orderIds) {
+        const STATES = { live: 'live', pause: 'live', partially_effective: 'live', effective: 'triggered', canceled: 'canceled', order_failed: 'failed' };
+        try {
+            const orders = [];
+            for (const algoId of orderIds) {
+                const path = `/api/v5/trade/order-algo?algoId=${algoId}`;
+                const res = await fetch(`${this.baseURL}${path}`, { headers: this.getHeaders("GET", path) });
+                const json = await res.json();
+                const o = json.data && json.data[0];
+                if (json.code !== '0' || !o) return { error: `فشل جلب حالة أمر الحماية: ${json.msg || 'بيانات غير متوقعة'}` };
+                const kind = o.ordType === 'move_order_stop' ? 'trailing' : (o.actualSide === 'sl' || (!o.tpTriggerPx && o.slTriggerPx)) ? 'stopLoss' : 'takeProfit';
+                orders.push({ id: algoId, state: STATES[o.state] || 'live', kind });
+            }
+            return { orders };
+        } catch (e) { return { error: "خطأ في الاتصال بمنصة OKX لجلب أوامر الحماية." }; }
+    }
+}
+
+
+
+module.exports = { OKXAdapter };
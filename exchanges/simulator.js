@@ -0,0 +1,251 @@
+// exchanges/simulator.js
+
+const fs = require("fs");
+const path = require("path");
+const { ExchangeAdapter } = require("./ExchangeAdapter.js");
+const { floorToLot } = require("../lib/trading.js");
+const { evaluateProtection } = require("../lib/protection.js");
+
+
+
+// Offline exchange driven by a scenario file, for deterministic runs without network or real funds.
+// A scenario is a JSON document:
+// {
+//   "balances": { "USDT": 1000 },                       // opening balances
+//   "candles": { "BTC-USDT": { "1D": [[ts, open, high, low, close, volume?], ...] } } or "candles.json",
+//   "steps": [
+//     { "at": "2024-03-01T10:00:00Z",                   // simulated time of the step (default: now)
+//       "tickers": { "BTC-USDT": { "price": 60000, "open24h": 58000, "volCcy24h": 5e8 } },
+//       "fills": [{ "instId": "BTC-USDT", "side": "buy", "size": 0.01, "price": 60000, "fee": 0.6, "feeCcy": "USDT" }],
+//       "cashFlows": [{ "kind": "transfer_in", "ccy": "USDT", "amount": 500 }],
+//       "balances": { "ETH": 0.5 },                      // absolute overrides, e.g. an airdrop
+//       "rejectOrders": "reason",                        // orders placed during the step are rejected
+//       "orderDelayMs": 50 }                             // market orders of the step fill only after this delay
+//   ],
+//   "tradingRules": { "minSize": 0, "lotSize": 1e-8, "takerFeeRate": 0.001 },
+//   "exchangeProtection": true,                          // hold TP/SL/trailing orders like OKX algo orders
+//   "fillsPerRun": 2                                     // fills returned per getFills() call (default: all)
+// }
+// Tickers carry over from one step to the next; fills and capital flows update the balances the way
+// the exchange would, so scripted trades need no hand-written balances.
+class SimulatorAdapter extends ExchangeAdapter {
+    constructor(account = {}) {
+        super(account);
+        this.name = "Simulator";
+        const file = account.scenarioFile || process.env.SIMULATOR_SCENARIO;
+        this.loadScenario(account.scenario || (file ? SimulatorAdapter.readScenario(file) : { steps: [] }));
+    }
+
+    static readScenario(file) {
+        const scenario = JSON.parse(fs.readFileSync(file, "utf8"));
+        // Recorded candles can live in their own file, relative to the scenario.
+        if (typeof scenario.candles === "string") {
+            scenario.candles = JSON.parse(fs.readFileSync(path.resolve(path.dirname(file), scenario.candles), "utf8"));
+        }
+        return scenario;
+    }
+
+    loadScenario(scenario) {
+        this.scenario = scenario;
+        this.stepIndex = -1;
+        this.clock = Date.now();
+        this.tickers = {};
+        this.balances = { ...(scenario.balances || {}) };
+        this.fills = [];
+        this.cashFlows = [];
+        this.protectionOrders = [];
+        this.sequence = 0;
+    }
+
+    get steps() { return this.scenario.steps || []; }
+    get currentStep() { return this.steps[this.stepIndex] || null; }
+    get tradingRules() { return { minSize: 0, lotSize: 1e-8, takerFeeRate: 0.001, ...(this.scenario.tradingRules || {}) }; }
+    hasNextStep() { return this.stepIndex + 1 < this.steps.length; }
+    now() { return this.clock; }
+
+    nextId() {
+        this.sequence++;
+        return String(this.sequence).padStart(12, "0");
+    }
+
+    changeBalance(ccy, delta) {
+        this.balances[ccy] = (this.balances[ccy] || 0) + delta;
+        if (Math.abs(this.balances[ccy]) < 1e-12) delete this.balances[ccy];
+    }
+
+    recordFill(f) {
+        const [base, quote] = f.instId.split("-");
+        const billId = this.nextId();
+        const fill = { billId, tradeId: billId, ordId: f.ordId || billId, instId: f.instId, side: f.side, size: f.size, price: f.price, fee: f.fee || 0, feeCcy: f.feeCcy || quote, time: f.at ? Date.parse(f.at) : this.clock };
+        const baseFee = fill.feeCcy === base ? fill.fee : 0;
+        const quoteFee = fill.feeCcy === quote ? fill.fee : 0;
+        if (fill.side === "buy") {
+            this.changeBalance(base, fill.size - baseFee);
+            this.changeBalance(quote, -(fill.size * fill.price + quoteFee));
+        } else {
+            this.changeBalance(base, -(fill.size + baseFee));
+            this.changeBalance(quote, fill.size * fill.price - quoteFee);
+        }
+        this.fills.push(fill);
+        return fill;
+    }
+
+    // Applies the next step of the scenario. Returns the step, or null once the scenario is over.
+    advance() {
+        if (!this.hasNextStep()) return null;
+        this.stepIndex++;
+        const step = this.currentStep;
+        this.clock = step.at ? Date.parse(step.at) : Date.now();
+        Object.entries(step.tickers || {}).forEach(([instId, ticker]) => {
+            this.tickers[instId] = { ...this.tickers[instId], ...(typeof ticker === "number" ? { price: ticker } : ticker) };
+        });
+        (step.fills || []).forEach(f => this.recordFill(f));
+        (step.cashFlows || []).forEach(c => {
+            const flow = { id: this.nextId(), kind: c.kind, ccy: c.ccy, amount: c.amount, time: c.at ? Date.parse(c.at) : this.clock, affectsCapital: c.affectsCapital !== false };
+            if (flow.affectsCapital) this.changeBalance(flow.ccy, flow.amount);
+            this.cashFlows.push(flow);
+        });
+        Object.entries(step.balances || {}).forEach(([ccy, amount]) => { this.balances[ccy] = amount; });
+        this.triggerProtectionOrders();
+        return step;
+    }
+
+    async getMarketPrices() {
+        if (this.currentStep?.failPrices) return { error: "فشل جلب أسعار السوق: المحاكي" };
+        const prices = {};
+        Object.entries(this.tickers).forEach(([instId, t]) => {
+            const openPrice = t.open24h ?? t.price;
+            prices[instId] = { price: t.price, open24h: openPrice, change24h: openPrice > 0 ? (t.price - openPrice) / openPrice : 0, volCcy24h: t.volCcy24h ?? 0 };
+        });
+        return prices;
+    }
+
+    async getPortfolio(prices) {
+        let assets = [], total = 0, usdtValue = 0;
+        Object.entries(this.balances).forEach(([ccy, amount]) => {
+            const priceData = prices[`${ccy}-USDT`] || { price: (ccy === "USDT" ? 1 : 0), change24h: 0 };
+            const value = amount * priceData.price;
+            total += value;
+            if (ccy === "USDT") usdtValue = value;
+            if (value >= 1) assets.push({ asset: ccy, price: priceData.price, value, amount, change24h: priceData.change24h });
+        });
+        assets.sort((a, b) => b.value - a.value);
+        return { assets, total, usdtValue };
+    }
+
+    async getBalanceForComparison() {
+        return { ...this.balances };
+    }
+
+    async getInstrumentDetails(instId) {
+        const t = this.tickers[instId.toUpperCase()];
+        if (!t) return { error: `لم يتم العثور على العملة.` };
+        return { price: t.price, high24h: t.high24h ?? t.price, low24h: t.low24h ?? t.price, vol24h: t.volCcy24h ?? 0 };
+    }
+
+    async getHistoricalCandles(instId, bar = '1D', limit = 100) {
+        const candles = ((this.scenario.candles || {})[instId] || {})[bar] || [];
+        return candles
+            .map(c => Array.isArray(c) ? { time: c[0], open: c[1], high: c[2], low: c[3], close: c[4], volume: c[5] ?? 0 } : { time: c.time, open: c.open ?? c.close, high: c.high, low: c.low, close: c.close, volume: c.volume ?? 0 })
+            .filter(c => c.time <= this.clock)
+            .sort((a, b) => a.time - b.time)
+            .slice(-limit);
+    }
+
+    async getCandlesBetween(instId, bar, startTime, endTime) {
+        const candles = ((this.scenario.candles || {})[instId] || {})[bar] || [];
+        return candles
+            .map(c => Array.isArray(c) ? { time: c[0], open: c[1], high: c[2], low: c[3], close: c[4] } : { time: c.time, open: c.open ?? c.close, high: c.high, low: c.low, close: c.close })
+            .filter(c => c.time >= startTime && c.time <= endTime && c.time <= this.clock)
+            .sort((a, b) => a.time - b.time);
+    }
+
+    // With "fillsPerRun", a call returns at most that many fills, like a long history read over several runs.
+    async getFills(cursor = null) {
+        const fills = this.fills.filter(f => !cursor || f.billId > cursor);
+        const limit = this.scenario.fillsPerRun;
+        return cursor && limit && fills.length > limit ? { fills: fills.slice(0, limit), truncated: true } : { fills };
+    }
+
+    advanceFillsCursor(cursor, fills) {
+        return fills.length > 0 ? fills[fills.length - 1].billId : (cursor || '0');
+    }
+
+    async getCashFlows(cursors = {}) {
+        return { flows: this.cashFlows.filter(f => !cursors.id || f.id > cursors.id) };
+    }
+
+    advanceCashFlowCursors(cursors, flows) {
+        return { id: '0', ...cursors, ...(flows.length > 0 ? { id: flows[flows.length - 1].id } : {}) };
+    }
+
+    canTrade() { return true; }
+
+    // The simulated book is a single deep level at the ticker price.
+    async getOrderBook(instId) {
+        const t = this.tickers[instId.toUpperCase()];
+        if (!t) return { error: `لم يتم العثور على زوج التداول ${instId}.` };
+        return { asks: [[t.price, 1e12]], bids: [[t.price, 1e12]] };
+    }
+
+    async getTradingRules(instId) {
+        if (!this.tickers[instId.toUpperCase()]) return { error: `لم يتم العثور على زوج التداول ${instId}.` };
+        return this.tradingRules;
+    }
+
+    // Fills immediately at the ticker price, with the taker fee charged in USDT.
+    async placeMarketOrder({ instId, side, size }) {
+        const t = this.tickers[instId.toUpperCase()];
+        if (!t) return { error: `لم يتم العثور على زوج التداول ${instId}.` };
+        if (this.currentStep?.rejectOrders) return { error: `رفضت المنصة الأمر: ${this.currentStep.rejectOrders}` };
+        if (this.currentStep?.orderDelayMs) await new Promise(resolve => setTimeout(resolve, this.currentStep.orderDelayMs));
+        const [base, quote] = instId.toUpperCase().split("-");
+        const { lotSize, takerFeeRate } = this.tradingRules;
+        const baseSize = side === "buy" ? floorToLot(size / t.price, lotSize) : size;
+        const fee = baseSize * t.price * takerFeeRate;
+        const available = this.balances[side === "buy" ? quote : base] || 0;
+        if ((side === "buy" ? baseSize * t.price + fee : baseSize) > available + 1e-9) return { error: "رفضت المنصة الأمر: رصيد غير كافٍ" };
+        const fill = this.recordFill({ instId: instId.toUpperCase(), side, size: baseSize, price: t.price, fee, feeCcy: quote });
+        return { orderId: fill.ordId };
+    }
+
+    canHoldProtection() { return !!this.scenario.exchangeProtection; }
+
+    // One order per call, like OKX: take profit and stop loss together, or a trailing stop.
+    async placeProtectionOrders(instId, size, levels) {
+        const id = this.nextId();
+        const orderLevels = levels.takeProfit || levels.stopLoss ? { takeProfit: levels.takeProfit, stopLoss: levels.stopLoss } : { trailingPercent: levels.trailingPercent };
+        this.protectionOrders.push({ id, instId: instId.toUpperCase(), size, levels: orderLevels, state: 'live', kind: null });
+        return { orderIds: [id] };
+    }
+
+    async cancelProtectionOrders(instId, orderIds) {
+        this.protectionOrders.forEach(o => { if (orderIds.includes(o.id) && o.state === 'live') o.state = 'canceled'; });
+        return {};
+    }
+
+    async getProtectionOrders(instId, orderIds) {
+        return { orders: this.protectionOrders.filter(o => orderIds.includes(o.id)).map(o => ({ id: o.id, state: o.state, kind: o.kind || (o.levels.trailingPercent ? 'trailing' : o.levels.takeProfit ? 'takeProfit' : 'stopLoss') })) };
+    }
+
+    // Live protection orders fire against the step's tickers and sell at the ticker price, like exchange algo orders.
+    triggerProtectionOrders() {
+        for (const order of this.protectionOrders.filter(o => o.state === 'live')) {
+            const price = this.tickers[order.instId]?.price;
+            if (!price) continue;
+            const { protection, triggered } = evaluateProtection(order.levels, price);
+            order.levels = protection;
+            if (!triggered) continue;
+            const [base, quote] = order.instId.split("-");
+            const size = Math.min(order.size, this.balances[base] || 0);
+            if (size <= 0) { order.state = 'failed'; continue; }
+            const fee = size * price * this.tradingRules.takerFeeRate;
+            this.recordFill({ instId: order.instId, side: "sell", size, price, fee, feeCcy: quote });
+            Object.assign(order, { state: 'triggered', kind: triggered });
+        }
+    }
+}
+
+
+
+module.exports = { SimulatorAdapter };
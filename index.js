@@ -3,396 +3,1788 @@
 // =================================================================
 
 const express = require("express");
-const { Bot, Keyboard, InlineKeyboard, webhookCallback } = require("grammy");
-const fetch = require("node-fetch");
+const { Bot, Keyboard, InlineKeyboard, InputFile, webhookCallback, session } = require("grammy");
 const crypto = require("crypto");
 require("dotenv").config();
 const { connectDB, getDB } = require("./database.js");
+const { scheduleJob, startScheduler, skipToNextSlot, getJobStatuses, getLastSlot, getZonedParts, parseTime } = require("./scheduler.js");
+const { OKXAdapter, ALL_ACCOUNTS, loadAccounts } = require("./exchanges/index.js");
+const { MarketDataService } = require("./marketData.js");
+const { getCachedCandles } = require("./candleCache.js");
+const { renderChart } = require("./lib/charts.js");
+const { formatNumber, escapeMarkdown } = require("./lib/utils.js");
+const { analyzeTimeframe, combineTrends, suggestAtrStop } = require("./lib/indicators.js");
+const { resolvePerformancePeriod, parseCustomPerformanceRange, calculateAssetContributions } = require("./lib/performance.js");
+const { mergePortfolios, aggregateFillsByOrder, applyExecution, expectedBalances, findUnexplainedBalanceChanges, mergePositions } = require("./lib/positions.js");
+const { DEFAULT_TRADING_LIMITS, floorToLot, parseOrderArgs, estimateMarketOrder, checkGuardrails } = require("./lib/trading.js");
+const { parseProtectionLevels, evaluateProtection, triggerPriceOf } = require("./lib/protection.js");
+const { CLOSED_VIRTUAL_TRADE_STATUSES, normalizeVirtualTrade, parseVirtualTrade, parseVirtualTradeEdit, stepVirtualTrade, closeVirtualTrade, virtualTradeResult, calculateVirtualTradeStats } = require("./lib/virtualTrades.js");
+const { BAR_MS, BACKTEST_USAGE, parseBacktestArgs, warmupBars, runBacktest } = require("./lib/backtest.js");
+const { DEFAULT_MOVEMENT_SETTINGS, MOVEMENT_BASELINES, parseQuietHours, isQuietTime, checkMovement } = require("./lib/movements.js");
+const { INDICATOR_ALERT_TYPES, parseAlertSpec, evaluateAlert, initialAlertState, stepAlert, fromLegacyAlert } = require("./lib/alerts.js");
+const { RISK_LOOKBACK_DAYS, analyzeRisk } = require("./lib/risk.js");
+const { COST_METHODS, COST_METHOD_LABELS, DEFAULT_LEDGER_SETTINGS, createLot, createOpeningLot, matchDisposal, summarizeDisposals, disposalsToCsv, parseTaxYear } = require("./lib/ledger.js");
+const { TEMPLATE_SLOTS, PUBLISHING_LANGUAGES, DEFAULT_PUBLISHING_TARGET, TEMPLATE_VARIABLES, checkTemplate, templateFor, meetsMinTradeSize, acceptsPublication, parseTargetOptions } = require("./lib/publishing.js");
+const { ADMIN_BASE_PATH, ADMIN_REFRESH_SECONDS, ADMIN_CHART_PERIODS, parseAdminSettings, checkAdminCredentials, adminCsrfToken, checkAdminCsrf, markdownToText, selectedIds, matchesQuery, paginate, parseDateRange, parseSettingsForm, protectionLevelsText, adminUrl, renderAdminLayout, renderPortfolioPage, renderPositionsPage, renderPositionEditPage, renderAlertsPage, renderAlertEditPage, renderVirtualTradesPage, renderHistoryPage, renderSettingsPage } = require("./lib/adminPages.js");
+const { ROLE_LABELS, PROMPT_TIMEOUT_MINUTES, hasPermission, callbackPermission, commandPermission, withOwner, roleOf, recipientsFor, parseUsersCommand, sessionKey, createSessionStorage, createPrompt, isPromptExpired } = require("./lib/access.js");
+const { TRACK_RECORD_SECTIONS, MAX_TRACK_RECORD_TRADES, parseTrackRecordSettings, publicTrade, buildEquityCurve, summarizeTrackRecord, openRecommendations, canReadSection, renderTrackRecordPage } = require("./lib/trackRecord.js");
+const { DEFAULT_REBALANCE_SETTINGS, parseRebalanceTargets, calculateAllocation, buildRebalancePlan, checkDrift } = require("./lib/rebalance.js");
+const {
+    formatClosedTradeReview, formatPrivateBuy, formatPrivateSell, formatPrivateCloseReport, formatPublicBuy, formatPublicSell,
+    formatPublicClose, formatPublicDailyReport, formatPortfolioMsg, formatAdvancedMarketAnalysis, formatPerformanceReport, formatAssetContributions, formatOrderPreview,
+    formatProtectionLevels, formatPositionDetail, formatProtectionTriggered, formatAlertCondition, formatAlertsList, formatAlertTriggered,
+    MOVEMENT_BASELINE_LABELS, formatMovementSettings, formatMovementAlert, formatMovementDigest,
+    formatVirtualTradesList, formatVirtualTradeEvent, formatVirtualTradesHistory, formatBacktestReport, formatTechnicalAnalysis,
+    formatCoinChart, formatTradeReviewChart, formatRebalanceTargets, formatRebalancePlan, formatRebalanceResults, formatDriftAlert,
+    formatRiskReport, formatTaxSummary, PUBLICATION_KIND_LABELS, formatPublicationCard, formatPublicationsList,
+    PUBLISHING_LANGUAGE_LABELS, TEMPLATE_SLOT_LABELS, formatPublishingTargets, formatPublishingTarget, formatTemplatePreview, formatBotUsers,
+} = require("./lib/formatters.js");
 
 // --- Bot Setup ---
 const app = express();
 const bot = new Bot(process.env.TELEGRAM_BOT_TOKEN);
 const PORT = process.env.PORT || 3000;
+// The owner; more users are added with /users (see lib/access.js).
 const AUTHORIZED_USER_ID = parseInt(process.env.AUTHORIZED_USER_ID);
 
-// --- State Variables ---
-let waitingState = null;
-
 // =================================================================
-// SECTION 0: OKX API ADAPTER
+// SECTION 0: EXCHANGE ACCOUNTS
 // =================================================================
-class OKXAdapter {
-    constructor() {
-        this.name = "OKX";
-        this.baseURL = "https://www.okx.com";
-    }
-
-    getHeaders(method, path, body = "") {
-        const timestamp = new Date().toISOString();
-        const prehash = timestamp + method.toUpperCase() + path + (typeof body === 'object' ? JSON.stringify(body) : body);
-        const sign = crypto.createHmac("sha256", process.env.OKX_API_SECRET_KEY).update(prehash).digest("base64");
-        return {
-            "OK-ACCESS-KEY": process.env.OKX_API_KEY,
-            "OK-ACCESS-SIGN": sign,
-            "OK-ACCESS-TIMESTAMP": timestamp,
-            "OK-ACCESS-PASSPHRASE": process.env.OKX_API_PASSPHRASE,
-            "Content-Type": "application/json",
-        };
-    }
-
-    async getMarketPrices() {
-        try {
-            const tickersRes = await fetch(`${this.baseURL}/api/v5/market/tickers?instType=SPOT`);
-            const tickersJson = await tickersRes.json();
-            if (tickersJson.code !== '0') { return { error: `فشل جلب أسعار السوق: ${tickersJson.msg}` }; }
-            const prices = {};
-            tickersJson.data.forEach(t => {
-                if (t.instId.endsWith('-USDT')) {
-                    const lastPrice = parseFloat(t.last);
-                    const openPrice = parseFloat(t.open24h);
-                    let change24h = 0;
-                    if (openPrice > 0) change24h = (lastPrice - openPrice) / openPrice;
-                    prices[t.instId] = { price: lastPrice, open24h: openPrice, change24h, volCcy24h: parseFloat(t.volCcy24h) };
-                }
-            });
-            return prices;
-        } catch (error) { return { error: "خطأ استثنائي عند جلب أسعار السوق." }; }
-    }
-
-    async getPortfolio(prices) {
-        try {
-            const path = "/api/v5/account/balance";
-            const res = await fetch(`${this.baseURL}${path}`, { headers: this.getHeaders("GET", path) });
-            const json = await res.json();
-            if (json.code !== '0' || !json.data || !json.data[0] || !json.data[0].details) { return { error: `فشل جلب المحفظة: ${json.msg || 'بيانات غير متوقعة'}` }; }
-            let assets = [], total = 0, usdtValue = 0;
-            json.data[0].details.forEach(asset => {
-                const amount = parseFloat(asset.eq);
-                if (amount > 0) {
-                    const instId = `${asset.ccy}-USDT`;
-                    const priceData = prices[instId] || { price: (asset.ccy === "USDT" ? 1 : 0), change24h: 0 };
-                    const value = amount * priceData.price;
-                    total += value;
-                    if (asset.ccy === "USDT") usdtValue = value;
-                    if (value >= 1) assets.push({ asset: asset.ccy, price: priceData.price, value, amount, change24h: priceData.change24h });
-                }
-            });
-            assets.sort((a, b) => b.value - a.value);
-            return { assets, total, usdtValue };
-        } catch (e) { return { error: "خطأ في الاتصال بمنصة OKX." }; }
-    }
-
-    async getBalanceForComparison() {
-        try {
-            const path = "/api/v5/account/balance";
-            const res = await fetch(`${this.baseURL}${path}`, { headers: this.getHeaders("GET", path) });
-            const json = await res.json();
-            if (json.code !== '0' || !json.data || !json.data[0] || !json.data[0].details) { return null; }
-            const balances = {};
-            json.data[0].details.forEach(asset => {
-                const amount = parseFloat(asset.eq);
-                if (amount > 0) balances[asset.ccy] = amount;
-            });
-            return balances;
-        } catch (e) { return null; }
-    }
-}
-const okxAdapter = new OKXAdapter();
+// Every account is an ExchangeAdapter implementation (see exchanges/). Public market data
+// (tickers, candles, benchmarks) comes from OKX, whatever exchange an account uses, except
+// in offline runs, where the simulator serves it too.
+const accounts = loadAccounts();
+const DEFAULT_ACCOUNT_ID = accounts[0].id;
+const marketAdapter = (accounts.find(a => a.exchange === 'simulator') || accounts.find(a => a.exchange === 'okx'))?.adapter || new OKXAdapter();
+const getAccount = (accountId) => accounts.find(a => a.id === accountId);
+// NEW: Every job reads prices from one shared cache. Instruments watched by a job (alerts, positions, virtual
+// trades...) stream over the OKX WebSocket once startBot() opens it; the simulator is read fresh on every call.
+const marketData = new MarketDataService({ adapter: marketAdapter, streaming: marketAdapter instanceof OKXAdapter, restTtlMs: marketAdapter instanceof OKXAdapter ? null : 0 });
+// Accounts on OKX (and the simulator) share the market data cache; other exchanges quote their own prices.
+const getAccountPrices = (account) => account.exchange === 'okx' || account.adapter === marketAdapter ? marketData.getMarketPrices() : account.adapter.getMarketPrices();
+const accountLabel = (accountId) => accountId === ALL_ACCOUNTS ? "🌐 كل الحسابات" : `🏦 ${escapeMarkdown(getAccount(accountId)?.name || accountId)}`;
 
 // =================================================================
 // SECTION 1: DATABASE AND HELPER FUNCTIONS
 // =================================================================
 const getCollection = (collectionName) => getDB().collection(collectionName);
+// NEW: Per-account data. The first account keeps the original config ids and documents without
+// `accountId`, so data recorded before accounts existed stays attached to it.
+const scopedConfigId = (id, accountId = DEFAULT_ACCOUNT_ID) => accountId === DEFAULT_ACCOUNT_ID ? id : `${id}:${accountId}`;
+function accountFilter(accountId) { if (accountId === ALL_ACCOUNTS) return {}; if (accountId === DEFAULT_ACCOUNT_ID) return { $or: [{ accountId }, { accountId: { $exists: false } }] }; return { accountId }; }
+const accountIdsOf = (accountId) => accountId === ALL_ACCOUNTS ? accounts.map(a => a.id) : [accountId];
 async function getConfig(id, defaultValue = {}) { try { const doc = await getCollection("configs").findOne({ _id: id }); return doc ? doc.data : defaultValue; } catch (e) { return defaultValue; } }
 async function saveConfig(id, data) { try { await getCollection("configs").updateOne({ _id: id }, { $set: { data: data } }, { upsert: true }); } catch (e) { console.error(`Error in saveConfig for id: ${id}`, e); } }
-async function saveClosedTrade(tradeData) { try { await getCollection("tradeHistory").insertOne({ ...tradeData, closedAt: new Date(), _id: new crypto.randomBytes(16).toString("hex") }); } catch (e) { console.error("Error in saveClosedTrade:", e); } }
-async function getHistoricalPerformance(asset) { try { const history = await getCollection("tradeHistory").find({ asset: asset }).toArray(); if (history.length === 0) { return { realizedPnl: 0, tradeCount: 0, winningTrades: 0, losingTrades: 0, avgDuration: 0 }; } const realizedPnl = history.reduce((sum, trade) => sum + trade.pnl, 0); const winningTrades = history.filter(trade => trade.pnl > 0).length; const losingTrades = history.filter(trade => trade.pnl <= 0).length; const totalDuration = history.reduce((sum, trade) => sum + trade.durationDays, 0); const avgDuration = history.length > 0 ? totalDuration / history.length : 0; return { realizedPnl, tradeCount: history.length, winningTrades, losingTrades, avgDuration }; } catch (e) { return null; } }
+async function saveClosedTrade(tradeData) { try { await getCollection("tradeHistory").insertOne({ ...tradeData, closedAt: tradeData.closedAt || new Date(), _id: new crypto.randomBytes(16).toString("hex") }); } catch (e) { console.error("Error in saveClosedTrade:", e); } }
+async function getHistoricalPerformance(asset, accountId = ALL_ACCOUNTS) { try { const history = await getCollection("tradeHistory").find({ asset: asset, ...accountFilter(accountId) }).toArray(); if (history.length === 0) { return { realizedPnl: 0, tradeCount: 0, winningTrades: 0, losingTrades: 0, avgDuration: 0 }; } const realizedPnl = history.reduce((sum, trade) => sum + trade.pnl, 0); const winningTrades = history.filter(trade => trade.pnl > 0).length; const losingTrades = history.filter(trade => trade.pnl <= 0).length; const totalDuration = history.reduce((sum, trade) => sum + trade.durationDays, 0); const avgDuration = history.length > 0 ? totalDuration / history.length : 0; return { realizedPnl, tradeCount: history.length, winningTrades, losingTrades, avgDuration }; } catch (e) { return null; } }
 async function saveVirtualTrade(tradeData) { try { const tradeWithId = { ...tradeData, _id: new crypto.randomBytes(16).toString("hex") }; await getCollection("virtualTrades").insertOne(tradeWithId); return tradeWithId; } catch (e) { console.error("Error saving virtual trade:", e); } }
-async function getActiveVirtualTrades() { try { return await getCollection("virtualTrades").find({ status: 'active' }).toArray(); } catch (e) { return []; } }
-async function updateVirtualTradeStatus(tradeId, status, finalPrice) { try { await getCollection("virtualTrades").updateOne({ _id: tradeId }, { $set: { status: status, closePrice: finalPrice, closedAt: new Date() } }); } catch (e) { console.error(`Error updating virtual trade ${tradeId}:`, e); } }
-const loadCapital = async () => (await getConfig("capital", { value: 0 })).value;
-const saveCapital = (amount) => saveConfig("capital", { value: amount });
+async function getActiveVirtualTrades() { try { return (await getCollection("virtualTrades").find({ status: 'active' }).toArray()).map(normalizeVirtualTrade); } catch (e) { return []; } }
+async function getVirtualTrade(tradeId) { try { const trade = await getCollection("virtualTrades").findOne({ _id: tradeId }); return trade ? normalizeVirtualTrade(trade) : null; } catch (e) { return null; } }
+async function getClosedVirtualTrades() { try { return (await getCollection("virtualTrades").find({ status: { $in: CLOSED_VIRTUAL_TRADE_STATUSES } }).sort({ closedAt: -1 }).toArray()).map(normalizeVirtualTrade); } catch (e) { return []; } }
+async function updateVirtualTrade(tradeId, fields) { try { await getCollection("virtualTrades").updateOne({ _id: tradeId }, { $set: fields }); } catch (e) { console.error(`Error updating virtual trade ${tradeId}:`, e); } }
+async function loadCapital(accountId = DEFAULT_ACCOUNT_ID) { let total = 0; for (const id of accountIdsOf(accountId)) total += (await getConfig(scopedConfigId("capital", id), { value: 0 })).value || 0; return total; }
+async function adjustCapital(accountId, delta) { const capital = await getConfig(scopedConfigId("capital", accountId), { value: 0 }); capital.value = (capital.value || 0) + delta; await saveConfig(scopedConfigId("capital", accountId), capital); return capital.value; }
+// -> { inserted } (false when the flow was already stored) or { error } when the database write failed.
+async function saveCashFlow(flow) { try { const result = await getCollection("cashFlows").updateOne({ _id: flow._id }, { $setOnInsert: flow }, { upsert: true }); return { inserted: result.upsertedCount > 0 }; } catch (e) { console.error("Error in saveCashFlow:", e); return { error: e.message }; } }
+async function loadCashFlows(accountId, from = new Date(0), to = new Date()) { try { return await getCollection("cashFlows").find({ time: { $gte: from, $lte: to }, ...accountFilter(accountId) }).sort({ time: 1 }).toArray(); } catch (e) { return []; } }
+async function getNetExternalFlows(accountId, from = new Date(0), to = new Date()) { const flows = await loadCashFlows(accountId, from, to); return flows.filter(f => f.affectsCapital).reduce((sum, f) => sum + f.usdValue, 0); }
+const saveCapital = (accountId, amount) => saveConfig(scopedConfigId("capital", accountId), { value: amount, setAt: new Date() });
+async function getNetFlowsSinceCapitalSet(accountId = DEFAULT_ACCOUNT_ID) { let total = 0; for (const id of accountIdsOf(accountId)) { const capital = await getConfig(scopedConfigId("capital", id), { value: 0 }); total += await getNetExternalFlows(id, capital.setAt ? new Date(capital.setAt) : new Date(0)); } return total; }
 const loadSettings = async () => await getConfig("settings", { dailySummary: true, autoPostToChannel: false, debugMode: false, dailyReportTime: "22:00" });
 const saveSettings = (settings) => saveConfig("settings", settings);
-const loadPositions = async () => await getConfig("positions", {});
-const savePositions = (positions) => saveConfig("positions", positions);
+// The account the menus show: one account id or ALL_ACCOUNTS for the aggregated view. Each user switches it in
+// their own session; the global setting is the default for new sessions and for the web dashboard.
+async function getActiveAccountId(ctx = null) {
+    const activeAccount = ctx?.session?.activeAccount ?? (await loadSettings()).activeAccount;
+    return activeAccount === ALL_ACCOUNTS || getAccount(activeAccount) ? activeAccount : DEFAULT_ACCOUNT_ID;
+}
+const loadPositions = async (accountId = DEFAULT_ACCOUNT_ID) => await getConfig(scopedConfigId("positions", accountId), {});
+const savePositions = (accountId, positions) => saveConfig(scopedConfigId("positions", accountId), positions);
+// Updates fields of one position in place (`update` names the position's own fields, e.g. { $set: { protection } }).
+// Jobs that wait on the exchange use it instead of savePositions, so they never write a stale copy over the fills
+// applied in the meantime, and a position closed in the meantime stays closed.
+async function updatePosition(accountId, asset, update) {
+    const scoped = {};
+    Object.entries(update).forEach(([op, fields]) => {
+        scoped[op] = Object.fromEntries(Object.entries(fields).map(([field, value]) => [`data.${asset}.${field}`, value]));
+    });
+    try {
+        await getCollection("configs").updateOne({ _id: scopedConfigId("positions", accountId), [`data.${asset}`]: { $exists: true } }, scoped);
+    } catch (e) { console.error(`Error updating position ${asset} (${accountId}):`, e); }
+}
+// Positions of the aggregated view: the same asset held on several accounts is merged at its weighted average cost.
+async function loadMergedPositions(accountId) {
+    if (accountId !== ALL_ACCOUNTS) return await loadPositions(accountId);
+    const positionSets = [];
+    for (const account of accounts) positionSets.push(await loadPositions(account.id));
+    return mergePositions(positionSets);
+}
 const loadHistory = async () => await getConfig("dailyHistory", []);
-const saveHistory = (history) => saveConfig("dailyHistory", history);
 const loadHourlyHistory = async () => await getConfig("hourlyHistory", []);
-const saveHourlyHistory = (history) => saveConfig("hourlyHistory", history);
-const loadBalanceState = async () => await getConfig("balanceState", {});
-const saveBalanceState = (state) => saveConfig("balanceState", state);
-const loadAlerts = async () => await getConfig("priceAlerts", []);
-const saveAlerts = (alerts) => saveConfig("priceAlerts", alerts);
-const loadAlertSettings = async () => await getConfig("alertSettings", { global: 5, overrides: {} });
+// NEW: Portfolio snapshots live in their own time-series collection instead of arrays in `configs`.
+// Hourly points are kept for SNAPSHOT_RETENTION.hourlyDays, daily points for SNAPSHOT_RETENTION.dailyDays;
+// older daily points are downsampled to one weekly point (the last of each week), which is kept forever.
+const SNAPSHOT_RETENTION = { hourlyDays: 35, dailyDays: 730 };
+const DAILY_SNAPSHOT_TIME = "23:55";
+const WEEKLY_RISK_REPORT = { day: 0, time: "10:00" };
+// With several accounts, each account gets its own series and the aggregated view is stored under ALL_ACCOUNTS.
+// A single account's aggregate is the account itself, so it is read straight from the account's series.
+const snapshotAccountId = (accountId) => accountId === ALL_ACCOUNTS && accounts.length === 1 ? DEFAULT_ACCOUNT_ID : accountId;
+const snapshotKeyPrefix = (accountId) => accountId === DEFAULT_ACCOUNT_ID ? '' : `${accountId}:`;
+async function ensureSnapshotIndexes() { try { await getCollection("portfolioSnapshots").createIndex({ accountId: 1, granularity: 1, time: 1 }); } catch (e) { console.error("Error creating snapshot indexes:", e); } }
+async function saveSnapshot(accountId, granularity, key, time, total, assets = []) { try { const snapshotAssets = assets.map(a => ({ asset: a.asset, amount: a.amount, price: a.price, value: a.value })); await getCollection("portfolioSnapshots").updateOne({ _id: `${snapshotKeyPrefix(accountId)}${granularity}:${key}` }, { $set: { accountId, granularity, time, total, assets: snapshotAssets } }, { upsert: true }); } catch (e) { console.error(`Error saving ${granularity} snapshot:`, e); } }
+async function loadSnapshots(accountId, granularities, from = new Date(0), to = new Date()) { try { const id = snapshotAccountId(accountId); const owner = id === DEFAULT_ACCOUNT_ID ? accountFilter(id) : { accountId: id }; const docs = await getCollection("portfolioSnapshots").find({ granularity: { $in: granularities }, time: { $gte: from, $lte: to }, ...owner }).sort({ time: 1 }).toArray(); return docs.map(d => ({ time: d.time.getTime(), total: d.total, assets: d.assets || [] })); } catch (e) { console.error("Error loading snapshots:", e); return []; } }
+async function applySnapshotRetention() {
+    try {
+        const collection = getCollection("portfolioSnapshots");
+        const dayMs = 24 * 60 * 60 * 1000;
+        await collection.deleteMany({ granularity: 'hourly', time: { $lt: new Date(Date.now() - SNAPSHOT_RETENTION.hourlyDays * dayMs) } });
+        const oldDaily = await collection.find({ granularity: 'daily', time: { $lt: new Date(Date.now() - SNAPSHOT_RETENTION.dailyDays * dayMs) } }).sort({ time: 1 }).toArray();
+        if (oldDaily.length === 0) return;
+        const lastOfWeek = new Map();
+        oldDaily.forEach(d => { const accountId = d.accountId || DEFAULT_ACCOUNT_ID; const weekStart = new Date(d.time.getTime() - ((d.time.getUTCDay() + 6) % 7) * dayMs).toISOString().slice(0, 10); lastOfWeek.set(`${snapshotKeyPrefix(accountId)}weekly:${weekStart}`, { ...d, accountId }); });
+        for (const [key, d] of lastOfWeek) {
+            await collection.updateOne({ _id: key }, { $set: { accountId: d.accountId, granularity: 'weekly', time: d.time, total: d.total, assets: d.assets || [] } }, { upsert: true });
+        }
+        await collection.deleteMany({ _id: { $in: oldDaily.map(d => d._id) } });
+        console.log(`[Snapshot Retention]: downsampled ${oldDaily.length} daily snapshots into ${lastOfWeek.size} weekly points.`);
+    } catch (e) { console.error("Error in applySnapshotRetention:", e); }
+}
+// One-time import of the legacy `dailyHistory`/`hourlyHistory` arrays into the snapshot collection.
+async function migrateLegacyHistory() {
+    try {
+        if (await getCollection("portfolioSnapshots").countDocuments({}, { limit: 1 }) > 0) return;
+        const daily = await loadHistory();
+        const hourly = await loadHourlyHistory();
+        for (const h of daily) await saveSnapshot(DEFAULT_ACCOUNT_ID, 'daily', h.date, new Date(h.time || Date.parse(h.date)), h.total);
+        for (const h of hourly) await saveSnapshot(DEFAULT_ACCOUNT_ID, 'hourly', h.label, new Date(h.time || Date.parse(`${h.label}:00:00Z`)), h.total);
+        if (daily.length + hourly.length > 0) console.log(`[Snapshot Migration]: imported ${daily.length} daily and ${hourly.length} hourly points.`);
+    } catch (e) { console.error("Error in migrateLegacyHistory:", e); }
+}
+const loadBalanceState = async (accountId) => await getConfig(scopedConfigId("balanceState", accountId), {});
+const saveBalanceState = (accountId, state) => saveConfig(scopedConfigId("balanceState", accountId), state);
+// The cursors are kept with the adapter's paging state (`resume`) of a history read over several runs.
+const loadFillsCursor = async (accountId) => ({ billId: null, resume: null, ...(await getConfig(scopedConfigId("fillsCursor", accountId), {})) });
+const saveFillsCursor = (accountId, billId, resume = null) => saveConfig(scopedConfigId("fillsCursor", accountId), { billId, resume });
+const loadCashFlowCursors = async (accountId) => await getConfig(scopedConfigId("cashFlowCursors", accountId), null);
+const saveCashFlowCursors = (accountId, cursors, resume = {}) => saveConfig(scopedConfigId("cashFlowCursors", accountId), { ...cursors, resume });
+// NEW: Alerts are documents of the `alerts` collection (see lib/alerts.js for their types).
+async function loadAlerts() { try { return await getCollection("alerts").find({}).sort({ createdAt: 1 }).toArray(); } catch (e) { console.error("Error loading alerts:", e); return []; } }
+async function getAlert(alertId) { try { return await getCollection("alerts").findOne({ _id: alertId }); } catch (e) { return null; } }
+async function saveAlert(alert) { try { const { _id, ...fields } = alert; await getCollection("alerts").updateOne({ _id: _id || crypto.randomBytes(4).toString("hex") }, { $set: fields }, { upsert: true }); } catch (e) { console.error("Error saving alert:", e); } }
+async function updateAlert(alertId, changes) { try { await getCollection("alerts").updateOne({ _id: alertId }, { $set: changes }); } catch (e) { console.error(`Error updating alert ${alertId}:`, e); } }
+async function deleteAlert(alertId) { try { await getCollection("alerts").deleteOne({ _id: alertId }); } catch (e) { console.error(`Error deleting alert ${alertId}:`, e); } }
+// One-time import of the legacy `priceAlerts` array ({ instId, condition, price }) into the alerts collection.
+async function migrateLegacyAlerts() {
+    try {
+        const legacy = await getConfig("priceAlerts", []);
+        if (legacy.length === 0) return;
+        for (const old of legacy) await saveAlert(initialAlertState(fromLegacyAlert(old)));
+        await saveConfig("priceAlerts", []);
+        console.log(`[Alerts Migration]: imported ${legacy.length} price alerts.`);
+    } catch (e) { console.error("Error in migrateLegacyAlerts:", e); }
+}
+const loadAlertSettings = async () => ({ ...DEFAULT_MOVEMENT_SETTINGS, ...(await getConfig("alertSettings", DEFAULT_MOVEMENT_SETTINGS)) });
 const saveAlertSettings = (settings) => saveConfig("alertSettings", settings);
-const loadPriceTracker = async () => await getConfig("priceTracker", { totalPortfolioValue: 0, assets: {} });
-const savePriceTracker = (tracker) => saveConfig("priceTracker", tracker);
-function formatNumber(num, decimals = 2) { const number = parseFloat(num); if (isNaN(number) || !isFinite(number)) return (0).toFixed(decimals); return number.toFixed(decimals); }
-async function sendDebugMessage(message) { const settings = await loadSettings(); if (settings.debugMode) { try { await bot.api.sendMessage(AUTHORIZED_USER_ID, `🐞 *Debug (OKX):* ${message}`, { parse_mode: "Markdown" }); } catch (e) { console.error("Failed to send debug message:", e); } } }
+const loadTradingLimits = async () => ({ ...DEFAULT_TRADING_LIMITS, ...(await getConfig("tradingLimits", {})) });
+const saveTradingLimits = (limits) => saveConfig("tradingLimits", limits);
+const loadRebalanceSettings = async () => ({ ...DEFAULT_REBALANCE_SETTINGS, ...(await getConfig("rebalanceSettings", {})) });
+const saveRebalanceSettings = (settings) => saveConfig("rebalanceSettings", settings);
+const loadLedgerSettings = async () => ({ ...DEFAULT_LEDGER_SETTINGS, ...(await getConfig("ledgerSettings", {})) });
+const saveLedgerSettings = (settings) => saveConfig("ledgerSettings", settings);
+async function saveOrder(order) { try { await getCollection("orders").insertOne({ _id: order._id || crypto.randomBytes(6).toString("hex"), ...order, placedAt: new Date() }); } catch (e) { console.error("Error saving order:", e); } }
+// Realized P&L of every sell since `from`, partial sells included: each sell is a ledger disposal (SECTION 4.12).
+async function getRealizedPnlSince(accountId, from) { try { const disposals = await getCollection("ledgerDisposals").find({ time: { $gte: from }, ...accountFilter(accountId) }).toArray(); return disposals.reduce((sum, d) => sum + (d.pnl || 0), 0); } catch (e) { return 0; } }
+// Per-asset movement state ({ reference, level }) for the baseline in use, plus moves held during quiet hours,
+// kept per account. The original tracker stored the last alerted price per asset, which is the "lastAlert" state.
+const loadPriceTracker = async (accountId) => {
+    const tracker = await getConfig(scopedConfigId("priceTracker", accountId), { baseline: "lastAlert", assets: {}, held: {} });
+    Object.entries(tracker.assets || {}).forEach(([asset, state]) => { if (typeof state === "number") tracker.assets[asset] = { reference: state }; });
+    return { baseline: "lastAlert", held: {}, ...tracker };
+};
+const savePriceTracker = (accountId, tracker) => saveConfig(scopedConfigId("priceTracker", accountId), tracker);
+// NEW: The bot's users and their roles; the owner from AUTHORIZED_USER_ID is always first.
+const loadBotUsers = async () => withOwner(await getConfig("botUsers", []), AUTHORIZED_USER_ID);
+const saveBotUsers = (users) => saveConfig("botUsers", users.filter(u => u.id !== AUTHORIZED_USER_ID));
+// Sends a notification to every user whose role receives `category`. Users who may not act on its buttons get
+// it without them, and a user who blocked the bot does not stop the others from getting it.
+async function notify(category, text, options = {}) {
+    for (const user of recipientsFor(await loadBotUsers(), category)) {
+        const userOptions = hasPermission(user.role, "manage") ? options : { ...options, reply_markup: undefined };
+        try {
+            await bot.api.sendMessage(user.id, text, userOptions);
+        } catch (e) {
+            console.error(`Failed to notify user ${user.id}:`, e.description || e.message);
+        }
+    }
+}
+async function sendDebugMessage(message) { const settings = await loadSettings(); if (settings.debugMode) { try { await notify('system', `🐞 *Debug (OKX):* ${message}`, { parse_mode: "Markdown" }); } catch (e) { console.error("Failed to send debug message:", e); } } }
 
 // =================================================================
 // SECTION 2: DATA PROCESSING FUNCTIONS
 // =================================================================
-async function getInstrumentDetails(instId) { try { const tickerRes = await fetch(`${okxAdapter.baseURL}/api/v5/market/ticker?instId=${instId.toUpperCase()}`); const tickerJson = await tickerRes.json(); if (tickerJson.code !== '0' || !tickerJson.data[0]) { return { error: `لم يتم العثور على العملة.` }; } const tickerData = tickerJson.data[0]; return { price: parseFloat(tickerData.last), high24h: parseFloat(tickerData.high24h), low24h: parseFloat(tickerData.low24h), vol24h: parseFloat(tickerData.volCcy24h), }; } catch (e) { throw new Error("خطأ في الاتصال بالمنصة لجلب بيانات السوق."); } }
-async function getHistoricalCandles(instId, bar = '1D', limit = 100) { let allCandles = []; let before = ''; const maxLimitPerRequest = 100; try { while (allCandles.length < limit) { const currentLimit = Math.min(maxLimitPerRequest, limit - allCandles.length); const url = `${okxAdapter.baseURL}/api/v5/market/history-candles?instId=${instId}&bar=${bar}&limit=${currentLimit}${before}`; const res = await fetch(url); const json = await res.json(); if (json.code !== '0' || !json.data || json.data.length === 0) { break; } const newCandles = json.data.map(c => ({ time: parseInt(c[0]), high: parseFloat(c[2]), low: parseFloat(c[3]), close: parseFloat(c[4]) })); allCandles.push(...newCandles); if (newCandles.length < maxLimitPerRequest) { break; } const lastTimestamp = newCandles[newCandles.length - 1].time; before = `&before=${lastTimestamp}`; } return allCandles.reverse(); } catch (e) { console.error(`Error fetching historical candles for ${instId}:`, e); return []; } }
+// Pure calculations and message builders live in lib/ (indicators, performance, positions, formatters),
+// where they are covered by the test suite; this section keeps the parts that need the exchange.
+// Portfolio of one account, or of every account for the aggregated view.
+async function getAccountPortfolio(accountId) {
+    const targets = accountId === ALL_ACCOUNTS ? accounts : [getAccount(accountId)];
+    const portfolios = [];
+    for (const account of targets) {
+        const prices = await account.adapter.getMarketPrices();
+        if (!prices || prices.error) return { error: `❌ فشل جلب أسعار السوق (${account.name}): ${prices?.error || ''}` };
+        const portfolio = await account.adapter.getPortfolio(prices);
+        if (portfolio.error) return { error: accounts.length > 1 ? `${account.name}: ${portfolio.error}` : portfolio.error };
+        portfolios.push(portfolio);
+    }
+    return mergePortfolios(portfolios);
+}
+const getInstrumentDetails = (instId) => marketAdapter.getInstrumentDetails(instId);
+const getHistoricalCandles = (instId, bar = '1D', limit = 100) => marketAdapter.getHistoricalCandles(instId, bar, limit);
 async function getAssetPriceExtremes(instId) { try { const [yearlyCandles, allTimeCandles] = await Promise.all([ getHistoricalCandles(instId, '1D', 365), getHistoricalCandles(instId, '1M', 240) ]); if (yearlyCandles.length === 0) return null; const getHighLow = (candles) => { if (!candles || candles.length === 0) return { high: 0, low: Infinity }; return candles.reduce((acc, candle) => ({ high: Math.max(acc.high, candle.high), low: Math.min(acc.low, candle.low) }), { high: 0, low: Infinity }); }; const weeklyCandles = yearlyCandles.slice(-7); const monthlyCandles = yearlyCandles.slice(-30); const formatLow = (low) => low === Infinity ? 0 : low; const weeklyExtremes = getHighLow(weeklyCandles); const monthlyExtremes = getHighLow(monthlyCandles); const yearlyExtremes = getHighLow(yearlyCandles); const allTimeExtremes = getHighLow(allTimeCandles); return { weekly: { high: weeklyExtremes.high, low: formatLow(weeklyExtremes.low) }, monthly: { high: monthlyExtremes.high, low: formatLow(monthlyExtremes.low) }, yearly: { high: yearlyExtremes.high, low: formatLow(yearlyExtremes.low) }, allTime: { high: allTimeExtremes.high, low: formatLow(allTimeExtremes.low) } }; } catch (error) { console.error(`Error in getAssetPriceExtremes for ${instId}:`, error); return null; } }
-function calculateSMA(closes, period) { if (closes.length < period) return null; const sum = closes.slice(-period).reduce((acc, val) => acc + val, 0); return sum / period; }
-function calculateRSI(closes, period = 14) { if (closes.length < period + 1) return null; let gains = 0, losses = 0; for (let i = 1; i <= period; i++) { const diff = closes[i] - closes[i - 1]; diff > 0 ? gains += diff : losses -= diff; } let avgGain = gains / period, avgLoss = losses / period; for (let i = period + 1; i < closes.length; i++) { const diff = closes[i] - closes[i - 1]; if (diff > 0) { avgGain = (avgGain * (period - 1) + diff) / period; avgLoss = (avgLoss * (period - 1)) / period; } else { avgLoss = (avgLoss * (period - 1) - diff) / period; avgGain = (avgGain * (period - 1)) / period; } } if (avgLoss === 0) return 100; const rs = avgGain / avgLoss; return 100 - (100 / (1 + rs)); }
-async function getTechnicalAnalysis(instId) { const candleData = (await getHistoricalCandles(instId, '1D', 51)); if (candleData.length < 51) return { error: "بيانات الشموع غير كافية." }; const closes = candleData.map(c => c.close); return { rsi: calculateRSI(closes, 14), sma20: calculateSMA(closes, 20), sma50: calculateSMA(closes, 50) }; }
-function calculatePerformanceStats(history) { if (history.length < 2) return null; const values = history.map(h => h.total); const startValue = values[0]; const endValue = values[values.length - 1]; const pnl = endValue - startValue; const pnlPercent = (startValue > 0) ? (pnl / startValue) * 100 : 0; const maxValue = Math.max(...values); const minValue = Math.min(...values); const avgValue = values.reduce((sum, val) => sum + val, 0) / values.length; const dailyReturns = []; for (let i = 1; i < values.length; i++) { dailyReturns.push((values[i] - values[i - 1]) / values[i - 1]); } const bestDayChange = dailyReturns.length > 0 ? Math.max(...dailyReturns) * 100 : 0; const worstDayChange = dailyReturns.length > 0 ? Math.min(...dailyReturns) * 100 : 0; const avgReturn = dailyReturns.length > 0 ? dailyReturns.reduce((sum, ret) => sum + ret, 0) / dailyReturns.length : 0; const volatility = dailyReturns.length > 0 ? Math.sqrt(dailyReturns.map(x => Math.pow(x - avgReturn, 2)).reduce((a, b) => a + b) / dailyReturns.length) * 100 : 0; let volText = "متوسط"; if(volatility < 1) volText = "منخفض"; if(volatility > 5) volText = "مرتفع"; return { startValue, endValue, pnl, pnlPercent, maxValue, minValue, avgValue, bestDayChange, worstDayChange, volatility, volText }; }
-function createChartUrl(data, type = 'line', title = '', labels = [], dataLabel = '') { if (!data || data.length === 0) return null; const pnl = data[data.length - 1] - data[0]; const chartColor = pnl >= 0 ? 'rgb(75, 192, 75)' : 'rgb(255, 99, 132)'; const chartBgColor = pnl >= 0 ? 'rgba(75, 192, 75, 0.2)' : 'rgba(255, 99, 132, 0.2)'; const chartConfig = { type: 'line', data: { labels: labels, datasets: [{ label: dataLabel, data: data, fill: true, backgroundColor: chartBgColor, borderColor: chartColor, tension: 0.1 }] }, options: { title: { display: true, text: title } } }; return `https://quickchart.io/chart?c=${encodeURIComponent(JSON.stringify(chartConfig))}&backgroundColor=white`; }
+// MODIFIED: The coin report reads every timeframe below; longer timeframes weigh more in the verdict. `vwapBars`
+// anchors VWAP to roughly a day, a week and a month of candles.
+const ANALYSIS_TIMEFRAMES = { "1H": { weight: 1, vwapBars: 24 }, "4H": { weight: 2, vwapBars: 42 }, "1D": { weight: 3, vwapBars: 30 } };
+const ATR_STOP_MULTIPLIER = 2;
+async function getTechnicalAnalysis(instId) {
+    const bars = Object.keys(ANALYSIS_TIMEFRAMES);
+    const candleSets = await Promise.all(bars.map(bar => getHistoricalCandles(instId, bar, 100)));
+    const timeframes = {};
+    bars.forEach((bar, i) => { timeframes[bar] = analyzeTimeframe(candleSets[i], { vwapBars: ANALYSIS_TIMEFRAMES[bar].vwapBars }); });
+    const verdict = combineTrends(timeframes, Object.fromEntries(bars.map(bar => [bar, ANALYSIS_TIMEFRAMES[bar].weight])));
+    if (!verdict) return { error: "بيانات الشموع غير كافية." };
+    return { timeframes, verdict, candles: Object.fromEntries(bars.map((bar, i) => [bar, candleSets[i]])) };
+}
+// Picks a bar that shows the whole trade, from a little before the entry up to now.
+async function buildTradeReviewChart(trade, currentPrice) {
+    const closedAt = new Date(trade.closedAt).getTime();
+    const start = closedAt - (trade.durationDays || 0) * 24 * 60 * 60 * 1000;
+    const span = Date.now() - start;
+    const bar = span <= 6 * 24 * 60 * 60 * 1000 ? '1H' : span <= 25 * 24 * 60 * 60 * 1000 ? '4H' : '1D';
+    const padding = 10 * BAR_MS[bar];
+    const candles = await getHistoricalCandles(`${trade.asset}-USDT`, bar, Math.min(300, Math.ceil((span + padding) / BAR_MS[bar]) + 1));
+    return formatTradeReviewChart(trade, bar, candles.filter(c => c.time >= start - padding), currentPrice);
+}
+// The stop uses the longest timeframe with an ATR reading.
+function getAtrStop(analysis, price) {
+    const bar = Object.keys(analysis.timeframes).reverse().find(b => analysis.timeframes[b]?.atr);
+    const stop = bar ? suggestAtrStop(price, analysis.timeframes[bar].atr, ATR_STOP_MULTIPLIER) : null;
+    return stop ? { ...stop, bar, multiplier: ATR_STOP_MULTIPLIER } : null;
+}
 
 // =================================================================
 // SECTION 3: FORMATTING AND MESSAGE FUNCTIONS
 // =================================================================
-// NEW: Function to format the review of a closed trade
-function formatClosedTradeReview(trade, currentPrice) {
-    const { asset, avgBuyPrice, avgSellPrice, quantity, pnl: actualPnl, pnlPercent: actualPnlPercent } = trade;
-    let msg = `*🔍 مراجعة صفقة مغلقة | ${asset}*\n`;
-    msg += `━━━━━━━━━━━━━━━━━━━━\n`;
-    msg += `*ملاحظة: هذا تحليل "ماذا لو" لصفقة مغلقة، ولا يؤثر على محفظتك الحالية.*\n\n`;
-    msg += `*ملخص الأسعار الرئيسي:*\n`;
-    msg += `  - 💵 *سعر الشراء الأصلي:* \`$${formatNumber(avgBuyPrice, 4)}\`\n`;
-    msg += `  - ✅ *سعر الإغلاق الفعلي:* \`$${formatNumber(avgSellPrice, 4)}\`\n`;
-    msg += `  - 📈 *السعر الحالي للسوق:* \`$${formatNumber(currentPrice, 4)}\`\n\n`;
-    const actualPnlSign = actualPnl >= 0 ? '+' : '';
-    const actualEmoji = actualPnl >= 0 ? '🟢' : '🔴';
-    msg += `*الأداء الفعلي للصفقة (عند الإغلاق):*\n`;
-    msg += `  - *النتيجة:* \`${actualPnlSign}$${formatNumber(actualPnl)}\` ${actualEmoji}\n`;
-    msg += `  - *نسبة العائد:* \`${actualPnlSign}${formatNumber(actualPnlPercent)}%\`\n\n`;
-    const hypotheticalPnl = (currentPrice - avgBuyPrice) * quantity;
-    const hypotheticalPnlPercent = (avgBuyPrice > 0) ? (hypotheticalPnl / (avgBuyPrice * quantity)) * 100 : 0;
-    const hypotheticalPnlSign = hypotheticalPnl >= 0 ? '+' : '';
-    const hypotheticalEmoji = hypotheticalPnl >= 0 ? '🟢' : '🔴';
-    msg += `*الأداء الافتراضي (لو بقيت الصفقة مفتوحة):*\n`;
-    msg += `  - *النتيجة الحالية:* \`${hypotheticalPnlSign}$${formatNumber(hypotheticalPnl)}\` ${hypotheticalEmoji}\n`;
-    msg += `  - *نسبة العائد الحالية:* \`${hypotheticalPnlSign}${formatNumber(hypotheticalPnlPercent)}%\`\n\n`;
-    const priceChangeSinceClose = currentPrice - avgSellPrice;
-    const priceChangePercent = (avgSellPrice > 0) ? (priceChangeSinceClose / avgSellPrice) * 100 : 0;
-    const changeSign = priceChangeSinceClose >= 0 ? '⬆️' : '⬇️';
-    msg += `*تحليل قرار الخروج:*\n`;
-    msg += `  - *حركة السعر منذ الإغلاق:* \`${formatNumber(priceChangePercent)}%\` ${changeSign}\n`;
-    if (priceChangeSinceClose > 0) {
-        msg += `  - *الخلاصة:* 📈 لقد واصل السعر الصعود بعد خروجك. كانت هناك فرصة لتحقيق ربح أكبر.\n`;
-    } else {
-        msg += `  - *الخلاصة:* ✅ لقد كان قرارك بالخروج صائبًا، حيث انخفض السعر بعد ذلك وتجنبت خسارة أو تراجع في الأرباح.\n`;
-    }
-    return msg;
-}
-function formatPrivateBuy(details) { const { asset, price, amountChange, tradeValue, oldTotalValue, newAssetWeight, newUsdtValue, newCashPercent } = details; const tradeSizePercent = oldTotalValue > 0 ? (tradeValue / oldTotalValue) * 100 : 0; let msg = `*مراقبة الأصول 🔬:*\n**عملية استحواذ جديدة 🟢**\n━━━━━━━━━━━━━━━━━━━━\n`; msg += `🔸 **الأصل المستهدف:** \`${asset}/USDT\`\n`; msg += `🔸 **نوع العملية:** تعزيز مركز / بناء مركز جديد\n`; msg += `━━━━━━━━━━━━━━━━━━━━\n*تحليل الصفقة:*\n`; msg += ` ▪️ **سعر التنفيذ:** \`$${formatNumber(price, 4)}\`\n`; msg += ` ▪️ **الكمية المضافة:** \`${formatNumber(Math.abs(amountChange), 6)}\`\n`; msg += ` ▪️ **التكلفة الإجمالية للصفقة:** \`$${formatNumber(tradeValue)}\`\n`; msg += `━━━━━━━━━━━━━━━━━━━━\n*التأثير على هيكل المحفظة:*\n`; msg += ` ▪️ **حجم الصفقة من إجمالي المحفظة:** \`${formatNumber(tradeSizePercent)}%\`\n`; msg += ` ▪️ **الوزن الجديد للأصل:** \`${formatNumber(newAssetWeight)}%\`\n`; msg += ` ▪️ **السيولة المتبقية (USDT):** \`$${formatNumber(newUsdtValue)}\`\n`; msg += ` ▪️ **مؤشر السيولة الحالي:** \`${formatNumber(newCashPercent)}%\`\n`; msg += `━━━━━━━━━━━━━━━━━━━━\n*بتاريخ:* ${new Date().toLocaleString("ar-EG", { timeZone: "Africa/Cairo" })}`; return msg; }
-function formatPrivateSell(details) { const { asset, price, amountChange, tradeValue, oldTotalValue, newAssetWeight, newUsdtValue, newCashPercent } = details; const tradeSizePercent = oldTotalValue > 0 ? (tradeValue / oldTotalValue) * 100 : 0; let msg = `*مراقبة الأصول 🔬:*\n**مناورة تكتيكية 🟠**\n━━━━━━━━━━━━━━━━━━━━\n`; msg += `🔸 **الأصل المستهدف:** \`${asset}/USDT\`\n`; msg += `🔸 **نوع العملية:** تخفيف المركز / جني أرباح جزئي\n`; msg += `━━━━━━━━━━━━━━━━━━━━\n*تحليل الصفقة:*\n`; msg += ` ▪️ **سعر التنفيذ:** \`$${formatNumber(price, 4)}\`\n`; msg += ` ▪️ **الكمية المخففة:** \`${formatNumber(Math.abs(amountChange), 6)}\`\n`; msg += ` ▪️ **العائد الإجمالي للصفقة:** \`$${formatNumber(tradeValue)}\`\n`; msg += `━━━━━━━━━━━━━━━━━━━━\n*التأثير على هيكل المحفظة:*\n`; msg += ` ▪️ **حجم الصفقة من إجمالي المحفظة:** \`${formatNumber(tradeSizePercent)}%\`\n`; msg += ` ▪️ **الوزن الجديد للأصل:** \`${formatNumber(newAssetWeight)}%\`\n`; msg += ` ▪️ **السيولة الجديدة (USDT):** \`$${formatNumber(newUsdtValue)}\`\n`; msg += ` ▪️ **مؤشر السيولة الحالي:** \`${formatNumber(newCashPercent)}%\`\n`; msg += `━━━━━━━━━━━━━━━━━━━━\n*بتاريخ:* ${new Date().toLocaleString("ar-EG", { timeZone: "Africa/Cairo" })}`; return msg; }
-function formatPrivateCloseReport(details) { const { asset, avgBuyPrice, avgSellPrice, pnl, pnlPercent, durationDays, highestPrice, lowestPrice } = details; const pnlSign = pnl >= 0 ? '+' : ''; const emoji = pnl >= 0 ? '🟢' : '🔴'; let msg = `*ملف المهمة المكتملة 📂:*\n**تم إغلاق مركز ${asset} بنجاح ✅**\n━━━━━━━━━━━━━━━━━━━━\n`; msg += `*النتيجة النهائية للمهمة:*\n`; msg += ` ▪️ **الحالة:** **${pnl >= 0 ? "مربحة" : "خاسرة"}**\n`; msg += ` ▪️ **صافي الربح/الخسارة:** \`${pnlSign}$${formatNumber(pnl)}\` ${emoji}\n`; msg += ` ▪️ **نسبة العائد على الاستثمار (ROI):** \`${pnlSign}${formatNumber(pnlPercent)}%\`\n`; msg += `━━━━━━━━━━━━━━━━━━━━\n*الجدول الزمني والأداء:*\n`; msg += ` ▪️ **مدة الاحتفاظ بالمركز:** \`${formatNumber(durationDays, 1)} يوم\`\n`; msg += ` ▪️ **متوسط سعر الدخول:** \`$${formatNumber(avgBuyPrice, 4)}\`\n`; msg += ` ▪️ **متوسط سعر الخروج:** \`$${formatNumber(avgSellPrice, 4)}\`\n`; msg += ` ▪️ **أعلى قمة سعرية مسجلة:** \`$${formatNumber(highestPrice, 4)}\`\n`; msg += ` ▪️ **أدنى قاع سعري مسجل:** \`$${formatNumber(lowestPrice, 4)}\`\n`; msg += `━━━━━━━━━━━━━━━━━━━━\n*بتاريخ الإغلاق:* ${new Date().toLocaleString("ar-EG", { timeZone: "Africa/Cairo" })}`; return msg; }
-function formatPublicBuy(details) { const { asset, price, oldTotalValue, tradeValue, oldUsdtValue, newCashPercent } = details; const tradeSizePercent = oldTotalValue > 0 ? (tradeValue / oldTotalValue) * 100 : 0; const cashConsumedPercent = (oldUsdtValue > 0) ? (tradeValue / oldUsdtValue) * 100 : 0; let msg = `*💡 توصية جديدة: بناء مركز في ${asset} 🟢*\n━━━━━━━━━━━━━━━━━━━━\n`; msg += `*الأصل:* \`${asset}/USDT\`\n`; msg += `*سعر الدخول الحالي:* \`$${formatNumber(price, 4)}\`\n`; msg += `━━━━━━━━━━━━━━━━━━━━\n*استراتيجية إدارة المحفظة:*\n`; msg += ` ▪️ *حجم الدخول:* تم تخصيص \`${formatNumber(tradeSizePercent)}%\` من المحفظة لهذه الصفقة.\n`; msg += ` ▪️ *استهلاك السيولة:* استهلك هذا الدخول \`${formatNumber(cashConsumedPercent)}%\` من السيولة النقدية المتاحة.\n`; msg += ` ▪️ *السيولة المتبقية:* بعد الصفقة، أصبحت السيولة تشكل \`${formatNumber(newCashPercent)}%\` من المحفظة.\n`; msg += `━━━━━━━━━━━━━━━━━━━━\n*ملاحظات:*\nنرى في هذه المستويات فرصة واعدة. المراقبة مستمرة، وسنوافيكم بتحديثات إدارة الصفقة.\n`; msg += `#توصية #${asset}`; return msg; }
-function formatPublicSell(details) { const { asset, price, amountChange, position } = details; const totalPositionAmountBeforeSale = position.totalAmountBought - (position.totalAmountSold - Math.abs(amountChange)); const soldPercent = totalPositionAmountBeforeSale > 0 ? (Math.abs(amountChange) / totalPositionAmountBeforeSale) * 100 : 0; const partialPnl = (price - position.avgBuyPrice); const partialPnlPercent = position.avgBuyPrice > 0 ? (partialPnl / position.avgBuyPrice) * 100 : 0; let msg = `*⚙️ تحديث التوصية: إدارة مركز ${asset} 🟠*\n━━━━━━━━━━━━━━━━━━━━\n`; msg += `*الأصل:* \`${asset}/USDT\`\n`; msg += `*سعر البيع الجزئي:* \`$${formatNumber(price, 4)}\`\n`; msg += `━━━━━━━━━━━━━━━━━━━━\n*استراتيجية إدارة المحفظة:*\n`; msg += ` ▪️ *الإجراء:* تم بيع \`${formatNumber(soldPercent)}%\` من مركزنا لتأمين الأرباح.\n`; msg += ` ▪️ *النتيجة:* ربح محقق على الجزء المباع بنسبة \`${formatNumber(partialPnlPercent)}%\` 🟢.\n`; msg += ` ▪️ *حالة المركز:* لا يزال المركز مفتوحًا بالكمية المتبقية.\n`; msg += `━━━━━━━━━━━━━━━━━━━━\n*ملاحظات:*\nخطوة استباقية لإدارة المخاطر وحماية رأس المال. نستمر في متابعة الأهداف الأعلى.\n`; msg += `#إدارة_مخاطر #${asset}`; return msg; }
-function formatPublicClose(details) { const { asset, pnlPercent, durationDays, avgBuyPrice, avgSellPrice } = details; const pnlSign = pnlPercent >= 0 ? '+' : ''; const emoji = pnlPercent >= 0 ? '🟢' : '🔴'; let msg = `*🏆 النتيجة النهائية لتوصية ${asset} ✅*\n━━━━━━━━━━━━━━━━━━━━\n`; msg += `*الأصل:* \`${asset}/USDT\`\n`; msg += `*الحالة:* **تم إغلاق الصفقة بالكامل.**\n`; msg += `━━━━━━━━━━━━━━━━━━━━\n*ملخص أداء التوصية:*\n`; msg += ` ▪️ **متوسط سعر الدخول:** \`$${formatNumber(avgBuyPrice, 4)}\`\n`; msg += ` ▪️ **متوسط سعر الخروج:** \`$${formatNumber(avgSellPrice, 4)}\`\n`; msg += ` ▪️ **العائد النهائي على الاستثمار (ROI):** \`${pnlSign}${formatNumber(pnlPercent)}%\` ${emoji}\n`; msg += ` ▪️ **مدة التوصية:** \`${formatNumber(durationDays, 1)} يوم\`\n`; msg += `━━━━━━━━━━━━━━━━━━━━\n*الخلاصة:*\n`; if (pnlPercent >= 0) { msg += `صفقة موفقة أثبتت أن الصبر على التحليل يؤتي ثماره.\n`; } else { msg += `الخروج بانضباط وفقًا للخطة هو نجاح بحد ذاته. نحافظ على رأس المال للفرصة القادمة.\n`; } msg += `\nنبارك لمن اتبع التوصية. نستعد الآن للبحث عن الفرصة التالية.\n`; msg += `#نتائجتوصيات #${asset}`; return msg; }
-async function formatPortfolioMsg(assets, total, capital) { const positions = await loadPositions(); const usdtAsset = assets.find(a => a.asset === "USDT") || { value: 0 }; const cashPercent = total > 0 ? (usdtAsset.value / total) * 100 : 0; const investedPercent = 100 - cashPercent; const pnl = capital > 0 ? total - capital : 0; const pnlPercent = capital > 0 ? (pnl / capital) * 100 : 0; const pnlSign = pnl >= 0 ? '+' : ''; const pnlEmoji = pnl >= 0 ? '🟢⬆️' : '🔴⬇️'; let dailyPnlText = " `لا توجد بيانات كافية`"; let totalValue24hAgo = 0; assets.forEach(asset => { if (asset.asset === 'USDT') totalValue24hAgo += asset.value; else if (asset.change24h !== undefined && asset.price > 0) totalValue24hAgo += asset.amount * (asset.price / (1 + asset.change24h)); else totalValue24hAgo += asset.value; }); if (totalValue24hAgo > 0) { const dailyPnl = total - totalValue24hAgo; const dailyPnlPercent = (dailyPnl / totalValue24hAgo) * 100; const dailySign = dailyPnl >= 0 ? '+' : ''; const dailyEmoji = dailyPnl >= 0 ? '🟢⬆️' : '🔴⬇️'; dailyPnlText = ` ${dailyEmoji} \`$${dailySign}${formatNumber(dailyPnl)}\` (\`${dailySign}${formatNumber(dailyPnlPercent)}%\`)`; } let caption = `🧾 *التقرير التحليلي للمحفظة*\n\n`; caption += `*بتاريخ: ${new Date().toLocaleString("ar-EG", { timeZone: "Africa/Cairo" })}*\n`; caption += `━━━━━━━━━━━━━━━━━━━\n*نظرة عامة على الأداء:*\n`; caption += ` ▫️ *القيمة الإجمالية:* \`$${formatNumber(total)}\`\n`; if (capital > 0) { caption += ` ▫️ *رأس المال:* \`$${formatNumber(capital)}\`\n`; } caption += ` ▫️ *إجمالي الربح غير المحقق:* ${pnlEmoji} \`$${pnlSign}${formatNumber(pnl)}\` (\`${pnlSign}${formatNumber(pnlPercent)}%\`)\n`; caption += ` ▫️ *الأداء اليومي (24س):*${dailyPnlText}\n`; caption += ` ▫️ *السيولة:* 💵 نقدي ${formatNumber(cashPercent)}% / 📈 مستثمر ${formatNumber(investedPercent)}%\n`; caption += `━━━━━━━━━━━━━━━━━━━━\n*مكونات المحفظة:*\n`; const cryptoAssets = assets.filter(a => a.asset !== "USDT"); cryptoAssets.forEach((a, index) => { const percent = total > 0 ? (a.value / total) * 100 : 0; const position = positions[a.asset]; caption += `\n╭─ *${a.asset}/USDT*\n`; caption += `├─ *القيمة الحالية:* \`$${formatNumber(a.value)}\` (*الوزن:* \`${formatNumber(percent)}%\`)\n`; if (position?.avgBuyPrice) { caption += `├─ *متوسط الشراء:* \`$${formatNumber(position.avgBuyPrice, 4)}\`\n`; } caption += `├─ *سعر السوق:* \`$${formatNumber(a.price, 4)}\`\n`; const dailyChangeEmoji = a.change24h >= 0 ? '🟢⬆️' : '🔴⬇️'; caption += `├─ *الأداء اليومي:* ${dailyChangeEmoji} \`${formatNumber(a.change24h * 100)}%\`\n`; if (position?.avgBuyPrice > 0) { const totalCost = position.avgBuyPrice * a.amount; const assetPnl = a.value - totalCost; const assetPnlPercent = totalCost > 0 ? (assetPnl / totalCost) * 100 : 0; const assetPnlEmoji = assetPnl >= 0 ? '🟢' : '🔴'; const assetPnlSign = assetPnl >= 0 ? '+' : ''; caption += `╰─ *ربح/خسارة غير محقق:* ${assetPnlEmoji} \`$${assetPnlSign}${formatNumber(assetPnl)}\` (\`${assetPnlSign}${formatNumber(assetPnlPercent)}%\`)`; } else { caption += `╰─ *ربح/خسارة غير محقق:* \`غير مسجل\``; } if (index < cryptoAssets.length - 1) { caption += `\n━━━━━━━━━━━━━━━━━━━━`; } }); caption += `\n\n━━━━━━━━━━━━━━━━━━━━\n*USDT (الرصيد النقدي)* 💵\n`; caption += `*القيمة:* \`$${formatNumber(usdtAsset.value)}\` (*الوزن:* \`${formatNumber(cashPercent)}%\`)`; return { caption }; }
-async function formatAdvancedMarketAnalysis(ownedAssets = []) { const prices = await okxAdapter.getMarketPrices(); if (!prices || prices.error) return `❌ فشل جلب بيانات السوق. ${prices.error || ''}`; const marketData = Object.entries(prices).map(([instId, data]) => ({ instId, ...data })).filter(d => d.volCcy24h > 10000 && d.change24h !== undefined); marketData.sort((a, b) => b.change24h - a.change24h); const topGainers = marketData.slice(0, 5); const topLosers = marketData.slice(-5).reverse(); marketData.sort((a, b) => b.volCcy24h - a.volCcy24h); const highVolume = marketData.slice(0, 5); const ownedSymbols = ownedAssets.map(a => a.asset); let msg = `🚀 *تحليل السوق المتقدم (OKX)* | ${new Date().toLocaleDateString("ar-EG")}\n`; msg += `━━━━━━━━━━━━━━━━━━━\n`; const avgGainerChange = topGainers.length > 0 ? topGainers.reduce((sum, g) => sum + g.change24h, 0) / topGainers.length : 0; const avgLoserChange = topLosers.length > 0 ? topLosers.reduce((sum, l) => sum + Math.abs(l.change24h), 0) / topLosers.length : 0; let sentimentText = "محايدة 😐\n(هناك فرص للنمو لكن التقلبات عالية)"; if (avgGainerChange > avgLoserChange * 1.5) { sentimentText = "صعودي 🟢\n(معنويات السوق إيجابية، والرابحون يتفوقون)"; } else if (avgLoserChange > avgGainerChange * 1.5) { sentimentText = "هبوطي 🔴\n(معنويات السوق سلبية، والخاسرون يسيطرون)"; } msg += `📊 *معنويات السوق:* ${sentimentText}\n━━━━━━━━━━━━━━━━━━━\n\n`; msg += "📈 *أكبر الرابحين (24س):*\n" + topGainers.map(c => { const symbol = c.instId.split('-')[0]; const ownedMark = ownedSymbols.includes(symbol) ? ' ✅' : ''; return ` - \`${c.instId}\`: \`+${formatNumber(c.change24h * 100)}%\`${ownedMark}`; }).join('\n') + "\n\n"; msg += "📉 *أكبر الخاسرين (24س):*\n" + topLosers.map(c => { const symbol = c.instId.split('-')[0]; const ownedMark = ownedSymbols.includes(symbol) ? ' ✅' : ''; return ` - \`${c.instId}\`: \`${formatNumber(c.change24h * 100)}%\`${ownedMark}`; }).join('\n') + "\n\n"; msg += "📊 *الأعلى في حجم التداول:*\n" + highVolume.map(c => ` - \`${c.instId}\`: \`${(c.volCcy24h / 1e6).toFixed(2)}M\` USDT`).join('\n') + "\n\n"; let smartRecommendation = "💡 *توصية:* راقب الأصول ذات حجم التداول المرتفع، فهي غالبًا ما تقود اتجاه السوق."; const ownedGainers = topGainers.filter(g => ownedSymbols.includes(g.instId.split('-')[0])); const ownedLosers = topLosers.filter(l => ownedSymbols.includes(l.instId.split('-')[0])); if (ownedGainers.length > 0) { smartRecommendation = `💡 *توصية ذكية:* عملة *${ownedGainers[0].instId.split('-')[0]}* التي تملكها ضمن أكبر الرابحين. قد تكون فرصة جيدة لتقييم المركز.`; } else if (ownedLosers.length > 0) { smartRecommendation = `💡 *توصية ذكية:* عملة *${ownedLosers[0].instId.split('-')[0]}* التي تملكها ضمن أكبر الخاسرين. قد يتطلب الأمر مراجعة وقف الخسارة أو استراتيجيتك.`; } msg += `${smartRecommendation}`; return msg; }
 async function formatQuickStats(assets, total, capital) { const pnl = capital > 0 ? total - capital : 0; const pnlPercent = capital > 0 ? (pnl / capital) * 100 : 0; const statusEmoji = pnl >= 0 ? '🟢' : '🔴'; const statusText = pnl >= 0 ? 'ربح' : 'خسارة'; let msg = "⚡ *إحصائيات سريعة*\n\n"; msg += `💎 *إجمالي الأصول:* \`${assets.filter(a => a.asset !== 'USDT').length}\`\n`; msg += `💰 *القيمة الحالية:* \`$${formatNumber(total)}\`\n`; if (capital > 0) { msg += `📈 *نسبة الربح/الخسارة:* \`${formatNumber(pnlPercent)}%\`\n`; msg += `🎯 *الحالة:* ${statusEmoji} ${statusText}\n`; } msg += `\n━━━━━━━━━━━━━━━━━━━━\n*تحليل القمم والقيعان للأصول:*\n`; const cryptoAssets = assets.filter(a => a.asset !== "USDT"); if (cryptoAssets.length === 0) { msg += "\n`لا توجد أصول في محفظتك لتحليلها.`"; } else { const assetExtremesPromises = cryptoAssets.map(asset => getAssetPriceExtremes(`${asset.asset}-USDT`) ); const assetExtremesResults = await Promise.all(assetExtremesPromises); cryptoAssets.forEach((asset, index) => { const extremes = assetExtremesResults[index]; msg += `\n🔸 *${asset.asset}:*\n`; if (extremes) { msg += ` *الأسبوعي:* قمة \`$${formatNumber(extremes.weekly.high, 4)}\` / قاع \`$${formatNumber(extremes.weekly.low, 4)}\`\n`; msg += ` *الشهري:* قمة \`$${formatNumber(extremes.monthly.high, 4)}\` / قاع \`$${formatNumber(extremes.monthly.low, 4)}\`\n`; msg += ` *السنوي:* قمة \`$${formatNumber(extremes.yearly.high, 4)}\` / قاع \`$${formatNumber(extremes.yearly.low, 4)}\`\n`; msg += ` *التاريخي:* قمة \`$${formatNumber(extremes.allTime.high, 4)}\` / قاع \`$${formatNumber(extremes.allTime.low, 4)}\``; } else { msg += ` \`تعذر جلب البيانات التاريخية.\``; } }); } msg += `\n\n⏰ *آخر تحديث:* ${new Date().toLocaleString("ar-EG", { timeZone: "Africa/Cairo" })}`; return msg; }
-async function formatPerformanceReport(period, periodLabel, history, btcHistory) { const stats = calculatePerformanceStats(history); if (!stats) return { error: "ℹ️ لا توجد بيانات كافية لهذه الفترة." }; let btcPerformanceText = " `لا تتوفر بيانات`"; let benchmarkComparison = ""; if (btcHistory && btcHistory.length >= 2) { const btcStart = btcHistory[0].close; const btcEnd = btcHistory[btcHistory.length - 1].close; const btcChange = (btcEnd - btcStart) / btcStart * 100; btcPerformanceText = `\`${btcChange >= 0 ? '+' : ''}${formatNumber(btcChange)}%\``; if (stats.pnlPercent > btcChange) { benchmarkComparison = `▪️ *النتيجة:* أداء أعلى من السوق ✅`; } else { benchmarkComparison = `▪️ *النتيجة:* أداء أقل من السوق ⚠️`; } } const chartLabels = history.map(h => period === '24h' ? new Date(h.time).getHours() + ':00' : new Date(h.time).toLocaleDateString('en-GB', {day: '2-digit', month: '2-digit'})); const chartDataPoints = history.map(h => h.total); const chartUrl = createChartUrl(chartDataPoints, 'line', `أداء المحفظة - ${periodLabel}`, chartLabels, 'قيمة المحفظة ($)'); const pnlSign = stats.pnl >= 0 ? '+' : ''; const emoji = stats.pnl >= 0 ? '🟢⬆️' : '🔴⬇️'; let caption = `📊 *تحليل أداء المحفظة | ${periodLabel}*\n\n`; caption += `📈 *النتيجة:* ${emoji} \`$${pnlSign}${formatNumber(stats.pnl)}\` (\`${pnlSign}${formatNumber(stats.pnlPercent)}%\`)\n`; caption += `*التغير الصافي: من \`$${formatNumber(stats.startValue)}\` إلى \`$${formatNumber(stats.endValue)}\`*\n\n`; caption += `*📝 مقارنة معيارية (Benchmark):*\n`; caption += `▪️ *أداء محفظتك:* \`${stats.pnlPercent >= 0 ? '+' : ''}${formatNumber(stats.pnlPercent)}%\`\n`; caption += `▪️ *أداء عملة BTC:* ${btcPerformanceText}\n`; caption += `${benchmarkComparison}\n\n`; caption += `*📈 مؤشرات الأداء الرئيسية:*\n`; caption += `▪️ *أفضل يوم:* \`+${formatNumber(stats.bestDayChange)}%\`\n`; caption += `▪️ *أسوأ يوم:* \`${formatNumber(stats.worstDayChange)}%\`\n`; caption += `▪️ *مستوى التقلب:* ${stats.volText}`; return { caption, chartUrl }; }
 
-// =================================================================
-// SECTION 4: BACKGROUND JOBS & DYNAMIC MANAGEMENT
-// =================================================================
-// MODIFIED: This function now saves the `quantity` on trade close.
-async function updatePositionAndAnalyze(asset, amountChange, price, newTotalAmount, oldTotalValue) {
-    if (!asset || price === undefined || price === null || isNaN(price)) return { analysisResult: null };
-    const positions = await loadPositions();
-    let position = positions[asset];
-    let analysisResult = { type: 'none', data: {} };
-    if (amountChange > 0) {
-        const tradeValue = amountChange * price;
-        const entryCapitalPercent = oldTotalValue > 0 ? (tradeValue / oldTotalValue) * 100 : 0;
-        if (!position) {
-            positions[asset] = {
-                totalAmountBought: amountChange,
-                totalCost: tradeValue,
-                avgBuyPrice: price,
-                openDate: new Date().toISOString(),
-                totalAmountSold: 0,
-                realizedValue: 0,
-                highestPrice: price,
-                lowestPrice: price,
-                entryCapitalPercent: entryCapitalPercent,
-            };
-            position = positions[asset];
-        } else {
-            position.totalAmountBought += amountChange;
-            position.totalCost += tradeValue;
-            position.avgBuyPrice = position.totalCost / position.totalAmountBought;
-            if (price > position.highestPrice) position.highestPrice = price;
-            if (price < position.lowestPrice) position.lowestPrice = price;
-        }
-        analysisResult.type = 'buy';
-    } else if (amountChange < 0 && position) {
-        const soldAmount = Math.abs(amountChange);
-        position.realizedValue = (position.realizedValue || 0) + (soldAmount * price);
-        position.totalAmountSold = (position.totalAmountSold || 0) + soldAmount;
-        if (newTotalAmount * price < 1) {
-            const closedQuantity = position.totalAmountBought;
-            const investedCapital = position.avgBuyPrice * closedQuantity;
-            const realizedValue = position.realizedValue;
-            const finalPnl = realizedValue - investedCapital;
-            const finalPnlPercent = investedCapital > 0 ? (finalPnl / investedCapital) * 100 : 0;
-            const closeDate = new Date();
-            const openDate = new Date(position.openDate);
-            const durationDays = (closeDate.getTime() - openDate.getTime()) / (1000 * 60 * 60 * 24);
-            const avgSellPrice = position.totalAmountSold > 0 ? position.realizedValue / position.totalAmountSold : 0;
-            const closeReportData = {
-                asset,
-                pnl: finalPnl,
-                pnlPercent: finalPnlPercent,
-                durationDays,
-                avgBuyPrice: position.avgBuyPrice,
-                avgSellPrice,
-                highestPrice: position.highestPrice,
-                lowestPrice: position.lowestPrice,
-                entryCapitalPercent: position.entryCapitalPercent,
-                exitQuantityPercent: 100,
-                quantity: closedQuantity // MODIFIED: Added quantity for the new feature
-            };
-            await saveClosedTrade(closeReportData);
-            analysisResult = { type: 'close', data: closeReportData };
-            delete positions[asset];
-        } else {
-            analysisResult.type = 'sell';
+async function buildPerformanceReport(period, range, accountId = DEFAULT_ACCOUNT_ID) {
+    const history = await loadSnapshots(accountId, range.granularities, range.from, range.to);
+    if (history.length < 2) return { error: "ℹ️ لا توجد بيانات كافية لهذه الفترة." };
+    const barMs = range.bar === '1H' ? 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
+    const startTime = history[0].time;
+    const endTime = history[history.length - 1].time;
+    const limit = Math.min(1500, Math.ceil((Date.now() - startTime) / barMs) + 1);
+    const btcHistoryCandles = (await getHistoricalCandles('BTC-USDT', range.bar, limit)).filter(c => c.time >= startTime - barMs && c.time <= endTime);
+    const cashFlows = await loadCashFlows(accountId, new Date(startTime), new Date(endTime));
+    const periodLabel = accounts.length > 1 ? `${range.label} | ${accountLabel(accountId)}` : range.label;
+    const report = formatPerformanceReport(period, periodLabel, history, btcHistoryCandles, cashFlows);
+    if (report.error) return report;
+    report.contributionText = formatAssetContributions(calculateAssetContributions(history), range.label);
+    return report;
+}
+// NEW: Charts are rendered to PNG here rather than handed to a chart service. Null when there is nothing to draw.
+function chartPhoto(chart) {
+    try {
+        const image = renderChart(chart);
+        return image ? new InputFile(image, "chart.png") : null;
+    } catch (e) {
+        console.error("Error rendering chart:", e);
+        return null;
+    }
+}
+async function sendPerformanceReport(ctx, report) {
+    const photo = chartPhoto(report.chart);
+    // Telegram caps photo captions at 1024 characters; longer reports follow the chart as a message.
+    if (!photo) {
+        await ctx.reply(report.caption, { parse_mode: "Markdown" });
+    } else if (report.caption.length <= 1024) {
+        await ctx.replyWithPhoto(photo, { caption: report.caption, parse_mode: "Markdown" });
+    } else {
+        await ctx.replyWithPhoto(photo);
+        await ctx.reply(report.caption, { parse_mode: "Markdown" });
+    }
+    if (report.contributionText) await ctx.reply(report.contributionText, { parse_mode: "Markdown" });
+}
+
+// =================================================================
+// SECTION 4: BACKGROUND JOBS & DYNAMIC MANAGEMENT
+// =================================================================
+// MODIFIED: The position accounting itself lives in lib/positions.js; this wrapper loads and saves the account's positions.
+async function updatePositionAndAnalyze(execution, oldTotalValue, newTotalAmount, accountId = DEFAULT_ACCOUNT_ID) {
+    const positions = await loadPositions(accountId);
+    const protection = positions[execution.asset]?.protection;
+    const { analysisResult, closedTrade } = applyExecution(positions, execution, oldTotalValue, newTotalAmount);
+    if (!analysisResult) return { analysisResult: null };
+    await recordLedgerExecution(accountId, execution);
+    if (closedTrade) await saveClosedTrade({ accountId, ...closedTrade });
+    await savePositions(accountId, positions);
+    // Exchange-held exits are sized for the holding: they go away with the position and follow its size otherwise.
+    if (protection?.mode === 'exchange' && protection.status === 'active') {
+        const account = getAccount(accountId);
+        if (closedTrade) {
+            if (await settleExchangeProtection(account, execution.asset, protection, execution.price) !== 'triggered') await cancelExchangeProtection(account, execution.asset, protection);
+        } else {
+            await setPositionProtection(accountId, execution.asset, protection);
+        }
+    }
+    return { analysisResult };
+}
+
+// With several accounts, private notifications name the account they come from.
+const accountTag = (account) => accounts.length > 1 ? `🏦 *${escapeMarkdown(account.name)}*\n` : '';
+
+async function notifyExecution(account, execution, analysisResult, context) {
+    const { newAssets, newTotalValue, newUsdtValue, oldTotalValue, oldUsdtValue } = context;
+    const { asset, price, amountChange, grossValue: tradeValue, feeUsd, time } = execution;
+    const newAssetData = newAssets.find(a => a.asset === asset);
+    const newAssetValue = newAssetData ? newAssetData.value : 0;
+    const newAssetWeight = newTotalValue > 0 ? (newAssetValue / newTotalValue) * 100 : 0;
+    const newCashPercent = newTotalValue > 0 ? (newUsdtValue / newTotalValue) * 100 : 0;
+
+    const baseDetails = { asset, price, amountChange, tradeValue, feeUsd, time, oldTotalValue, newAssetWeight, newUsdtValue, newCashPercent, oldUsdtValue, position: analysisResult.data.position };
+    // MODIFIED: Public messages are queued as publications (see SECTION 4.13) in the position's thread, and the
+    // targets filter trades by their entry size.
+    const publicationOptions = { accountId: account.id, asset, threadKey: publicationThreadKey(account.id, asset, analysisResult.data.position), sizePercent: analysisResult.data.position?.entryCapitalPercent ?? null };
+
+    if (analysisResult.type === 'buy') {
+        const publications = await queuePublications('buy', target => formatPublicBuy(baseDetails, target), publicationOptions);
+        const sellKeyboard = account.adapter.canTrade() ? addSellButtons(new InlineKeyboard(), account.id, asset, "🔴 بيع") : undefined;
+        await notify('trades', accountTag(account) + formatPrivateBuy(baseDetails), { parse_mode: "Markdown", reply_markup: addPublicationButtons(sellKeyboard, publications) });
+    } else if (analysisResult.type === 'sell') {
+        const publications = await queuePublications('sell', target => formatPublicSell(baseDetails, target), publicationOptions);
+        await notify('trades', accountTag(account) + formatPrivateSell(baseDetails), { parse_mode: "Markdown", reply_markup: addPublicationButtons(undefined, publications) });
+    } else if (analysisResult.type === 'close') {
+        const publications = await queuePublications('close', target => formatPublicClose(analysisResult.data, target), publicationOptions);
+        await notify('trades', accountTag(account) + formatPrivateCloseReport(analysisResult.data), { parse_mode: "Markdown", reply_markup: addPublicationButtons(undefined, publications) });
+    }
+}
+
+const CASH_FLOW_LABELS = { deposit: "إيداع 📥", withdrawal: "سحب 📤", transfer_in: "تحويل إلى حساب التداول ➡️", transfer_out: "تحويل من حساب التداول ⬅️" };
+
+// NEW: Records deposits, withdrawals and transfers in the cash-flow ledger and adjusts capital by the
+// flows that move value in or out of the trading account. Returns { flows } with the newly recorded flows, and
+// `truncated` while a long history is still being read.
+async function ingestCashFlows(account, prices, untilTime) {
+    const { adapter } = account;
+    const stored = await loadCashFlowCursors(account.id);
+    const { resume = {}, ...cursors } = stored || {};
+    const { flows, truncated, resume: nextResume, error } = await adapter.getCashFlows(cursors, resume);
+    if (error) {
+        await sendDebugMessage(`Cash flows fetch error: ${error}`);
+        return { flows: [] };
+    }
+    // First run: anchor the cursors so past flows are not applied on top of the manual capital.
+    if (!stored) {
+        await saveCashFlowCursors(account.id, adapter.advanceCashFlowCursors({}, flows));
+        return { flows: [] };
+    }
+    const newFlows = flows.filter(f => f.time <= untilTime);
+    const recorded = [];
+    const processed = [];
+    for (const flow of newFlows) {
+        const price = flow.ccy === 'USDT' ? 1 : (prices[`${flow.ccy}-USDT`]?.price || 0);
+        const entry = { _id: `${scopedConfigId(flow.kind, account.id)}:${flow.id}`, ...flow, accountId: account.id, time: new Date(flow.time), price, usdValue: flow.amount * price, recordedAt: new Date() };
+        const saved = await saveCashFlow(entry);
+        // A failed write stops here so the cursors stay before this flow and it is read again on the next run.
+        if (saved.error) {
+            await sendDebugMessage(`Cash flow save error (${account.name}): ${saved.error}`);
+            break;
+        }
+        processed.push(flow);
+        if (!saved.inserted) continue;
+        recorded.push(entry);
+        let msg = `${accountTag(account)}💸 *حركة نقدية خارجية: ${CASH_FLOW_LABELS[flow.kind]}*\n━━━━━━━━━━━━━━━━━━━━\n`;
+        msg += ` ▪️ *الأصل:* \`${flow.ccy}\`\n`;
+        msg += ` ▪️ *الكمية:* \`${flow.amount >= 0 ? '+' : ''}${formatNumber(flow.amount, 6)}\` (\`$${formatNumber(entry.usdValue)}\`)\n`;
+        if (!price) {
+            msg += ` ▪️ *⚠️ تنبيه:* لا يوجد سعر لزوج \`${flow.ccy}-USDT\`، فسُجلت الحركة بقيمة \`$0\`.${flow.affectsCapital ? ' عدّل رأس المال يدويًا بقيمتها.' : ''}\n`;
+        }
+        if (flow.affectsCapital) {
+            const newCapital = await adjustCapital(account.id, entry.usdValue);
+            msg += ` ▪️ *رأس المال بعد التعديل:* \`$${formatNumber(newCapital)}\`\n`;
+        } else {
+            msg += ` ▪️ *ملاحظة:* تمت في حساب التمويل ولا تؤثر على رأس مال حساب التداول حتى يتم تحويلها.\n`;
+        }
+        msg += `━━━━━━━━━━━━━━━━━━━━\n*بتاريخ:* ${entry.time.toLocaleString("ar-EG", { timeZone: "Africa/Cairo" })}`;
+        await notify('trades', msg, { parse_mode: "Markdown" });
+    }
+    await saveCashFlowCursors(account.id, adapter.advanceCashFlowCursors(cursors, processed), nextResume || {});
+    return { flows: recorded, truncated: Boolean(truncated) };
+}
+
+// NEW: Trades are ingested from each account's fills history, paged with a persisted cursor.
+async function monitorTradeFills() {
+    for (const account of accounts) {
+        await monitorAccountFills(account);
+    }
+}
+
+async function monitorAccountFills(account) {
+    const { adapter } = account;
+    try {
+        await sendDebugMessage(`Checking new fills (${account.name})...`);
+
+        // 1. Take the balance snapshot first; only fills up to this moment are reconciled against it.
+        const snapshotTime = Date.now();
+        const currentBalance = await adapter.getBalanceForComparison();
+        if (!currentBalance) {
+            await sendDebugMessage("Could not fetch current balance to compare.");
+            return;
+        }
+
+        const prices = await adapter.getMarketPrices();
+        if (!prices || prices.error) {
+            await sendDebugMessage("Could not fetch market prices to compare.");
+            return;
+        }
+
+        const { assets: newAssets, total: newTotalValue, usdtValue: newUsdtValue, error } = await adapter.getPortfolio(prices);
+        if (error || newTotalValue === undefined) {
+            await sendDebugMessage(`Portfolio fetch error: ${error}`);
+            return;
+        }
+
+        // 2. Fetch the executions since the last processed fill. A history too long for one run is read over
+        // several, and `truncated` says that newer fills are still to come.
+        const { billId: cursor, resume } = await loadFillsCursor(account.id);
+        const { fills, truncated, resume: nextResume, error: fillsError } = await adapter.getFills(cursor, resume);
+        if (fillsError) {
+            await sendDebugMessage(`Fills fetch error: ${fillsError}`);
+            return;
+        }
+
+        const previousState = await loadBalanceState(account.id);
+        const previousBalances = previousState.balances || {};
+
+        // 3. First run: anchor the cursor at the newest fill so old history is not replayed as new trades.
+        if (!cursor) {
+            await sendDebugMessage("Initializing fills cursor. No notifications will be sent.");
+            await saveFillsCursor(account.id, adapter.advanceFillsCursor(null, fills));
+            await ingestCashFlows(account, prices, snapshotTime);
+            await saveBalanceState(account.id, { balances: currentBalance, totalValue: newTotalValue });
+            return;
+        }
+
+        // 4. Process the executions, oldest first.
+        const newFills = fills.filter(f => f.time <= snapshotTime);
+        const executions = aggregateFillsByOrder(newFills);
+        const oldTotalValue = previousState.totalValue || newTotalValue;
+        const context = { newAssets, newTotalValue, newUsdtValue, oldTotalValue, oldUsdtValue: previousBalances['USDT'] || 0 };
+        const lastExecutionIndex = {};
+        executions.forEach((e, i) => { lastExecutionIndex[e.asset] = i; });
+        const heldAmounts = { ...previousBalances };
+
+        for (let i = 0; i < executions.length; i++) {
+            const execution = executions[i];
+            await sendDebugMessage(`Processing ${execution.side} of ${execution.asset}: ${execution.size} @ ${execution.price} (${execution.fillCount} fills)`);
+            heldAmounts[execution.asset] = (heldAmounts[execution.asset] || 0) + execution.amountChange;
+            // The live balance only describes the asset after its last execution in this batch, and not at all
+            // while later fills are still to be read: then the amount held is what the executions add up to.
+            const liveAmount = lastExecutionIndex[execution.asset] === i ? (currentBalance[execution.asset] || 0) : undefined;
+            const newTotalAmount = truncated ? heldAmounts[execution.asset] : liveAmount;
+            const { analysisResult } = await updatePositionAndAnalyze(execution, oldTotalValue, newTotalAmount, account.id);
+            if (!analysisResult || analysisResult.type === 'none') continue;
+            await notifyExecution(account, execution, analysisResult, context);
+        }
+        if (newFills.length > 0 || nextResume || resume) {
+            await saveFillsCursor(account.id, adapter.advanceFillsCursor(cursor, newFills), nextResume || null);
+        }
+
+        // 5. Record external cash flows; they adjust capital and are never reported as trades.
+        const { flows: cashFlows, truncated: cashFlowsTruncated } = await ingestCashFlows(account, prices, snapshotTime);
+
+        // While a history is still being read, the live balances are ahead of what has been processed: the check
+        // waits, and the balances the processed executions and flows lead to are the base of the next run.
+        if (truncated || cashFlowsTruncated) {
+            await saveBalanceState(account.id, { balances: expectedBalances(previousBalances, executions, cashFlows), totalValue: newTotalValue });
+            await sendDebugMessage(`Long history still being read (${account.name}): processed ${executions.length} executions, balance check deferred.`);
+            return;
+        }
+
+        // 6. Reconciliation: flag balance changes that no execution or recorded transfer explains.
+        if (Object.keys(previousBalances).length > 0) {
+            const unexplained = findUnexplainedBalanceChanges(previousBalances, currentBalance, executions, cashFlows, prices);
+            if (unexplained.length > 0) {
+                let msg = `${accountTag(account)}⚠️ *تغير غير مفسر في الرصيد*\n━━━━━━━━━━━━━━━━━━━━\n`;
+                unexplained.forEach(u => { msg += ` ▪️ *${u.asset}:* \`${u.amount >= 0 ? '+' : ''}${formatNumber(u.amount, 6)}\` (\`$${formatNumber(u.value)}\`)\n`; });
+                msg += `━━━━━━━━━━━━━━━━━━━━\n*ملاحظة:* لا تقابل هذه التغيرات أي صفقة منفذة أو تحويل مسجل، ولم تُسجل كعمليات شراء أو بيع.`;
+                await notify('alerts', msg, { parse_mode: "Markdown" });
+            }
+        }
+        await saveBalanceState(account.id, { balances: currentBalance, totalValue: newTotalValue });
+        await sendDebugMessage(executions.length > 0 ? `Processed ${executions.length} executions.` : "No new fills.");
+
+    } catch (e) {
+        console.error(`CRITICAL ERROR in monitorTradeFills (${account.id}):`, e);
+        await sendDebugMessage(`CRITICAL ERROR in monitorTradeFills (${account.name}): ${e.message}`);
+    }
+}
+
+async function trackPositionHighLow() { for (const account of accounts) await trackAccountPositionHighLow(account); }
+// MODIFIED: Also counts the highs and lows streamed since the last run, so spikes between runs are not missed.
+// The extremes are written with $max/$min on the two fields only, so fills applied by monitorTradeFills while the
+// prices were fetched are never overwritten.
+async function trackAccountPositionHighLow(account) {
+    try {
+        const positions = await loadPositions(account.id);
+        marketData.setWatchList(`positions:${account.id}`, Object.keys(positions).map(symbol => `${symbol}-USDT`));
+        if (Object.keys(positions).length === 0) return;
+        const prices = await getAccountPrices(account);
+        if (!prices || prices.error) return;
+        const extremes = marketData.takeExtremes(`positionHighLow:${account.id}`);
+        let positionsUpdated = false;
+        for (const symbol in positions) {
+            const position = positions[symbol];
+            const currentPrice = prices[`${symbol}-USDT`]?.price;
+            if (!currentPrice) continue;
+            const seen = extremes.get(`${symbol}-USDT`);
+            const high = Math.max(currentPrice, seen?.high || 0);
+            const low = Math.min(currentPrice, seen?.low || currentPrice);
+            if (position.highestPrice && high <= position.highestPrice && position.lowestPrice && low >= position.lowestPrice) continue;
+            await updatePosition(account.id, symbol, { $max: { highestPrice: high }, $min: { lowestPrice: low } });
+            positionsUpdated = true;
+        }
+        if (positionsUpdated) await sendDebugMessage(`Updated position high/low prices (${account.name}).`);
+    } catch (e) { console.error("CRITICAL ERROR in trackPositionHighLow:", e); }
+}
+// MODIFIED: Alerts of every type (price, move, band, RSI/SMA crossovers, distance from the average buy price)
+// are evaluated here. Candles and positions are fetched once per run for all the alerts that need them.
+async function checkPriceAlerts() {
+    try {
+        const alerts = await loadAlerts();
+        marketData.setWatchList("alerts", alerts.map(a => a.instId));
+        if (alerts.length === 0) return;
+        const prices = await marketData.getMarketPrices();
+        if (!prices || prices.error) return;
+        const now = Date.now();
+        const closesCache = new Map();
+        const positionsCache = new Map();
+        for (const alert of alerts) {
+            if (alert.expiresAt && now >= new Date(alert.expiresAt).getTime()) {
+                await deleteAlert(alert._id);
+                await notify('alerts', `⌛ *انتهت صلاحية التنبيه:* ${formatAlertCondition(alert)}`, { parse_mode: "Markdown" });
+                continue;
+            }
+            if (alert.snoozedUntil && now < new Date(alert.snoozedUntil).getTime()) continue;
+            const market = { price: prices[alert.instId]?.price };
+            if (INDICATOR_ALERT_TYPES.includes(alert.type)) {
+                const key = `${alert.instId}:${alert.bar}`;
+                if (!closesCache.has(key)) closesCache.set(key, (await getHistoricalCandles(alert.instId, alert.bar, 100)).map(c => c.close));
+                market.closes = closesCache.get(key);
+            }
+            if (alert.type === 'avg') {
+                const accountId = alert.accountId || DEFAULT_ACCOUNT_ID;
+                if (!positionsCache.has(accountId)) positionsCache.set(accountId, await loadMergedPositions(accountId));
+                market.avgBuyPrice = positionsCache.get(accountId)[alert.asset]?.avgBuyPrice;
+            }
+            const { active, value } = evaluateAlert(alert, market);
+            const { changes, fire, done } = stepAlert(alert, active, now);
+            if (fire) {
+                const keyboard = alert.repeat ? new InlineKeyboard().text("😴 إيقاف مؤقت", `snooze_alert_${alert._id}`).text("🗑️ حذف", `del_alert_${alert._id}`) : undefined;
+                await notify('alerts', formatAlertTriggered(alert, market.price, value), { parse_mode: "Markdown", reply_markup: keyboard });
+            }
+            if (done) await deleteAlert(alert._id);
+            else if (Object.keys(changes).length > 0) await updateAlert(alert._id, changes);
+        }
+    } catch (error) { console.error("Error in checkPriceAlerts:", error); }
+}
+// MODIFIED: Movement alerts measure each held asset from the selected baseline. Moves found during quiet
+// hours are held back and sent together once they end; in digest mode a run's moves go out as one message.
+// The alert settings are shared; each account's holdings are measured from their own baseline states.
+async function checkPriceMovements() {
+    await sendDebugMessage("Checking price movements...");
+    const settings = await loadAlertSettings();
+    for (const account of accounts) await checkAccountPriceMovements(account, settings);
+}
+
+async function checkAccountPriceMovements(account, settings) {
+    try {
+        const tracker = await loadPriceTracker(account.id);
+        const prices = await getAccountPrices(account);
+        if (!prices || prices.error) return;
+        const { assets, error } = await account.adapter.getPortfolio(prices);
+        if (error) return;
+        const positions = settings.baseline === "entry" ? await loadPositions(account.id) : {};
+        // Stored states only make sense for the baseline they were measured from.
+        const previousStates = tracker.baseline === settings.baseline ? tracker.assets : {};
+        const states = {};
+        const moves = [];
+        for (const asset of assets) {
+            if (asset.asset === 'USDT' || !asset.price) continue;
+            const reference = settings.baseline === "open24h" ? prices[`${asset.asset}-USDT`]?.open24h : positions[asset.asset]?.avgBuyPrice;
+            const threshold = settings.overrides[asset.asset] || settings.global;
+            const result = checkMovement(previousStates[asset.asset], { baseline: settings.baseline, reference, price: asset.price, threshold });
+            if (result.state) states[asset.asset] = result.state;
+            if (result.move) moves.push({ asset: asset.asset, ...result.move });
+        }
+        tracker.baseline = settings.baseline;
+        tracker.assets = states;
+
+        const { hour, minute } = getZonedParts(new Date());
+        const send = (message) => notify('alerts', accountTag(account) + message, { parse_mode: "Markdown" });
+        if (isQuietTime(settings.quietHours, hour * 60 + minute)) {
+            moves.forEach(move => {
+                const held = tracker.held[move.asset];
+                tracker.held[move.asset] = held ? { ...move, from: held.from, changePercent: (move.price - held.from) / held.from * 100 } : move;
+            });
+        } else {
+            const held = Object.values(tracker.held);
+            if (held.length > 0) {
+                await send(formatMovementDigest(held, settings.baseline, true));
+                tracker.held = {};
+            }
+            if (settings.digest && moves.length > 1) {
+                await send(formatMovementDigest(moves, settings.baseline));
+            } else {
+                for (const move of moves) await send(formatMovementAlert(move.asset, move, settings.baseline));
+            }
+        }
+        await savePriceTracker(account.id, tracker);
+    } catch (e) {
+        console.error(`CRITICAL ERROR in checkPriceMovements (${account.id}):`, e);
+    }
+}
+// Saves one snapshot per account and, with several accounts, one for the aggregated portfolio.
+// Returns the aggregated total, or undefined when no account could be valued.
+async function recordSnapshots(granularity, key) {
+    const time = new Date();
+    const portfolios = [];
+    for (const account of accounts) {
+        const prices = await account.adapter.getMarketPrices();
+        if (!prices || prices.error) continue;
+        const { total, assets } = await account.adapter.getPortfolio(prices);
+        if (total === undefined) continue;
+        await saveSnapshot(account.id, granularity, key, time, total, assets);
+        portfolios.push({ total, assets });
+    }
+    if (portfolios.length === 0) return undefined;
+    const merged = mergePortfolios(portfolios);
+    if (accounts.length > 1) await saveSnapshot(ALL_ACCOUNTS, granularity, key, time, merged.total, merged.assets);
+    return merged.total;
+}
+async function runDailyJobs() { try { const settings = await loadSettings(); if (!settings.dailySummary) return; const date = new Date().toISOString().slice(0, 10); const total = await recordSnapshots('daily', date); if (total === undefined) return; await applySnapshotRetention(); console.log(`[Daily Summary Recorded]: ${date} - $${formatNumber(total)}`); } catch (e) { console.error("CRITICAL ERROR in runDailyJobs:", e); } }
+async function runHourlyJobs() { try { const hourLabel = new Date().toISOString().slice(0, 13); await recordSnapshots('hourly', hourLabel); } catch (e) { console.error("Error in hourly jobs:", e); } }
+// MODIFIED: Targets and stops are checked against the highs and lows streamed since the last run, not just the last price.
+// MODIFIED: Virtual trades close in tranches: each target sells its share, the stop (fixed, moved to the
+// entry after the first target, or trailing) sells the rest with slippage.
+async function monitorVirtualTrades() {
+    const activeTrades = await getActiveVirtualTrades();
+    marketData.setWatchList("virtualTrades", activeTrades.map(t => t.instId));
+    if (activeTrades.length === 0) return;
+    const prices = await marketData.getMarketPrices();
+    if (!prices || prices.error) return;
+    const extremes = marketData.takeExtremes("virtualTrades");
+    for (const trade of activeTrades) {
+        const currentPrice = prices[trade.instId]?.price;
+        if (!currentPrice) continue;
+        const seen = extremes.get(trade.instId);
+        const high = Math.max(currentPrice, seen?.high || 0);
+        const low = Math.min(currentPrice, seen?.low || currentPrice);
+        const { trade: updated, events, changed } = stepVirtualTrade(trade, { price: currentPrice, high, low });
+        if (!changed) continue;
+        const { _id, ...fields } = updated;
+        await updateVirtualTrade(_id, fields);
+        for (const event of events) {
+            await notify('trades', formatVirtualTradeEvent(updated, event), { parse_mode: "Markdown" });
+        }
+    }
+}
+
+// =================================================================
+// SECTION 4.5: DAILY & CUMULATIVE REPORTING
+// =================================================================
+// MODIFIED: Each target gets the report of the closed trades that pass its filter, rendered from its templates.
+async function runDailyReportJob() {
+    try {
+        await sendDebugMessage("Running daily copy-trading report job...");
+        const closedTrades = await getCollection("tradeHistory").find({ closedAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } }).toArray();
+        if (closedTrades.length === 0) {
+            await notify('publishing', "📊 لم يتم إغلاق أي صفقات في الـ 24 ساعة الماضية.");
+            return;
+        }
+        const publications = await queuePublications('daily_report', target => {
+            const trades = closedTrades.filter(t => meetsMinTradeSize(target, t.entryCapitalPercent ?? null));
+            return trades.length > 0 ? formatPublicDailyReport(trades, target) : null;
+        }, { parseMode: null });
+        if (publications.length === 0) {
+            await notify('publishing', "📊 لا توجد قناة نشر تستقبل تقرير صفقات اليوم.");
+        } else if (publications.some(p => p.status === 'draft')) {
+            await notify('publishing', "📊 تقرير النسخ اليومي جاهز كمسودة بانتظار مراجعتك قبل النشر في القناة.", { reply_markup: addPublicationButtons(undefined, publications) });
+        } else if (publications.every(p => p.status === 'published')) {
+            await notify('publishing', "✅ تم إرسال تقرير النسخ اليومي إلى القناة بنجاح.");
+        } else {
+            await notify('publishing', "⏰ تمت جدولة تقرير النسخ اليومي حسب تأخير كل قناة.");
+        }
+    } catch(e) {
+        console.error("Error in runDailyReportJob:", e);
+        await notify('publishing', `❌ حدث خطأ أثناء إنشاء تقرير النسخ اليومي: ${e.message}`);
+    }
+}
+async function generateAndSendCumulativeReport(ctx, asset) { try { const trades = await getCollection("tradeHistory").find({ asset: asset, ...accountFilter(await getActiveAccountId(ctx)) }).toArray(); if (trades.length === 0) { await ctx.reply(`ℹ️ لا يوجد سجل صفقات مغلقة لعملة *${asset}*.`, { parse_mode: "Markdown" }); return; } const totalPnl = trades.reduce((sum, trade) => sum + (trade.pnl || 0), 0); const totalRoi = trades.reduce((sum, trade) => sum + (trade.pnlPercent || 0), 0); const avgRoi = trades.length > 0 ? totalRoi / trades.length : 0; const winningTrades = trades.filter(t => (t.pnl || 0) > 0).length; const winRate = trades.length > 0 ? (winningTrades / trades.length) * 100 : 0; const bestTrade = trades.reduce((max, trade) => (trade.pnlPercent || 0) > (max.pnlPercent || 0) ? trade : max, trades[0]); const worstTrade = trades.reduce((min, trade) => (min.pnlPercent !== undefined && (trade.pnlPercent || 0) < min.pnlPercent) ? trade : min, { pnlPercent: 0}); const impactSign = totalPnl >= 0 ? '+' : ''; const impactEmoji = totalPnl >= 0 ? '🟢' : '🔴'; const winRateEmoji = winRate >= 50 ? '✅' : '⚠️'; let report = `*تحليل الأثر التراكمي | ${asset}* 🔬\n\n`; report += `*الخلاصة الاستراتيجية:*\n`; report += `تداولاتك في *${asset}* أضافت ما قيمته \`${impactSign}$${formatNumber(totalPnl)}\` ${impactEmoji} إلى محفظتك بشكل تراكمي.\n\n`; report += `*ملخص الأداء التاريخي:*\n`; report += ` ▪️ *إجمالي الصفقات:* \`${trades.length}\`\n`; report += ` ▪️ *معدل النجاح (Win Rate):* \`${formatNumber(winRate)}%\` ${winRateEmoji}\n`; report += ` ▪️ *متوسط العائد (ROI):* \`${formatNumber(avgRoi)}%\`\n\n`; report += `*أبرز الصفقات:*\n`; report += ` 🏆 *أفضل صفقة:* ربح بنسبة \`${formatNumber(bestTrade.pnlPercent)}%\`\n`; report += ` 💔 *أسوأ صفقة:* ${worstTrade.pnlPercent < 0 ? 'خسارة' : 'ربح'} بنسبة \`${formatNumber(worstTrade.pnlPercent)}%\`\n\n`; report += `*توصية استراتيجية خاصة:*\n`; if (avgRoi > 5 && winRate > 60) { report += `أداء *${asset}* يتفوق على المتوسط بشكل واضح. قد تفكر في زيادة حجم صفقاتك المستقبلية فيها.`; } else if (totalPnl < 0) { report += `أداء *${asset}* سلبي. قد ترغب في مراجعة استراتيجيتك لهذه العملة أو تقليل المخاطرة فيها.`; } else { report += `أداء *${asset}* يعتبر ضمن النطاق المقبول. استمر في المراقبة والتحليل.`; } await ctx.reply(report, { parse_mode: "Markdown" }); } catch(e) { console.error(`Error generating cumulative report for ${asset}:`, e); await ctx.reply("❌ حدث خطأ أثناء إنشاء التقرير."); } }
+
+// =================================================================
+// SECTION 4.6: ORDER PLACEMENT
+// =================================================================
+// NEW: Market orders from /buy, /sell and the sell buttons. Nothing reaches the exchange before the user
+// confirms the preview; the resulting fills are then reported by monitorTradeFills like any other trade.
+const ORDER_CONFIRMATION_MINUTES = 2;
+const pendingOrders = new Map();
+
+// Quick-sell buttons for one asset of one account; each opens the usual order confirmation.
+function addSellButtons(keyboard, accountId, asset, label) {
+    [25, 50, 100].forEach(percent => keyboard.text(`${label} ${percent}%`, `sell_pct_${percent}_${asset}_${accountId}`));
+    return keyboard.row();
+}
+
+// Prices a market order on one account: the size sent to the exchange, the fill estimated from the
+// order book, the fees and the guardrail verdict. `request` is { asset, amount } or { asset, percent }.
+async function prepareOrder(accountId, side, request) {
+    const account = getAccount(accountId);
+    if (!account) return { error: "ℹ️ الأوامر تُرسل إلى حساب محدد. اختر حسابًا من زر \"🔀 تبديل الحساب\" أولاً." };
+    const { adapter } = account;
+    if (!adapter.canTrade()) return { error: `ℹ️ إرسال الأوامر غير مدعوم بعد لحساب ${escapeMarkdown(account.name)}.` };
+    const { asset } = request;
+    const instId = `${asset}-USDT`;
+    const prices = await adapter.getMarketPrices();
+    if (!prices || prices.error) return { error: `❌ فشل جلب أسعار السوق: ${prices?.error || ''}` };
+    if (!prices[instId]) return { error: `❌ لم يتم العثور على زوج التداول \`${instId}\`.` };
+    const balances = await adapter.getBalanceForComparison();
+    if (!balances) return { error: "❌ تعذر جلب الرصيد من المنصة." };
+    const rules = await adapter.getTradingRules(instId);
+    if (rules.error) return { error: `❌ ${rules.error}` };
+    const book = await adapter.getOrderBook(instId);
+    if (book.error) return { error: `❌ ${book.error}` };
+
+    const spendCcy = side === 'buy' ? 'USDT' : asset;
+    const available = balances[spendCcy] || 0;
+    const requested = request.percent ? available * request.percent / 100 : request.amount;
+    // Buys are sized in USDT (to the cent), sells in whole lots of the asset.
+    const size = side === 'buy' ? Math.floor(requested * 100) / 100 : floorToLot(requested, rules.lotSize);
+    if (requested > available * (1 + 1e-9)) return { error: `❌ الرصيد المتاح من ${spendCcy} (\`${formatNumber(available, side === 'buy' ? 2 : 6)}\`) لا يكفي لهذا الأمر.` };
+    if (size <= 0) return { error: "❌ الكمية صغيرة جدًا." };
+    const estimate = estimateMarketOrder(book, side, size);
+    if (estimate.baseSize < rules.minSize) return { error: `❌ الكمية أقل من الحد الأدنى للمنصة (\`${rules.minSize} ${asset}\`).` };
+
+    const portfolio = await adapter.getPortfolio(prices);
+    if (portfolio.error) return { error: `❌ ${portfolio.error}` };
+    const limits = await loadTradingLimits();
+    const realizedPnlToday = await getRealizedPnlSince(accountId, getLastSlot({ daily: "00:00" }));
+    const assetValue = portfolio.assets.find(a => a.asset === asset)?.value || 0;
+    const notional = side === 'buy' ? size : estimate.quoteSize;
+    const violations = checkGuardrails({ side, asset, notional }, limits, { portfolioTotal: portfolio.total, assetValue, realizedPnlToday });
+    const levels = side === 'buy' ? book.asks : book.bids;
+    return { id: crypto.randomBytes(6).toString("hex"), accountId, instId, asset, side, size, estimate, bestPrice: levels[0]?.[0] || 0, feeUsd: estimate.quoteSize * rules.takerFeeRate, violations, createdAt: Date.now() };
+}
+
+async function sendOrderPreview(ctx, preview) {
+    const text = formatOrderPreview({ ...preview, accountText: accounts.length > 1 ? accountLabel(preview.accountId) : null, expiresInMinutes: ORDER_CONFIRMATION_MINUTES });
+    if (preview.violations.length > 0) {
+        await ctx.reply(text, { parse_mode: "Markdown" });
+        return;
+    }
+    pendingOrders.set(preview.id, { ...preview, text });
+    const keyboard = new InlineKeyboard().text("✅ تأكيد الأمر", `confirm_order_${preview.id}`).text("❌ إلغاء", `cancel_order_${preview.id}`);
+    await ctx.reply(text, { parse_mode: "Markdown", reply_markup: keyboard });
+}
+
+async function handleOrderCommand(ctx, side) {
+    const request = parseOrderArgs(ctx.match);
+    if (request.error) {
+        const usage = side === 'buy'
+            ? "`/buy BTC 100` (شراء بقيمة 100 USDT)\n`/buy BTC 10%` (بنسبة 10% من رصيد USDT)"
+            : "`/sell ETH 0.5` (بيع 0.5 ETH)\n`/sell ETH 50%` (بيع نصف الرصيد)";
+        await ctx.reply(`❌ *${request.error}*\n*أمثلة:*\n${usage}`, { parse_mode: "Markdown" });
+        return;
+    }
+    const preview = await prepareOrder(await getActiveAccountId(ctx), side, request);
+    if (preview.error) {
+        await ctx.reply(preview.error, { parse_mode: "Markdown" });
+        return;
+    }
+    await sendOrderPreview(ctx, preview);
+}
+
+// Sends a confirmed order and records it in the `orders` collection, whatever the exchange answered.
+async function executePendingOrder(orderId) {
+    const order = pendingOrders.get(orderId);
+    pendingOrders.delete(orderId);
+    if (!order || Date.now() - order.createdAt > ORDER_CONFIRMATION_MINUTES * 60 * 1000) return { error: "⌛ انتهت صلاحية هذا الأمر. أعد إرساله للحصول على تقدير جديد." };
+    const { adapter } = getAccount(order.accountId);
+    const result = await adapter.placeMarketOrder({ instId: order.instId, side: order.side, size: order.size, clientOrderId: `tg${order.id}` });
+    await saveOrder({ _id: order.id, accountId: order.accountId, instId: order.instId, side: order.side, size: order.size, estimate: order.estimate, orderId: result.orderId || null, error: result.error || null });
+    if (result.error) return { error: `❌ ${result.error}` };
+    return { order, orderId: result.orderId };
+}
+
+// =================================================================
+// SECTION 4.7: POSITION PROTECTION
+// =================================================================
+// NEW: Take-profit, stop-loss and trailing-stop levels of an open position, stored on the position itself as
+// `protection`. Exchanges that support it hold them as conditional orders; otherwise the bot watches the
+// price and sells at market. Either way the close is then reported by monitorTradeFills.
+
+// Sets (or replaces) the levels of a position. `levels` is { takeProfit, stopLoss, trailingPercent }.
+async function setPositionProtection(accountId, asset, levels) {
+    const account = getAccount(accountId);
+    if (!account) return { error: "ℹ️ الحماية تُضبط لحساب محدد. اختر حسابًا من زر \"🔀 تبديل الحساب\" أولاً." };
+    const { adapter } = account;
+    if (!adapter.canTrade()) return { error: `ℹ️ أوامر الحماية غير مدعومة بعد لحساب ${escapeMarkdown(account.name)}.` };
+    const instId = `${asset}-USDT`;
+    const positions = await loadPositions(accountId);
+    const position = positions[asset];
+    if (!position) return { error: "ℹ️ لا يوجد مركز مفتوح لهذه العملة." };
+    if (position.protection?.status === 'active') await cancelExchangeProtection(account, asset, position.protection);
+
+    let protection = { takeProfit: levels.takeProfit || null, stopLoss: levels.stopLoss || null, trailingPercent: levels.trailingPercent || null, mode: 'bot', status: 'active', setAt: new Date().toISOString() };
+    const prices = await adapter.getMarketPrices();
+    const price = prices?.[instId]?.price;
+    if (price) protection = evaluateProtection(protection, price).protection;
+    let notice = null;
+    if (adapter.canHoldProtection()) {
+        const balances = await adapter.getBalanceForComparison();
+        const rules = await adapter.getTradingRules(instId);
+        const size = balances && !rules.error ? floorToLot(balances[asset] || 0, rules.lotSize) : 0;
+        // The exchange holds a single full-size order, so two sells can never both fire: take profit and stop loss
+        // when set, else the trailing stop. A trailing stop set alongside them is followed by the bot (botTrailing).
+        const held = protection.takeProfit || protection.stopLoss ? { takeProfit: protection.takeProfit, stopLoss: protection.stopLoss } : { trailingPercent: protection.trailingPercent };
+        const result = size > 0 ? await adapter.placeProtectionOrders(instId, size, held) : { error: "تعذر تحديد كمية المركز على المنصة." };
+        if (result.error) notice = `⚠️ تعذر وضع الأوامر على المنصة (${escapeMarkdown(result.error)})، وسيراقب البوت المستويات وينفذها بأمر سوق.`;
+        else Object.assign(protection, { mode: 'exchange', orderIds: result.orderIds, size, botTrailing: !held.trailingPercent && !!protection.trailingPercent });
+    }
+    await updatePosition(accountId, asset, { $set: { protection } });
+    return { protection, notice };
+}
+
+async function removePositionProtection(accountId, asset) {
+    const positions = await loadPositions(accountId);
+    const position = positions[asset];
+    if (!position?.protection) return;
+    if (position.protection.status === 'active') await cancelExchangeProtection(getAccount(accountId), asset, position.protection);
+    await updatePosition(accountId, asset, { $unset: { protection: "" } });
+}
+
+async function cancelExchangeProtection(account, asset, protection) {
+    if (protection.mode !== 'exchange' || !protection.orderIds?.length) return;
+    const result = await account.adapter.cancelProtectionOrders(`${asset}-USDT`, protection.orderIds);
+    if (result?.error) await sendDebugMessage(`Failed to cancel protection orders of ${asset}: ${result.error}`);
+}
+
+// Checks the exchange orders of a protected position. When one has fired, the others are cancelled and the
+// user notified. Returns 'triggered', 'lost' when none of them is live anymore, or null.
+async function settleExchangeProtection(account, asset, protection, price) {
+    const instId = `${asset}-USDT`;
+    const { orders, error } = await account.adapter.getProtectionOrders(instId, protection.orderIds || []);
+    if (error) {
+        await sendDebugMessage(`Failed to read protection orders of ${asset}: ${error}`);
+        return null;
+    }
+    const fired = orders.find(o => o.state === 'triggered');
+    if (fired) {
+        const live = orders.filter(o => o.state === 'live').map(o => o.id);
+        if (live.length > 0) await account.adapter.cancelProtectionOrders(instId, live);
+        Object.assign(protection, { status: 'triggered', triggered: fired.kind, triggeredAt: new Date().toISOString() });
+        await notify('trades', accountTag(account) + formatProtectionTriggered(asset, fired.kind, triggerPriceOf(protection, fired.kind), price, null), { parse_mode: "Markdown" });
+        return 'triggered';
+    }
+    return orders.some(o => o.state === 'live') ? null : 'lost';
+}
+
+// Market sell of the whole holding when a bot-enforced level fires.
+async function sellPositionForProtection(account, asset) {
+    const { adapter } = account;
+    const instId = `${asset}-USDT`;
+    const balances = await adapter.getBalanceForComparison();
+    const rules = await adapter.getTradingRules(instId);
+    if (!balances) return { error: "تعذر جلب الرصيد من المنصة." };
+    if (rules.error) return { error: rules.error };
+    const size = floorToLot(balances[asset] || 0, rules.lotSize);
+    if (size <= 0 || size < rules.minSize) return { error: "الكمية المتاحة أقل من الحد الأدنى للمنصة." };
+    const result = await adapter.placeMarketOrder({ instId, side: 'sell', size });
+    await saveOrder({ accountId: account.id, instId, side: 'sell', size, source: 'protection', orderId: result.orderId || null, error: result.error || null });
+    return result;
+}
+
+async function monitorAccountProtection(account) {
+    try {
+        const positions = await loadPositions(account.id);
+        const assets = Object.keys(positions).filter(asset => positions[asset].protection?.status === 'active');
+        marketData.setWatchList(`protection:${account.id}`, assets.map(asset => `${asset}-USDT`));
+        if (assets.length === 0) return;
+        const prices = await getAccountPrices(account);
+        if (!prices || prices.error) return;
+        for (const asset of assets) {
+            const price = prices[`${asset}-USDT`]?.price;
+            if (!price) continue;
+            const { protection, changed, triggered } = evaluateProtection(positions[asset].protection, price);
+            let updated = changed;
+            let sellTriggered = protection.mode === 'exchange' ? null : triggered;
+            if (protection.mode === 'exchange') {
+                const outcome = await settleExchangeProtection(account, asset, protection, price);
+                if (outcome === 'lost') {
+                    Object.assign(protection, { mode: 'bot', orderIds: [] });
+                    await notify('trades', `${accountTag(account)}⚠️ أوامر الحماية لمركز *${asset}* لم تعد قائمة على المنصة، وسيراقب البوت المستويات بنفسه من الآن.`, { parse_mode: "Markdown" });
+                }
+                if (outcome) {
+                    updated = true;
+                } else if (triggered === 'trailing' && protection.botTrailing) {
+                    // A trailing stop followed by the bot sells only once the exchange order is cancelled; if that
+                    // order fired meanwhile, the cancel fails and the next run settles it instead.
+                    const cancelled = await account.adapter.cancelProtectionOrders(`${asset}-USDT`, protection.orderIds);
+                    if (cancelled.error) await sendDebugMessage(`Failed to cancel protection orders of ${asset} before the trailing stop sell: ${cancelled.error}`);
+                    else sellTriggered = triggered;
+                }
+            }
+            if (sellTriggered) {
+                const result = await sellPositionForProtection(account, asset);
+                Object.assign(protection, { status: result.error ? 'failed' : 'triggered', triggered: sellTriggered, triggeredAt: new Date().toISOString() });
+                await notify('trades', accountTag(account) + formatProtectionTriggered(asset, sellTriggered, triggerPriceOf(protection, sellTriggered), price, result), { parse_mode: "Markdown" });
+                updated = true;
+            }
+            // Only the protection is written back: monitorTradeFills may have changed or closed the position meanwhile.
+            if (updated) await updatePosition(account.id, asset, { $set: { protection } });
+        }
+    } catch (e) { console.error(`Error in monitorPositionProtection (${account.id}):`, e); }
+}
+
+async function monitorPositionProtection() {
+    for (const account of accounts) await monitorAccountProtection(account);
+}
+
+async function sendPositionDetail(ctx, accountId, asset) {
+    const account = getAccount(accountId);
+    const position = account ? (await loadPositions(accountId))[asset] : null;
+    if (!position) {
+        await ctx.editMessageText("ℹ️ لم يعد هذا المركز مفتوحًا.", { reply_markup: new InlineKeyboard().text("🔙 العودة للمراكز", "view_positions") });
+        return;
+    }
+    const prices = await account.adapter.getMarketPrices();
+    const balances = await account.adapter.getBalanceForComparison();
+    const price = prices?.[`${asset}-USDT`]?.price || position.avgBuyPrice;
+    const amount = balances?.[asset] ?? (position.totalAmountBought - position.totalAmountSold);
+    const text = formatPositionDetail(asset, position, price, amount, accounts.length > 1 ? accountLabel(accountId) : null);
+    const keyboard = new InlineKeyboard();
+    if (account.adapter.canTrade()) {
+        keyboard.text("🛡️ تعيين الهدف والوقف", `protect_${asset}_${accountId}`);
+        if (position.protection?.status === 'active') keyboard.text("🗑️ إزالة الحماية", `unprotect_${asset}_${accountId}`);
+        addSellButtons(keyboard.row(), accountId, asset, "🔴 بيع");
+    }
+    keyboard.text("🔙 العودة للمراكز", "view_positions");
+    await ctx.editMessageText(text, { parse_mode: "Markdown", reply_markup: keyboard });
+}
+
+// =================================================================
+// SECTION 4.8: PRICE-DRIVEN JOBS
+// =================================================================
+// NEW: Jobs that watch prices also run as soon as one of their instruments moves on the stream, instead of
+// waiting up to 30 seconds for their schedule. A job never overlaps itself: a run requested while another is
+// in progress happens right after it.
+const PRICE_TRIGGER_DELAY_MS = 1000;
+
+function exclusiveJob(job) {
+    let running = null;
+    let again = false;
+    return () => {
+        if (running) {
+            again = true;
+            return running;
+        }
+        running = (async () => { do { again = false; await job(); } while (again); })().finally(() => { running = null; });
+        return running;
+    };
+}
+
+const priceDrivenJobs = {
+    checkPriceAlerts: { run: exclusiveJob(checkPriceAlerts), owners: () => ["alerts"] },
+    monitorPositionProtection: { run: exclusiveJob(monitorPositionProtection), owners: () => accounts.map(a => `protection:${a.id}`) },
+    monitorVirtualTrades: { run: exclusiveJob(monitorVirtualTrades), owners: () => ["virtualTrades"] },
+};
+
+function startPriceTriggers() {
+    const pending = new Set();
+    marketData.onPriceUpdate((instId) => {
+        Object.entries(priceDrivenJobs).forEach(([name, job]) => {
+            if (pending.has(name) || !job.owners().some(owner => marketData.isWatched(instId, owner))) return;
+            pending.add(name);
+            setTimeout(() => {
+                pending.delete(name);
+                job.run().catch(e => console.error(`Error in price-triggered ${name}:`, e));
+            }, PRICE_TRIGGER_DELAY_MS);
+        });
+    });
+}
+
+// =================================================================
+// SECTION 4.9: BACKTESTING
+// =================================================================
+// NEW: /backtest replays an entry rule with the virtual-trade exits over historical candles, read through the
+// candle cache so repeated runs only download what is missing.
+async function ensureCandleIndexes() { try { await getCollection("candles").createIndex({ instId: 1, bar: 1, time: 1 }); } catch (e) { console.error("Error creating candle indexes:", e); } }
+
+async function handleBacktestCommand(ctx) {
+    const spec = parseBacktestArgs(ctx.match);
+    if (spec.error) {
+        await ctx.reply(ctx.match ? `❌ *${spec.error}*\n\n${BACKTEST_USAGE}` : BACKTEST_USAGE, { parse_mode: "Markdown" });
+        return;
+    }
+    const loadingMsg = await ctx.reply("⏳ جاري تحميل الشموع وتشغيل الاختبار...");
+    try {
+        const warmupStart = spec.from - warmupBars(spec.rule) * BAR_MS[spec.bar];
+        const candles = await getCachedCandles(getDB(), marketAdapter, spec.instId, spec.bar, warmupStart, spec.to);
+        if (candles.error) throw new Error(candles.error);
+        const result = runBacktest(candles, spec);
+        if (result.error) throw new Error(result.error);
+        const report = formatBacktestReport(result, spec);
+        await ctx.api.deleteMessage(loadingMsg.chat.id, loadingMsg.message_id).catch(() => {});
+        await sendPerformanceReport(ctx, report);
+        if (report.tradesText) await ctx.reply(report.tradesText, { parse_mode: "Markdown" });
+    } catch (e) {
+        console.error("Error in backtest:", e);
+        await ctx.api.editMessageText(loadingMsg.chat.id, loadingMsg.message_id, `❌ تعذر تشغيل الاختبار: ${e.message}`);
+    }
+}
+
+// =================================================================
+// SECTION 4.10: PORTFOLIO REBALANCING
+// =================================================================
+// NEW: Target weights per asset (and for cash) with tolerance bands. /rebalance lists the market orders that
+// bring an account back to its targets; once confirmed they are sent sells first, so the buys can use the
+// proceeds. checkRebalanceDrift warns when an asset leaves its band.
+const pendingRebalances = new Map();
+
+// Allocation and orders of one account at the current prices, with the guardrail verdict on the buys.
+async function prepareRebalancePlan(accountId) {
+    const account = getAccount(accountId);
+    if (!account) return { error: "ℹ️ خطة إعادة التوازن تُحسب لحساب محدد. اختر حسابًا من زر \"🔀 تبديل الحساب\" أولاً." };
+    const { adapter } = account;
+    if (!adapter.canTrade()) return { error: `ℹ️ إعادة التوازن غير مدعومة بعد لحساب ${escapeMarkdown(account.name)}.` };
+    const settings = await loadRebalanceSettings();
+    if (Object.keys(settings.targets).length === 0) return { error: "ℹ️ لم يتم تحديد أوزان مستهدفة بعد. اضبطها من الإعدادات ← \"⚖️ إعادة التوازن\"." };
+    const prices = await adapter.getMarketPrices();
+    if (!prices || prices.error) return { error: `❌ فشل جلب أسعار السوق: ${prices?.error || ''}` };
+    const portfolio = await adapter.getPortfolio(prices);
+    if (portfolio.error) return { error: `❌ ${portfolio.error}` };
+
+    const rows = calculateAllocation(portfolio.assets, portfolio.total, settings);
+    const assetPrices = {};
+    const rules = {};
+    for (const { asset } of rows) {
+        if (asset === 'USDT') continue;
+        const instId = `${asset}-USDT`;
+        if (!prices[instId]) return { error: `❌ لم يتم العثور على زوج التداول \`${instId}\`.` };
+        const assetRules = await adapter.getTradingRules(instId);
+        if (assetRules.error) return { error: `❌ ${assetRules.error}` };
+        assetPrices[asset] = prices[instId].price;
+        rules[asset] = assetRules;
+    }
+    const plan = buildRebalancePlan(rows, portfolio.total, assetPrices, rules);
+
+    const limits = await loadTradingLimits();
+    const realizedPnlToday = await getRealizedPnlSince(accountId, getLastSlot({ daily: "00:00" }));
+    const violations = new Set();
+    plan.orders.filter(o => o.side === 'buy').forEach(order => {
+        const assetValue = rows.find(r => r.asset === order.asset)?.value || 0;
+        checkGuardrails({ side: 'buy', asset: order.asset, notional: order.size }, limits, { portfolioTotal: portfolio.total, assetValue, realizedPnlToday }).forEach(v => violations.add(v));
+    });
+    return { id: crypto.randomBytes(6).toString("hex"), accountId, rows, total: portfolio.total, ...plan, violations: [...violations], createdAt: Date.now() };
+}
+
+async function handleRebalanceCommand(ctx) {
+    const plan = await prepareRebalancePlan(await getActiveAccountId(ctx));
+    if (plan.error) {
+        await ctx.reply(plan.error, { parse_mode: "Markdown" });
+        return;
+    }
+    const executable = plan.orders.length > 0 && plan.violations.length === 0;
+    const text = formatRebalancePlan({ ...plan, accountText: accounts.length > 1 ? accountLabel(plan.accountId) : null, expiresInMinutes: executable ? ORDER_CONFIRMATION_MINUTES : null });
+    if (!executable) {
+        await ctx.reply(text, { parse_mode: "Markdown" });
+        return;
+    }
+    pendingRebalances.set(plan.id, { ...plan, text });
+    const keyboard = new InlineKeyboard().text("✅ تنفيذ الخطة", `rebalance_exec_${plan.id}`).text("❌ إلغاء", `rebalance_cancel_${plan.id}`);
+    await ctx.reply(text, { parse_mode: "Markdown", reply_markup: keyboard });
+}
+
+// Sends the orders of a confirmed plan one by one and records each in `orders`. Buys are dropped when a sell
+// fails, since they were sized with its proceeds. -> { results: [{ order, orderId } | { order, error }] } or { error }
+async function executeRebalancePlan(planId) {
+    const plan = pendingRebalances.get(planId);
+    pendingRebalances.delete(planId);
+    if (!plan || Date.now() - plan.createdAt > ORDER_CONFIRMATION_MINUTES * 60 * 1000) return { error: "⌛ انتهت صلاحية هذه الخطة. أرسل /rebalance للحصول على خطة بالأسعار الحالية." };
+    const { adapter } = getAccount(plan.accountId);
+    const results = [];
+    let sellFailed = false;
+    for (const [index, order] of plan.orders.entries()) {
+        if (order.side === 'buy' && sellFailed) {
+            results.push({ order, error: "لم يُرسل لفشل أحد أوامر البيع." });
+            continue;
+        }
+        const instId = `${order.asset}-USDT`;
+        const result = await adapter.placeMarketOrder({ instId, side: order.side, size: order.size, clientOrderId: `rb${plan.id}${index}` });
+        await saveOrder({ accountId: plan.accountId, instId, side: order.side, size: order.size, source: 'rebalance', orderId: result.orderId || null, error: result.error || null });
+        if (result.error && order.side === 'sell') sellFailed = true;
+        results.push(result.error ? { order, error: result.error } : { order, orderId: result.orderId });
+    }
+    return { plan, results };
+}
+
+async function sendRebalanceMenu(ctx) {
+    const settings = await loadRebalanceSettings();
+    const keyboard = new InlineKeyboard().text("✏️ تعديل الأوزان", "set_rebalance_targets").text(`🔔 تنبيهات الانحراف: ${settings.driftAlerts ? '✅' : '❌'}`, "toggle_drift_alerts").row().text("📋 عرض خطة إعادة التوازن", "rebalance_plan").row().text("🔙 العودة للإعدادات", "back_to_settings");
+    await ctx.editMessageText(formatRebalanceTargets(settings), { parse_mode: "Markdown", reply_markup: keyboard });
+}
+
+// Alerts once when an asset of the default account leaves its band; it can alert again after returning inside.
+async function checkRebalanceDrift() {
+    try {
+        const settings = await loadRebalanceSettings();
+        if (!settings.driftAlerts || Object.keys(settings.targets).length === 0) return;
+        const account = getAccount(DEFAULT_ACCOUNT_ID);
+        const prices = await getAccountPrices(account);
+        if (!prices || prices.error) return;
+        const portfolio = await account.adapter.getPortfolio(prices);
+        if (portfolio.error || !(portfolio.total > 0)) return;
+        const state = await getConfig("rebalanceDriftState", { outside: {} });
+        const { alerts, outside } = checkDrift(calculateAllocation(portfolio.assets, portfolio.total, settings), state.outside);
+        if (alerts.length > 0) await notify('alerts', formatDriftAlert(alerts, accounts.length > 1 ? accountLabel(account.id) : null), { parse_mode: "Markdown" });
+        await saveConfig("rebalanceDriftState", { outside });
+    } catch (e) { console.error("Error in checkRebalanceDrift:", e); }
+}
+
+// =================================================================
+// SECTION 4.11: RISK ANALYTICS
+// =================================================================
+// NEW: Concentration, correlations, beta to BTC, VaR/CVaR and stress scenarios from the daily candles of the
+// held assets. Shown from the main keyboard and sent weekly for every account together.
+async function buildRiskReport(accountId) {
+    const { assets, total, error } = await getAccountPortfolio(accountId);
+    if (error) return { error };
+    const instruments = [...new Set(["BTC", ...assets.filter(a => a.asset !== 'USDT').map(a => a.asset)])];
+    const candleSets = await Promise.all(instruments.map(asset => getHistoricalCandles(`${asset}-USDT`, '1D', RISK_LOOKBACK_DAYS + 1)));
+    const candlesByAsset = Object.fromEntries(instruments.map((asset, i) => [asset, Array.isArray(candleSets[i]) ? candleSets[i] : []]));
+    const report = analyzeRisk(assets, total, candlesByAsset);
+    if (report.error) return { error: `❌ ${report.error}` };
+    return { text: formatRiskReport(report, accounts.length > 1 ? accountLabel(accountId) : null) };
+}
+
+async function runWeeklyRiskReport() {
+    try {
+        const settings = await loadSettings();
+        if (settings.weeklyRiskReport === false) return;
+        const report = await buildRiskReport(ALL_ACCOUNTS);
+        if (report.error) {
+            await sendDebugMessage(`Weekly risk report skipped: ${report.error}`);
+            return;
+        }
+        await notify('reports', report.text, { parse_mode: "Markdown" });
+    } catch (e) { console.error("Error in runWeeklyRiskReport:", e); }
+}
+
+// =================================================================
+// SECTION 4.12: REALIZED P&L LEDGER
+// =================================================================
+// NEW: Every buy is kept as a lot (`ledgerLots`) and every sell as a disposal (`ledgerDisposals`) matched
+// against the lots with the selected cost method, so partial sells realize their own P&L. /tax exports a year.
+async function ensureLedgerIndexes() { try { await getCollection("ledgerLots").createIndex({ accountId: 1, asset: 1, time: 1 }); await getCollection("ledgerDisposals").createIndex({ accountId: 1, time: 1 }); } catch (e) { console.error("Error creating ledger indexes:", e); } }
+
+async function recordLedgerExecution(accountId, execution) {
+    try {
+        if (execution.side === 'buy') {
+            if (execution.amountChange > 0) await getCollection("ledgerLots").insertOne({ _id: crypto.randomBytes(8).toString("hex"), accountId, ...createLot(execution) });
+            return;
+        }
+        const { method } = await loadLedgerSettings();
+        const lots = await getCollection("ledgerLots").find({ accountId, asset: execution.asset, remaining: { $gt: 0 } }).toArray();
+        const { disposal, consumed } = matchDisposal(lots, execution, method);
+        for (const { lot, quantity } of consumed) await getCollection("ledgerLots").updateOne({ _id: lot._id }, { $set: { remaining: Math.max(0, lot.remaining - quantity) } });
+        await getCollection("ledgerDisposals").insertOne({ _id: crypto.randomBytes(8).toString("hex"), accountId, ...disposal });
+    } catch (e) { console.error("Error recording ledger execution:", e); }
+}
+
+// One-time opening lots for the positions that were already open when the ledger was introduced.
+async function seedLedgerFromPositions() {
+    try {
+        const seeded = await getConfig("ledgerSeeded", []);
+        for (const account of accounts.filter(a => !seeded.includes(a.id))) {
+            const positions = await loadPositions(account.id);
+            const lots = Object.entries(positions).map(([asset, position]) => createOpeningLot(asset, position)).filter(Boolean);
+            if (lots.length > 0) await getCollection("ledgerLots").insertMany(lots.map(lot => ({ _id: crypto.randomBytes(8).toString("hex"), accountId: account.id, ...lot })));
+            seeded.push(account.id);
+            if (lots.length > 0) console.log(`[Ledger Migration]: opened ${lots.length} lots from the positions of ${account.name}.`);
+        }
+        await saveConfig("ledgerSeeded", seeded);
+    } catch (e) { console.error("Error in seedLedgerFromPositions:", e); }
+}
+
+async function handleTaxCommand(ctx) {
+    const period = parseTaxYear(ctx.match);
+    if (period.error) {
+        await ctx.reply(`❌ *${period.error}*\n*مثال:* \`/tax 2024\``, { parse_mode: "Markdown" });
+        return;
+    }
+    const accountId = await getActiveAccountId(ctx);
+    const disposals = await getCollection("ledgerDisposals").find({ time: { $gte: period.from, $lt: period.to }, ...accountFilter(accountId) }).sort({ time: 1 }).toArray();
+    if (disposals.length === 0) {
+        await ctx.reply(`ℹ️ لا توجد عمليات بيع مسجلة في سنة ${period.year}.`);
+        return;
+    }
+    const summary = summarizeDisposals(disposals);
+    const methods = [...new Set(disposals.map(d => d.method))];
+    await ctx.reply(formatTaxSummary(period.year, summary, methods, accounts.length > 1 ? accountLabel(accountId) : null), { parse_mode: "Markdown" });
+    const suffix = accountId === ALL_ACCOUNTS || accounts.length === 1 ? '' : `-${accountId}`;
+    await ctx.replyWithDocument(new InputFile(Buffer.from(disposalsToCsv(disposals), "utf8"), `realized-pnl-${period.year}${suffix}.csv`), { caption: `📎 تفاصيل ${disposals.length} عملية بيع لسنة ${period.year}` });
+}
+
+// =================================================================
+// SECTION 4.13: CHANNEL PUBLISHING
+// =================================================================
+// NEW: Every public message goes through the `publications` collection, one copy per publishing target. It
+// starts as a draft that can be published, edited, delayed or discarded (or is approved at once with
+// auto-posting on), and stays editable once published. Posts about the same position share a thread key, so
+// updates reply to its first post in the same channel.
+const PUBLICATION_DELAYS = [{ minutes: 30, label: "30 دقيقة" }, { minutes: 60, label: "ساعة" }, { minutes: 180, label: "3 ساعات" }, { minutes: 720, label: "12 ساعة" }];
+const publicationThreadKey = (accountId, asset, position) => position?.openDate ? `${accountId}:${asset}:${new Date(position.openDate).getTime()}` : null;
+const getPublication = async (id) => await getCollection("publications").findOne({ _id: id });
+async function ensurePublicationIndexes() { try { await getCollection("publications").createIndex({ threadKey: 1, targetId: 1, publishedAt: 1 }); await getCollection("publications").createIndex({ status: 1, publishAt: 1 }); } catch (e) { console.error("Error creating publication indexes:", e); } }
+
+// Publishing targets (see lib/publishing.js). Until they are configured, TARGET_CHANNEL_ID is the only one,
+// with the links its daily report always carried as the footer.
+const LEGACY_TARGET_ID = "main";
+const LEGACY_TARGET_NAME = "القناة الرئيسية";
+const LEGACY_FOOTER = "📢 قناة التحديثات الرسمية:\n@abusalamachart\n\n🌐 رابط النسخ المباشر:\n🏦 https://t.me/abusalamachart";
+const defaultPublishingTargets = () => process.env.TARGET_CHANNEL_ID ? [{ id: LEGACY_TARGET_ID, name: LEGACY_TARGET_NAME, chatId: process.env.TARGET_CHANNEL_ID, templates: { footer: LEGACY_FOOTER } }] : [];
+const loadPublishingTargets = async () => (await getConfig("publishingTargets", defaultPublishingTargets())).map(t => ({ ...DEFAULT_PUBLISHING_TARGET, ...t }));
+const savePublishingTargets = async (targets) => await saveConfig("publishingTargets", targets);
+
+// Publications queued before there were several targets all belong to TARGET_CHANNEL_ID.
+async function migrateLegacyPublications() {
+    try {
+        await getCollection("publications").updateMany({ targetId: { $exists: false } }, { $set: { targetId: LEGACY_TARGET_ID, targetName: LEGACY_TARGET_NAME, chatId: process.env.TARGET_CHANNEL_ID, delayMinutes: 0 } });
+    } catch (e) { console.error("Error in migrateLegacyPublications:", e); }
+}
+
+// A post still being published at startup was interrupted before it was sent; it goes back to the drafts.
+async function releaseInterruptedPublications() { try { await getCollection("publications").updateMany({ status: 'publishing' }, { $set: { status: 'draft', publishAt: null } }); } catch (e) { console.error("Error in releaseInterruptedPublications:", e); } }
+
+async function publishPublication(id) {
+    // Claimed before sending, so a double tap or the scheduler running at the same time cannot post it twice.
+    const publication = await getCollection("publications").findOneAndUpdate({ _id: id, status: { $in: ['draft', 'scheduled'] } }, { $set: { status: 'publishing' } });
+    if (!publication) return { error: "لم يعد هذا المنشور بانتظار النشر.", skipped: true };
+    const [root] = publication.threadKey ? await getCollection("publications").find({ threadKey: publication.threadKey, targetId: publication.targetId, status: 'published' }).sort({ publishedAt: 1 }).limit(1).toArray() : [];
+    const options = publication.parseMode ? { parse_mode: publication.parseMode } : {};
+    if (root) options.reply_parameters = { message_id: root.channelMessageId, allow_sending_without_reply: true };
+    try {
+        const message = await bot.api.sendMessage(publication.chatId, publication.text, options);
+        const update = { status: 'published', channelMessageId: message.message_id, replyTo: root ? root.channelMessageId : null, publishedAt: new Date(), publishAt: null };
+        await getCollection("publications").updateOne({ _id: id }, { $set: update });
+        return { ...publication, ...update };
+    } catch (e) {
+        console.error("Error publishing to the channel:", e);
+        await getCollection("publications").updateOne({ _id: id }, { $set: { status: 'draft', publishAt: null } });
+        return { error: `تعذر النشر في ${publication.targetName}: ${e.message}` };
+    }
+}
+
+// Approval publishes at once, or after the target's delay.
+async function approvePublication(publication) {
+    if (!(publication.delayMinutes > 0)) return await publishPublication(publication._id);
+    const update = { status: 'scheduled', publishAt: new Date(Date.now() + publication.delayMinutes * 60 * 1000) };
+    await getCollection("publications").updateOne({ _id: publication._id }, { $set: update });
+    return { ...publication, ...update };
+}
+
+// Queues a public message for every target that accepts it, `render(target)` giving the target's text (or
+// null to skip it), and approves them right away when auto-posting is on. A failed auto-post leaves the draft
+// for review. `sizePercent` is the trade's entry size for the targets' filters. Returns the publications.
+async function queuePublications(kind, render, { accountId = null, asset = null, threadKey = null, sizePercent = null, parseMode = "Markdown" } = {}) {
+    const autoPost = (await loadSettings()).autoPostToChannel;
+    const queued = [];
+    for (const target of (await loadPublishingTargets()).filter(t => acceptsPublication(t, kind, sizePercent))) {
+        const text = render(target);
+        if (!text) continue;
+        const publication = { _id: crypto.randomBytes(8).toString("hex"), kind, text, parseMode, status: 'draft', targetId: target.id, targetName: target.name, chatId: target.chatId, delayMinutes: target.delayMinutes, accountId, asset, threadKey, createdAt: new Date() };
+        await getCollection("publications").insertOne(publication);
+        const approved = autoPost ? await approvePublication(publication) : publication;
+        queued.push(approved.error ? publication : approved);
+    }
+    return queued;
+}
+
+async function editPublication(publication, text) {
+    if (publication.status === 'published') {
+        try {
+            await bot.api.editMessageText(publication.chatId, publication.channelMessageId, text, publication.parseMode ? { parse_mode: publication.parseMode } : {});
+        } catch (e) {
+            console.error("Error editing the channel post:", e);
+            return { error: `تعذر تعديل المنشور في القناة: ${e.message}` };
+        }
+    } else if (!['draft', 'scheduled'].includes(publication.status)) {
+        return { error: "لم يعد بالإمكان تعديل هذا المنشور." };
+    }
+    const update = { text, editedAt: new Date() };
+    await getCollection("publications").updateOne({ _id: publication._id }, { $set: update });
+    return { ...publication, ...update };
+}
+
+async function deletePublishedPublication(publication) {
+    try {
+        await bot.api.deleteMessage(publication.chatId, publication.channelMessageId);
+    } catch (e) {
+        console.error("Error deleting the channel post:", e);
+        return { error: `تعذر حذف المنشور من القناة: ${e.message}` };
+    }
+    await getCollection("publications").updateOne({ _id: publication._id }, { $set: { status: 'deleted', deletedAt: new Date() } });
+    return { ...publication, status: 'deleted' };
+}
+
+function publicationKeyboard(publication) {
+    const keyboard = new InlineKeyboard();
+    const id = publication._id;
+    if (publication.status === 'draft' && publication.delayMinutes > 0) {
+        keyboard.text(`✅ اعتماد (النشر بعد ${publication.delayMinutes} دقيقة)`, `pub_approve_${id}`).row().text("⚡ نشر الآن", `pub_publish_${id}`).text("✏️ تعديل النص", `pub_edit_${id}`).row()
+            .text("⏰ تأجيل", `pub_delay_${id}`).text("🗑️ تجاهل", `pub_discard_${id}`).row();
+    } else if (['draft', 'scheduled'].includes(publication.status)) {
+        keyboard.text("✅ نشر الآن", `pub_publish_${id}`).text("✏️ تعديل النص", `pub_edit_${id}`).row()
+            .text("⏰ تأجيل", `pub_delay_${id}`).text("🗑️ تجاهل", `pub_discard_${id}`).row();
+    } else if (publication.status === 'published') {
+        keyboard.text("✏️ تعديل المنشور", `pub_edit_${id}`).text("🗑️ حذف من القناة", `pub_delete_${id}`).row();
+    }
+    return keyboard.text("📋 كل المنشورات", "view_publications");
+}
+
+// The review buttons added to the private message that comes with queued drafts. `keyboard` may be undefined.
+function addPublicationButtons(keyboard, publications) {
+    const drafts = publications.filter(p => p.status === 'draft');
+    if (drafts.length === 0) return keyboard;
+    keyboard = keyboard || new InlineKeyboard();
+    drafts.forEach((p, i) => {
+        if (i > 0) keyboard.row();
+        keyboard.text(publications.length > 1 ? `📢 مراجعة: ${p.targetName}` : "📢 مراجعة منشور القناة", `pub_open_${p._id}`);
+    });
+    return keyboard;
+}
+
+async function sendPublicationsMenu(ctx) {
+    const publications = await getCollection("publications").find({ status: { $in: ['draft', 'scheduled', 'published'] } }).sort({ createdAt: -1 }).limit(10).toArray();
+    const keyboard = new InlineKeyboard();
+    publications.forEach((p, i) => keyboard.text(`${i + 1}. ${PUBLICATION_KIND_LABELS[p.kind]}${p.asset ? ` ${p.asset}` : ''}`, `pub_view_${p._id}`).row());
+    keyboard.text("🎯 قنوات النشر", "manage_publishing_targets").row().text("🔙 العودة للإعدادات", "back_to_settings");
+    await ctx.editMessageText(formatPublicationsList(publications), { parse_mode: "Markdown", reply_markup: keyboard });
+}
+
+async function sendPublishingTargetsMenu(ctx) {
+    const targets = await loadPublishingTargets();
+    const keyboard = new InlineKeyboard();
+    targets.forEach(t => keyboard.text(`${t.enabled ? '✅' : '⏸️'} ${t.name}`, `target_view_${t.id}`).row());
+    keyboard.text("➕ إضافة قناة", "add_publishing_target").row().text("🔙 المنشورات", "view_publications");
+    await ctx.editMessageText(formatPublishingTargets(targets), { parse_mode: "Markdown", reply_markup: keyboard });
+}
+
+function publishingTargetKeyboard(target) {
+    const id = target.id;
+    return new InlineKeyboard()
+        .text(`🌐 اللغة: ${PUBLISHING_LANGUAGE_LABELS[target.language]}`, `target_lang_${id}`).text(target.enabled ? "⏸️ إيقاف" : "▶️ تفعيل", `target_toggle_${id}`).row()
+        .text(`🙈 إخفاء حجم المركز: ${target.hideSize ? '✅' : '❌'}`, `target_hidesize_${id}`).text("⚙️ الخيارات", `target_options_${id}`).row()
+        .text("📝 القوالب", `target_templates_${id}`).text("🗑️ حذف", `target_delete_${id}`).row()
+        .text("🔙 قنوات النشر", "manage_publishing_targets");
+}
+
+async function updatePublishingTarget(id, update) {
+    const targets = await loadPublishingTargets();
+    const target = targets.find(t => t.id === id);
+    if (!target) return null;
+    Object.assign(target, typeof update === 'function' ? update(target) : update);
+    await savePublishingTargets(targets);
+    return target;
+}
+
+async function publishScheduledPublications() {
+    try {
+        const due = await getCollection("publications").find({ status: 'scheduled', publishAt: { $lte: new Date() } }).toArray();
+        for (const publication of due) {
+            const result = await publishPublication(publication._id);
+            // Already published (or discarded) from the buttons in the meantime.
+            if (result.skipped) continue;
+            if (result.error) {
+                // A failed post is back to a draft (see publishPublication) rather than retried every minute.
+                await notify('publishing', `❌ ${result.error}\nأُعيد المنشور إلى المسودات.`, { reply_markup: addPublicationButtons(undefined, [{ ...publication, status: 'draft' }]) });
+            } else {
+                await notify('publishing', `✅ تم نشر المنشور المؤجل (${PUBLICATION_KIND_LABELS[publication.kind]}) في ${publication.targetName}.`);
+            }
+        }
+    } catch (e) { console.error("Error in publishScheduledPublications:", e); }
+}
+
+// =================================================================
+// SECTION 4.14: PUBLIC TRACK RECORD
+// =================================================================
+// NEW: Read-only HTTP endpoints and a page with the closed trades of every account, in percentages only, so that
+// followers can check the results. Each section is cached for trackRecordSettings.cacheSeconds; private
+// sections need the TRACK_RECORD_API_KEY in an "X-API-Key" header or a "key" query parameter.
+const trackRecordSettings = parseTrackRecordSettings(process.env);
+const trackRecordCache = new Map();
+
+async function buildTrackRecordSection(section) {
+    if (section === 'open') {
+        const prices = await marketData.getMarketPrices();
+        return { open: openRecommendations(await loadMergedPositions(ALL_ACCOUNTS), prices && !prices.error ? prices : {}) };
+    }
+    const trades = await getCollection("tradeHistory").find({}).sort({ closedAt: 1 }).toArray();
+    if (section === 'trades') return { trades: trades.slice(-MAX_TRACK_RECORD_TRADES).map(publicTrade) };
+    return { summary: summarizeTrackRecord(trades), curve: buildEquityCurve(trades) };
+}
+
+async function getTrackRecordSection(section) {
+    const cached = trackRecordCache.get(section);
+    if (cached && cached.expiresAt > Date.now()) return cached.data;
+    const data = { ...await buildTrackRecordSection(section), generatedAt: new Date().toISOString() };
+    trackRecordCache.set(section, { data, expiresAt: Date.now() + trackRecordSettings.cacheSeconds * 1000 });
+    return data;
+}
+
+const trackRecordKey = (req) => req.get("X-API-Key") || req.query.key;
+const canReadTrackRecord = (req, section) => canReadSection(trackRecordSettings, section, trackRecordKey(req));
+function setTrackRecordHeaders(res, isPrivate) {
+    res.set("Cache-Control", `${isPrivate ? 'private' : 'public'}, max-age=${trackRecordSettings.cacheSeconds}`);
+    if (!isPrivate) res.set("Access-Control-Allow-Origin", "*");
+}
+
+function trackRecordEndpoint(section) {
+    return async (req, res) => {
+        if (!canReadTrackRecord(req, section)) return res.status(401).json({ error: "A valid API key is required for this endpoint." });
+        try {
+            setTrackRecordHeaders(res, trackRecordSettings.privateSections.includes(section));
+            res.json(await getTrackRecordSection(section));
+        } catch (e) {
+            console.error(`Error serving track record (${section}):`, e);
+            res.status(500).json({ error: "Track record is unavailable." });
         }
-    }
-    await savePositions(positions);
-    analysisResult.data.position = positions[asset] || position;
-    return { analysisResult };
+    };
 }
 
-// MODIFIED: A more robust version of monitorBalanceChanges to prevent state loops
-async function monitorBalanceChanges() {
+// The page shows the sections the visitor may read; a "key" query parameter unlocks the private ones.
+async function sendTrackRecordPage(req, res) {
     try {
-        await sendDebugMessage("Checking balance changes...");
+        const readable = TRACK_RECORD_SECTIONS.filter(section => canReadTrackRecord(req, section));
+        const sections = {};
+        for (const section of readable) Object.assign(sections, await getTrackRecordSection(section));
+        setTrackRecordHeaders(res, readable.some(section => trackRecordSettings.privateSections.includes(section)));
+        res.type("html").send(renderTrackRecordPage({ summary: sections.summary, curve: sections.curve, trades: sections.trades, open: sections.open, generatedAt: sections.generatedAt }));
+    } catch (e) {
+        console.error("Error serving track record page:", e);
+        res.status(500).type("text").send("Track record is unavailable.");
+    }
+}
 
-        // 1. Load the last known state from the database
-        const previousState = await loadBalanceState();
-        const previousBalances = previousState.balances || {};
+// =================================================================
+// SECTION 4.15: WEB ADMIN DASHBOARD
+// =================================================================
+// NEW: Pages under /admin (rendered by lib/adminPages.js) for managing positions, alerts, virtual trades, settings
+// and the trade history from a browser, with search and bulk actions. They go through the same collections and
+// helpers as the bot, behind HTTP basic auth (ADMIN_USERNAME / ADMIN_PASSWORD); without a password they are off.
+const adminSettings = parseAdminSettings(process.env);
+const adminRouter = express.Router();
+const adminAccountOptions = () => [[ALL_ACCOUNTS, "كل الحسابات"], ...accounts.map(a => [a.id, a.name])];
+const adminAccountIds = (accountId) => accountId && accountId !== ALL_ACCOUNTS && getAccount(accountId) ? [accountId] : accounts.map(a => a.id);
+const adminNoticeParams = (notice, error = false) => ({ [error ? 'error' : 'notice']: notice });
 
-        // 2. Fetch the current live state from the exchange
-        const currentBalance = await okxAdapter.getBalanceForComparison();
-        if (!currentBalance) {
-            await sendDebugMessage("Could not fetch current balance to compare.");
-            return;
-        }
+adminRouter.use(express.urlencoded({ extended: false }));
+adminRouter.use((req, res, next) => {
+    if (!adminSettings.password) return res.status(404).send("Not found");
+    if (!checkAdminCredentials(adminSettings, req.get("Authorization"))) {
+        res.set("WWW-Authenticate", 'Basic realm="admin", charset="UTF-8"');
+        return res.status(401).send("Authentication required.");
+    }
+    res.set("Cache-Control", "no-store");
+    if (req.method === "POST" && !checkAdminCsrf(adminSettings, req.body?.csrf)) return res.status(403).send("Invalid form token.");
+    next();
+});
 
-        const prices = await okxAdapter.getMarketPrices();
-        if (!prices || prices.error) {
-            await sendDebugMessage("Could not fetch market prices to compare.");
-            return;
+function adminHandler(handler) {
+    return async (req, res) => {
+        try {
+            await handler(req, res);
+        } catch (e) {
+            console.error(`Error in admin dashboard (${req.method} ${req.path}):`, e);
+            res.status(500).type("text").send(`Error: ${e.message}`);
         }
+    };
+}
+function sendAdminPage(req, res, title, path, body, refreshSeconds = null) {
+    const notice = req.query.error ? { text: req.query.error, error: true } : req.query.notice ? { text: req.query.notice } : null;
+    res.type("html").send(renderAdminLayout({ title, path, body, notice, refreshSeconds }));
+}
+// Counts the results of a bulk action into one notice, with the first error kept as an example.
+function bulkNotice(done, errors) {
+    if (errors.length === 0) return adminNoticeParams(`تم تطبيق الإجراء على ${done} عنصر.`);
+    return adminNoticeParams(`تم تطبيق الإجراء على ${done} عنصر، وتعذر على ${errors.length}: ${markdownToText(errors[0])}`, true);
+}
 
-        const { assets: newAssets, total: newTotalValue, usdtValue: newUsdtValue, error } = await okxAdapter.getPortfolio(prices);
-        if (error || newTotalValue === undefined) {
-            await sendDebugMessage(`Portfolio fetch error: ${error}`);
-            return;
+adminRouter.get("/", adminHandler(async (req, res) => {
+    const period = ADMIN_CHART_PERIODS.includes(req.query.period) ? req.query.period : '7d';
+    const accountIds = accounts.length > 1 ? [ALL_ACCOUNTS, ...accounts.map(a => a.id)] : [DEFAULT_ACCOUNT_ID];
+    const views = [];
+    for (const accountId of accountIds) {
+        const label = markdownToText(accountLabel(accountId));
+        const { assets, total, error } = await getAccountPortfolio(accountId);
+        if (error) {
+            views.push({ accountId, label, error });
+            continue;
         }
+        views.push({ accountId, label, assets, total, capital: await loadCapital(accountId), positions: await loadMergedPositions(accountId) });
+    }
+    sendAdminPage(req, res, "المحفظة", "/", renderPortfolioPage({ views, period }), ADMIN_REFRESH_SECONDS);
+}));
 
-        // 3. Handle first-run initialization
-        if (Object.keys(previousBalances).length === 0) {
-            await sendDebugMessage("Initializing first balance state. No notifications will be sent.");
-            await saveBalanceState({ balances: currentBalance, totalValue: newTotalValue });
-            return;
+// The charts of the portfolio page, drawn by the same renderer as the bot's photos.
+adminRouter.get("/charts/:chart.png", adminHandler(async (req, res) => {
+    const accountId = req.query.account === ALL_ACCOUNTS || getAccount(req.query.account) ? req.query.account : DEFAULT_ACCOUNT_ID;
+    let chart = null;
+    if (req.params.chart === 'allocation') {
+        const { assets, total, error } = await getAccountPortfolio(accountId);
+        if (!error) chart = formatPortfolioMsg(assets, total, 0).chart;
+    } else if (req.params.chart === 'performance') {
+        const period = ADMIN_CHART_PERIODS.includes(req.query.period) ? req.query.period : '7d';
+        const report = await buildPerformanceReport(period, resolvePerformancePeriod(period), accountId);
+        if (!report.error) chart = report.chart;
+    }
+    const image = chart ? renderChart(chart) : null;
+    if (!image) return res.status(404).send("No chart");
+    res.type("png").send(image);
+}));
+
+adminRouter.get("/positions", adminHandler(async (req, res) => {
+    const rows = [];
+    for (const accountId of adminAccountIds(req.query.account)) {
+        const account = getAccount(accountId);
+        const prices = await getAccountPrices(account);
+        Object.entries(await loadPositions(accountId)).filter(([asset]) => matchesQuery([asset], req.query.q)).forEach(([asset, position]) => {
+            rows.push({ id: `${accountId}:${asset}`, accountId, accountName: account.name, asset, position, price: prices?.[`${asset}-USDT`]?.price ?? null });
+        });
+    }
+    rows.sort((a, b) => a.asset.localeCompare(b.asset));
+    sendAdminPage(req, res, "المراكز المفتوحة", "/positions", renderPositionsPage({ rows, query: req.query, accountOptions: adminAccountOptions(), csrf: adminCsrfToken(adminSettings) }));
+}));
+
+// Ids are "<account>:<asset>".
+const splitPositionId = (id) => [id.slice(0, id.lastIndexOf(':')), id.slice(id.lastIndexOf(':') + 1)];
+
+adminRouter.post("/positions", adminHandler(async (req, res) => {
+    let done = 0;
+    const errors = [];
+    for (const [accountId, asset] of selectedIds(req.body).map(splitPositionId)) {
+        const account = getAccount(accountId);
+        const positions = account ? await loadPositions(accountId) : {};
+        const position = positions[asset];
+        if (!position) {
+            errors.push(`لا يوجد مركز مفتوح في ${asset}.`);
+            continue;
         }
-        
-        const oldTotalValue = previousState.totalValue || 0;
-        let stateNeedsUpdate = false;
-        
-        // 4. Compare the old state with the new state to find changes
-        const allAssets = new Set([...Object.keys(previousBalances), ...Object.keys(currentBalance)]);
-        for (const asset of allAssets) {
-            if (asset === 'USDT') continue;
-
-            const prevAmount = previousBalances[asset] || 0;
-            const currAmount = currentBalance[asset] || 0;
-            const difference = currAmount - prevAmount;
-            const priceData = prices[`${asset}-USDT`];
-
-            // If the change in value is less than $1, ignore it.
-            if (!priceData || !priceData.price || isNaN(priceData.price) || Math.abs(difference * priceData.price) < 1) {
+        if (req.body.action === 'protect') {
+            const prices = await account.adapter.getMarketPrices();
+            const price = prices?.[`${asset}-USDT`]?.price;
+            const levels = price ? parseProtectionLevels(req.body.value, position.avgBuyPrice, price) : { error: `تعذر جلب سعر ${asset}.` };
+            const result = levels.error ? levels : await setPositionProtection(accountId, asset, levels);
+            if (result.error) {
+                errors.push(`${asset}: ${result.error}`);
                 continue;
             }
-
-            // A significant change was detected!
-            stateNeedsUpdate = true;
-            await sendDebugMessage(`Detected change for ${asset}: ${difference}`);
-
-            const { analysisResult } = await updatePositionAndAnalyze(asset, difference, priceData.price, currAmount, oldTotalValue);
-            if (analysisResult.type === 'none') continue;
-
-            // Prepare and send the notification
-            const tradeValue = Math.abs(difference) * priceData.price;
-            const newAssetData = newAssets.find(a => a.asset === asset);
-            const newAssetValue = newAssetData ? newAssetData.value : 0;
-            const newAssetWeight = newTotalValue > 0 ? (newAssetValue / newTotalValue) * 100 : 0;
-            const newCashPercent = newTotalValue > 0 ? (newUsdtValue / newTotalValue) * 100 : 0;
-            const oldUsdtValue = previousBalances['USDT'] || 0;
-
-            const baseDetails = { asset, price: priceData.price, amountChange: difference, tradeValue, oldTotalValue, newAssetWeight, newUsdtValue, newCashPercent, oldUsdtValue, position: analysisResult.data.position };
-            const settings = await loadSettings();
-            let privateMessage, publicMessage;
-
-            if (analysisResult.type === 'buy') {
-                privateMessage = formatPrivateBuy(baseDetails);
-                publicMessage = formatPublicBuy(baseDetails);
-                await bot.api.sendMessage(AUTHORIZED_USER_ID, privateMessage, { parse_mode: "Markdown" });
-                if (settings.autoPostToChannel) {
-                    await bot.api.sendMessage(process.env.TARGET_CHANNEL_ID, publicMessage, { parse_mode: "Markdown" });
-                }
-            } else if (analysisResult.type === 'sell') {
-                privateMessage = formatPrivateSell(baseDetails);
-                publicMessage = formatPublicSell(baseDetails);
-                await bot.api.sendMessage(AUTHORIZED_USER_ID, privateMessage, { parse_mode: "Markdown" });
-                if (settings.autoPostToChannel) {
-                    await bot.api.sendMessage(process.env.TARGET_CHANNEL_ID, publicMessage, { parse_mode: "Markdown" });
-                }
-            } else if (analysisResult.type === 'close') {
-                privateMessage = formatPrivateCloseReport(analysisResult.data);
-                publicMessage = formatPublicClose(analysisResult.data);
-                if (settings.autoPostToChannel) {
-                    await bot.api.sendMessage(process.env.TARGET_CHANNEL_ID, publicMessage, { parse_mode: "Markdown" });
-                    await bot.api.sendMessage(AUTHORIZED_USER_ID, privateMessage, { parse_mode: "Markdown" });
-                } else {
-                    const confirmationKeyboard = new InlineKeyboard()
-                        .text("✅ نعم، انشر التقرير", "publish_report")
-                        .text("❌ لا، تجاهل", "ignore_report");
-                    const hiddenMarker = `\n<report>${JSON.stringify(publicMessage)}</report>`;
-                    const confirmationMessage = `*تم إغلاق المركز بنجاح. هل تود نشر الملخص في القناة؟*\n\n${privateMessage}${hiddenMarker}`;
-                    await bot.api.sendMessage(AUTHORIZED_USER_ID, confirmationMessage, { parse_mode: "Markdown", reply_markup: confirmationKeyboard });
-                }
-            }
+        } else if (req.body.action === 'unprotect') {
+            await removePositionProtection(accountId, asset);
+        } else if (req.body.action === 'forget') {
+            if (position.protection?.status === 'active') await removePositionProtection(accountId, asset);
+            const current = await loadPositions(accountId);
+            delete current[asset];
+            await savePositions(accountId, current);
         }
+        done++;
+    }
+    res.redirect(adminUrl("/positions", bulkNotice(done, errors)));
+}));
+
+adminRouter.get("/positions/edit", adminHandler(async (req, res) => {
+    const { account: accountId, asset } = req.query;
+    const position = getAccount(accountId) ? (await loadPositions(accountId))[asset] : null;
+    if (!position) return res.redirect(adminUrl("/positions", adminNoticeParams("لم يعد هذا المركز مفتوحًا.", true)));
+    const body = renderPositionEditPage({ accountId, accountName: getAccount(accountId).name, asset, position, csrf: adminCsrfToken(adminSettings) });
+    sendAdminPage(req, res, `تعديل مركز ${asset}`, "/positions", body);
+}));
 
-        // 5. CRITICAL STEP: If any change was detected, save the new state. This breaks the loop.
-        if (stateNeedsUpdate) {
-            await saveBalanceState({ balances: currentBalance, totalValue: newTotalValue });
-            await sendDebugMessage("State updated successfully after processing changes.");
+adminRouter.post("/positions/edit", adminHandler(async (req, res) => {
+    const { account: accountId, asset } = req.query;
+    const back = (notice, error) => res.redirect(adminUrl("/positions/edit", { account: accountId, asset, ...adminNoticeParams(notice, error) }));
+    const positions = getAccount(accountId) ? await loadPositions(accountId) : {};
+    const position = positions[asset];
+    if (!position) return res.redirect(adminUrl("/positions", adminNoticeParams("لم يعد هذا المركز مفتوحًا.", true)));
+    const avgBuyPrice = parseFloat(req.body.avgBuyPrice);
+    const entryCapitalPercent = req.body.entryCapitalPercent === "" ? null : parseFloat(req.body.entryCapitalPercent);
+    if (!(avgBuyPrice > 0)) return back("متوسط سعر الشراء يجب أن يكون رقمًا موجبًا.", true);
+    if (entryCapitalPercent !== null && !(entryCapitalPercent >= 0)) return back("حجم الدخول غير صالح.", true);
+    // The cost follows the corrected average so that later buys keep averaging from it.
+    Object.assign(position, { avgBuyPrice, totalCost: avgBuyPrice * position.totalAmountBought });
+    if (entryCapitalPercent !== null) position.entryCapitalPercent = entryCapitalPercent;
+    await savePositions(accountId, positions);
+
+    const levelsText = String(req.body.protection || "").trim();
+    if (levelsText && levelsText !== protectionLevelsText(position.protection)) {
+        if (levelsText.split(/\s+/).every(v => v === "-")) {
+            await removePositionProtection(accountId, asset);
         } else {
-            await sendDebugMessage("No significant balance changes detected.");
+            const prices = await getAccount(accountId).adapter.getMarketPrices();
+            const price = prices?.[`${asset}-USDT`]?.price;
+            const levels = price ? parseProtectionLevels(levelsText, avgBuyPrice, price) : { error: `تعذر جلب سعر ${asset}.` };
+            const result = levels.error ? levels : await setPositionProtection(accountId, asset, levels);
+            if (result.error) return back(`تم حفظ المركز، لكن تعذر ضبط الحماية: ${markdownToText(result.error)}`, true);
+            if (result.notice) return back(`تم حفظ المركز. ${markdownToText(result.notice)}`, true);
         }
+    }
+    back("✅ تم حفظ المركز.");
+}));
 
-    } catch (e) {
-        console.error("CRITICAL ERROR in monitorBalanceChanges:", e);
-        await sendDebugMessage(`CRITICAL ERROR in monitorBalanceChanges: ${e.message}`);
+adminRouter.get("/alerts", adminHandler(async (req, res) => {
+    const alerts = (await loadAlerts()).map(a => ({ ...a, condition: markdownToText(formatAlertCondition(a)) }))
+        .filter(a => matchesQuery([a.asset, a.type, a.condition], req.query.q));
+    sendAdminPage(req, res, "التنبيهات", "/alerts", renderAlertsPage({ alerts, query: req.query, help: markdownToText(ALERT_HELP), csrf: adminCsrfToken(adminSettings) }));
+}));
+
+adminRouter.post("/alerts", adminHandler(async (req, res) => {
+    const ids = selectedIds(req.body);
+    const minutes = parseFloat(req.body.value);
+    if (req.body.action === 'snooze' && !(minutes > 0)) return res.redirect(adminUrl("/alerts", adminNoticeParams("حدد مدة الإيقاف بالدقائق.", true)));
+    for (const id of ids) {
+        if (req.body.action === 'delete') await deleteAlert(id);
+        else if (req.body.action === 'snooze') await updateAlert(id, { snoozedUntil: new Date(Date.now() + minutes * 60 * 1000) });
+        else if (req.body.action === 'resume') await updateAlert(id, { snoozedUntil: null });
     }
-}
+    marketData.setWatchList("alerts", (await loadAlerts()).map(a => a.instId));
+    res.redirect(adminUrl("/alerts", bulkNotice(ids.length, [])));
+}));
 
-async function trackPositionHighLow() { try { const positions = await loadPositions(); if (Object.keys(positions).length === 0) return; const prices = await okxAdapter.getMarketPrices(); if (!prices || prices.error) return; let positionsUpdated = false; for (const symbol in positions) { const position = positions[symbol]; const currentPrice = prices[`${symbol}-USDT`]?.price; if (currentPrice) { if (!position.highestPrice || currentPrice > position.highestPrice) { position.highestPrice = currentPrice; positionsUpdated = true; } if (!position.lowestPrice || currentPrice < position.lowestPrice) { position.lowestPrice = currentPrice; positionsUpdated = true; } } } if (positionsUpdated) { await savePositions(positions); await sendDebugMessage("Updated position high/low prices."); } } catch(e) { console.error("CRITICAL ERROR in trackPositionHighLow:", e); } }
-async function checkPriceAlerts() { try { const alerts = await loadAlerts(); if (alerts.length === 0) return; const prices = await okxAdapter.getMarketPrices(); if (!prices || prices.error) return; const remainingAlerts = []; let triggered = false; for (const alert of alerts) { const currentPrice = prices[alert.instId]?.price; if (currentPrice === undefined) { remainingAlerts.push(alert); continue; } if ((alert.condition === '>' && currentPrice > alert.price) || (alert.condition === '<' && currentPrice < alert.price)) { await bot.api.sendMessage(AUTHORIZED_USER_ID, `🚨 *تنبيه سعر!* \`${alert.instId}\`\nالشرط: ${alert.condition} ${alert.price}\nالسعر الحالي: \`${currentPrice}\``, { parse_mode: "Markdown" }); triggered = true; } else { remainingAlerts.push(alert); } } if (triggered) await saveAlerts(remainingAlerts); } catch (error) { console.error("Error in checkPriceAlerts:", error); } }
-async function checkPriceMovements() { try { await sendDebugMessage("Checking price movements..."); const alertSettings = await loadAlertSettings(); const priceTracker = await loadPriceTracker(); const prices = await okxAdapter.getMarketPrices(); if (!prices || prices.error) return; const { assets, total: currentTotalValue, error } = await okxAdapter.getPortfolio(prices); if (error || currentTotalValue === undefined) return; if (priceTracker.totalPortfolioValue === 0) { priceTracker.totalPortfolioValue = currentTotalValue; assets.forEach(a => { if (a.price) priceTracker.assets[a.asset] = a.price; }); await savePriceTracker(priceTracker); return; } let trackerUpdated = false; for (const asset of assets) { if (asset.asset === 'USDT' || !asset.price) continue; const lastPrice = priceTracker.assets[asset.asset]; if (lastPrice) { const changePercent = ((asset.price - lastPrice) / lastPrice) * 100; const threshold = alertSettings.overrides[asset.asset] || alertSettings.global; if (Math.abs(changePercent) >= threshold) { const movementText = changePercent > 0 ? 'صعود' : 'هبوط'; const message = `📈 *تنبيه حركة سعر لأصل!* \`${asset.asset}\`\n*الحركة:* ${movementText} بنسبة \`${formatNumber(changePercent)}%\`\n*السعر الحالي:* \`$${formatNumber(asset.price, 4)}\``; await bot.api.sendMessage(AUTHORIZED_USER_ID, message, { parse_mode: "Markdown" }); priceTracker.assets[asset.asset] = asset.price; trackerUpdated = true; } } else { priceTracker.assets[asset.asset] = asset.price; trackerUpdated = true; } } if (trackerUpdated) await savePriceTracker(priceTracker); } catch (e) { console.error("CRITICAL ERROR in checkPriceMovements:", e); } }
-async function runDailyJobs() { try { const settings = await loadSettings(); if (!settings.dailySummary) return; const prices = await okxAdapter.getMarketPrices(); if (!prices || prices.error) return; const { total } = await okxAdapter.getPortfolio(prices); if (total === undefined) return; const history = await loadHistory(); const date = new Date().toISOString().slice(0, 10); const today = history.find(h => h.date === date); if (today) { today.total = total; } else { history.push({ date, total, time: Date.now() }); } if (history.length > 35) history.shift(); await saveHistory(history); console.log(`[Daily Summary Recorded]: ${date} - $${formatNumber(total)}`); } catch (e) { console.error("CRITICAL ERROR in runDailyJobs:", e); } }
-async function runHourlyJobs() { try { const prices = await okxAdapter.getMarketPrices(); if (!prices || prices.error) return; const { total } = await okxAdapter.getPortfolio(prices); if (total === undefined) return; const history = await loadHourlyHistory(); const hourLabel = new Date().toISOString().slice(0, 13); const existingIndex = history.findIndex(h => h.label === hourLabel); if (existingIndex > -1) { history[existingIndex].total = total; } else { history.push({ label: hourLabel, total, time: Date.now() }); } if (history.length > 72) history.splice(0, history.length - 72); await saveHourlyHistory(history); } catch (e) { console.error("Error in hourly jobs:", e); } }
-async function monitorVirtualTrades() { const activeTrades = await getActiveVirtualTrades(); if (activeTrades.length === 0) return; const prices = await okxAdapter.getMarketPrices(); if (!prices || prices.error) return; for (const trade of activeTrades) { const currentPrice = prices[trade.instId]?.price; if (!currentPrice) continue; let finalStatus = null; let pnl = 0; let finalPrice = 0; if (currentPrice >= trade.targetPrice) { finalPrice = trade.targetPrice; pnl = (finalPrice - trade.entryPrice) * (trade.virtualAmount / trade.entryPrice); finalStatus = 'completed'; const profitPercent = (trade.virtualAmount > 0) ? (pnl / trade.virtualAmount) * 100 : 0; const msg = `🎯 *الهدف تحقق (توصية افتراضية)!* ✅\n\n` + `*العملة:* \`${trade.instId}\`\n` + `*سعر الدخول:* \`$${formatNumber(trade.entryPrice, 4)}\`\n` + `*سعر الهدف:* \`$${formatNumber(trade.targetPrice, 4)}\`\n\n` + `💰 *الربح المحقق:* \`+$${formatNumber(pnl)}\` (\`+${formatNumber(profitPercent)}%\`)`; await bot.api.sendMessage(AUTHORIZED_USER_ID, msg, { parse_mode: "Markdown" }); } else if (currentPrice <= trade.stopLossPrice) { finalPrice = trade.stopLossPrice; pnl = (finalPrice - trade.entryPrice) * (trade.virtualAmount / trade.entryPrice); finalStatus = 'stopped'; const lossPercent = (trade.virtualAmount > 0) ? (pnl / trade.virtualAmount) * 100 : 0; const msg = `🛑 *تم تفعيل وقف الخسارة (توصية افتراضية)!* 🔻\n\n` + `*العملة:* \`${trade.instId}\`\n` + `*سعر الدخول:* \`$${formatNumber(trade.entryPrice, 4)}\`\n` + `*سعر الوقف:* \`$${formatNumber(trade.stopLossPrice, 4)}\`\n\n` + `💸 *الخسارة:* \`$${formatNumber(pnl)}\` (\`${formatNumber(lossPercent)}%\`)`; await bot.api.sendMessage(AUTHORIZED_USER_ID, msg, { parse_mode: "Markdown" }); } if (finalStatus) { await updateVirtualTradeStatus(trade._id, finalStatus, finalPrice); } } }
+adminRouter.post("/alerts/new", adminHandler(async (req, res) => {
+    const { alert, error } = await createAlertFromText(req.body.spec);
+    res.redirect(adminUrl("/alerts", error ? adminNoticeParams(markdownToText(error), true) : adminNoticeParams(`✅ تم ضبط التنبيه: ${markdownToText(formatAlertCondition(alert))}`)));
+}));
 
-// =================================================================
-// SECTION 4.5: DAILY & CUMULATIVE REPORTING
-// =================================================================
-async function formatDailyCopyReport() { const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000); const closedTrades = await getCollection("tradeHistory").find({ closedAt: { $gte: twentyFourHoursAgo } }).toArray(); if (closedTrades.length === 0) { return "📊 لم يتم إغلاق أي صفقات في الـ 24 ساعة الماضية."; } const today = new Date(); const dateString = `${today.getDate().toString().padStart(2, '0')}/${(today.getMonth() + 1).toString().padStart(2, '0')}/${today.getFullYear()}`; let report = `📊 تقرير النسخ اليومي – خلال الـ24 ساعة الماضية\n🗓 التاريخ: ${dateString}\n\n`; let totalPnlWeightedSum = 0; let totalWeight = 0; for (const trade of closedTrades) { if (trade.pnlPercent === undefined || trade.entryCapitalPercent === undefined) continue; const resultEmoji = trade.pnlPercent >= 0 ? '🔼' : '🔽'; report += `🔸اسم العملة: ${trade.asset}\n`; report += `🔸 نسبة الدخول من رأس المال: ${formatNumber(trade.entryCapitalPercent)}%\n`; report += `🔸 متوسط سعر الشراء: ${formatNumber(trade.avgBuyPrice, 4)}\n`; report += `🔸 سعر الخروج: ${formatNumber(trade.avgSellPrice, 4)}\n`; report += `🔸 نسبة الخروج من الكمية: ${formatNumber(trade.exitQuantityPercent)}%\n`; report += `🔸 النتيجة: ${trade.pnlPercent >= 0 ? '+' : ''}${formatNumber(trade.pnlPercent)}% ${resultEmoji}\n\n`; if (trade.entryCapitalPercent > 0) { totalPnlWeightedSum += trade.pnlPercent * trade.entryCapitalPercent; totalWeight += trade.entryCapitalPercent; } } const totalPnl = totalWeight > 0 ? totalPnlWeightedSum / totalWeight : 0; const totalPnlEmoji = totalPnl >= 0 ? '📈' : '📉'; report += `إجمالي الربح الحالي خدمة النسخ: ${totalPnl >= 0 ? '+' : ''}${formatNumber(totalPnl, 2)}% ${totalPnlEmoji}\n\n`; report += `✍️ يمكنك الدخول في اي وقت تراه مناسب، الخدمة مفتوحة للجميع\n\n`; report += `📢 قناة التحديثات الرسمية:\n@abusalamachart\n\n`; report += `🌐 رابط النسخ المباشر:\n🏦 https://t.me/abusalamachart`; return report; }
-async function runDailyReportJob() { try { await sendDebugMessage("Running daily copy-trading report job..."); const report = await formatDailyCopyReport(); if (report.startsWith("📊 لم يتم إغلاق أي صفقات")) { await bot.api.sendMessage(AUTHORIZED_USER_ID, report); } else { await bot.api.sendMessage(process.env.TARGET_CHANNEL_ID, report); await bot.api.sendMessage(AUTHORIZED_USER_ID, "✅ تم إرسال تقرير النسخ اليومي إلى القناة بنجاح."); } } catch(e) { console.error("Error in runDailyReportJob:", e); await bot.api.sendMessage(AUTHORIZED_USER_ID, `❌ حدث خطأ أثناء إنشاء تقرير النسخ اليومي: ${e.message}`); } }
-async function generateAndSendCumulativeReport(ctx, asset) { try { const trades = await getCollection("tradeHistory").find({ asset: asset }).toArray(); if (trades.length === 0) { await ctx.reply(`ℹ️ لا يوجد سجل صفقات مغلقة لعملة *${asset}*.`, { parse_mode: "Markdown" }); return; } const totalPnl = trades.reduce((sum, trade) => sum + (trade.pnl || 0), 0); const totalRoi = trades.reduce((sum, trade) => sum + (trade.pnlPercent || 0), 0); const avgRoi = trades.length > 0 ? totalRoi / trades.length : 0; const winningTrades = trades.filter(t => (t.pnl || 0) > 0).length; const winRate = trades.length > 0 ? (winningTrades / trades.length) * 100 : 0; const bestTrade = trades.reduce((max, trade) => (trade.pnlPercent || 0) > (max.pnlPercent || 0) ? trade : max, trades[0]); const worstTrade = trades.reduce((min, trade) => (min.pnlPercent !== undefined && (trade.pnlPercent || 0) < min.pnlPercent) ? trade : min, { pnlPercent: 0}); const impactSign = totalPnl >= 0 ? '+' : ''; const impactEmoji = totalPnl >= 0 ? '🟢' : '🔴'; const winRateEmoji = winRate >= 50 ? '✅' : '⚠️'; let report = `*تحليل الأثر التراكمي | ${asset}* 🔬\n\n`; report += `*الخلاصة الاستراتيجية:*\n`; report += `تداولاتك في *${asset}* أضافت ما قيمته \`${impactSign}$${formatNumber(totalPnl)}\` ${impactEmoji} إلى محفظتك بشكل تراكمي.\n\n`; report += `*ملخص الأداء التاريخي:*\n`; report += ` ▪️ *إجمالي الصفقات:* \`${trades.length}\`\n`; report += ` ▪️ *معدل النجاح (Win Rate):* \`${formatNumber(winRate)}%\` ${winRateEmoji}\n`; report += ` ▪️ *متوسط العائد (ROI):* \`${formatNumber(avgRoi)}%\`\n\n`; report += `*أبرز الصفقات:*\n`; report += ` 🏆 *أفضل صفقة:* ربح بنسبة \`${formatNumber(bestTrade.pnlPercent)}%\`\n`; report += ` 💔 *أسوأ صفقة:* ${worstTrade.pnlPercent < 0 ? 'خسارة' : 'ربح'} بنسبة \`${formatNumber(worstTrade.pnlPercent)}%\`\n\n`; report += `*توصية استراتيجية خاصة:*\n`; if (avgRoi > 5 && winRate > 60) { report += `أداء *${asset}* يتفوق على المتوسط بشكل واضح. قد تفكر في زيادة حجم صفقاتك المستقبلية فيها.`; } else if (totalPnl < 0) { report += `أداء *${asset}* سلبي. قد ترغب في مراجعة استراتيجيتك لهذه العملة أو تقليل المخاطرة فيها.`; } else { report += `أداء *${asset}* يعتبر ضمن النطاق المقبول. استمر في المراقبة والتحليل.`; } await ctx.reply(report, { parse_mode: "Markdown" }); } catch(e) { console.error(`Error generating cumulative report for ${asset}:`, e); await ctx.reply("❌ حدث خطأ أثناء إنشاء التقرير."); } }
+adminRouter.get("/alerts/edit", adminHandler(async (req, res) => {
+    const alert = await getAlert(req.query.id);
+    if (!alert) return res.redirect(adminUrl("/alerts", adminNoticeParams("لم يعد هذا التنبيه موجودًا.", true)));
+    const body = renderAlertEditPage({ alert: { ...alert, condition: markdownToText(formatAlertCondition(alert)) }, help: markdownToText(ALERT_HELP), csrf: adminCsrfToken(adminSettings) });
+    sendAdminPage(req, res, "تعديل التنبيه", "/alerts", body);
+}));
+
+adminRouter.post("/alerts/edit", adminHandler(async (req, res) => {
+    // Without an existing alert, createAlertFromText would add a new one instead of editing.
+    if (!req.query.id || !(await getAlert(req.query.id))) return res.status(404).send("Alert not found");
+    const { alert, error } = await createAlertFromText(req.body.spec, req.query.id);
+    if (error) return res.redirect(adminUrl("/alerts/edit", { id: req.query.id, ...adminNoticeParams(markdownToText(error), true) }));
+    res.redirect(adminUrl("/alerts", adminNoticeParams(`✅ تم تعديل التنبيه: ${markdownToText(formatAlertCondition(alert))}`)));
+}));
+
+adminRouter.get("/virtual-trades", adminHandler(async (req, res) => {
+    const all = (await getCollection("virtualTrades").find({}).sort({ createdAt: -1 }).toArray()).map(normalizeVirtualTrade);
+    const prices = await marketData.getMarketPrices();
+    const trades = all.filter(t => (!req.query.status || t.status === req.query.status) && matchesQuery([t.instId], req.query.q))
+        .map(t => ({ ...t, currentPrice: prices?.[t.instId]?.price ?? null, result: virtualTradeResult(t) }));
+    const body = renderVirtualTradesPage({
+        trades, query: req.query, stats: calculateVirtualTradeStats(all), csrf: adminCsrfToken(adminSettings),
+        addHelp: markdownToText(VIRTUAL_TRADE_ADD_HELP), editHelp: markdownToText(VIRTUAL_TRADE_EDIT_HELP).split("\n").slice(1).join(" | "),
+    });
+    sendAdminPage(req, res, "التوصيات الافتراضية", "/virtual-trades", body);
+}));
+
+adminRouter.post("/virtual-trades", adminHandler(async (req, res) => {
+    let done = 0;
+    const errors = [];
+    const prices = await marketData.getMarketPrices();
+    for (const id of selectedIds(req.body)) {
+        const trade = await getVirtualTrade(id);
+        if (!trade) continue;
+        const currentPrice = prices?.[trade.instId]?.price;
+        if (req.body.action === 'delete') {
+            if (trade.status === 'active') {
+                errors.push(`${trade.instId}: أغلق التوصية قبل حذفها.`);
+                continue;
+            }
+            await getCollection("virtualTrades").deleteOne({ _id: id });
+        } else if (trade.status !== 'active') {
+            errors.push(`${trade.instId}: لم تعد هذه التوصية نشطة.`);
+            continue;
+        } else if (!currentPrice) {
+            errors.push(`${trade.instId}: تعذر جلب السعر الحالي.`);
+            continue;
+        } else if (req.body.action === 'close') {
+            const { trade: closed } = closeVirtualTrade(trade, currentPrice);
+            const { _id, ...fields } = closed;
+            await updateVirtualTrade(_id, fields);
+        } else if (req.body.action === 'edit') {
+            const changes = parseVirtualTradeEdit(req.body.value, trade, currentPrice);
+            if (changes.error) {
+                errors.push(`${trade.instId}: ${changes.error}`);
+                continue;
+            }
+            await updateVirtualTrade(trade._id, changes);
+        }
+        done++;
+    }
+    res.redirect(adminUrl("/virtual-trades", bulkNotice(done, errors)));
+}));
+
+adminRouter.post("/virtual-trades/new", adminHandler(async (req, res) => {
+    const tradeData = parseVirtualTrade(req.body.details);
+    if (tradeData.error) return res.redirect(adminUrl("/virtual-trades", adminNoticeParams(markdownToText(tradeData.error), true)));
+    await saveVirtualTrade({ ...tradeData, createdAt: new Date() });
+    res.redirect(adminUrl("/virtual-trades", adminNoticeParams(`✅ تمت إضافة توصية ${tradeData.instId}.`)));
+}));
+
+adminRouter.get("/history", adminHandler(async (req, res) => {
+    const range = parseDateRange(req.query.from, req.query.to);
+    if (range.error) return res.redirect(adminUrl("/history", { q: req.query.q, account: req.query.account, ...adminNoticeParams(range.error, true) }));
+    const filter = {};
+    if (req.query.account && req.query.account !== ALL_ACCOUNTS) Object.assign(filter, accountFilter(req.query.account));
+    if (range.from || range.to) filter.closedAt = { ...(range.from ? { $gte: range.from } : {}), ...(range.to ? { $lte: range.to } : {}) };
+    const trades = (await getCollection("tradeHistory").find(filter).sort({ closedAt: -1 }).toArray()).filter(t => matchesQuery([t.asset], req.query.q));
+    const wins = trades.filter(t => t.pnl > 0).length;
+    const summary = { count: trades.length, pnl: trades.reduce((sum, t) => sum + (t.pnl || 0), 0), winRate: trades.length > 0 ? wins / trades.length * 100 : 0 };
+    const { items, page, pages } = paginate(trades, req.query.page);
+    const rows = items.map(t => ({ ...t, accountName: getAccount(t.accountId || DEFAULT_ACCOUNT_ID)?.name || t.accountId }));
+    const query = { q: req.query.q, account: req.query.account, from: req.query.from, to: req.query.to };
+    sendAdminPage(req, res, "سجل الصفقات", "/history", renderHistoryPage({ trades: rows, summary, page, pages, query, accountOptions: adminAccountOptions(), csrf: adminCsrfToken(adminSettings) }));
+}));
+
+adminRouter.post("/history", adminHandler(async (req, res) => {
+    const ids = selectedIds(req.body);
+    if (req.body.action === 'delete' && ids.length > 0) await getCollection("tradeHistory").deleteMany({ _id: { $in: ids } });
+    res.redirect(adminUrl("/history", { q: req.query.q, account: req.query.account, from: req.query.from, to: req.query.to, ...bulkNotice(ids.length, []) }));
+}));
+
+adminRouter.get("/settings", adminHandler(async (req, res) => {
+    const capitals = [];
+    for (const account of accounts) capitals.push({ accountId: account.id, name: account.name, value: (await getConfig(scopedConfigId("capital", account.id), { value: 0 })).value || 0 });
+    const body = renderSettingsPage({ settings: await loadSettings(), alertSettings: await loadAlertSettings(), tradingLimits: await loadTradingLimits(), capitals, csrf: adminCsrfToken(adminSettings) });
+    sendAdminPage(req, res, "الإعدادات", "/settings", body);
+}));
+
+adminRouter.post("/settings", adminHandler(async (req, res) => {
+    const parsed = parseSettingsForm(req.body, accounts.map(a => a.id));
+    if (parsed.error) return res.redirect(adminUrl("/settings", adminNoticeParams(parsed.error, true)));
+    await saveSettings({ ...(await loadSettings()), ...parsed.settings });
+    await saveAlertSettings({ ...(await loadAlertSettings()), ...parsed.alertSettings });
+    await saveTradingLimits(parsed.tradingLimits);
+    for (const account of accounts) {
+        const current = (await getConfig(scopedConfigId("capital", account.id), { value: 0 })).value || 0;
+        if (parsed.capitals[account.id] !== current) await saveCapital(account.id, parsed.capitals[account.id]);
+    }
+    res.redirect(adminUrl("/settings", adminNoticeParams("✅ تم حفظ الإعدادات.")));
+}));
 
 // =================================================================
 // SECTION 5: BOT SETUP, KEYBOARDS, AND HANDLERS
@@ -404,15 +1796,223 @@ const mainKeyboard = new Keyboard()
     .text("⚡ إحصائيات سريعة").text("📈 تحليل تراكمي").row()
     .text("🔍 مراجعة الصفقات").text("ℹ️ معلومات عملة").row() // New button added here
     .text("🧮 حاسبة الربح والخسارة").text("⚙️ الإعدادات").row()
+    .text("🔔 التنبيهات").text("🔀 تبديل الحساب").row()
+    .text("⚠️ تحليل المخاطر").row()
     .resized();
-const virtualTradeKeyboard = new InlineKeyboard().text("➕ إضافة توصية جديدة", "add_virtual_trade").row().text("📈 متابعة التوصيات الحية", "track_virtual_trades");
-async function sendSettingsMenu(ctx) { const settings = await loadSettings(); const settingsKeyboard = new InlineKeyboard().text("💰 تعيين رأس المال", "set_capital").text("💼 عرض المراكز المفتوحة", "view_positions").row().text("🚨 إدارة تنبيهات الحركة", "manage_movement_alerts").text("🗑️ حذف تنبيه سعر", "delete_alert").row().text(`📰 الملخص اليومي: ${settings.dailySummary ? '✅' : '❌'}`, "toggle_summary").text(`🚀 النشر للقناة: ${settings.autoPostToChannel ? '✅' : '❌'}`, "toggle_autopost").row().text(`🐞 وضع التشخيص: ${settings.debugMode ? '✅' : '❌'}`, "toggle_debug").text("📊 إرسال تقرير النسخ", "send_daily_report").row().text("🔥 حذف جميع البيانات 🔥", "delete_all_data"); const text = "⚙️ *لوحة التحكم والإعدادات الرئيسية*"; try { if (ctx.callbackQuery) { await ctx.editMessageText(text, { parse_mode: "Markdown", reply_markup: settingsKeyboard }); } else { await ctx.reply(text, { parse_mode: "Markdown", reply_markup: settingsKeyboard }); } } catch(e) { console.error("Error sending settings menu:", e); } }
-async function sendMovementAlertsMenu(ctx) { const alertSettings = await loadAlertSettings(); const text = `🚨 *إدارة تنبيهات حركة الأسعار*\n\n- *النسبة العامة الحالية:* \`${alertSettings.global}%\`.\n- يمكنك تعيين نسبة مختلفة لعملة معينة.`; const keyboard = new InlineKeyboard().text("📊 تعديل النسبة العامة", "set_global_alert").text("💎 تعديل نسبة عملة", "set_coin_alert").row().text("🔙 العودة للإعدادات", "back_to_settings"); await ctx.editMessageText(text, { parse_mode: "Markdown", reply_markup: keyboard }); }
+// Shared by the bot's prompts and the web dashboard.
+const VIRTUAL_TRADE_ADD_HELP = "✍️ *لإضافة توصية افتراضية، أرسل التفاصيل في 5 أسطر منفصلة:*\n\n`BTC-USDT`\n`65000` (سعر الدخول)\n`68000 70000` (هدف أو أكثر، تُقسم الكمية بينها بالتساوي أو حسب `68000:60 70000:40`)\n`62000` (وقف الخسارة)\n`1000` (المبلغ الافتراضي)\n\n*سطر سادس اختياري للخيارات:*\n`be` نقل الوقف للدخول بعد الهدف الأول\n`trail 3` وقف متحرك بنسبة 3%\n`slip 0.2` انزلاق تنفيذ الوقف (الافتراضي 0.1%)\n\n**ملاحظة:** *لا تكتب كلمات مثل 'دخول' أو 'هدف'، فقط الأرقام والرمز.*";
+const VIRTUAL_TRADE_EDIT_HELP = "أرسل التعديلات المطلوبة (واحد أو أكثر):\n`sl 63000` وقف خسارة جديد\n`tp 70000 72000` أهداف جديدة بدل غير المحققة\n`trail 3` وقف متحرك (`trail 0` لإلغائه)\n`be on` أو `be off` نقل الوقف للدخول بعد الهدف الأول";
+const virtualTradeKeyboard = new InlineKeyboard().text("➕ إضافة توصية جديدة", "add_virtual_trade").row().text("📈 متابعة التوصيات الحية", "track_virtual_trades").row().text("📜 سجل التوصيات", "virtual_trades_history");
+async function sendSettingsMenu(ctx) { const settings = await loadSettings(); const { method: costMethod } = await loadLedgerSettings(); const settingsKeyboard = new InlineKeyboard().text("💰 تعيين رأس المال", "set_capital").text("💼 عرض المراكز المفتوحة", "view_positions").row().text("🚨 إدارة تنبيهات الحركة", "manage_movement_alerts").text("🔔 إدارة التنبيهات", "manage_alerts").row().text("💸 سجل التدفقات النقدية", "view_cash_flows").text("⏰ جدولة المهام", "view_schedules").row().text("🛡️ حدود التداول", "view_trading_limits").text("⚖️ إعادة التوازن", "manage_rebalance").row().text(`📰 الملخص اليومي: ${settings.dailySummary ? '✅' : '❌'}`, "toggle_summary").text(`🚀 النشر التلقائي للقناة: ${settings.autoPostToChannel ? '✅' : '❌'}`, "toggle_autopost").row().text(`🐞 وضع التشخيص: ${settings.debugMode ? '✅' : '❌'}`, "toggle_debug").text("📊 إرسال تقرير النسخ", "send_daily_report").row().text("📢 منشورات القناة", "view_publications").row().text(`⚠️ تقرير المخاطر الأسبوعي: ${settings.weeklyRiskReport !== false ? '✅' : '❌'}`, "toggle_risk_report").row().text(`🧾 حساب التكلفة: ${COST_METHOD_LABELS[costMethod]}`, "cycle_cost_method").row().text("🔥 حذف جميع البيانات 🔥", "delete_all_data"); const text = "⚙️ *لوحة التحكم والإعدادات الرئيسية*"; try { if (ctx.callbackQuery) { await ctx.editMessageText(text, { parse_mode: "Markdown", reply_markup: settingsKeyboard }); } else { await ctx.reply(text, { parse_mode: "Markdown", reply_markup: settingsKeyboard }); } } catch(e) { console.error("Error sending settings menu:", e); } }
+async function sendMovementAlertsMenu(ctx) {
+    const settings = await loadAlertSettings();
+    const keyboard = new InlineKeyboard()
+        .text("📊 تعديل النسبة العامة", "set_global_alert").text("💎 تعديل نسبة عملة", "set_coin_alert").row()
+        .text(`📏 المرجع: ${MOVEMENT_BASELINE_LABELS[settings.baseline]}`, "cycle_movement_baseline").row()
+        .text("🌙 ساعات الهدوء", "set_quiet_hours").text(`📰 وضع الملخص: ${settings.digest ? '✅' : '❌'}`, "toggle_movement_digest").row()
+        .text("🔙 العودة للإعدادات", "back_to_settings");
+    await ctx.editMessageText(formatMovementSettings(settings), { parse_mode: "Markdown", reply_markup: keyboard });
+}
+const ALERT_HELP = "*صيغ التنبيهات:*\n" +
+    "`BTC > 65000` السعر أعلى من مستوى (`<` للأدنى)\n" +
+    "`ETH -5%` حركة بنسبة عن السعر الحالي\n" +
+    "`BTC in 58000 62000` دخول نطاق سعري (`out` للخروج منه)\n" +
+    "`SOL rsi < 30` تقاطع مؤشر RSI(14) مع مستوى\n" +
+    "`BTC sma 50 up` اختراق المتوسط SMA(50) صعودًا (`down` هبوطًا)\n" +
+    "`BTC avg +10%` نسبة من متوسط شراء مركزك\n\n" +
+    "*خيارات في آخر السطر:*\n" +
+    "`repeat 30m` تكرار التنبيه مع فترة تهدئة، `exp 24h` مدة الصلاحية، `tf 4H` إطار المؤشرات (الافتراضي 1H)";
+
+async function sendAlertsMenu(ctx) {
+    const alerts = await loadAlerts();
+    const keyboard = new InlineKeyboard();
+    alerts.forEach((alert, i) => keyboard.text(`${i + 1}. ✏️ تعديل`, `edit_alert_${alert._id}`).text("😴 إيقاف مؤقت", `snooze_alert_${alert._id}`).text("🗑️ حذف", `del_alert_${alert._id}`).row());
+    keyboard.text("➕ تنبيه جديد", "new_alert");
+    const text = formatAlertsList(alerts);
+    if (ctx.callbackQuery) {
+        await ctx.editMessageText(text, { parse_mode: "Markdown", reply_markup: keyboard });
+    } else {
+        await ctx.reply(text, { parse_mode: "Markdown", reply_markup: keyboard });
+    }
+}
+
+async function sendSnoozeMenu(ctx, alert) {
+    const keyboard = new InlineKeyboard()
+        .text("ساعة", `snooze_alert_${alert._id}_60`).text("4 ساعات", `snooze_alert_${alert._id}_240`).text("يوم", `snooze_alert_${alert._id}_1440`).row();
+    if (alert.snoozedUntil && new Date(alert.snoozedUntil).getTime() > Date.now()) keyboard.text("🔔 استئناف الآن", `snooze_alert_${alert._id}_0`).row();
+    keyboard.text("🔙 العودة للتنبيهات", "manage_alerts");
+    await ctx.editMessageText(`😴 *إيقاف التنبيه مؤقتًا*\n${formatAlertCondition(alert)}\n\nاختر مدة الإيقاف:`, { parse_mode: "Markdown", reply_markup: keyboard });
+}
+
+// Active virtual trades with edit and close buttons for each.
+async function sendVirtualTradesList(ctx) {
+    const activeTrades = await getActiveVirtualTrades();
+    if (activeTrades.length === 0) {
+        await ctx.editMessageText("✅ لا توجد توصيات افتراضية نشطة حاليًا.", { reply_markup: virtualTradeKeyboard });
+        return;
+    }
+    const prices = await marketData.getMarketPrices();
+    if (!prices || prices.error) {
+        await ctx.editMessageText(`❌ فشل جلب الأسعار، لا يمكن متابعة التوصيات.`, { reply_markup: virtualTradeKeyboard });
+        return;
+    }
+    const keyboard = new InlineKeyboard();
+    activeTrades.forEach((trade, i) => {
+        keyboard.text(`✏️ ${i + 1}. ${trade.instId}`, `vt_edit_${trade._id}`).text(`🔒 إغلاق ${i + 1}`, `vt_close_${trade._id}`).row();
+    });
+    keyboard.text("📜 سجل التوصيات", "virtual_trades_history");
+    await ctx.editMessageText(formatVirtualTradesList(activeTrades, prices), { parse_mode: "Markdown", reply_markup: keyboard });
+}
+
+// Builds and stores an alert from its text definition; with `alertId`, it replaces that alert. Average-price alerts
+// follow the positions of `accountId` (the default active account when not given). -> { alert } or { error, usage }
+async function createAlertFromText(text, alertId = null, accountId = null) {
+    const spec = parseAlertSpec(text);
+    if (spec.error) return { error: spec.error, usage: true };
+    const prices = await marketData.getMarketPrices();
+    const price = prices?.[spec.instId]?.price;
+    if (!price) return { error: `❌ لم يتم العثور على سعر \`${spec.instId}\`.` };
+    const alert = initialAlertState(spec, price);
+    if (spec.type === 'avg') {
+        alert.accountId = accountId || await getActiveAccountId();
+        if (!(await loadMergedPositions(alert.accountId))[spec.asset]) return { error: `ℹ️ لا يوجد مركز مفتوح في *${spec.asset}* لحساب متوسط الشراء.` };
+    }
+    if (alertId) {
+        const previous = await getAlert(alertId);
+        if (!previous) return { error: "ℹ️ لم يعد هذا التنبيه موجودًا." };
+        // The whole definition changes, so the old document is replaced; it keeps its id and place in the list.
+        await deleteAlert(alertId);
+        Object.assign(alert, { _id: alertId, createdAt: previous.createdAt });
+    }
+    await saveAlert(alert);
+    marketData.setWatchList("alerts", (await loadAlerts()).map(a => a.instId));
+    return { alert };
+}
+async function saveAlertFromText(ctx, text, alertId = null) {
+    const { alert, error, usage } = await createAlertFromText(text, alertId, await getActiveAccountId(ctx));
+    if (error) {
+        await ctx.reply(usage ? `❌ *${error}*\n\n${ALERT_HELP}` : error, { parse_mode: "Markdown" });
+        return;
+    }
+    const keyboard = new InlineKeyboard().text("🔔 عرض التنبيهات", "manage_alerts");
+    await ctx.reply(`✅ *تم ${alertId ? 'تعديل' : 'ضبط'} التنبيه:* ${formatAlertCondition(alert)}`, { parse_mode: "Markdown", reply_markup: keyboard });
+}
+
+const WEEKDAY_NAMES_AR = ["الأحد", "الاثنين", "الثلاثاء", "الأربعاء", "الخميس", "الجمعة", "السبت"];
+function describeSchedule(schedule) { if (schedule.every) return schedule.every < 60 * 1000 ? `كل ${schedule.every / 1000} ثانية` : `كل ${schedule.every / 60000} دقيقة`; if (schedule.hourly !== undefined) return `كل ساعة عند الدقيقة ${String(schedule.hourly).padStart(2, '0')}`; if (schedule.daily) return `يوميًا الساعة ${schedule.daily}`; if (schedule.weekly) return `أسبوعيًا يوم ${WEEKDAY_NAMES_AR[schedule.weekly.day]} الساعة ${schedule.weekly.time}`; return "غير محدد"; }
+async function sendSchedulesMenu(ctx) {
+    const statuses = await getJobStatuses();
+    const formatTime = (date) => date ? new Date(date).toLocaleString("ar-EG", { timeZone: "Africa/Cairo" }) : "لم يعمل بعد";
+    let text = `⏰ *جدولة المهام الخلفية* (بتوقيت القاهرة)\n`;
+    statuses.forEach(job => {
+        const statusEmoji = job.running ? '⏳' : job.lastStatus === 'error' ? '❌' : job.lastStatus === 'ok' ? '✅' : '▫️';
+        text += `\n${statusEmoji} *${job.label}*\n`;
+        text += `   ▪️ *الجدول:* ${describeSchedule(job.schedule)}\n`;
+        text += `   ▪️ *آخر تشغيل:* ${formatTime(job.lastRunAt)}\n`;
+        if (!job.schedule.every && job.nextRunAt) text += `   ▪️ *التشغيل القادم:* ${formatTime(job.nextRunAt)}\n`;
+        if (job.lastStatus === 'error' && job.lastError) text += `   ▪️ *آخر خطأ:* \`${job.lastError.replace(/`/g, "'")}\`\n`;
+    });
+    const keyboard = new InlineKeyboard().text("🕙 تغيير وقت التقرير اليومي", "set_report_time").row().text("🔄 تحديث", "view_schedules").text("🔙 العودة للإعدادات", "back_to_settings");
+    try { await ctx.editMessageText(text, { parse_mode: "Markdown", reply_markup: keyboard }); } catch (e) { if (!String(e.description || e.message).includes("message is not modified")) throw e; }
+}
+
+async function sendTradingLimitsMenu(ctx) {
+    const limits = await loadTradingLimits();
+    const describe = (value, text) => value > 0 ? text : "معطّل";
+    let text = `🛡️ *حدود التداول*\n━━━━━━━━━━━━━━━━━━━━\n`;
+    text += ` ▪️ *الحد الأقصى للأمر الواحد:* ${describe(limits.maxOrderUsd, `\`$${formatNumber(limits.maxOrderUsd)}\``)}\n`;
+    text += ` ▪️ *الحد الأقصى لوزن الأصل بعد الشراء:* ${describe(limits.maxPortfolioPercent, `\`${formatNumber(limits.maxPortfolioPercent)}%\``)}\n`;
+    text += ` ▪️ *حد الخسارة اليومية المحققة:* ${describe(limits.dailyLossLimitUsd, `\`$${formatNumber(limits.dailyLossLimitUsd)}\``)}\n`;
+    text += `━━━━━━━━━━━━━━━━━━━━\n*ملاحظة:* تنطبق الحدود على أوامر الشراء فقط، فالبيع يخفف المخاطر ولا يُمنع.`;
+    const keyboard = new InlineKeyboard().text("✏️ تعديل الحدود", "set_trading_limits").row().text("🔙 العودة للإعدادات", "back_to_settings");
+    await ctx.editMessageText(text, { parse_mode: "Markdown", reply_markup: keyboard });
+}
+
+// NEW: Only known users get an answer, and their role decides which buttons and commands they may use.
+// Answers to the bot's prompts are checked when the prompt starts, so plain text only needs "view".
+bot.use(async (ctx, next) => {
+    const role = ctx.from ? roleOf(await loadBotUsers(), ctx.from.id) : null;
+    if (!role) {
+        console.log(`Unauthorized access attempt by user ID: ${ctx.from?.id}`);
+        return;
+    }
+    const command = ctx.message?.text?.match(/^\/([A-Za-z0-9_]+)/)?.[1];
+    const permission = ctx.callbackQuery ? callbackPermission(ctx.callbackQuery.data || '') : command ? commandPermission(command.toLowerCase()) : "view";
+    if (!hasPermission(role, permission)) {
+        const denied = `🚫 ليس لديك صلاحية لهذا الإجراء (صلاحيتك: ${ROLE_LABELS[role]}).`;
+        if (ctx.callbackQuery) await ctx.answerCallbackQuery({ text: denied, show_alert: true });
+        else await ctx.reply(denied);
+        return;
+    }
+    ctx.role = role;
+    await next();
+});
+
+// NEW: Conversation state lives in a grammY session per user in each chat, stored in MongoDB, so two people (or
+// two chats) answering prompts at the same time never overwrite each other's state.
+// A session also keeps the user's active account, so it lives a month after their last message.
+const SESSION_TTL_SECONDS = 30 * 24 * 60 * 60;
+async function ensureSessionIndexes() { try { await getCollection("sessions").createIndex({ updatedAt: 1 }, { expireAfterSeconds: SESSION_TTL_SECONDS }); } catch (e) { console.error("Error creating session indexes:", e); } }
+bot.use(session({ initial: () => ({ prompt: null }), getSessionKey: sessionKey, storage: createSessionStorage(() => getCollection("sessions")) }));
+
+const cancelPromptKeyboard = new InlineKeyboard().text("❌ إلغاء", "cancel_prompt");
+const MAIN_KEYBOARD_LABELS = mainKeyboard.keyboard.flat().map(button => typeof button === "string" ? button : button.text);
+// Waits for this user's next message in this chat; `data` is what the answer applies to (an alert id, a position...).
+function startPrompt(ctx, state, data = null) { ctx.session.prompt = createPrompt(state, data); }
+async function cancelPrompt(ctx) {
+    const hadPrompt = Boolean(ctx.session.prompt);
+    ctx.session.prompt = null;
+    const text = hadPrompt ? "❌ تم إلغاء العملية." : "ℹ️ لا توجد عملية بانتظار ردك.";
+    if (ctx.callbackQuery) await ctx.editMessageText(text);
+    else await ctx.reply(text, { reply_markup: mainKeyboard });
+}
 
-bot.use(async (ctx, next) => { if (ctx.from?.id === AUTHORIZED_USER_ID) { await next(); } else { console.log(`Unauthorized access attempt by user ID: ${ctx.from?.id}`); } });
+// /users: lists the bot's users, or adds, changes or removes one (owners only).
+async function handleUsersCommand(ctx) {
+    const parsed = parseUsersCommand(ctx.match);
+    const users = await loadBotUsers();
+    if (parsed.error) {
+        await ctx.reply(`❌ ${escapeMarkdown(parsed.error)}\n\n${formatBotUsers(users)}`, { parse_mode: "Markdown" });
+        return;
+    }
+    if (parsed.action === 'list') {
+        await ctx.reply(formatBotUsers(users), { parse_mode: "Markdown" });
+        return;
+    }
+    if (parsed.id === AUTHORIZED_USER_ID) {
+        await ctx.reply("ℹ️ المالك المحدد في إعدادات الخادم (AUTHORIZED_USER_ID) يبقى مالكًا دائمًا.");
+        return;
+    }
+    const existing = users.find(u => u.id === parsed.id);
+    if (!existing && parsed.action !== 'add') {
+        await ctx.reply("ℹ️ هذا المستخدم غير موجود في القائمة.");
+        return;
+    }
+    let updated;
+    if (parsed.action === 'remove') updated = users.filter(u => u.id !== parsed.id);
+    else if (parsed.action === 'role') updated = users.map(u => u.id === parsed.id ? { ...u, role: parsed.role } : u);
+    else updated = [...users.filter(u => u.id !== parsed.id), { id: parsed.id, role: parsed.role, name: parsed.name || existing?.name || null, addedAt: existing?.addedAt || new Date() }];
+    await saveBotUsers(updated);
+    let notice = parsed.action === 'remove' ? "✅ *تم حذف المستخدم.*" : `✅ *${existing ? 'تم تحديث صلاحية' : 'تمت إضافة'} المستخدم:* ${ROLE_LABELS[parsed.role]}`;
+    if (parsed.action !== 'remove') {
+        try {
+            await bot.api.sendMessage(parsed.id, `👋 *أصبح لديك وصول إلى البوت بصلاحية:* ${ROLE_LABELS[parsed.role]}`, { parse_mode: "Markdown", reply_markup: mainKeyboard });
+        } catch (e) {
+            notice += "\n⚠️ تعذر مراسلة المستخدم، يجب أن يرسل /start إلى البوت أولاً.";
+        }
+    }
+    await ctx.reply(`${notice}\n\n${formatBotUsers(updated)}`, { parse_mode: "Markdown" });
+}
 
 bot.command("start", (ctx) => { const welcomeMessage = `🤖 *أهلاً بك في بوت التحليل المتكامل لمنصة OKX.*\n\n` + `*اضغط على الأزرار أدناه للبدء!*`; ctx.reply(welcomeMessage, { parse_mode: "Markdown", reply_markup: mainKeyboard }); });
 bot.command("settings", async (ctx) => { await sendSettingsMenu(ctx); });
+bot.command("buy", async (ctx) => { await handleOrderCommand(ctx, 'buy'); });
+bot.command("sell", async (ctx) => { await handleOrderCommand(ctx, 'sell'); });
+bot.command("backtest", async (ctx) => { await handleBacktestCommand(ctx); });
+bot.command("rebalance", async (ctx) => { await handleRebalanceCommand(ctx); });
+bot.command("tax", async (ctx) => { await handleTaxCommand(ctx); });
+bot.command("users", async (ctx) => { await handleUsersCommand(ctx); });
+bot.command("cancel", async (ctx) => { await cancelPrompt(ctx); });
 bot.command("pnl", async (ctx) => { const text = ctx.message.text || ''; const argsString = text.substring(text.indexOf(' ') + 1); const args = argsString.trim().split(/\s+/); if (args.length !== 3) { return await ctx.reply( `❌ *صيغة غير صحيحة.*\n*مثال:* \`/pnl <سعر الشراء> <سعر البيع> <الكمية>\`\n\n*مثلاً: /pnl 100 120 50*`, { parse_mode: "Markdown" } ); } const [buyPrice, sellPrice, quantity] = args.map(parseFloat); if (isNaN(buyPrice) || isNaN(sellPrice) || isNaN(quantity) || buyPrice <= 0 || sellPrice <= 0 || quantity <= 0) { return await ctx.reply("❌ *خطأ:* تأكد من أن جميع القيم هي أرقام موجبة وصحيحة."); } const investment = buyPrice * quantity; const saleValue = sellPrice * quantity; const pnl = saleValue - investment; const pnlPercent = (investment > 0) ? (pnl / investment) * 100 : 0; const status = pnl >= 0 ? "ربح ✅" : "خسارة 🔻"; const sign = pnl >= 0 ? '+' : ''; const msg = `🧮 *نتيجة حساب الربح والخسارة*\n\n` + ` ▪️ *إجمالي تكلفة الشراء:* \`$${formatNumber(investment)}\`\n` + ` ▪️ *إجمالي قيمة البيع:* \`$${formatNumber(saleValue)}\`\n` + `━━━━━━━━━━━━━━━━━━━━\n` + `*صافي الربح/الخسارة:* \`${sign}${formatNumber(pnl)}\` (\`${sign}${formatNumber(pnlPercent)}%\`)\n` + `**الحالة النهائية: ${status}**`; await ctx.reply(msg, { parse_mode: "Markdown" }); });
 
 // MODIFIED: Added handler for the new feature's callback
@@ -428,7 +2028,7 @@ bot.on("callback_query:data", async (ctx) => {
                 await ctx.editMessageText("❌ لم يتم العثور على الصفقة أو أنها لا تحتوي على بيانات الكمية اللازمة للتحليل. (الصفقات القديمة قد لا تدعم هذه الميزة).");
                 return;
             }
-            const prices = await okxAdapter.getMarketPrices();
+            const prices = await marketData.getMarketPrices();
             const currentPrice = prices[`${trade.asset}-USDT`]?.price;
             if (!currentPrice) {
                 await ctx.editMessageText(`❌ تعذر جلب السعر الحالي لعملة ${trade.asset}.`);
@@ -436,83 +2036,310 @@ bot.on("callback_query:data", async (ctx) => {
             }
             const reviewMessage = formatClosedTradeReview(trade, currentPrice);
             await ctx.editMessageText(reviewMessage, { parse_mode: "Markdown" });
+            const reviewPhoto = chartPhoto(await buildTradeReviewChart(trade, currentPrice));
+            if (reviewPhoto) await ctx.replyWithPhoto(reviewPhoto);
             return;
         }
 
         if (data.startsWith("chart_")) {
             const period = data.split('_')[1];
+            if (period === 'custom') {
+                startPrompt(ctx, 'performance_custom_range');
+                await ctx.editMessageText("✍️ يرجى إرسال الفترة بالصيغة التالية (من..إلى):\n`2024-01-01..2024-06-30`", { parse_mode: "Markdown", reply_markup: cancelPromptKeyboard });
+                return;
+            }
+            const range = resolvePerformancePeriod(period);
+            if (!range) return;
             await ctx.editMessageText("⏳ جاري إنشاء تقرير الأداء المتقدم...");
-            let history, periodLabel, bar, limit;
-            if (period === '24h') {
-                history = await loadHourlyHistory();
-                periodLabel = "آخر 24 ساعة";
-                bar = '1H';
-                limit = 24;
-            } else if (period === '7d') {
-                history = await loadHistory();
-                periodLabel = "آخر 7 أيام";
-                bar = '1D';
-                limit = 7;
-            } else if (period === '30d') {
-                history = await loadHistory();
-                periodLabel = "آخر 30 يومًا";
-                bar = '1D';
-                limit = 30;
-            } else { return; }
-            
-            const portfolioHistory = (period === '24h' ? history.slice(-24) : history.slice(-limit));
-            if (!portfolioHistory || portfolioHistory.length < 2) { await ctx.editMessageText("ℹ️ لا توجد بيانات كافية لهذه الفترة."); return; }
-            
-            const mappedHistory = portfolioHistory.map(h => ({ ...h, time: h.time || Date.parse(h.date || h.label)}));
-            const btcHistoryCandles = await getHistoricalCandles('BTC-USDT', bar, limit);
-            const report = await formatPerformanceReport(period, periodLabel, mappedHistory, btcHistoryCandles);
-
+            const report = await buildPerformanceReport(period, range, await getActiveAccountId(ctx));
             if (report.error) {
                 await ctx.editMessageText(report.error);
             } else {
-                await ctx.replyWithPhoto(report.chartUrl, { caption: report.caption, parse_mode: "Markdown" });
+                await sendPerformanceReport(ctx, report);
                 await ctx.deleteMessage();
             }
             return;
         }
 
-        if (data === "publish_report" || data === "ignore_report") {
-            const originalMessage = ctx.callbackQuery.message;
-            if (!originalMessage) return;
-            const originalText = originalMessage.text;
-            const reportMarkerStart = originalText.indexOf("<report>");
-            const reportMarkerEnd = originalText.indexOf("</report>");
-            if (reportMarkerStart !== -1) {
-                const privatePart = originalText.substring(0, reportMarkerStart);
-                if (data === "publish_report") {
-                    if (reportMarkerEnd !== -1) {
-                        const reportContentString = originalText.substring(reportMarkerStart + 8, reportMarkerEnd);
-                        const reportContent = JSON.parse(reportContentString);
-                        await bot.api.sendMessage(process.env.TARGET_CHANNEL_ID, reportContent, { parse_mode: "Markdown" });
-                        const newText = privatePart.replace('*تم إغلاق المركز بنجاح. هل تود نشر الملخص في القناة؟*', '✅ *تم نشر التقرير بنجاح في القناة.*');
-                        await ctx.editMessageText(newText, { reply_markup: undefined, parse_mode: 'Markdown' });
+        if (data.startsWith("sell_pct_")) {
+            const [, , percent, asset, ...accountIdParts] = data.split('_');
+            const preview = await prepareOrder(accountIdParts.join('_'), 'sell', { asset, percent: parseFloat(percent) });
+            if (preview.error) {
+                await ctx.reply(preview.error, { parse_mode: "Markdown" });
+            } else {
+                await sendOrderPreview(ctx, preview);
+            }
+            return;
+        }
+
+        if (data.startsWith("edit_alert_") || data.startsWith("snooze_alert_") || data.startsWith("del_alert_")) {
+            const [action, , alertId, minutes] = data.split('_');
+            const alert = await getAlert(alertId);
+            if (!alert) {
+                await ctx.editMessageText("ℹ️ لم يعد هذا التنبيه موجودًا.", { reply_markup: new InlineKeyboard().text("🔔 عرض التنبيهات", "manage_alerts") });
+                return;
+            }
+            if (action === 'edit') {
+                startPrompt(ctx, 'edit_alert', alertId);
+                await ctx.reply(`✏️ *تعديل التنبيه:* ${formatAlertCondition(alert)}\n\nأرسل التعريف الجديد للتنبيه.\n\n${ALERT_HELP}`, { parse_mode: "Markdown", reply_markup: cancelPromptKeyboard });
+                return;
+            }
+            if (action === 'snooze' && minutes === undefined) {
+                await sendSnoozeMenu(ctx, alert);
+                return;
+            }
+            if (action === 'snooze') await updateAlert(alertId, { snoozedUntil: parseInt(minutes) > 0 ? new Date(Date.now() + parseInt(minutes) * 60 * 1000) : null });
+            if (action === 'del') await deleteAlert(alertId);
+            await sendAlertsMenu(ctx);
+            return;
+        }
+
+        if (data.startsWith("vt_edit_") || data.startsWith("vt_close_")) {
+            const [, action, tradeId] = data.split('_');
+            const trade = await getVirtualTrade(tradeId);
+            if (!trade || trade.status !== 'active') {
+                await ctx.editMessageText("ℹ️ لم تعد هذه التوصية نشطة.", { reply_markup: virtualTradeKeyboard });
+                return;
+            }
+            if (action === 'edit') {
+                startPrompt(ctx, 'edit_virtual_trade', tradeId);
+                await ctx.reply(`✏️ *تعديل توصية ${trade.instId}*\n\n${VIRTUAL_TRADE_EDIT_HELP}`, { parse_mode: "Markdown", reply_markup: cancelPromptKeyboard });
+                return;
+            }
+            const prices = await marketData.getMarketPrices();
+            const currentPrice = prices?.[trade.instId]?.price;
+            if (!currentPrice) {
+                await ctx.editMessageText("❌ تعذر جلب السعر الحالي، لم يتم إغلاق التوصية.", { reply_markup: virtualTradeKeyboard });
+                return;
+            }
+            const { trade: closed, event } = closeVirtualTrade(trade, currentPrice);
+            const { _id, ...fields } = closed;
+            await updateVirtualTrade(_id, fields);
+            await ctx.editMessageText(formatVirtualTradeEvent(closed, event), { parse_mode: "Markdown", reply_markup: virtualTradeKeyboard });
+            return;
+        }
+
+        if (data.startsWith("position_") || data.startsWith("protect_") || data.startsWith("unprotect_")) {
+            const [action, asset, ...accountIdParts] = data.split('_');
+            const accountId = accountIdParts.join('_');
+            if (action === 'protect') {
+                startPrompt(ctx, 'set_protection', { accountId, asset });
+                await ctx.reply(`🛡️ أرسل مستويات حماية مركز *${asset}* بالترتيب: *الهدف ثم الوقف ثم نسبة الوقف المتحرك*\n\nيمكن كتابة السعر مباشرة أو كنسبة من متوسط الشراء، واستخدم \`-\` لترك المستوى فارغًا.\n*أمثلة:*\n\`+20% -8% -\`\n\`75000 58000 5\``, { parse_mode: "Markdown", reply_markup: cancelPromptKeyboard });
+                return;
+            }
+            if (action === 'unprotect') await removePositionProtection(accountId, asset);
+            await sendPositionDetail(ctx, accountId, asset);
+            return;
+        }
+
+        if (data.startsWith("confirm_order_") || data.startsWith("cancel_order_")) {
+            const orderId = data.split('_')[2];
+            // The preview stays on screen with the outcome appended; its Markdown is only known while the order is pending.
+            const pending = pendingOrders.get(orderId);
+            const showStatus = (status) => pending
+                ? ctx.editMessageText(`${pending.text}\n\n${escapeMarkdown(status)}`, { parse_mode: "Markdown" })
+                : ctx.editMessageText(`${ctx.callbackQuery.message?.text || ''}\n\n${status}`);
+            if (data.startsWith("cancel_order_")) {
+                pendingOrders.delete(orderId);
+                await showStatus("❌ تم إلغاء الأمر.");
+                return;
+            }
+            await showStatus("⏳ جاري إرسال الأمر إلى المنصة...");
+            const result = await executePendingOrder(orderId);
+            if (result.error) {
+                await showStatus(result.error);
+            } else {
+                await showStatus(`✅ تم إرسال أمر ${result.order.side === 'buy' ? 'الشراء' : 'البيع'} بنجاح (رقم الأمر: ${result.orderId}). سيصلك إشعار التنفيذ فور رصده.`);
+            }
+            return;
+        }
+
+        if (data.startsWith("rebalance_exec_") || data.startsWith("rebalance_cancel_")) {
+            const planId = data.split('_')[2];
+            const pending = pendingRebalances.get(planId);
+            const showStatus = (status) => pending
+                ? ctx.editMessageText(`${pending.text}\n\n${status}`, { parse_mode: "Markdown" })
+                : ctx.editMessageText(`${ctx.callbackQuery.message?.text || ''}\n\n${status}`);
+            if (data.startsWith("rebalance_cancel_")) {
+                pendingRebalances.delete(planId);
+                await showStatus("❌ تم إلغاء الخطة.");
+                return;
+            }
+            await showStatus("⏳ جاري إرسال أوامر الخطة إلى المنصة...");
+            const result = await executeRebalancePlan(planId);
+            await showStatus(result.error ? escapeMarkdown(result.error) : formatRebalanceResults(result.results));
+            return;
+        }
+
+        if (data.startsWith("switch_account_")) {
+            const accountId = data.substring("switch_account_".length);
+            if (accountId !== ALL_ACCOUNTS && !getAccount(accountId)) return;
+            // Only this user's menus change; the others keep the account they chose.
+            ctx.session.activeAccount = accountId;
+            await ctx.editMessageText(`✅ *الحساب النشط الآن:* ${accountLabel(accountId)}\n\nستعرض لك المحفظة والأداء والمراكز بيانات هذا الحساب.`, { parse_mode: "Markdown" });
+            return;
+        }
+
+        if (data.startsWith("target_")) {
+            const [, action, targetId] = data.split('_');
+            const targets = await loadPublishingTargets();
+            const target = targets.find(t => t.id === targetId);
+            if (!target) {
+                await sendPublishingTargetsMenu(ctx);
+                return;
+            }
+            const showTarget = async (item, notice = null) => await ctx.editMessageText(`${notice ? `${notice}\n\n` : ''}${formatPublishingTarget(item)}`, { parse_mode: "Markdown", reply_markup: publishingTargetKeyboard(item) });
+            switch (action) {
+                case 'view': await showTarget(target); break;
+                case 'lang': await showTarget(await updatePublishingTarget(targetId, t => ({ language: PUBLISHING_LANGUAGES[(PUBLISHING_LANGUAGES.indexOf(t.language) + 1) % PUBLISHING_LANGUAGES.length] }))); break;
+                case 'toggle': await showTarget(await updatePublishingTarget(targetId, t => ({ enabled: !t.enabled }))); break;
+                case 'hidesize': await showTarget(await updatePublishingTarget(targetId, t => ({ hideSize: !t.hideSize }))); break;
+                case 'options':
+                    startPrompt(ctx, 'set_target_options', { targetId });
+                    await ctx.reply(`⚙️ *خيارات ${escapeMarkdown(target.name)}*\n\nأرسل خيارًا أو أكثر، كل خيار في سطر:\n\`name VIP\` اسم القناة\n\`chat -1001234567890\` معرف القناة\n\`min 5\` نشر الصفقات التي تتجاوز 5% من المحفظة فقط (\`min 0\` للكل)\n\`delay 30\` تأخير النشر بالدقائق\n\`tags #vip #crypto\` وسوم إضافية (\`tags -\` لحذفها)\n\`kinds buy sell close report\` أنواع المنشورات`, { parse_mode: "Markdown", reply_markup: cancelPromptKeyboard });
+                    break;
+                case 'templates': {
+                    const keyboard = new InlineKeyboard();
+                    TEMPLATE_SLOTS.forEach((slot, i) => {
+                        keyboard.text(`${target.templates[slot] !== undefined ? '✏️' : '📄'} ${TEMPLATE_SLOT_LABELS[slot]}`, `tpl_${targetId}_${slot}`);
+                        if (i % 2 === 1) keyboard.row();
+                    });
+                    await ctx.editMessageText(`📝 *قوالب ${escapeMarkdown(target.name)}*\n\nاختر القالب الذي تريد تعديله. ✏️ قالب معدل، 📄 القالب الافتراضي لـ ${PUBLISHING_LANGUAGE_LABELS[target.language]}.`, { parse_mode: "Markdown", reply_markup: keyboard.row().text("🔙 رجوع", `target_view_${targetId}`) });
+                    break;
+                }
+                case 'delete':
+                    await ctx.editMessageText(`${formatPublishingTarget(target)}\n\n⚠️ *سيتوقف النشر في هذه القناة وتُحذف قوالبها. هل أنت متأكد؟*`, { parse_mode: "Markdown", reply_markup: new InlineKeyboard().text("✅ نعم، احذفها", `target_remove_${targetId}`).text("🔙 تراجع", `target_view_${targetId}`) });
+                    break;
+                case 'remove':
+                    await savePublishingTargets(targets.filter(t => t.id !== targetId));
+                    await sendPublishingTargetsMenu(ctx);
+                    break;
+            }
+            return;
+        }
+
+        if (data.startsWith("tpl_")) {
+            const [, targetId, ...slotParts] = data.split('_');
+            const slot = slotParts.join('_');
+            const target = (await loadPublishingTargets()).find(t => t.id === targetId);
+            if (!target || !TEMPLATE_SLOTS.includes(slot)) return;
+            startPrompt(ctx, 'edit_template', { targetId, slot });
+            const variables = TEMPLATE_VARIABLES[slot].map(v => `{{${v}}}`).join(' ');
+            await ctx.reply(`📝 أرسل القالب الجديد لـ "${TEMPLATE_SLOT_LABELS[slot]}" في ${target.name}.\n\n${variables ? `المتغيرات المتاحة: ${variables}\nالأقسام: {{#showSize}}...{{/showSize}} تظهر عند تحقق الشرط، و{{^profit}}...{{/profit}} عند عدمه.\n` : ''}أرسل default للعودة إلى القالب الافتراضي.\n\nالقالب الحالي:\n\n${templateFor(target, slot) || '(فارغ)'}`, { reply_markup: cancelPromptKeyboard });
+            return;
+        }
+
+        if (data.startsWith("pub_")) {
+            const [, action, publicationId, minutes] = data.split('_');
+            const publication = await getPublication(publicationId);
+            if (!publication) {
+                await ctx.reply("ℹ️ لم يعد هذا المنشور موجودًا.");
+                return;
+            }
+            const showCard = (item, notice = null) => ctx.editMessageText(`${notice ? `${notice}\n\n` : ''}${formatPublicationCard(item)}`, { parse_mode: "Markdown", reply_markup: publicationKeyboard(item) });
+            const pending = ['draft', 'scheduled'].includes(publication.status);
+            switch (action) {
+                case 'open': await ctx.reply(formatPublicationCard(publication), { parse_mode: "Markdown", reply_markup: publicationKeyboard(publication) }); break;
+                case 'view': await showCard(publication); break;
+                case 'approve': {
+                    if (publication.status !== 'draft') { await showCard(publication, "ℹ️ لم يعد هذا المنشور بانتظار النشر."); break; }
+                    const result = await approvePublication(publication);
+                    await showCard(result.error ? publication : result, result.error ? `❌ ${escapeMarkdown(result.error)}` : "✅ *تم اعتماد المنشور.*");
+                    break;
+                }
+                case 'publish': {
+                    const result = await publishPublication(publicationId);
+                    await showCard(result.error ? publication : result, result.error ? `❌ ${escapeMarkdown(result.error)}` : "✅ *تم النشر في القناة.*");
+                    break;
+                }
+                case 'edit':
+                    if (!pending && publication.status !== 'published') { await showCard(publication, "ℹ️ لم يعد بالإمكان تعديل هذا المنشور."); break; }
+                    startPrompt(ctx, 'edit_publication', publicationId);
+                    await ctx.reply(`✏️ أرسل النص الجديد للمنشور كاملاً${publication.parseMode ? ` (بتنسيق ${publication.parseMode})` : ''}${publication.status === 'published' ? '، وسيُعدّل في القناة مباشرة' : ''}. النص الحالي:\n\n${publication.text}`, { reply_markup: cancelPromptKeyboard });
+                    break;
+                case 'delay': {
+                    if (!pending) { await showCard(publication, "ℹ️ لم يعد هذا المنشور بانتظار النشر."); break; }
+                    if (!minutes) {
+                        const keyboard = new InlineKeyboard();
+                        PUBLICATION_DELAYS.forEach(d => keyboard.text(d.label, `pub_delay_${publicationId}_${d.minutes}`));
+                        await ctx.editMessageText(`${formatPublicationCard(publication)}\n\n⏰ *متى يُنشر؟*`, { parse_mode: "Markdown", reply_markup: keyboard.row().text("🔙 رجوع", `pub_view_${publicationId}`) });
+                        break;
                     }
-                } else {
-                    const newText = privatePart.replace('*تم إغلاق المركز بنجاح. هل تود نشر الملخص في القناة؟*', '❌ *تم تجاهل نشر التقرير.*');
-                    await ctx.editMessageText(newText, { reply_markup: undefined, parse_mode: 'Markdown' });
+                    const publishAt = new Date(Date.now() + parseInt(minutes) * 60 * 1000);
+                    await getCollection("publications").updateOne({ _id: publicationId }, { $set: { status: 'scheduled', publishAt } });
+                    await showCard({ ...publication, status: 'scheduled', publishAt }, "✅ *تم تأجيل النشر.*");
+                    break;
+                }
+                case 'discard':
+                    if (!pending) { await showCard(publication, "ℹ️ لم يعد هذا المنشور بانتظار النشر."); break; }
+                    await getCollection("publications").updateOne({ _id: publicationId }, { $set: { status: 'discarded', publishAt: null } });
+                    await showCard({ ...publication, status: 'discarded' }, "🗑️ *تم تجاهل المنشور.*");
+                    break;
+                case 'delete':
+                    if (publication.status !== 'published') { await showCard(publication); break; }
+                    await ctx.editMessageText(`${formatPublicationCard(publication)}\n\n⚠️ *سيُحذف المنشور من القناة نهائيًا. هل أنت متأكد؟*`, { parse_mode: "Markdown", reply_markup: new InlineKeyboard().text("✅ نعم، احذفه", `pub_remove_${publicationId}`).text("🔙 تراجع", `pub_view_${publicationId}`) });
+                    break;
+                case 'remove': {
+                    if (publication.status !== 'published') { await showCard(publication); break; }
+                    const result = await deletePublishedPublication(publication);
+                    await showCard(result.error ? publication : result, result.error ? `❌ ${escapeMarkdown(result.error)}` : "🗑️ *تم حذف المنشور من القناة.*");
+                    break;
                 }
             }
             return;
         }
 
         switch(data) {
-            case "add_virtual_trade": waitingState = 'add_virtual_trade'; await ctx.editMessageText("✍️ *لإضافة توصية افتراضية، أرسل التفاصيل في 5 أسطر منفصلة:*\n\n`BTC-USDT`\n`65000` (سعر الدخول)\n`70000` (سعر الهدف)\n`62000` (وقف الخسارة)\n`1000` (المبلغ الافتراضي)\n\n**ملاحظة:** *لا تكتب كلمات مثل 'دخول' أو 'هدف'، فقط الأرقام والرمز.*", { parse_mode: "Markdown" }); break;
-            case "track_virtual_trades": await ctx.editMessageText("⏳ جاري جلب التوصيات النشطة..."); const activeTrades = await getActiveVirtualTrades(); if (activeTrades.length === 0) { await ctx.editMessageText("✅ لا توجد توصيات افتراضية نشطة حاليًا.", { reply_markup: virtualTradeKeyboard }); return; } const prices = await okxAdapter.getMarketPrices(); if (!prices || prices.error) { await ctx.editMessageText(`❌ فشل جلب الأسعار، لا يمكن متابعة التوصيات.`, { reply_markup: virtualTradeKeyboard }); return; } let reportMsg = "📈 *متابعة حية للتوصيات النشطة:*\n" + "━━━━━━━━━━━━━━━━━━━━\n"; for (const trade of activeTrades) { const currentPrice = prices[trade.instId]?.price; if (!currentPrice) { reportMsg += `*${trade.instId}:* \`لا يمكن جلب السعر الحالي.\`\n`; } else { const pnl = (currentPrice - trade.entryPrice) * (trade.virtualAmount / trade.entryPrice); const pnlPercent = (trade.virtualAmount > 0) ? (pnl / trade.virtualAmount) * 100 : 0; const sign = pnl >= 0 ? '+' : ''; const emoji = pnl >= 0 ? '🟢' : '🔴'; reportMsg += `*${trade.instId}* ${emoji}\n` + ` ▫️ *الدخول:* \`$${formatNumber(trade.entryPrice, 4)}\`\n` + ` ▫️ *الحالي:* \`$${formatNumber(currentPrice, 4)}\`\n` + ` ▫️ *ربح/خسارة:* \`${sign}${formatNumber(pnl)}\` (\`${sign}${formatNumber(pnlPercent)}%\`)\n` + ` ▫️ *الهدف:* \`$${formatNumber(trade.targetPrice, 4)}\`\n` + ` ▫️ *الوقف:* \`$${formatNumber(trade.stopLossPrice, 4)}\`\n`; } reportMsg += "━━━━━━━━━━━━━━━━━━━━\n"; } await ctx.editMessageText(reportMsg, { parse_mode: "Markdown", reply_markup: virtualTradeKeyboard }); break;
-            case "set_capital": waitingState = 'set_capital'; await ctx.editMessageText("💰 يرجى إرسال المبلغ الجديد لرأس المال (رقم فقط)."); break;
+            case "add_virtual_trade": startPrompt(ctx, 'add_virtual_trade'); await ctx.editMessageText(VIRTUAL_TRADE_ADD_HELP, { parse_mode: "Markdown", reply_markup: cancelPromptKeyboard }); break;
+            case "track_virtual_trades": await ctx.editMessageText("⏳ جاري جلب التوصيات النشطة..."); await sendVirtualTradesList(ctx); break;
+            case "virtual_trades_history": {
+                const closedTrades = await getClosedVirtualTrades();
+                await ctx.editMessageText(formatVirtualTradesHistory(closedTrades.slice(0, 10), calculateVirtualTradeStats(closedTrades)), { parse_mode: "Markdown", reply_markup: virtualTradeKeyboard });
+                break;
+            }
+            case "set_capital": if (await getActiveAccountId(ctx) === ALL_ACCOUNTS) { await ctx.editMessageText("ℹ️ رأس المال يُحدد لكل حساب على حدة. اختر حسابًا من زر \"🔀 تبديل الحساب\" أولاً.", { reply_markup: new InlineKeyboard().text("🔙 العودة للإعدادات", "back_to_settings") }); break; } startPrompt(ctx, 'set_capital'); await ctx.editMessageText("💰 يرجى إرسال المبلغ الجديد لرأس المال (رقم فقط).\n\nℹ️ بعد ذلك سيتم تعديل رأس المال تلقائيًا مع كل تحويل من أو إلى حساب التداول.", { reply_markup: cancelPromptKeyboard }); break;
+            case "view_cash_flows": const flowsAccountId = await getActiveAccountId(ctx); const recentFlows = (await loadCashFlows(flowsAccountId)).slice(-15).reverse(); if (recentFlows.length === 0) { await ctx.editMessageText("ℹ️ لا توجد تدفقات نقدية مسجلة.", { reply_markup: new InlineKeyboard().text("🔙 العودة للإعدادات", "back_to_settings") }); break; } let flowsMsg = "💸 *سجل التدفقات النقدية (آخر 15):*\n"; recentFlows.forEach(f => { flowsMsg += `\n- ${flowsAccountId === ALL_ACCOUNTS ? `[${getAccount(f.accountId || DEFAULT_ACCOUNT_ID)?.name || f.accountId}] ` : ''}${CASH_FLOW_LABELS[f.kind]} \`${f.ccy}\` \`${f.amount >= 0 ? '+' : ''}${formatNumber(f.amount, 6)}\` (\`$${formatNumber(f.usdValue)}\`)${f.affectsCapital ? '' : ' _(حساب التمويل)_'} - ${new Date(f.time).toLocaleDateString("ar-EG")}`; }); await ctx.editMessageText(flowsMsg, { parse_mode: "Markdown", reply_markup: new InlineKeyboard().text("🔙 العودة للإعدادات", "back_to_settings") }); break;
             case "back_to_settings": await sendSettingsMenu(ctx); break;
+            case "cancel_prompt": await cancelPrompt(ctx); break;
+            case "view_publications": await sendPublicationsMenu(ctx); break;
+            case "manage_publishing_targets": await sendPublishingTargetsMenu(ctx); break;
+            case "add_publishing_target": startPrompt(ctx, 'add_publishing_target'); await ctx.editMessageText("➕ أرسل معرف القناة ثم اسمها في سطر واحد، مثل:\n`-1001234567890 القناة المجانية`\nأو `@my_channel VIP`\n\nأضف البوت مشرفًا في القناة أولاً.", { parse_mode: "Markdown", reply_markup: cancelPromptKeyboard }); break;
+            case "view_schedules": await sendSchedulesMenu(ctx); break;
+            case "view_trading_limits": await sendTradingLimitsMenu(ctx); break;
+            case "manage_rebalance": await sendRebalanceMenu(ctx); break;
+            case "cycle_cost_method": const ledgerSettings = await loadLedgerSettings(); ledgerSettings.method = COST_METHODS[(COST_METHODS.indexOf(ledgerSettings.method) + 1) % COST_METHODS.length]; await saveLedgerSettings(ledgerSettings); await sendSettingsMenu(ctx); break;
+            case "set_rebalance_targets": startPrompt(ctx, 'set_rebalance_targets'); await ctx.editMessageText("⚖️ أرسل الوزن المستهدف لكل عملة في سطر، ويمكن إضافة نطاق سماح خاص بها بعد الوزن. استخدم `USDT` للنقد، ويجب أن يكون مجموع الأوزان 100.\nسطر `band` اختياري لتغيير نطاق السماح الافتراضي (بالنقاط المئوية).\n\n*مثال:*\n`BTC 50`\n`ETH 30 8`\n`USDT 20`\n`band 5`", { parse_mode: "Markdown", reply_markup: cancelPromptKeyboard }); break;
+            case "toggle_drift_alerts": const rebalanceSettings = await loadRebalanceSettings(); rebalanceSettings.driftAlerts = !rebalanceSettings.driftAlerts; await saveRebalanceSettings(rebalanceSettings); await sendRebalanceMenu(ctx); break;
+            case "rebalance_plan": await handleRebalanceCommand(ctx); break;
+            case "set_trading_limits": startPrompt(ctx, 'set_trading_limits'); await ctx.editMessageText("✍️ يرجى إرسال الحدود الثلاثة مفصولة بمسافات (0 لتعطيل الحد):\n`الحد الأقصى للأمر بالدولار` `الحد الأقصى لوزن الأصل %` `حد الخسارة اليومية بالدولار`\n\n*مثال:* `1000 25 100`", { parse_mode: "Markdown", reply_markup: cancelPromptKeyboard }); break;
+            case "set_report_time": startPrompt(ctx, 'set_report_time'); await ctx.editMessageText("🕙 يرجى إرسال وقت تقرير النسخ اليومي بتوقيت القاهرة بصيغة 24 ساعة (مثال: `22:00`).", { parse_mode: "Markdown", reply_markup: cancelPromptKeyboard }); break;
             case "manage_movement_alerts": await sendMovementAlertsMenu(ctx); break;
-            case "set_global_alert": waitingState = 'set_global_alert_state'; await ctx.editMessageText("✍️ يرجى إرسال النسبة العامة الجديدة (مثال: `5`)."); break;
-            case "set_coin_alert": waitingState = 'set_coin_alert_state'; await ctx.editMessageText("✍️ يرجى إرسال رمز العملة والنسبة.\n*مثال:*\n`BTC 2.5`"); break;
-            case "view_positions": const positions = await loadPositions(); if (Object.keys(positions).length === 0) { await ctx.editMessageText("ℹ️ لا توجد مراكز مفتوحة.", { reply_markup: new InlineKeyboard().text("🔙 العودة للإعدادات", "back_to_settings") }); break; } let posMsg = "📄 *قائمة المراكز المفتوحة:*\n"; for (const symbol in positions) { const pos = positions[symbol]; posMsg += `\n- *${symbol}:* متوسط الشراء \`$${formatNumber(pos.avgBuyPrice, 4)}\``; } await ctx.editMessageText(posMsg, { parse_mode: "Markdown", reply_markup: new InlineKeyboard().text("🔙 العودة للإعدادات", "back_to_settings") }); break;
-            case "delete_alert": const alerts = await loadAlerts(); if (alerts.length === 0) { await ctx.editMessageText("ℹ️ لا توجد تنبيهات مسجلة.", { reply_markup: new InlineKeyboard().text("🔙 العودة للإعدادات", "back_to_settings") }); break; } let alertMsg = "🗑️ *اختر التنبيه لحذفه:*\n\n"; alerts.forEach((alert, i) => { alertMsg += `*${i + 1}.* \`${alert.instId} ${alert.condition} ${alert.price}\`\n`; }); alertMsg += "\n*أرسل رقم التنبيه الذي تود حذفه.*"; waitingState = 'delete_alert_number'; await ctx.editMessageText(alertMsg, { parse_mode: "Markdown" }); break;
-            case "toggle_summary": case "toggle_autopost": case "toggle_debug": const settings = await loadSettings(); if (data === 'toggle_summary') settings.dailySummary = !settings.dailySummary; else if (data === 'toggle_autopost') settings.autoPostToChannel = !settings.autoPostToChannel; else if (data === 'toggle_debug') settings.debugMode = !settings.debugMode; await saveSettings(settings); await sendSettingsMenu(ctx); break;
+            case "manage_alerts": await sendAlertsMenu(ctx); break;
+            case "new_alert": startPrompt(ctx, 'set_alert'); await ctx.reply(`🔔 *تنبيه جديد*\n\n${ALERT_HELP}`, { parse_mode: "Markdown", reply_markup: cancelPromptKeyboard }); break;
+            case "set_global_alert": startPrompt(ctx, 'set_global_alert_state'); await ctx.editMessageText("✍️ يرجى إرسال النسبة العامة الجديدة (مثال: `5`).", { reply_markup: cancelPromptKeyboard }); break;
+            case "set_coin_alert": startPrompt(ctx, 'set_coin_alert_state'); await ctx.editMessageText("✍️ يرجى إرسال رمز العملة والنسبة.\n*مثال:*\n`BTC 2.5`", { reply_markup: cancelPromptKeyboard }); break;
+            case "cycle_movement_baseline": {
+                const settings = await loadAlertSettings();
+                settings.baseline = MOVEMENT_BASELINES[(MOVEMENT_BASELINES.indexOf(settings.baseline) + 1) % MOVEMENT_BASELINES.length];
+                await saveAlertSettings(settings);
+                await sendMovementAlertsMenu(ctx);
+                break;
+            }
+            case "toggle_movement_digest": {
+                const settings = await loadAlertSettings();
+                settings.digest = !settings.digest;
+                await saveAlertSettings(settings);
+                await sendMovementAlertsMenu(ctx);
+                break;
+            }
+            case "set_quiet_hours":
+                startPrompt(ctx, 'set_quiet_hours_state');
+                await ctx.editMessageText("✍️ أرسل ساعات الهدوء بتوقيت القاهرة (مثال: `23:00-07:00`)، أو `off` لإيقافها.\nالحركات خلالها تُجمع وتُرسل في رسالة واحدة عند انتهائها.", { parse_mode: "Markdown", reply_markup: cancelPromptKeyboard });
+                break;
+            case "view_positions": const positionsAccountId = await getActiveAccountId(ctx); const positions = await loadMergedPositions(positionsAccountId); if (Object.keys(positions).length === 0) { await ctx.editMessageText("ℹ️ لا توجد مراكز مفتوحة.", { reply_markup: new InlineKeyboard().text("🔙 العودة للإعدادات", "back_to_settings") }); break; } let posMsg = "📄 *قائمة المراكز المفتوحة:*\n"; const positionsKeyboard = new InlineKeyboard(); const canSell = getAccount(positionsAccountId)?.adapter.canTrade(); for (const symbol in positions) { const pos = positions[symbol]; posMsg += `\n- *${symbol}:* متوسط الشراء \`$${formatNumber(pos.avgBuyPrice, 4)}\``; const protectionText = formatProtectionLevels(pos.protection); if (protectionText) posMsg += `\n   ${protectionText}`; if (positionsAccountId !== ALL_ACCOUNTS) positionsKeyboard.text(`📂 ${symbol}`, `position_${symbol}_${positionsAccountId}`).row(); if (canSell) addSellButtons(positionsKeyboard, positionsAccountId, symbol, `بيع ${symbol}`); } await ctx.editMessageText(posMsg, { parse_mode: "Markdown", reply_markup: positionsKeyboard.text("🔙 العودة للإعدادات", "back_to_settings") }); break;
+            case "toggle_summary": case "toggle_autopost": case "toggle_debug": case "toggle_risk_report": const settings = await loadSettings(); if (data === 'toggle_summary') settings.dailySummary = !settings.dailySummary; else if (data === 'toggle_autopost') settings.autoPostToChannel = !settings.autoPostToChannel; else if (data === 'toggle_debug') settings.debugMode = !settings.debugMode; else if (data === 'toggle_risk_report') settings.weeklyRiskReport = settings.weeklyRiskReport === false; await saveSettings(settings); await sendSettingsMenu(ctx); break;
             case "send_daily_report": await ctx.editMessageText("⏳ جاري إنشاء وإرسال تقرير النسخ اليومي..."); await runDailyReportJob(); await sendSettingsMenu(ctx); break;
-            case "delete_all_data": waitingState = 'confirm_delete_all'; await ctx.editMessageText("⚠️ *تحذير: هذا الإجراء لا يمكن التراجع عنه!* لحذف كل شيء، أرسل: `تأكيد الحذف`", { parse_mode: "Markdown" }); break;
+            case "delete_all_data": startPrompt(ctx, 'confirm_delete_all'); await ctx.editMessageText("⚠️ *تحذير: هذا الإجراء لا يمكن التراجع عنه!* لحذف كل شيء، أرسل: `تأكيد الحذف`\n\nℹ️ يبقى مستخدمو البوت وصلاحياتهم كما هم.", { parse_mode: "Markdown", reply_markup: cancelPromptKeyboard }); break;
         }
     } catch (error) { console.error("Error in callback_query handler:", error); try { await ctx.reply("❌ حدث خطأ غير متوقع. يرجى المحاولة مرة أخرى."); } catch (e) { console.error("Failed to send error message to user:", e); } }
 });
@@ -520,38 +2347,203 @@ bot.on("callback_query:data", async (ctx) => {
 bot.on("message:text", async (ctx) => {
     const text = ctx.message.text.trim();
     if (text.startsWith('/')) return;
-    if (waitingState) {
-        const state = waitingState;
-        waitingState = null;
+    // A main keyboard button always does its own job and drops the prompt it interrupts.
+    const prompt = ctx.session.prompt;
+    if (prompt) ctx.session.prompt = null;
+    if (prompt && !MAIN_KEYBOARD_LABELS.includes(text)) {
+        if (isPromptExpired(prompt)) {
+            await ctx.reply(`⌛ انتهت مهلة الرد على الطلب السابق (${PROMPT_TIMEOUT_MINUTES} دقائق)، يرجى البدء من جديد.`, { reply_markup: mainKeyboard });
+            return;
+        }
+        const { state, data } = prompt;
         switch (state) {
             case 'cumulative_analysis_asset':
                 await generateAndSendCumulativeReport(ctx, text.toUpperCase());
                 return;
-            case 'add_virtual_trade':
+            case 'add_virtual_trade': {
+                const tradeData = parseVirtualTrade(text);
+                if (tradeData.error) {
+                    await ctx.reply(`❌ *خطأ في إضافة التوصية:*\n${tradeData.error}\n\nالرجاء المحاولة مرة أخرى بالتنسيق الصحيح.`, { parse_mode: "Markdown" });
+                    return;
+                }
+                await saveVirtualTrade({ ...tradeData, createdAt: new Date() });
+                await ctx.reply(`✅ *تمت إضافة التوصية الافتراضية بنجاح.*\n\nسيتم إعلامك عند تحقيق كل هدف أو تفعيل وقف الخسارة.`, { parse_mode: "Markdown" });
+                return;
+            }
+            case 'add_publishing_target': {
+                const [chatId, ...nameParts] = text.split(/\s+/);
+                const parsed = parseTargetOptions(`chat ${chatId}\nname ${nameParts.join(' ')}`);
+                if (parsed.error) {
+                    await ctx.reply(`❌ ${parsed.error}`, { parse_mode: "Markdown" });
+                    return;
+                }
+                const targets = await loadPublishingTargets();
+                const target = { ...DEFAULT_PUBLISHING_TARGET, id: crypto.randomBytes(3).toString("hex"), ...parsed.updates };
+                await savePublishingTargets([...targets, target]);
+                await ctx.reply(`✅ *تمت إضافة القناة.*\n\n${formatPublishingTarget(target)}`, { parse_mode: "Markdown", reply_markup: publishingTargetKeyboard(target) });
+                return;
+            }
+            case 'set_target_options': {
+                const { targetId } = data || {};
+                const parsed = parseTargetOptions(text);
+                if (parsed.error) {
+                    await ctx.reply(`❌ ${parsed.error}`, { parse_mode: "Markdown" });
+                    return;
+                }
+                const target = await updatePublishingTarget(targetId, parsed.updates);
+                if (!target) {
+                    await ctx.reply("ℹ️ لم تعد هذه القناة موجودة.");
+                    return;
+                }
+                await ctx.reply(`✅ *تم حفظ الخيارات.*\n\n${formatPublishingTarget(target)}`, { parse_mode: "Markdown", reply_markup: publishingTargetKeyboard(target) });
+                return;
+            }
+            case 'edit_template': {
+                const { targetId, slot } = data || {};
+                const target = (await loadPublishingTargets()).find(t => t.id === targetId);
+                if (!target) {
+                    await ctx.reply("ℹ️ لم تعد هذه القناة موجودة.");
+                    return;
+                }
+                const reset = text.toLowerCase() === 'default';
+                if (!reset) {
+                    const check = checkTemplate(text, slot);
+                    if (check.error) {
+                        await ctx.reply(`❌ ${check.error}`);
+                        return;
+                    }
+                }
+                const templates = { ...target.templates };
+                if (reset) delete templates[slot]; else templates[slot] = text;
+                const updated = { ...target, templates };
+                // The preview goes through Telegram's parser, so a template it cannot parse is never saved.
+                const previewSlot = slot === 'footer' ? 'daily_report' : slot;
                 try {
-                    const lines = text.split('\n').map(line => line.trim());
-                    if (lines.length < 5) throw new Error("التنسيق غير صحيح، يجب أن يتكون من 5 أسطر.");
-                    const instId = lines[0].toUpperCase();
-                    const entryPrice = parseFloat(lines[1]);
-                    const targetPrice = parseFloat(lines[2]);
-                    const stopLossPrice = parseFloat(lines[3]);
-                    const virtualAmount = parseFloat(lines[4]);
-                    if (!instId.endsWith('-USDT')) throw new Error("رمز العملة يجب أن ينتهي بـ -USDT.");
-                    if ([entryPrice, targetPrice, stopLossPrice, virtualAmount].some(isNaN)) { throw new Error("تأكد من أن جميع القيم المدخلة هي أرقام صالحة."); }
-                    if (entryPrice <= 0 || targetPrice <= 0 || stopLossPrice <= 0 || virtualAmount <= 0) { throw new Error("جميع القيم الرقمية يجب أن تكون أكبر من صفر."); }
-                    if (targetPrice <= entryPrice) throw new Error("سعر الهدف يجب أن يكون أعلى من سعر الدخول.");
-                    if (stopLossPrice >= entryPrice) throw new Error("سعر وقف الخسارة يجب أن يكون أقل من سعر الدخول.");
-                    const tradeData = { instId, entryPrice, targetPrice, stopLossPrice, virtualAmount, status: 'active', createdAt: new Date() };
-                    await saveVirtualTrade(tradeData);
-                    await ctx.reply(`✅ *تمت إضافة التوصية الافتراضية بنجاح.*\n\nسيتم إعلامك عند تحقيق الهدف أو تفعيل وقف الخسارة.`, { parse_mode: "Markdown" });
+                    await ctx.reply(formatTemplatePreview(updated, previewSlot), previewSlot === 'daily_report' ? {} : { parse_mode: "Markdown" });
                 } catch (e) {
-                    await ctx.reply(`❌ *خطأ في إضافة التوصية:*\n${e.message}\n\nالرجاء المحاولة مرة أخرى بالتنسيق الصحيح.`);
+                    await ctx.reply(`❌ تعذر عرض القالب، تحقق من تنسيق Markdown: ${e.message}`);
+                    return;
+                }
+                await updatePublishingTarget(targetId, { templates });
+                await ctx.reply(`✅ *${reset ? 'تمت استعادة القالب الافتراضي' : 'تم حفظ القالب'}* (${TEMPLATE_SLOT_LABELS[slot]}). أعلاه معاينة بأرقام تجريبية.`, { parse_mode: "Markdown", reply_markup: publishingTargetKeyboard(updated) });
+                return;
+            }
+            case 'edit_publication': {
+                const publication = await getPublication(data);
+                if (!publication) {
+                    await ctx.reply("ℹ️ لم يعد هذا المنشور موجودًا.");
+                    return;
+                }
+                const result = await editPublication(publication, text);
+                if (result.error) {
+                    await ctx.reply(`❌ ${result.error}`);
+                    return;
+                }
+                await ctx.reply(`✅ *تم تعديل المنشور${publication.status === 'published' ? ' في القناة' : ''}.*\n\n${formatPublicationCard(result)}`, { parse_mode: "Markdown", reply_markup: publicationKeyboard(result) });
+                return;
+            }
+            case 'edit_virtual_trade': {
+                const trade = await getVirtualTrade(data);
+                if (!trade || trade.status !== 'active') {
+                    await ctx.reply("ℹ️ لم تعد هذه التوصية نشطة.");
+                    return;
+                }
+                const prices = await marketData.getMarketPrices();
+                const currentPrice = prices?.[trade.instId]?.price;
+                if (!currentPrice) {
+                    await ctx.reply("❌ تعذر جلب السعر الحالي للعملة.");
+                    return;
+                }
+                const changes = parseVirtualTradeEdit(text, trade, currentPrice);
+                if (changes.error) {
+                    await ctx.reply(`❌ *${changes.error}*`, { parse_mode: "Markdown" });
+                    return;
+                }
+                await updateVirtualTrade(trade._id, changes);
+                await ctx.reply(`✅ *تم تعديل توصية ${trade.instId}.*`, { parse_mode: "Markdown", reply_markup: new InlineKeyboard().text("📈 متابعة التوصيات الحية", "track_virtual_trades") });
+                return;
+            }
+            case 'performance_custom_range':
+                const customRange = parseCustomPerformanceRange(text);
+                if (!customRange) {
+                    await ctx.reply("❌ صيغة غير صحيحة. مثال: `2024-01-01..2024-06-30`", { parse_mode: "Markdown" });
+                    return;
+                }
+                const loadingMsgRange = await ctx.reply("⏳ جاري إنشاء تقرير الأداء المتقدم...");
+                const customReport = await buildPerformanceReport('custom', customRange, await getActiveAccountId(ctx));
+                if (customReport.error) {
+                    await ctx.api.editMessageText(loadingMsgRange.chat.id, loadingMsgRange.message_id, customReport.error);
+                } else {
+                    await sendPerformanceReport(ctx, customReport);
+                    await ctx.api.deleteMessage(loadingMsgRange.chat.id, loadingMsgRange.message_id);
+                }
+                return;
+            case 'set_report_time':
+                const reportTime = parseTime(text);
+                if (!reportTime) {
+                    await ctx.reply("❌ وقت غير صالح. استخدم الصيغة `HH:MM` مثل `22:00`.", { parse_mode: "Markdown" });
+                    return;
+                }
+                const reportSettings = await loadSettings();
+                reportSettings.dailyReportTime = `${String(reportTime.hour).padStart(2, '0')}:${String(reportTime.minute).padStart(2, '0')}`;
+                await saveSettings(reportSettings);
+                await skipToNextSlot("runDailyReportJob");
+                await ctx.reply(`✅ سيتم إرسال تقرير النسخ اليومي يوميًا الساعة \`${reportSettings.dailyReportTime}\` بتوقيت القاهرة.`, { parse_mode: "Markdown" });
+                return;
+            case 'set_trading_limits':
+                const limitValues = text.split(/\s+/).map(parseFloat);
+                if (limitValues.length !== 3 || limitValues.some(v => isNaN(v) || v < 0)) {
+                    await ctx.reply("❌ *صيغة غير صحيحة.* أرسل ثلاثة أرقام موجبة أو صفر، مثل: `1000 25 100`", { parse_mode: "Markdown" });
+                    return;
+                }
+                const [maxOrderUsd, maxPortfolioPercent, dailyLossLimitUsd] = limitValues;
+                await saveTradingLimits({ maxOrderUsd, maxPortfolioPercent, dailyLossLimitUsd });
+                await ctx.reply("✅ تم تحديث حدود التداول.");
+                return;
+            case 'set_rebalance_targets':
+                const currentRebalance = await loadRebalanceSettings();
+                const parsedTargets = parseRebalanceTargets(text, currentRebalance.band);
+                if (parsedTargets.error) {
+                    await ctx.reply(`❌ ${parsedTargets.error}`, { parse_mode: "Markdown" });
+                    return;
+                }
+                await saveRebalanceSettings({ ...currentRebalance, ...parsedTargets });
+                // Drift is measured against the new targets from scratch.
+                await saveConfig("rebalanceDriftState", { outside: {} });
+                await ctx.reply(formatRebalanceTargets({ ...currentRebalance, ...parsedTargets }), { parse_mode: "Markdown" });
+                return;
+            case 'set_protection':
+                const target = data;
+                const protectAccount = getAccount(target?.accountId);
+                const protectedPosition = protectAccount ? (await loadPositions(target.accountId))[target.asset] : null;
+                if (!protectedPosition) {
+                    await ctx.reply("ℹ️ لم يعد هذا المركز مفتوحًا.");
+                    return;
+                }
+                const protectPrices = await protectAccount.adapter.getMarketPrices();
+                const protectPrice = protectPrices?.[`${target.asset}-USDT`]?.price;
+                if (!protectPrice) {
+                    await ctx.reply("❌ تعذر جلب السعر الحالي للعملة.");
+                    return;
+                }
+                const levels = parseProtectionLevels(text, protectedPosition.avgBuyPrice, protectPrice);
+                if (levels.error) {
+                    await ctx.reply(`❌ *${levels.error}*\nمثال: \`+20% -8% 5\``, { parse_mode: "Markdown" });
+                    return;
+                }
+                const protectResult = await setPositionProtection(target.accountId, target.asset, levels);
+                if (protectResult.error) {
+                    await ctx.reply(protectResult.error, { parse_mode: "Markdown" });
+                    return;
                 }
+                let protectReply = `✅ *تم ضبط حماية مركز ${target.asset}:*\n${formatProtectionLevels(protectResult.protection)}`;
+                if (protectResult.notice) protectReply += `\n\n${protectResult.notice}`;
+                await ctx.reply(protectReply, { parse_mode: "Markdown" });
                 return;
             case 'set_capital':
                 const amount = parseFloat(text);
                 if (!isNaN(amount) && amount >= 0) {
-                    await saveCapital(amount);
+                    await saveCapital(await getActiveAccountId(ctx), amount);
                     await ctx.reply(`✅ *تم تحديث رأس المال إلى:* \`$${formatNumber(amount)}\``, { parse_mode: "Markdown" });
                 } else {
                     await ctx.reply("❌ مبلغ غير صالح.");
@@ -590,11 +2582,37 @@ bot.on("message:text", async (ctx) => {
                 }
                 await saveAlertSettings(alertSettingsCoin);
                 return;
+            case 'set_quiet_hours_state': {
+                const settings = await loadAlertSettings();
+                if (["off", "إيقاف"].includes(text.toLowerCase())) {
+                    settings.quietHours = null;
+                    await saveAlertSettings(settings);
+                    await ctx.reply("✅ تم إيقاف ساعات الهدوء.");
+                    return;
+                }
+                const quietHours = parseQuietHours(text);
+                if (quietHours.error) {
+                    await ctx.reply(`❌ ${quietHours.error}`, { parse_mode: "Markdown" });
+                    return;
+                }
+                settings.quietHours = quietHours;
+                await saveAlertSettings(settings);
+                await ctx.reply(`✅ ساعات الهدوء: \`${quietHours.start} - ${quietHours.end}\` بتوقيت القاهرة.`, { parse_mode: "Markdown" });
+                return;
+            }
             case 'confirm_delete_all':
                 if (text === 'تأكيد الحذف') {
-                    await getCollection("configs").deleteMany({});
+                    // The team keeps its access: the users and their roles are not part of the wiped data.
+                    await getCollection("configs").deleteMany({ _id: { $ne: "botUsers" } });
                     await getCollection("virtualTrades").deleteMany({});
                     await getCollection("tradeHistory").deleteMany({});
+                    await getCollection("cashFlows").deleteMany({});
+                    await getCollection("portfolioSnapshots").deleteMany({});
+                    await getCollection("orders").deleteMany({});
+                    await getCollection("alerts").deleteMany({});
+                    await getCollection("ledgerLots").deleteMany({});
+                    await getCollection("ledgerDisposals").deleteMany({});
+                    await getCollection("publications").deleteMany({});
                     await ctx.reply("✅ تم حذف جميع بياناتك.");
                 } else {
                     await ctx.reply("❌ تم إلغاء الحذف.");
@@ -605,14 +2623,15 @@ bot.on("message:text", async (ctx) => {
                 const coinSymbol = instId.split('-')[0];
                 const loadingMsg = await ctx.reply(`⏳ جاري تجهيز التقرير لـ ${instId}...`);
                 try {
+                    const coinAccountId = await getActiveAccountId(ctx);
                     const results = await Promise.allSettled([
                         getInstrumentDetails(instId),
-                        okxAdapter.getMarketPrices(),
-                        getHistoricalPerformance(coinSymbol),
+                        getAccountPortfolio(coinAccountId),
+                        getHistoricalPerformance(coinSymbol, coinAccountId),
                         getTechnicalAnalysis(instId)
                     ]);
                     const detailsResult = results[0];
-                    const pricesResult = results[1];
+                    const portfolioResult = results[1];
                     const historicalPerfResult = results[2];
                     const techAnalysisResult = results[3];
                     
@@ -622,25 +2641,32 @@ bot.on("message:text", async (ctx) => {
                     }
             
                     const details = detailsResult.value;
+                    const techAnalysis = techAnalysisResult.status === 'fulfilled' && !techAnalysisResult.value.error ? techAnalysisResult.value : null;
+                    const atrStop = techAnalysis ? getAtrStop(techAnalysis, details.price) : null;
+                    let coinPosition = null;
                     let msg = `ℹ️ *الملف التحليلي الكامل | ${instId}*\n\n*القسم الأول: بيانات السوق*\n`;
                     msg += ` ▫️ *السعر الحالي:* \`$${formatNumber(details.price, 4)}\`\n`;
                     msg += ` ▫️ *أعلى (24س):* \`$${formatNumber(details.high24h, 4)}\`\n`;
                     msg += ` ▫️ *أدنى (24س):* \`$${formatNumber(details.low24h, 4)}\`\n\n`;
             
                     msg += `*القسم الثاني: تحليل مركزك الحالي*\n`;
-                    if (pricesResult.status === 'fulfilled' && !pricesResult.value.error) {
-                        const prices = pricesResult.value;
-                        const { assets: userAssets } = await okxAdapter.getPortfolio(prices);
+                    if (portfolioResult.status === 'fulfilled' && !portfolioResult.value.error) {
+                        const { assets: userAssets } = portfolioResult.value;
                         const ownedAsset = userAssets.find(a => a.asset === coinSymbol);
-                        const positions = await loadPositions();
+                        const positions = await loadMergedPositions(coinAccountId);
                         const assetPosition = positions[coinSymbol];
                         if (ownedAsset && assetPosition?.avgBuyPrice) {
+                            coinPosition = assetPosition;
                             const pnl = (details.price - assetPosition.avgBuyPrice) * ownedAsset.amount;
                             const pnlPercent = (assetPosition.avgBuyPrice * ownedAsset.amount > 0) ? (pnl / (assetPosition.avgBuyPrice * ownedAsset.amount)) * 100 : 0;
                             const durationDays = (new Date().getTime() - new Date(assetPosition.openDate).getTime()) / (1000 * 60 * 60 * 24);
                             msg += ` ▪️ *متوسط الشراء:* \`$${formatNumber(assetPosition.avgBuyPrice, 4)}\`\n`;
                             msg += ` ▪️ *الربح/الخسارة غير المحقق:* ${pnl >= 0 ? '🟢' : '🔴'} \`${pnl >= 0 ? '+' : ''}${formatNumber(pnl)}\` (\`${pnl >= 0 ? '+' : ''}${formatNumber(pnlPercent)}%\`)\n`;
-                            msg += ` ▪️ *مدة فتح المركز:* \`${formatNumber(durationDays, 1)} يوم\`\n\n`;
+                            msg += ` ▪️ *مدة فتح المركز:* \`${formatNumber(durationDays, 1)} يوم\`\n`;
+                            const coinProtection = formatProtectionLevels(assetPosition.protection);
+                            msg += ` ▪️ *الحماية:* ${coinProtection || '`غير محددة`'}\n`;
+                            if (atrStop) msg += ` ▪️ *وقف مقترح (ATR):* \`$${formatNumber(atrStop.price, 4)}\` (المخاطرة على المركز \`$${formatNumber(atrStop.distance * ownedAsset.amount)}\`)\n`;
+                            msg += `\n`;
                         } else {
                             msg += ` ▪️ لا يوجد مركز مفتوح حالياً لهذه العملة.\n\n`;
                         }
@@ -661,56 +2687,23 @@ bot.on("message:text", async (ctx) => {
                         msg += ` ▪️ تعذر جلب سجل الأداء التاريخي.\n\n`;
                     }
             
-                    msg += `*القسم الرابع: مؤشرات فنية بسيطة*\n`;
-                    if (techAnalysisResult.status === 'fulfilled' && !techAnalysisResult.value.error) {
-                        const techAnalysis = techAnalysisResult.value;
-                        let rsiText = "محايد";
-                        if (techAnalysis.rsi > 70) rsiText = "تشبع شرائي 🔴";
-                        if (techAnalysis.rsi < 30) rsiText = "تشبع بيعي 🟢";
-                        msg += ` ▪️ *RSI (14D):* \`${formatNumber(techAnalysis.rsi)}\` (${rsiText})\n`;
-                        if(techAnalysis.sma20) msg += ` ▪️ *السعر* *${details.price > techAnalysis.sma20 ? 'فوق' : 'تحت'}* *SMA20* (\`$${formatNumber(techAnalysis.sma20, 4)}\`)\n`;
-                        if(techAnalysis.sma50) msg += ` ▪️ *السعر* *${details.price > techAnalysis.sma50 ? 'فوق' : 'تحت'}* *SMA50* (\`$${formatNumber(techAnalysis.sma50, 4)}\`)`;
-                    } else {
-                         msg += ` ▪️ تعذر جلب المؤشرات الفنية.\n`;
-                    }
+                    msg += `*القسم الرابع: التحليل الفني متعدد الأطر*\n`;
+                    msg += techAnalysis ? formatTechnicalAnalysis(techAnalysis, atrStop) : ` ▪️ تعذر جلب المؤشرات الفنية.\n`;
             
                     await ctx.api.editMessageText(loadingMsg.chat.id, loadingMsg.message_id, msg, { parse_mode: "Markdown" });
+                    const dailyCandles = techAnalysis?.candles["1D"] || [];
+                    const coinPhoto = chartPhoto(dailyCandles.length > 0 ? formatCoinChart(instId, "1D", dailyCandles.slice(-90), coinPosition, atrStop) : null);
+                    if (coinPhoto) await ctx.replyWithPhoto(coinPhoto);
                 } catch(e) {
                     console.error("Error fetching coin info:", e);
                     await ctx.api.editMessageText(loadingMsg.chat.id, loadingMsg.message_id, `❌ حدث خطأ أثناء جلب البيانات: ${e.message}`);
                 }
                 return;
             case 'set_alert':
-                const parts_alert = text.trim().split(/\s+/);
-                if (parts_alert.length !== 3) {
-                    await ctx.reply("❌ صيغة غير صحيحة. مثال: `BTC > 50000`");
-                    return;
-                }
-                const [symbol, cond, priceStr] = parts_alert;
-                if (cond !== '>' && cond !== '<') {
-                    await ctx.reply("❌ الشرط غير صالح. استخدم `>` أو `<`.");
-                    return;
-                }
-                const price = parseFloat(priceStr);
-                if (isNaN(price) || price <= 0) {
-                    await ctx.reply("❌ السعر غير صالح.");
-                    return;
-                }
-                const allAlerts = await loadAlerts();
-                allAlerts.push({ instId: symbol.toUpperCase() + '-USDT', condition: cond, price: price });
-                await saveAlerts(allAlerts);
-                await ctx.reply(`✅ تم ضبط التنبيه: ${symbol.toUpperCase()} ${cond} ${price}`, { parse_mode: "Markdown" });
+                await saveAlertFromText(ctx, text);
                 return;
-            case 'delete_alert_number':
-                let currentAlerts = await loadAlerts();
-                const index = parseInt(text) - 1;
-                if (isNaN(index) || index < 0 || index >= currentAlerts.length) {
-                    await ctx.reply("❌ رقم غير صالح.");
-                    return;
-                }
-                currentAlerts.splice(index, 1);
-                await saveAlerts(currentAlerts);
-                await ctx.reply(`✅ تم حذف التنبيه.`);
+            case 'edit_alert':
+                await saveAlertFromText(ctx, text, data);
                 return;
         }
     }
@@ -719,13 +2712,16 @@ bot.on("message:text", async (ctx) => {
         case "📊 عرض المحفظة":
             const loadingMsgPortfolio = await ctx.reply("⏳ جاري إعداد التقرير...");
             try {
-                const prices = await okxAdapter.getMarketPrices();
-                if (!prices || prices.error) throw new Error(prices.error || `فشل جلب أسعار السوق.`);
-                const capital = await loadCapital();
-                const { assets, total, error } = await okxAdapter.getPortfolio(prices);
+                const accountId = await getActiveAccountId(ctx);
+                const { assets, total, error } = await getAccountPortfolio(accountId);
                 if (error) throw new Error(error);
-                const { caption } = await formatPortfolioMsg(assets, total, capital);
+                const capital = await loadCapital(accountId);
+                const netFlows = await getNetFlowsSinceCapitalSet(accountId);
+                const positions = await loadMergedPositions(accountId);
+                const { caption, chart } = formatPortfolioMsg(assets, total, capital, netFlows, positions, accounts.length > 1 ? accountLabel(accountId) : null);
                 await ctx.api.editMessageText(loadingMsgPortfolio.chat.id, loadingMsgPortfolio.message_id, caption, { parse_mode: "Markdown" });
+                const allocationPhoto = chartPhoto(chart);
+                if (allocationPhoto) await ctx.replyWithPhoto(allocationPhoto);
             } catch (e) {
                 console.error("Error in 'عرض المحفظة':", e);
                 await ctx.api.editMessageText(loadingMsgPortfolio.chat.id, loadingMsgPortfolio.message_id, `❌ حدث خطأ: ${e.message}`);
@@ -734,11 +2730,9 @@ bot.on("message:text", async (ctx) => {
         case "🚀 تحليل السوق":
             const loadingMsgMarket = await ctx.reply("⏳ جاري تحليل السوق...");
             try {
-                const prices = await okxAdapter.getMarketPrices();
-                if (!prices || prices.error) throw new Error(prices.error || `فشل جلب أسعار السوق.`);
-                const { assets, error } = await okxAdapter.getPortfolio(prices);
+                const { assets, error } = await getAccountPortfolio(await getActiveAccountId(ctx));
                 if (error) throw new Error(error);
-                const marketMsg = await formatAdvancedMarketAnalysis(assets);
+                const marketMsg = formatAdvancedMarketAnalysis(await marketData.getMarketPrices(), assets);
                 await ctx.api.editMessageText(loadingMsgMarket.chat.id, loadingMsgMarket.message_id, marketMsg, { parse_mode: "Markdown" });
             } catch (e) {
                 console.error("Error in 'تحليل السوق':", e);
@@ -749,7 +2743,7 @@ bot.on("message:text", async (ctx) => {
         case "🔍 مراجعة الصفقات":
             const loadingMsgReview = await ctx.reply("⏳ جارٍ جلب أحدث 5 صفقات مغلقة...");
             try {
-                const closedTrades = await getCollection("tradeHistory").find({}).sort({ closedAt: -1 }).limit(5).toArray();
+                const closedTrades = await getCollection("tradeHistory").find(accountFilter(await getActiveAccountId(ctx))).sort({ closedAt: -1 }).limit(5).toArray();
                 if (closedTrades.length === 0) {
                     await ctx.api.editMessageText(loadingMsgReview.chat.id, loadingMsgReview.message_id, "ℹ️ لا يوجد سجل صفقات مغلقة لمراجعتها.");
                     return;
@@ -776,11 +2770,10 @@ bot.on("message:text", async (ctx) => {
         case "⚡ إحصائيات سريعة":
             const loadingMsgQuick = await ctx.reply("⏳ جاري حساب الإحصائيات...");
             try {
-                const prices = await okxAdapter.getMarketPrices();
-                if (!prices || prices.error) throw new Error(prices.error || `فشل جلب أسعار السوق.`);
-                const capital = await loadCapital();
-                const { assets, total, error } = await okxAdapter.getPortfolio(prices);
+                const accountId = await getActiveAccountId(ctx);
+                const { assets, total, error } = await getAccountPortfolio(accountId);
                 if (error) throw new Error(error);
+                const capital = await loadCapital(accountId);
                 const quickStatsMsg = await formatQuickStats(assets, total, capital);
                 await ctx.api.editMessageText(loadingMsgQuick.chat.id, loadingMsgQuick.message_id, quickStatsMsg, { parse_mode: "Markdown" });
             } catch (e) {
@@ -788,27 +2781,48 @@ bot.on("message:text", async (ctx) => {
                 await ctx.api.editMessageText(loadingMsgQuick.chat.id, loadingMsgQuick.message_id, `❌ حدث خطأ: ${e.message}`);
             }
             break;
+        case "⚠️ تحليل المخاطر":
+            const loadingMsgRisk = await ctx.reply("⏳ جاري تحليل مخاطر المحفظة...");
+            try {
+                const riskReport = await buildRiskReport(await getActiveAccountId(ctx));
+                await ctx.api.editMessageText(loadingMsgRisk.chat.id, loadingMsgRisk.message_id, riskReport.error || riskReport.text, { parse_mode: "Markdown" });
+            } catch (e) {
+                console.error("Error in 'تحليل المخاطر':", e);
+                await ctx.api.editMessageText(loadingMsgRisk.chat.id, loadingMsgRisk.message_id, `❌ حدث خطأ: ${e.message}`);
+            }
+            break;
         case "📈 أداء المحفظة":
             const performanceKeyboard = new InlineKeyboard()
                 .text("آخر 24 ساعة", "chart_24h")
                 .text("آخر 7 أيام", "chart_7d")
-                .text("آخر 30 يومًا", "chart_30d");
+                .text("آخر 30 يومًا", "chart_30d").row()
+                .text("آخر 90 يومًا", "chart_90d")
+                .text("منذ بداية العام", "chart_ytd")
+                .text("آخر سنة", "chart_1y").row()
+                .text("منذ البداية", "chart_all")
+                .text("📅 فترة مخصصة", "chart_custom");
             await ctx.reply("اختر الفترة الزمنية لعرض تقرير الأداء:", { reply_markup: performanceKeyboard });
             break;
+        case "🔀 تبديل الحساب":
+            const activeAccountId = await getActiveAccountId(ctx);
+            const accountsKeyboard = new InlineKeyboard();
+            accounts.forEach(account => { accountsKeyboard.text(`${account.id === activeAccountId ? '✅ ' : ''}${account.name} (${account.exchange.toUpperCase()})`, `switch_account_${account.id}`).row(); });
+            accountsKeyboard.text(`${activeAccountId === ALL_ACCOUNTS ? '✅ ' : ''}🌐 كل الحسابات (مجمع)`, `switch_account_${ALL_ACCOUNTS}`);
+            await ctx.reply(`🔀 *اختر الحساب المعروض*\n\n*الحساب الحالي:* ${accountLabel(activeAccountId)}`, { parse_mode: "Markdown", reply_markup: accountsKeyboard });
+            break;
         case "📈 تحليل تراكمي":
-            waitingState = 'cumulative_analysis_asset';
-            await ctx.reply("✍️ يرجى إرسال رمز العملة التي تود تحليلها (مثال: `BTC`).");
+            startPrompt(ctx, 'cumulative_analysis_asset');
+            await ctx.reply("✍️ يرجى إرسال رمز العملة التي تود تحليلها (مثال: `BTC`).", { reply_markup: cancelPromptKeyboard });
             break;
         case "ℹ️ معلومات عملة":
-            waitingState = 'coin_info';
-            await ctx.reply("✍️ يرجى إرسال رمز العملة (مثال: `BTC-USDT`).");
+            startPrompt(ctx, 'coin_info');
+            await ctx.reply("✍️ يرجى إرسال رمز العملة (مثال: `BTC-USDT`).", { reply_markup: cancelPromptKeyboard });
             break;
         case "⚙️ الإعدادات":
             await sendSettingsMenu(ctx);
             break;
-        case "🔔 ضبط تنبيه":
-            waitingState = 'set_alert';
-            await ctx.reply("✍️ *لضبط تنبيه سعر، استخدم الصيغة:*\n`BTC > 50000`", { parse_mode: "Markdown" });
+        case "🔔 التنبيهات":
+            await sendAlertsMenu(ctx);
             break;
         case "🧮 حاسبة الربح والخسارة":
             await ctx.reply("✍️ لحساب الربح/الخسارة، استخدم أمر `/pnl` بالصيغة التالية:\n`/pnl <سعر الشراء> <سعر البيع> <الكمية>`", {parse_mode: "Markdown"});
@@ -820,38 +2834,58 @@ bot.on("message:text", async (ctx) => {
 // SECTION 6: SERVER AND BOT INITIALIZATION
 // =================================================================
 app.get("/healthcheck", (req, res) => res.status(200).send("OK"));
+app.get("/api/track-record", trackRecordEndpoint('summary'));
+app.get("/api/track-record/trades", trackRecordEndpoint('trades'));
+app.get("/api/track-record/open", trackRecordEndpoint('open'));
+app.get("/track-record", sendTrackRecordPage);
+app.use(ADMIN_BASE_PATH, adminRouter);
 async function startBot() {
     try {
         await connectDB();
         console.log("MongoDB connected.");
+        await ensureSnapshotIndexes();
+        await ensureCandleIndexes();
+        await ensureLedgerIndexes();
+        await ensurePublicationIndexes();
+        await ensureSessionIndexes();
+        await migrateLegacyPublications();
+        await releaseInterruptedPublications();
+        await migrateLegacyHistory();
+        await migrateLegacyAlerts();
+        await seedLedgerFromPositions();
         if (process.env.NODE_ENV === "production") {
             app.use(express.json());
             app.use(webhookCallback(bot, "express"));
             app.listen(PORT, () => { console.log(`Bot server is running on port ${PORT}`); });
         } else {
             console.log("Bot starting with polling...");
-            await bot.start({
+            // Without the webhook the server only serves the healthcheck, the track record and the dashboard.
+            app.listen(PORT, () => { console.log(`Track record server is running on port ${PORT}`); });
+            // bot.start() only resolves when polling stops, so it must not block the job setup below.
+            bot.start({
                 drop_pending_updates: true,
-            });
+            }).catch((e) => { console.error("FATAL: Bot polling stopped.", e); process.exit(1); });
         }
         console.log("Bot is now fully operational for OKX.");
+        marketData.start();
+        startPriceTriggers();
 
-        // Start all background jobs
+        // Register all background jobs; wall-clock schedules run in Africa/Cairo time and missed runs are caught up
         console.log("Starting OKX background jobs...");
-        setInterval(monitorBalanceChanges, 60 * 1000);
-        setInterval(trackPositionHighLow, 60 * 1000);
-        setInterval(checkPriceAlerts, 30 * 1000);
-        // setInterval(checkPriceMovements, 60 * 1000); // This logic is now inside monitorBalanceChanges
-        setInterval(monitorVirtualTrades, 30 * 1000);
-        setInterval(runHourlyJobs, 60 * 60 * 1000);
-        setInterval(runDailyJobs, 24 * 60 * 60 * 1000);
-        setInterval(runDailyReportJob, 24 * 60 * 60 * 1000);
-        
-        // Run initial jobs once on startup
-        await runHourlyJobs();
-        await runDailyJobs();
-        await monitorBalanceChanges();
-        await bot.api.sendMessage(AUTHORIZED_USER_ID, "✅ *تم إعادة تشغيل البوت بنجاح*\n\nتم تفعيل المراقبة المتقدمة لمنصة OKX.", {parse_mode: "Markdown"}).catch(console.error);
+        scheduleJob("monitorTradeFills", { every: 60 * 1000 }, monitorTradeFills, { label: "مراقبة الصفقات المنفذة" });
+        scheduleJob("trackPositionHighLow", { every: 60 * 1000 }, trackPositionHighLow, { label: "تتبع قمم وقيعان المراكز" });
+        scheduleJob("checkPriceAlerts", { every: 30 * 1000 }, priceDrivenJobs.checkPriceAlerts.run, { label: "تنبيهات الأسعار" });
+        scheduleJob("checkPriceMovements", { every: 60 * 1000 }, checkPriceMovements, { label: "تنبيهات حركة الأسعار" });
+        scheduleJob("monitorPositionProtection", { every: 30 * 1000 }, priceDrivenJobs.monitorPositionProtection.run, { label: "حماية المراكز (الهدف والوقف)" });
+        scheduleJob("checkRebalanceDrift", { every: 15 * 60 * 1000 }, checkRebalanceDrift, { label: "تنبيهات انحراف التوزيع" });
+        scheduleJob("monitorVirtualTrades", { every: 30 * 1000 }, priceDrivenJobs.monitorVirtualTrades.run, { label: "متابعة التوصيات الافتراضية" });
+        scheduleJob("runHourlyJobs", { hourly: 0 }, runHourlyJobs, { label: "اللقطة الساعية للمحفظة", runWhenNew: true });
+        scheduleJob("runDailyJobs", { daily: DAILY_SNAPSHOT_TIME }, runDailyJobs, { label: "اللقطة اليومية للمحفظة", runWhenNew: true });
+        scheduleJob("runDailyReportJob", async () => ({ daily: (await loadSettings()).dailyReportTime || "22:00" }), runDailyReportJob, { label: "تقرير النسخ اليومي" });
+        scheduleJob("runWeeklyRiskReport", { weekly: WEEKLY_RISK_REPORT }, runWeeklyRiskReport, { label: "تقرير المخاطر الأسبوعي" });
+        scheduleJob("publishScheduledPublications", { every: 60 * 1000 }, publishScheduledPublications, { label: "نشر المنشورات المؤجلة" });
+        await startScheduler();
+        await notify('system', "✅ *تم إعادة تشغيل البوت بنجاح*\n\nتم تفعيل المراقبة المتقدمة لمنصة OKX.", {parse_mode: "Markdown"});
 
     } catch (e) {
         console.error("FATAL: Could not start the bot.", e);
@@ -859,4 +2893,9 @@ async function startBot() {
     }
 }
 
-startBot();
\ No newline at end of file
+// The scenario runner (scenarios/run.js) loads this module to drive the jobs without starting the bot.
+if (require.main === module) {
+    startBot();
+}
+
+module.exports = { bot, accounts, ensureSnapshotIndexes, migrateLegacyAlerts, monitorTradeFills, trackPositionHighLow, checkPriceAlerts, checkPriceMovements, checkRebalanceDrift, monitorVirtualTrades, monitorPositionProtection, runHourlyJobs, runDailyJobs, runDailyReportJob, runWeeklyRiskReport, publishScheduledPublications, seedLedgerFromPositions };
\ No newline at end of file
@@ -0,0 +1,88 @@
+// lib/access.js
+
+
+
+// Everyone the bot answers has a role. The owner from AUTHORIZED_USER_ID always keeps the owner role; the other
+// users are added by an owner with /users. Viewers read the reports, managers also change settings, trade and
+// publish, and owners manage the users and can wipe the data.
+const ROLES = ["owner", "manager", "viewer"];
+const ROLE_LABELS = { owner: "👑 مالك", manager: "🛠️ مدير", viewer: "👁️ مشاهد" };
+const ROLE_PERMISSIONS = { owner: ["view", "manage", "admin"], manager: ["view", "manage"], viewer: ["view"] };
+
+// Inline buttons and commands that only read data. Anything not listed here needs "manage", so a new action
+// is closed to viewers until it is added.
+const VIEW_CALLBACKS = [
+    "cancel_prompt", "back_to_settings", "track_virtual_trades", "virtual_trades_history", "view_positions", "view_cash_flows",
+    "view_trading_limits", "view_schedules", "view_publications", "manage_alerts", "manage_movement_alerts", "manage_rebalance", "manage_publishing_targets",
+];
+// Switching the account only changes what that user sees (it is kept in their session).
+const VIEW_CALLBACK_PREFIXES = ["review_trade_", "chart_", "position_", "pub_open_", "pub_view_", "target_view_", "switch_account_"];
+const ADMIN_CALLBACKS = ["delete_all_data"];
+const VIEW_COMMANDS = ["start", "settings", "pnl", "backtest", "tax", "cancel"];
+const ADMIN_COMMANDS = ["users"];
+
+// Who receives each kind of notification. Messages with action buttons go to managers, and viewers get the
+// buttons stripped from the categories they do receive.
+const NOTIFICATION_PERMISSIONS = { trades: "view", alerts: "view", reports: "view", publishing: "manage", system: "admin" };
+
+// A prompt (the bot waiting for the answer to its question) is dropped when it is not answered in time.
+const PROMPT_TIMEOUT_MINUTES = 10;
+
+const hasPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+function callbackPermission(data) {
+    if (ADMIN_CALLBACKS.includes(data)) return "admin";
+    if (VIEW_CALLBACKS.includes(data) || VIEW_CALLBACK_PREFIXES.some(prefix => data.startsWith(prefix))) return "view";
+    return "manage";
+}
+
+function commandPermission(command) {
+    if (ADMIN_COMMANDS.includes(command)) return "admin";
+    return VIEW_COMMANDS.includes(command) ? "view" : "manage";
+}
+
+// The stored users with the env owner always first and always an owner.
+function withOwner(users, ownerId) {
+    return [{ id: ownerId, role: "owner", name: null }, ...users.filter(u => u.id !== ownerId)];
+}
+
+const roleOf = (users, userId) => users.find(u => u.id === userId)?.role || null;
+
+const recipientsFor = (users, category) => users.filter(u => hasPermission(u.role, NOTIFICATION_PERMISSIONS[category]));
+
+// "/users" arguments: nothing (list), "add <id> <role> [name]", "role <id> <role>" or "remove <id>". -> { action, ... } or { error }
+function parseUsersCommand(text) {
+    const [action, idText, ...rest] = String(text || "").trim().split(/\s+/).filter(Boolean);
+    if (!action) return { action: "list" };
+    if (!["add", "role", "remove"].includes(action)) return { error: `الإجراء "${action}" غير معروف.` };
+    const id = Number(idText);
+    if (!Number.isSafeInteger(id) || id === 0) return { error: "معرف المستخدم يجب أن يكون رقم Telegram صحيحًا." };
+    if (action === "remove") return { action, id };
+    const [role, ...nameParts] = rest;
+    if (!ROLES.includes(role)) return { error: `الصلاحية يجب أن تكون إحدى: ${ROLES.join("، ")}.` };
+    if (action === "role") return { action, id, role };
+    return { action, id, role, name: nameParts.join(" ") || null };
+}
+
+// Sessions are per user in each chat, so prompts in a group never mix between its members.
+const sessionKey = (ctx) => ctx.chat && ctx.from ? `${ctx.chat.id}:${ctx.from.id}` : undefined;
+
+// grammY session storage on a MongoDB collection, one document per session key. `updatedAt` lets an index
+// expire the sessions nobody uses anymore.
+function createSessionStorage(getCollection) {
+    return {
+        read: async (key) => (await getCollection().findOne({ _id: key }))?.data,
+        write: async (key, data) => { await getCollection().updateOne({ _id: key }, { $set: { data, updatedAt: new Date() } }, { upsert: true }); },
+        delete: async (key) => { await getCollection().deleteOne({ _id: key }); },
+    };
+}
+
+const createPrompt = (state, data = null, now = Date.now()) => ({ state, data, expiresAt: now + PROMPT_TIMEOUT_MINUTES * 60 * 1000 });
+const isPromptExpired = (prompt, now = Date.now()) => now >= prompt.expiresAt;
+
+
+
+module.exports = {
+    ROLES, ROLE_LABELS, NOTIFICATION_PERMISSIONS, PROMPT_TIMEOUT_MINUTES, hasPermission, callbackPermission, commandPermission, withOwner, roleOf,
+    recipientsFor, parseUsersCommand, sessionKey, createSessionStorage, createPrompt, isPromptExpired,
+};
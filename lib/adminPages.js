@@ -0,0 +1,383 @@
+// lib/adminPages.js
+
+const crypto = require("crypto");
+const { formatNumber, escapeHtml } = require("./utils.js");
+
+
+
+// The web dashboard lives under /admin on the bot's Express server and stays off until ADMIN_PASSWORD is set.
+// Pages are rendered on the server from the collections the bot uses; forms post back and redirect with a notice.
+const ADMIN_BASE_PATH = "/admin";
+const ADMIN_PAGES = [
+    { path: "/", label: "📊 المحفظة" },
+    { path: "/positions", label: "💼 المراكز" },
+    { path: "/alerts", label: "🔔 التنبيهات" },
+    { path: "/virtual-trades", label: "💡 التوصيات الافتراضية" },
+    { path: "/history", label: "📜 سجل الصفقات" },
+    { path: "/settings", label: "⚙️ الإعدادات" },
+];
+const ADMIN_PAGE_SIZE = 50;
+// The portfolio page reloads itself so that the prices stay live.
+const ADMIN_REFRESH_SECONDS = 60;
+const ADMIN_CHART_PERIODS = ["24h", "7d", "30d", "90d", "all"];
+
+// ADMIN_USERNAME (default "admin") and ADMIN_PASSWORD. -> { username, password }
+function parseAdminSettings(env = {}) {
+    return { username: env.ADMIN_USERNAME || "admin", password: env.ADMIN_PASSWORD || null };
+}
+
+const sameText = (a, b) => {
+    const [bufferA, bufferB] = [Buffer.from(String(a)), Buffer.from(String(b))];
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// Checks an "Authorization: Basic ..." header against the configured credentials.
+function checkAdminCredentials(settings, header) {
+    if (!settings.password) return false;
+    const match = /^Basic\s+(.+)$/i.exec(String(header || ""));
+    if (!match) return false;
+    const decoded = Buffer.from(match[1], "base64").toString("utf8");
+    const separator = decoded.indexOf(":");
+    if (separator < 0) return false;
+    const okUser = sameText(decoded.slice(0, separator), settings.username);
+    const okPassword = sameText(decoded.slice(separator + 1), settings.password);
+    return okUser && okPassword;
+}
+
+// Forms carry this token, so another site cannot post to the dashboard with the browser's saved credentials.
+const adminCsrfToken = (settings) => crypto.createHmac("sha256", String(settings.password)).update("admin-csrf").digest("hex");
+const checkAdminCsrf = (settings, token) => Boolean(token) && sameText(token, adminCsrfToken(settings));
+
+// The bot's Telegram Markdown as plain text, so that its formatters can be reused on the pages.
+const markdownToText = (text) => String(text ?? "").replace(/\\([_*`\[])|[*`_]/g, (match, escaped) => escaped || "");
+
+// The ids ticked in a bulk form ("ids" appears once per row).
+const selectedIds = (body = {}) => [].concat(body.ids || []).map(String).filter(Boolean);
+
+// Whether any of `values` contains the search text, ignoring case.
+function matchesQuery(values, query) {
+    const needle = String(query || "").trim().toLowerCase();
+    if (!needle) return true;
+    return values.some(v => String(v ?? "").toLowerCase().includes(needle));
+}
+
+// One page of `items`. -> { items, page, pages }
+function paginate(items, page, size = ADMIN_PAGE_SIZE) {
+    const pages = Math.max(1, Math.ceil(items.length / size));
+    const current = Math.min(Math.max(1, parseInt(page, 10) || 1), pages);
+    return { items: items.slice((current - 1) * size, current * size), page: current, pages };
+}
+
+// "YYYY-MM-DD" bounds of the history filter, as UTC dates; the end date is included. -> { from, to } or { error }
+function parseDateRange(fromText, toText) {
+    const read = (value, endOfDay) => {
+        if (!value) return null;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return NaN;
+        const time = Date.parse(`${value}T00:00:00Z`);
+        return isNaN(time) ? NaN : new Date(time + (endOfDay ? 24 * 60 * 60 * 1000 - 1 : 0));
+    };
+    const from = read(fromText, false);
+    const to = read(toText, true);
+    if (Number.isNaN(from) || Number.isNaN(to)) return { error: "صيغة التاريخ يجب أن تكون YYYY-MM-DD." };
+    if (from && to && from > to) return { error: "تاريخ البداية بعد تاريخ النهاية." };
+    return { from, to };
+}
+
+// The settings form. Unticked checkboxes are absent from the body. -> { settings, alertSettings, tradingLimits, capitals } or { error }
+function parseSettingsForm(body, accountIds) {
+    const number = (name) => body[name] === undefined || body[name] === "" ? NaN : Number(body[name]);
+    const time = /^(\d{1,2}):(\d{2})$/.exec(String(body.dailyReportTime || "").trim());
+    if (!time || parseInt(time[1], 10) > 23 || parseInt(time[2], 10) > 59) return { error: "وقت التقرير اليومي غير صالح، استخدم HH:MM." };
+    const movementPercent = number("movementPercent");
+    if (!(movementPercent > 0)) return { error: "نسبة تنبيهات الحركة يجب أن تكون رقمًا موجبًا." };
+    const limits = ["maxOrderUsd", "maxPortfolioPercent", "dailyLossLimitUsd"].map(number);
+    if (limits.some(v => isNaN(v) || v < 0)) return { error: "حدود التداول يجب أن تكون أرقامًا موجبة أو صفرًا." };
+    const capitals = {};
+    for (const id of accountIds) {
+        const value = number(`capital_${id}`);
+        if (isNaN(value) || value < 0) return { error: "رأس المال يجب أن يكون رقمًا موجبًا أو صفرًا." };
+        capitals[id] = value;
+    }
+    return {
+        settings: {
+            dailySummary: body.dailySummary === "on",
+            autoPostToChannel: body.autoPostToChannel === "on",
+            debugMode: body.debugMode === "on",
+            weeklyRiskReport: body.weeklyRiskReport === "on",
+            dailyReportTime: `${time[1].padStart(2, "0")}:${time[2]}`,
+        },
+        alertSettings: { global: movementPercent, digest: body.movementDigest === "on" },
+        tradingLimits: { maxOrderUsd: limits[0], maxPortfolioPercent: limits[1], dailyLossLimitUsd: limits[2] },
+        capitals,
+    };
+}
+
+// --- Rendering ---
+const text = escapeHtml;
+const num = (value, decimals = 2) => value === null || value === undefined || isNaN(value) ? "-" : formatNumber(value, decimals);
+const signedPercent = (value) => value === null || value === undefined || isNaN(value) ? "-" : `${value >= 0 ? "+" : ""}${formatNumber(value)}%`;
+const dateTime = (date) => date ? new Date(date).toISOString().slice(0, 16).replace("T", " ") : "-";
+const resultClass = (value) => value > 0 ? "up" : value < 0 ? "down" : "";
+const adminUrl = (path, params = {}) => {
+    const query = new URLSearchParams(Object.entries(params).filter(([, v]) => v !== undefined && v !== null && v !== "")).toString();
+    return `${ADMIN_BASE_PATH}${path === "/" ? "" : path}${query ? `?${query}` : ""}`;
+};
+
+const STYLE = "body{font-family:system-ui,sans-serif;margin:0;color:#1d2330;background:#f6f7fb}main{max-width:1200px;margin:0 auto;padding:16px}"
+    + "nav{background:#1d2330;padding:8px 16px;display:flex;flex-wrap:wrap;gap:4px}nav a{color:#cfd6e6;text-decoration:none;padding:6px 10px;border-radius:6px}nav a.active{background:#2a6df4;color:#fff}"
+    + "table{width:100%;border-collapse:collapse;background:#fff;font-size:14px;margin:8px 0}th,td{padding:6px;border-bottom:1px solid #e3e6ee;text-align:start;vertical-align:top}"
+    + ".cards{display:flex;flex-wrap:wrap;gap:8px}.card{flex:1 1 180px;background:#fff;border-radius:8px;padding:12px}.card span{display:block;color:#667;font-size:13px}"
+    + ".notice{padding:10px;border-radius:6px;background:#e2f5ea}.notice.error{background:#fde6e7}.up{color:#0a8f4a}.down{color:#d2353b}.muted{color:#667;font-size:13px}"
+    + ".inline{display:flex;flex-wrap:wrap;gap:6px;align-items:end;margin:8px 0}label{display:block;margin:6px 0}input,select,textarea,button{font:inherit;padding:4px 6px}"
+    + "textarea{width:100%;min-height:90px}.charts{display:flex;flex-wrap:wrap;gap:8px}.charts img{max-width:100%;flex:1 1 400px;background:#fff;border-radius:8px}";
+
+// The page frame with the navigation. `notice` is { text, error }.
+function renderAdminLayout({ title, path, body, notice = null, refreshSeconds = null }) {
+    const links = ADMIN_PAGES.map(p => `<a href="${adminUrl(p.path)}"${p.path === path ? ' class="active"' : ""}>${p.label}</a>`).join("");
+    const refresh = refreshSeconds ? `<meta http-equiv="refresh" content="${refreshSeconds}">` : "";
+    const noticeHtml = notice?.text ? `<p class="notice${notice.error ? " error" : ""}">${text(notice.text)}</p>` : "";
+    return `<!DOCTYPE html><html lang="ar" dir="rtl"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">${refresh}`
+        + `<title>${text(title)} | لوحة التحكم</title><style>${STYLE}</style></head><body><nav>${links}</nav><main><h1>${text(title)}</h1>${noticeHtml}${body}</main></body></html>`;
+}
+
+// `columns` is [[label, row => html]]; the cell functions escape what they print.
+function renderTable(columns, rows, { selectable = false, idOf = r => r._id, empty = "لا توجد بيانات." } = {}) {
+    if (rows.length === 0) return `<p class="muted">${empty}</p>`;
+    const toggle = `<input type="checkbox" onclick="this.closest('table').querySelectorAll('input[name=ids]').forEach(b => b.checked = this.checked)">`;
+    const head = (selectable ? `<th>${toggle}</th>` : "") + columns.map(([label]) => `<th>${label}</th>`).join("");
+    const body = rows.map(row => `<tr>${selectable ? `<td><input type="checkbox" name="ids" value="${text(idOf(row))}"></td>` : ""}${columns.map(([, cell]) => `<td>${cell(row)}</td>`).join("")}</tr>`).join("");
+    return `<table><tr>${head}</tr>${body}</table>`;
+}
+
+// A table whose ticked rows receive the chosen action. `actions` is [{ value, label }]; the optional "value"
+// field carries the action's argument (a duration, edit commands...), described by `valueHint`.
+function renderBulkForm(action, csrf, table, actions, valueHint = null) {
+    const options = actions.map(a => `<option value="${a.value}">${a.label}</option>`).join("");
+    const valueField = valueHint ? `<input name="value" placeholder="${text(valueHint)}" size="30">` : "";
+    return `<form method="post" action="${action}"><input type="hidden" name="csrf" value="${csrf}">${table}`
+        + `<div class="inline"><select name="action">${options}</select>${valueField}<button type="submit">تطبيق على المحدد</button></div></form>`;
+}
+
+// `fields` is [{ name, label, value, options?: [[value, label]] , type? }].
+function renderSearchForm(path, fields) {
+    const inputs = fields.map(f => {
+        const control = f.options
+            ? `<select name="${f.name}">${f.options.map(([value, label]) => `<option value="${text(value)}"${String(value) === String(f.value ?? "") ? " selected" : ""}>${text(label)}</option>`).join("")}</select>`
+            : `<input name="${f.name}" type="${f.type || "text"}" value="${text(f.value ?? "")}">`;
+        return `<label>${f.label}<br>${control}</label>`;
+    }).join("");
+    return `<form method="get" action="${adminUrl(path)}" class="inline">${inputs}<button type="submit">🔍 بحث</button></form>`;
+}
+
+function renderPager(path, query, page, pages) {
+    if (pages <= 1) return "";
+    const link = (target, label) => `<a href="${adminUrl(path, { ...query, page: target })}">${label}</a>`;
+    return `<p>${page > 1 ? link(page - 1, "« السابق") : ""} صفحة ${page} من ${pages} ${page < pages ? link(page + 1, "التالي »") : ""}</p>`;
+}
+
+const cards = (items) => `<div class="cards">${items.map(([label, value, cls = ""]) => `<div class="card"><span>${label}</span><b class="${cls}">${text(value)}</b></div>`).join("")}</div>`;
+
+// `views` is one entry per account (and one for all of them): { accountId, label, total, capital, assets, positions, error }.
+function renderPortfolioPage({ views, period }) {
+    const periodLinks = ADMIN_CHART_PERIODS.map(p => p === period ? `<b>${p}</b>` : `<a href="${adminUrl("/", { period: p })}">${p}</a>`).join(" | ");
+    const sections = views.map(view => {
+        if (view.error) return `<h2>${text(view.label)}</h2><p class="notice error">${text(markdownToText(view.error))}</p>`;
+        const cash = view.assets.find(a => a.asset === "USDT")?.value || 0;
+        const pnl = view.capital > 0 ? view.total - view.capital : null;
+        const rows = view.assets.filter(a => a.asset !== "USDT").sort((a, b) => b.value - a.value).map(a => {
+            const position = view.positions[a.asset];
+            return { ...a, avgBuyPrice: position?.avgBuyPrice ?? null, pnlPercent: position?.avgBuyPrice > 0 ? (a.price / position.avgBuyPrice - 1) * 100 : null };
+        });
+        const table = renderTable([
+            ["العملة", r => text(r.asset)],
+            ["الكمية", r => num(r.amount, 6)],
+            ["السعر", r => num(r.price, 4)],
+            ["القيمة", r => `$${num(r.value)}`],
+            ["الوزن", r => `${num(view.total > 0 ? r.value / view.total * 100 : 0)}%`],
+            ["24س", r => `<span class="${resultClass(r.change24h)}">${signedPercent(r.change24h * 100)}</span>`],
+            ["متوسط الشراء", r => num(r.avgBuyPrice, 4)],
+            ["ربح/خسارة غير محقق", r => `<span class="${resultClass(r.pnlPercent)}">${signedPercent(r.pnlPercent)}</span>`],
+        ], rows, { empty: "لا توجد عملات غير USDT." });
+        const account = encodeURIComponent(view.accountId);
+        return `<h2>${text(view.label)}</h2>`
+            + cards([
+                ["القيمة الإجمالية", `$${num(view.total)}`],
+                ["رأس المال", view.capital > 0 ? `$${num(view.capital)}` : "غير محدد"],
+                ["الربح/الخسارة", pnl === null ? "-" : `${pnl >= 0 ? "+" : ""}$${num(pnl)} (${signedPercent(pnl / view.capital * 100)})`, resultClass(pnl)],
+                ["السيولة", `$${num(cash)} (${num(view.total > 0 ? cash / view.total * 100 : 0)}%)`],
+            ])
+            + table
+            + `<div class="charts"><img alt="توزيع المحفظة" onerror="this.remove()" src="${ADMIN_BASE_PATH}/charts/allocation.png?account=${account}">`
+            + `<img alt="أداء المحفظة" onerror="this.remove()" src="${ADMIN_BASE_PATH}/charts/performance.png?account=${account}&period=${period}"></div>`;
+    }).join("");
+    return `<p class="muted">يتم تحديث الصفحة تلقائيًا كل ${ADMIN_REFRESH_SECONDS} ثانية. فترة الرسم البياني: ${periodLinks}</p>${sections}`;
+}
+
+const protectionText = (protection) => {
+    if (!protection || protection.status !== "active") return "-";
+    const parts = [];
+    if (protection.takeProfit) parts.push(`🎯 ${num(protection.takeProfit, 4)}`);
+    if (protection.stopLoss) parts.push(`🛑 ${num(protection.stopLoss, 4)}`);
+    if (protection.trailingPercent) parts.push(`〰️ ${num(protection.trailingPercent)}%${protection.trailingStop ? ` (${num(protection.trailingStop, 4)})` : ""}`);
+    return parts.join(" ") || "-";
+};
+
+// `rows` is [{ id, accountId, accountName, asset, position, price }].
+function renderPositionsPage({ rows, query, accountOptions, csrf }) {
+    const table = renderTable([
+        ["الحساب", r => text(r.accountName)],
+        ["العملة", r => `<a href="${adminUrl("/positions/edit", { account: r.accountId, asset: r.asset })}">${text(r.asset)}</a>`],
+        ["تاريخ الفتح", r => dateTime(r.position.openDate)],
+        ["الكمية", r => num((r.position.totalAmountBought || 0) - (r.position.totalAmountSold || 0), 6)],
+        ["متوسط الشراء", r => num(r.position.avgBuyPrice, 4)],
+        ["السعر الحالي", r => num(r.price, 4)],
+        ["التغير", r => {
+            const change = r.price && r.position.avgBuyPrice > 0 ? (r.price / r.position.avgBuyPrice - 1) * 100 : null;
+            return `<span class="${resultClass(change)}">${signedPercent(change)}</span>`;
+        }],
+        ["حجم الدخول", r => r.position.entryCapitalPercent !== undefined ? `${num(r.position.entryCapitalPercent)}%` : "-"],
+        ["الحماية", r => protectionText(r.position.protection)],
+    ], rows, { selectable: true, idOf: r => r.id, empty: "لا توجد مراكز مفتوحة." });
+    return renderSearchForm("/positions", [{ name: "q", label: "العملة", value: query.q }, { name: "account", label: "الحساب", value: query.account, options: accountOptions }])
+        + renderBulkForm(adminUrl("/positions"), csrf, table, [
+            { value: "protect", label: "🛡️ تعيين الهدف والوقف" },
+            { value: "unprotect", label: "🗑️ إزالة الحماية" },
+            { value: "forget", label: "🚫 إيقاف تتبع المركز" },
+        ], "للحماية: الهدف الوقف المتحرك، مثل +20% -8% 3");
+}
+
+// The position's protection as the "<take profit> <stop loss> <trailing %>" text that parseProtectionLevels reads.
+function protectionLevelsText(protection) {
+    const active = protection?.status === "active" ? protection : {};
+    return [active.takeProfit || "-", active.stopLoss || "-", active.trailingPercent || "-"].join(" ");
+}
+
+function renderPositionEditPage({ accountId, accountName, asset, position, csrf }) {
+    const levels = protectionLevelsText(position.protection);
+    return `<p class="muted">${text(accountName)} | <a href="${adminUrl("/positions")}">🔙 العودة للمراكز</a></p>`
+        + `<form method="post" action="${adminUrl("/positions/edit", { account: accountId, asset })}"><input type="hidden" name="csrf" value="${csrf}">`
+        + `<label>متوسط سعر الشراء<br><input name="avgBuyPrice" type="number" step="any" min="0" value="${text(position.avgBuyPrice ?? "")}"></label>`
+        + `<label>حجم الدخول (% من المحفظة)<br><input name="entryCapitalPercent" type="number" step="any" min="0" value="${text(position.entryCapitalPercent ?? "")}"></label>`
+        + `<label>الهدف والوقف والوقف المتحرك (اتركها كما هي لعدم التغيير، أو "- - -" لإزالة الحماية)<br><input name="protection" value="${text(levels)}" size="40"></label>`
+        + `<button type="submit">💾 حفظ</button></form>`;
+}
+
+// `alerts` carry a `condition` (plain text) next to their fields.
+function renderAlertsPage({ alerts, query, help, csrf, now = Date.now() }) {
+    const status = (a) => a.snoozedUntil && new Date(a.snoozedUntil).getTime() > now ? `😴 حتى ${dateTime(a.snoozedUntil)}` : "🔔 فعال";
+    const table = renderTable([
+        ["الشرط", a => `<a href="${adminUrl("/alerts/edit", { id: a._id })}">${text(a.condition)}</a>`],
+        ["النوع", a => text(a.type)],
+        ["الحالة", a => status(a)],
+        ["التكرار", a => a.repeat ? `كل ${num(a.cooldownMinutes, 0)} د` : "مرة واحدة"],
+        ["ينتهي", a => dateTime(a.expiresAt)],
+        ["آخر تفعيل", a => dateTime(a.lastFiredAt)],
+        ["أُنشئ", a => dateTime(a.createdAt)],
+    ], alerts, { selectable: true, empty: "لا توجد تنبيهات." });
+    return renderSearchForm("/alerts", [{ name: "q", label: "بحث (العملة أو النوع)", value: query.q }])
+        + renderBulkForm(adminUrl("/alerts"), csrf, table, [
+            { value: "snooze", label: "😴 إيقاف مؤقت" },
+            { value: "resume", label: "🔔 استئناف" },
+            { value: "delete", label: "🗑️ حذف" },
+        ], "مدة الإيقاف بالدقائق")
+        + renderTextForm("➕ تنبيه جديد", adminUrl("/alerts/new"), csrf, "spec", "", help);
+}
+
+function renderTextForm(title, action, csrf, name, value, help) {
+    return `<h2>${title}</h2><form method="post" action="${action}"><input type="hidden" name="csrf" value="${csrf}">`
+        + `<textarea name="${name}" dir="ltr">${text(value)}</textarea><p class="muted">${text(help).replace(/\n/g, "<br>")}</p><button type="submit">💾 حفظ</button></form>`;
+}
+
+// The alert is defined again from scratch, as in the bot; it keeps its id and place in the list.
+function renderAlertEditPage({ alert, help, csrf }) {
+    return `<p class="muted">${text(alert.condition)} | <a href="${adminUrl("/alerts")}">🔙 العودة للتنبيهات</a></p>`
+        + renderTextForm("✏️ تعديل التنبيه", adminUrl("/alerts/edit", { id: alert._id }), csrf, "spec", "", help);
+}
+
+// `trades` carry `currentPrice` and `result` (see virtualTradeResult).
+function renderVirtualTradesPage({ trades, query, stats, addHelp, editHelp, csrf }) {
+    const statusLabels = { active: "🟢 نشطة", completed: "✅ مكتملة", stopped: "🛑 أُوقفت", closed: "🔒 أُغلقت" };
+    const table = renderTable([
+        ["الزوج", t => text(t.instId)],
+        ["الحالة", t => statusLabels[t.status] || text(t.status)],
+        ["الدخول", t => num(t.entryPrice, 4)],
+        ["الأهداف", t => t.targets.map(target => `${target.hitAt ? "✅" : "🎯"} ${num(target.price, 4)}`).join("<br>")],
+        ["الوقف", t => num(Math.max(t.stopLossPrice || 0, t.trailingStop || 0), 4)],
+        ["السعر الحالي", t => num(t.currentPrice, 4)],
+        ["المتبقي", t => `${num(t.remainingPercent, 0)}%`],
+        ["المحقق", t => `<span class="${resultClass(t.result.pnl)}">$${num(t.result.pnl)} (${signedPercent(t.result.pnlPercent)})</span>`],
+        ["أُنشئت", t => dateTime(t.createdAt)],
+    ], trades, { selectable: true, empty: "لا توجد توصيات." });
+    const statsHtml = stats ? cards([
+        ["التوصيات المغلقة", String(stats.count)],
+        ["نسبة النجاح", `${num(stats.winRate)}%`],
+        ["متوسط R", stats.avgR !== null && stats.avgR !== undefined ? num(stats.avgR) : "-"],
+    ]) : "";
+    const statusOptions = [["", "الكل"], ...Object.entries(statusLabels)];
+    return statsHtml
+        + renderSearchForm("/virtual-trades", [{ name: "q", label: "الزوج", value: query.q }, { name: "status", label: "الحالة", value: query.status, options: statusOptions }])
+        + renderBulkForm(adminUrl("/virtual-trades"), csrf, table, [
+            { value: "edit", label: "✏️ تعديل (للنشطة)" },
+            { value: "close", label: "🔒 إغلاق بسعر السوق" },
+            { value: "delete", label: "🗑️ حذف (للمغلقة)" },
+        ], editHelp)
+        + renderTextForm("➕ توصية جديدة", adminUrl("/virtual-trades/new"), csrf, "details", "", addHelp);
+}
+
+// `trades` is one page of the filtered history; `summary` covers all of the filtered trades.
+function renderHistoryPage({ trades, summary, page, pages, query, accountOptions, csrf }) {
+    const table = renderTable([
+        ["تاريخ الإغلاق", t => dateTime(t.closedAt)],
+        ["الحساب", t => text(t.accountName)],
+        ["العملة", t => text(t.asset)],
+        ["المدة (يوم)", t => num(t.durationDays, 1)],
+        ["متوسط الشراء", t => num(t.avgBuyPrice, 4)],
+        ["متوسط البيع", t => num(t.avgSellPrice, 4)],
+        ["الربح/الخسارة", t => `<span class="${resultClass(t.pnl)}">$${num(t.pnl)}</span>`],
+        ["النسبة", t => `<span class="${resultClass(t.pnlPercent)}">${signedPercent(t.pnlPercent)}</span>`],
+        ["حجم الدخول", t => t.entryCapitalPercent !== undefined ? `${num(t.entryCapitalPercent)}%` : "-"],
+    ], trades, { selectable: true, empty: "لا توجد صفقات مطابقة." });
+    const summaryHtml = summary.count > 0 ? cards([
+        ["عدد الصفقات", String(summary.count)],
+        ["إجمالي الربح/الخسارة", `$${num(summary.pnl)}`, resultClass(summary.pnl)],
+        ["نسبة النجاح", `${num(summary.winRate)}%`],
+    ]) : "";
+    return renderSearchForm("/history", [
+        { name: "q", label: "العملة", value: query.q },
+        { name: "account", label: "الحساب", value: query.account, options: accountOptions },
+        { name: "from", label: "من", value: query.from, type: "date" },
+        { name: "to", label: "إلى", value: query.to, type: "date" },
+    ]) + summaryHtml
+        + renderBulkForm(adminUrl("/history", query), csrf, table, [{ value: "delete", label: "🗑️ حذف" }])
+        + renderPager("/history", query, page, pages);
+}
+
+function renderSettingsPage({ settings, alertSettings, tradingLimits, capitals, csrf }) {
+    const checkbox = (name, label, checked) => `<label><input type="checkbox" name="${name}"${checked ? " checked" : ""}> ${label}</label>`;
+    const numberField = (name, label, value) => `<label>${label}<br><input name="${name}" type="number" step="any" min="0" value="${text(value ?? "")}"></label>`;
+    return `<form method="post" action="${adminUrl("/settings")}"><input type="hidden" name="csrf" value="${csrf}">`
+        + `<h2>التقارير والنشر</h2>`
+        + checkbox("dailySummary", "📸 اللقطة والملخص اليومي", settings.dailySummary)
+        + checkbox("autoPostToChannel", "🚀 النشر التلقائي للقناة", settings.autoPostToChannel)
+        + checkbox("weeklyRiskReport", "🛡️ تقرير المخاطر الأسبوعي", settings.weeklyRiskReport !== false)
+        + checkbox("debugMode", "🐞 وضع التشخيص", settings.debugMode)
+        + `<label>⏰ وقت تقرير النسخ اليومي (بتوقيت القاهرة)<br><input name="dailyReportTime" value="${text(settings.dailyReportTime || "22:00")}" size="6" dir="ltr"></label>`
+        + `<h2>تنبيهات الحركة</h2>`
+        + numberField("movementPercent", "📊 النسبة العامة (%)", alertSettings.global)
+        + checkbox("movementDigest", "📰 وضع الملخص", alertSettings.digest)
+        + `<h2>حدود التداول (0 لتعطيل الحد)</h2>`
+        + numberField("maxOrderUsd", "الحد الأقصى للأمر ($)", tradingLimits.maxOrderUsd)
+        + numberField("maxPortfolioPercent", "الحد الأقصى للمركز (% من المحفظة)", tradingLimits.maxPortfolioPercent)
+        + numberField("dailyLossLimitUsd", "حد الخسارة اليومية ($)", tradingLimits.dailyLossLimitUsd)
+        + `<h2>رأس المال</h2>`
+        + capitals.map(c => numberField(`capital_${c.accountId}`, `💰 ${text(c.name)} ($)`, c.value)).join("")
+        + `<p><button type="submit">💾 حفظ الإعدادات</button></p></form>`;
+}
+
+
+
+module.exports = {
+    ADMIN_BASE_PATH, ADMIN_PAGES, ADMIN_PAGE_SIZE, ADMIN_REFRESH_SECONDS, ADMIN_CHART_PERIODS,
+    parseAdminSettings, checkAdminCredentials, adminCsrfToken, checkAdminCsrf, markdownToText, selectedIds, matchesQuery, paginate, parseDateRange, parseSettingsForm, protectionLevelsText,
+    adminUrl, renderAdminLayout, renderPortfolioPage, renderPositionsPage, renderPositionEditPage, renderAlertsPage, renderAlertEditPage, renderVirtualTradesPage, renderHistoryPage, renderSettingsPage,
+};
@@ -0,0 +1,166 @@
+// lib/alerts.js
+
+const { calculateSMA, calculateRSI } = require("./indicators.js");
+
+
+
+// Candle timeframes accepted by indicator alerts; RSI always uses 14 periods.
+const ALERT_BARS = ["15m", "1H", "4H", "1D"];
+const DEFAULT_ALERT_BAR = "1H";
+const RSI_PERIOD = 14;
+// Alert types driven by candles rather than by the ticker alone.
+const INDICATOR_ALERT_TYPES = ["rsi", "sma"];
+
+// "30m", "4h", "2d" -> milliseconds, or null.
+function parseDuration(text) {
+    const match = /^(\d+(?:\.\d+)?)(m|h|d)$/i.exec(String(text || ""));
+    if (!match) return null;
+    const unitMs = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[match[2].toLowerCase()];
+    const ms = parseFloat(match[1]) * unitMs;
+    return ms > 0 ? ms : null;
+}
+
+// Reads an alert definition such as "BTC > 65000", "ETH -5%", "BTC in 58000 62000", "SOL rsi < 30",
+// "BTC sma 50 up" or "BTC avg +10%", optionally followed by "repeat <cooldown>", "exp <duration>"
+// and, for indicator alerts, "tf <timeframe>". Returns the alert fields or { error }.
+function parseAlertSpec(text) {
+    const tokens = String(text || "").trim().split(/\s+/).filter(Boolean);
+    const options = { repeat: false, cooldownMinutes: 0, expiresInMs: null, bar: DEFAULT_ALERT_BAR };
+    if (tokens.length > 0 && tokens[tokens.length - 1].toLowerCase() === "repeat") {
+        options.repeat = true;
+        tokens.pop();
+    }
+    for (let i = tokens.length - 2; i >= 1; i--) {
+        const keyword = tokens[i].toLowerCase();
+        const value = tokens[i + 1];
+        if (keyword === "repeat") {
+            const ms = value === "0" ? 0 : parseDuration(value);
+            if (ms === null) return { error: "مدة التكرار غير صالحة. مثال: `repeat 30m`" };
+            Object.assign(options, { repeat: true, cooldownMinutes: ms / 60000 });
+        } else if (keyword === "exp") {
+            const ms = parseDuration(value);
+            if (ms === null) return { error: "مدة الصلاحية غير صالحة. مثال: `exp 24h`" };
+            options.expiresInMs = ms;
+        } else if (keyword === "tf") {
+            const bar = ALERT_BARS.find(b => b.toLowerCase() === value.toLowerCase());
+            if (!bar) return { error: `الإطار الزمني غير مدعوم. المتاح: ${ALERT_BARS.join(" / ")}` };
+            options.bar = bar;
+        } else {
+            continue;
+        }
+        tokens.splice(i, 2);
+    }
+    if (tokens.length < 2) return { error: "صيغة غير صحيحة." };
+    const asset = tokens[0].toUpperCase().replace(/-USDT$/, "");
+    if (!/^[A-Z0-9]+$/.test(asset) || asset === "USDT") return { error: "رمز العملة غير صالح." };
+    const base = { asset, instId: `${asset}-USDT`, repeat: options.repeat, cooldownMinutes: options.cooldownMinutes, expiresInMs: options.expiresInMs };
+    const [first, ...rest] = tokens.slice(1);
+    const keyword = first.toLowerCase();
+    const number = (value) => { const n = parseFloat(value); return isNaN(n) ? null : n; };
+    const signedPercent = (value) => /^[+-]\d+(\.\d+)?%$/.test(value || "") ? parseFloat(value) : null;
+
+    if ((first === ">" || first === "<") && rest.length === 1) {
+        const price = number(rest[0]);
+        if (!(price > 0)) return { error: "السعر غير صالح." };
+        return { ...base, type: "price", direction: first === ">" ? "above" : "below", price };
+    }
+    if (signedPercent(first) !== null && rest.length === 0) {
+        const percent = signedPercent(first);
+        if (percent === 0 || percent <= -100) return { error: "نسبة الحركة غير صالحة." };
+        return { ...base, type: "move", percent };
+    }
+    if ((keyword === "in" || keyword === "out") && rest.length === 2) {
+        const [low, high] = rest.map(number).sort((a, b) => a - b);
+        if (!(low > 0) || !(high > low)) return { error: "حدود النطاق غير صالحة." };
+        return { ...base, type: "band", mode: keyword === "in" ? "enter" : "exit", low, high };
+    }
+    if (keyword === "rsi" && rest.length === 2 && (rest[0] === ">" || rest[0] === "<")) {
+        const level = number(rest[1]);
+        if (!(level > 0 && level < 100)) return { error: "مستوى RSI يجب أن يكون بين 0 و 100." };
+        return { ...base, type: "rsi", direction: rest[0] === ">" ? "above" : "below", level, period: RSI_PERIOD, bar: options.bar };
+    }
+    if (keyword === "sma" && rest.length === 2 && ["up", "down"].includes(rest[1].toLowerCase())) {
+        const period = parseInt(rest[0]);
+        if (!(period >= 2 && period <= 200)) return { error: "فترة المتوسط يجب أن تكون بين 2 و 200." };
+        return { ...base, type: "sma", direction: rest[1].toLowerCase() === "up" ? "above" : "below", period, bar: options.bar };
+    }
+    if (keyword === "avg" && rest.length === 1 && signedPercent(rest[0]) !== null) {
+        const percent = signedPercent(rest[0]);
+        if (percent === 0 || percent <= -100) return { error: "النسبة غير صالحة." };
+        return { ...base, type: "avg", percent };
+    }
+    return { error: "صيغة غير صحيحة." };
+}
+
+// Whether the alert's condition holds. `market` carries the price, the candle closes for indicator
+// alerts and the position's average buy price for "avg" alerts; `active` is null when data is missing.
+// `value` is the indicator or threshold the price was compared with, for the notification.
+function evaluateAlert(alert, market) {
+    const { price } = market;
+    if (!(price > 0)) return { active: null, value: null };
+    switch (alert.type) {
+        case "price":
+            return { active: alert.direction === "above" ? price > alert.price : price < alert.price, value: alert.price };
+        case "move": {
+            const target = alert.reference * (1 + alert.percent / 100);
+            return { active: alert.percent > 0 ? price >= target : price <= target, value: target };
+        }
+        case "band": {
+            const inside = price >= alert.low && price <= alert.high;
+            return { active: alert.mode === "enter" ? inside : !inside, value: null };
+        }
+        case "rsi": {
+            const rsi = market.closes ? calculateRSI(market.closes, alert.period) : null;
+            if (rsi === null) return { active: null, value: null };
+            return { active: alert.direction === "above" ? rsi > alert.level : rsi < alert.level, value: rsi };
+        }
+        case "sma": {
+            const sma = market.closes ? calculateSMA(market.closes, alert.period) : null;
+            if (sma === null) return { active: null, value: null };
+            return { active: alert.direction === "above" ? price > sma : price < sma, value: sma };
+        }
+        case "avg": {
+            if (!(market.avgBuyPrice > 0)) return { active: null, value: null };
+            const target = market.avgBuyPrice * (1 + alert.percent / 100);
+            return { active: alert.percent > 0 ? price >= target : price <= target, value: target };
+        }
+        default:
+            return { active: null, value: null };
+    }
+}
+
+// State a new alert starts from. Price levels fire right away when already reached, like the original
+// alerts; a band fires on entering or leaving it, and crossovers wait for their first reading.
+function initialAlertState(spec, price, now = Date.now()) {
+    const alert = { ...spec, createdAt: new Date(now), expiresAt: spec.expiresInMs ? new Date(now + spec.expiresInMs) : null, snoozedUntil: null, lastFiredAt: null };
+    delete alert.expiresInMs;
+    if (spec.type === "move") alert.reference = price;
+    if (spec.type === "band") alert.lastActive = evaluateAlert(alert, { price }).active ?? false;
+    else if (!INDICATOR_ALERT_TYPES.includes(spec.type)) alert.lastActive = false;
+    return alert;
+}
+
+// Moves an alert forward given its latest reading. An alert fires when its condition starts to hold;
+// a repeating one fires again each time the condition holds anew, at most once per cooldown.
+// Returns the updated fields, whether to notify, and whether the alert is finished.
+function stepAlert(alert, active, now = Date.now()) {
+    if (active === null) return { changes: {}, fire: false, done: false };
+    if (alert.lastActive === undefined || alert.lastActive === null) return { changes: { lastActive: active }, fire: false, done: false };
+    const coolingDown = alert.lastFiredAt && now - new Date(alert.lastFiredAt).getTime() < (alert.cooldownMinutes || 0) * 60 * 1000;
+    if (active && !alert.lastActive) {
+        // Still cooling down: keep waiting without recording the condition, so it fires once the cooldown ends.
+        if (coolingDown) return { changes: {}, fire: false, done: false };
+        return { changes: { lastActive: true, lastFiredAt: new Date(now) }, fire: true, done: !alert.repeat };
+    }
+    return { changes: active === alert.lastActive ? {} : { lastActive: active }, fire: false, done: false };
+}
+
+// The original alerts were { instId, condition: '>' | '<', price }.
+function fromLegacyAlert(legacy) {
+    const asset = legacy.instId.replace(/-USDT$/, "");
+    return { asset, instId: legacy.instId, type: "price", direction: legacy.condition === ">" ? "above" : "below", price: legacy.price, repeat: false, cooldownMinutes: 0 };
+}
+
+
+
+module.exports = { ALERT_BARS, DEFAULT_ALERT_BAR, INDICATOR_ALERT_TYPES, parseDuration, parseAlertSpec, evaluateAlert, initialAlertState, stepAlert, fromLegacyAlert };
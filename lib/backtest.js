@@ -0,0 +1,197 @@
+// lib/backtest.js
+
+const { calculateSMA, calculateRSI } = require("./indicators.js");
+const { calculateDrawdown, resolvePerformancePeriod, parseCustomPerformanceRange } = require("./performance.js");
+const { DEFAULT_STOP_SLIPPAGE_PERCENT, stepVirtualTrade, closeVirtualTrade } = require("./virtualTrades.js");
+
+
+
+const BAR_MS = { "15m": 15 * 60 * 1000, "1H": 60 * 60 * 1000, "4H": 4 * 60 * 60 * 1000, "1D": 24 * 60 * 60 * 1000 };
+const BACKTEST_BARS = Object.keys(BAR_MS);
+// OKX spot taker fee, charged on both sides of every trade.
+const DEFAULT_BACKTEST_FEE_PERCENT = 0.1;
+const MAX_BACKTEST_CANDLES = 5000;
+const RSI_WARMUP_BARS = 100;
+const BACKTEST_USAGE = "🧪 *اختبار استراتيجية على البيانات التاريخية*\n\n" +
+    "`/backtest <الزوج> <الإطار> <الفترة> <القاعدة> [خيارات]`\n\n" +
+    "*القواعد:*\n" +
+    "`sma 20 50` شراء عند تقاطع المتوسط السريع للأعلى وبيع عند تقاطعه للأسفل\n" +
+    "`rsi 30 70` شراء عندما ينزل RSI تحت 30 وبيع عندما يتجاوز 70\n\n" +
+    "*خيارات الخروج (مثل التوصيات الافتراضية):*\n" +
+    "`tp 5 10` أهداف بالنسبة المئوية تُقسم الكمية بينها، `sl 4` وقف خسارة، `trail 3` وقف متحرك، `be` نقل الوقف للدخول بعد الهدف الأول\n" +
+    "`fee 0.1` رسوم كل عملية (الافتراضي 0.1%)، `slip 0.1` انزلاق أوامر السوق\n\n" +
+    `*الأطر:* ${BACKTEST_BARS.join(" / ")} | *الفترة:* \`2024-01-01..2024-06-30\` أو \`30d\` / \`90d\` / \`1y\`\n\n` +
+    "*مثال:*\n`/backtest BTC-USDT 4H 2024-01-01..2024-06-30 sma 20 50 sl 5`";
+
+// Reads the /backtest arguments. Returns { instId, bar, from, to, label, rule, exits, feePercent, slippagePercent } or { error }.
+function parseBacktestArgs(text) {
+    const tokens = String(text || "").trim().split(/\s+/).filter(Boolean);
+    if (tokens.length < 4) return { error: "صيغة غير صحيحة." };
+    const [symbol, barText, rangeText, ...rest] = tokens;
+    const instId = symbol.toUpperCase().includes("-") ? symbol.toUpperCase() : `${symbol.toUpperCase()}-USDT`;
+    const bar = BACKTEST_BARS.find(b => b.toLowerCase() === barText.toLowerCase());
+    if (!bar) return { error: `الإطار الزمني غير مدعوم. المتاح: ${BACKTEST_BARS.join(" / ")}` };
+    const range = parseCustomPerformanceRange(rangeText) || resolvePerformancePeriod(rangeText.toLowerCase());
+    if (!range || rangeText.toLowerCase() === "all") return { error: "الفترة غير صالحة. مثال: `2024-01-01..2024-06-30` أو `90d`" };
+    const from = range.from.getTime();
+    const to = Math.min(range.to.getTime(), Date.now());
+    if ((to - from) / BAR_MS[bar] > MAX_BACKTEST_CANDLES) return { error: `الفترة طويلة جدًا لهذا الإطار (الحد ${MAX_BACKTEST_CANDLES} شمعة). اختر إطارًا أكبر أو فترة أقصر.` };
+
+    const spec = { instId, bar, from, to, label: range.label, rule: null, exits: { targets: [], stopPercent: null, trailingPercent: null, breakevenAfterTp1: false }, feePercent: DEFAULT_BACKTEST_FEE_PERCENT, slippagePercent: DEFAULT_STOP_SLIPPAGE_PERCENT };
+    const numbers = (start) => { const values = []; while (start + values.length < rest.length && !isNaN(parseFloat(rest[start + values.length]))) values.push(parseFloat(rest[start + values.length])); return values; };
+    for (let i = 0; i < rest.length; i++) {
+        const keyword = rest[i].toLowerCase();
+        const values = numbers(i + 1);
+        i += values.length;
+        if (keyword === "sma" || keyword === "rsi") {
+            if (spec.rule) return { error: "حدد قاعدة دخول واحدة فقط." };
+            if (values.length !== 2) return { error: `القاعدة \`${keyword}\` تحتاج قيمتين.` };
+            if (keyword === "sma") {
+                const [fast, slow] = values.map(v => Math.round(v));
+                if (!(fast >= 2 && slow > fast && slow <= 200)) return { error: "فترات المتوسطات غير صالحة (السريع أصغر من البطيء، وحتى 200)." };
+                spec.rule = { type: "sma", fast, slow };
+            } else {
+                const [buyBelow, sellAbove] = values;
+                if (!(buyBelow > 0 && sellAbove > buyBelow && sellAbove < 100)) return { error: "مستويات RSI غير صالحة." };
+                spec.rule = { type: "rsi", period: 14, buyBelow, sellAbove };
+            }
+        } else if (keyword === "tp") {
+            if (values.length === 0 || values.some(v => !(v > 0))) return { error: "الأهداف يجب أن تكون نسبًا موجبة." };
+            spec.exits.targets = values.sort((a, b) => a - b);
+        } else if (["sl", "trail", "fee", "slip"].includes(keyword)) {
+            const value = values[0];
+            if (values.length !== 1 || !(value >= 0) || value >= 100 || (keyword !== "fee" && keyword !== "slip" && value === 0)) return { error: `قيمة \`${keyword}\` غير صالحة.` };
+            if (keyword === "sl") spec.exits.stopPercent = value;
+            if (keyword === "trail") spec.exits.trailingPercent = value;
+            if (keyword === "fee") spec.feePercent = value;
+            if (keyword === "slip") spec.slippagePercent = value;
+        } else if (keyword === "be" && values.length === 0) {
+            spec.exits.breakevenAfterTp1 = true;
+        } else {
+            return { error: `خيار غير معروف: ${rest[i - values.length]}` };
+        }
+    }
+    if (!spec.rule) return { error: "يجب تحديد قاعدة دخول: `sma` أو `rsi`." };
+    return spec;
+}
+
+// Candles needed before the start of the range for the indicators to settle.
+function warmupBars(rule) {
+    return rule.type === "sma" ? rule.slow : RSI_WARMUP_BARS;
+}
+
+// "buy", "sell" or null from the candles closed so far.
+function ruleSignal(rule, closes) {
+    if (rule.type === "sma") {
+        const previous = closes.slice(0, -1);
+        const [fast, slow, prevFast, prevSlow] = [calculateSMA(closes, rule.fast), calculateSMA(closes, rule.slow), calculateSMA(previous, rule.fast), calculateSMA(previous, rule.slow)];
+        if ([fast, slow, prevFast, prevSlow].some(v => v === null)) return null;
+        if (prevFast <= prevSlow && fast > slow) return "buy";
+        if (prevFast >= prevSlow && fast < slow) return "sell";
+        return null;
+    }
+    const rsi = calculateRSI(closes, rule.period);
+    if (rsi === null) return null;
+    if (rsi < rule.buyBelow) return "buy";
+    if (rsi > rule.sellAbove) return "sell";
+    return null;
+}
+
+// A position is a virtual trade, so targets, stops, breakeven and trailing behave exactly like paper trades.
+function openPosition(spec, entryPrice, amount, time) {
+    const { exits } = spec;
+    const targets = exits.targets.map((percent, i) => ({ price: entryPrice * (1 + percent / 100), percent: i === exits.targets.length - 1 ? 100 - (100 / exits.targets.length) * i : 100 / exits.targets.length }));
+    const stopLossPrice = exits.stopPercent ? entryPrice * (1 - exits.stopPercent / 100) : null;
+    return {
+        instId: spec.instId, entryPrice, targets, stopLossPrice, initialStop: stopLossPrice, virtualAmount: amount,
+        breakevenAfterTp1: exits.breakevenAfterTp1, trailingPercent: exits.trailingPercent, slippagePercent: spec.slippagePercent,
+        remainingPercent: 100, realizedPnl: 0, exits: [], status: 'active', createdAt: new Date(time),
+    };
+}
+
+// Replays the rule over `candles` (oldest first, warm-up candles included). Signals are taken on a candle's
+// close and filled at the next candle's open; exits from targets and stops fill inside the candle. Every fill
+// pays `feePercent`. Returns the equity curve, the trades and the summary figures.
+function runBacktest(candles, spec, initialCapital = 1000) {
+    const feeRate = spec.feePercent / 100;
+    const closes = [];
+    const equity = [];
+    const trades = [];
+    let cash = initialCapital;
+    let fees = 0;
+    let position = null;
+    let pending = null;
+    let firstPrice = null;
+
+    const settle = (event, time) => {
+        const proceeds = position.trade.virtualAmount * event.percent / 100 + event.pnl;
+        const fee = proceeds * feeRate;
+        cash += proceeds - fee;
+        fees += fee;
+        position.proceeds += proceeds - fee;
+        position.exitValue += proceeds;
+        if (position.trade.status !== 'active') {
+            trades.push({
+                entryTime: position.entryTime, entryPrice: position.trade.entryPrice, exitTime: time,
+                // Average exit price over every tranche sold.
+                exitPrice: position.exitValue / position.trade.virtualAmount * position.trade.entryPrice,
+                pnl: position.proceeds - position.cost, pnlPercent: (position.proceeds - position.cost) / position.cost * 100,
+                reason: event.kind === 'manual' ? 'signal' : event.kind === 'stop' && event.trailing ? 'trailing' : event.kind,
+            });
+            position = null;
+        }
+    };
+
+    for (const candle of candles) {
+        const inRange = candle.time >= spec.from;
+        if (inRange && firstPrice === null) firstPrice = candle.open;
+        if (pending === "buy" && !position) {
+            const fee = cash * feeRate;
+            fees += fee;
+            position = { trade: openPosition(spec, candle.open, cash - fee, candle.time), entryTime: candle.time, cost: cash, proceeds: 0, exitValue: 0 };
+            cash = 0;
+        } else if (pending === "sell" && position) {
+            const closed = closeVirtualTrade(position.trade, candle.open, candle.time);
+            position.trade = closed.trade;
+            settle(closed.event, candle.time);
+        }
+        pending = null;
+
+        if (position) {
+            const { trade, events } = stepVirtualTrade(position.trade, { price: candle.open, high: candle.high, low: candle.low }, candle.time);
+            position.trade = trade;
+            for (const event of events) if (event.kind !== 'breakeven' && position) settle(event, candle.time);
+        }
+
+        closes.push(candle.close);
+        if (!inRange) continue;
+        const signal = ruleSignal(spec.rule, closes);
+        if (signal === "buy" && !position) pending = "buy";
+        if (signal === "sell" && position) pending = "sell";
+        const openValue = position ? position.trade.virtualAmount * position.trade.remainingPercent / 100 * candle.close / position.trade.entryPrice : 0;
+        equity.push({ time: candle.time, total: cash + openValue });
+    }
+
+    if (equity.length === 0) return { error: "لا توجد شموع في الفترة المحددة." };
+    const lastClose = closes[closes.length - 1];
+    const finalValue = equity[equity.length - 1].total;
+    const returns = equity.slice(1).map((point, i) => ({ time: point.time, value: equity[i].total > 0 ? point.total / equity[i].total - 1 : 0 }));
+    const wins = trades.filter(t => t.pnl > 0).length;
+    return {
+        equity,
+        trades,
+        openTrade: position ? { entryTime: position.entryTime, entryPrice: position.trade.entryPrice, pnlPercent: (finalValue - position.cost) / position.cost * 100 } : null,
+        initialCapital,
+        finalValue,
+        returnPercent: (finalValue - initialCapital) / initialCapital * 100,
+        buyAndHoldPercent: firstPrice ? (lastClose - firstPrice) / firstPrice * 100 : null,
+        fees,
+        winRate: trades.length > 0 ? wins / trades.length * 100 : null,
+        wins,
+        maxDrawdown: calculateDrawdown(equity, returns)?.maxDrawdown ?? 0,
+    };
+}
+
+
+
+module.exports = { BAR_MS, BACKTEST_BARS, BACKTEST_USAGE, DEFAULT_BACKTEST_FEE_PERCENT, MAX_BACKTEST_CANDLES, parseBacktestArgs, warmupBars, runBacktest };
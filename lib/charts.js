@@ -0,0 +1,278 @@
+// lib/charts.js
+
+const { createCanvas, GlobalFonts } = require("@napi-rs/canvas");
+
+
+
+// Charts are drawn on the server and sent as PNG buffers, so portfolio figures never leave the bot. Arabic
+// labels need a font with Arabic glyphs: DejaVu Sans ships with most Linux images, otherwise point
+// CHART_FONT_PATH at a .ttf file.
+if (process.env.CHART_FONT_PATH) GlobalFonts.registerFromPath(process.env.CHART_FONT_PATH, "ChartFont");
+const FONT_FAMILY = `${process.env.CHART_FONT_PATH ? '"ChartFont", ' : ''}"DejaVu Sans", sans-serif`;
+const WIDTH = 1000;
+const HEIGHT = 560;
+// Price labels sit on the right, as on exchange charts.
+const PLOT = { left: 20, top: 70, right: WIDTH - 100, bottom: HEIGHT - 45 };
+const COLORS = {
+    background: "#ffffff", grid: "#ececec", axis: "#8a8a8a", text: "#222222", up: "#26a69a", down: "#ef5350",
+    entry: "#1e88e5", exit: "#8e24aa", takeProfit: "#2e7d32", stopLoss: "#c62828", trailing: "#ef6c00", price: "#555555",
+};
+const SERIES_COLORS = ["#1e88e5", "#f7931a", "#8e24aa", "#26a69a", "#ef5350", "#6d4c41", "#546e7a", "#c0ca33", "#d81b60"];
+const MAX_PIE_SLICES = 8;
+
+const font = (size, weight = "normal") => `${weight} ${size}px ${FONT_FAMILY}`;
+
+// Round tick values covering [min, max].
+function niceTicks(min, max, count = 6) {
+    if (min === max) {
+        const pad = Math.abs(min) * 0.01 || 1;
+        [min, max] = [min - pad, max + pad];
+    }
+    const rough = (max - min) / count;
+    const magnitude = 10 ** Math.floor(Math.log10(rough));
+    const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= rough);
+    const ticks = [];
+    for (let value = Math.floor(min / step) * step; value < max + step; value += step) ticks.push(Number(value.toPrecision(12)));
+    return ticks;
+}
+
+function formatAxisValue(value, unit) {
+    const abs = Math.abs(value);
+    const digits = abs >= 1000 ? 0 : abs >= 1 ? 2 : abs >= 0.01 ? 4 : 8;
+    const number = value.toLocaleString("en-US", { minimumFractionDigits: Math.min(digits, 2), maximumFractionDigits: digits });
+    if (unit === "percent") return `${value > 0 ? '+' : ''}${number}%`;
+    if (unit === "usd") return `$${number}`;
+    return number;
+}
+
+function formatTime(time, span) {
+    const options = span > 3 * 24 * 60 * 60 * 1000
+        ? { day: "2-digit", month: "2-digit", ...(span > 300 * 24 * 60 * 60 * 1000 ? { year: "2-digit" } : {}) }
+        : { day: "2-digit", hour: "2-digit", minute: "2-digit", hour12: false };
+    return new Date(time).toLocaleString("en-GB", { timeZone: "Africa/Cairo", ...options });
+}
+
+function createFrame(title) {
+    const canvas = createCanvas(WIDTH, HEIGHT);
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = COLORS.background;
+    ctx.fillRect(0, 0, WIDTH, HEIGHT);
+    ctx.fillStyle = COLORS.text;
+    ctx.font = font(20, "bold");
+    ctx.textAlign = "center";
+    ctx.textBaseline = "alphabetic";
+    ctx.fillText(title, WIDTH / 2, 32);
+    return { canvas, ctx };
+}
+
+// Horizontal grid with value labels on the right, and up to six time labels along the bottom.
+// `timeAt(x)` gives the time shown under the plot at pixel x.
+function drawAxes(ctx, ticks, y, unit, timeAt, span) {
+    ctx.lineWidth = 1;
+    ctx.font = font(13);
+    ctx.textBaseline = "middle";
+    ctx.textAlign = "left";
+    ticks.forEach(tick => {
+        ctx.strokeStyle = tick === 0 && unit === "percent" ? COLORS.axis : COLORS.grid;
+        ctx.beginPath();
+        ctx.moveTo(PLOT.left, y(tick));
+        ctx.lineTo(PLOT.right, y(tick));
+        ctx.stroke();
+        ctx.fillStyle = COLORS.axis;
+        ctx.fillText(formatAxisValue(tick, unit), PLOT.right + 8, y(tick));
+    });
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    for (let i = 0; i <= 5; i++) {
+        const x = PLOT.left + (PLOT.right - PLOT.left) * i / 5;
+        const time = timeAt(x);
+        if (time !== null) ctx.fillText(formatTime(time, span), Math.min(Math.max(x, PLOT.left + 30), PLOT.right - 30), PLOT.bottom + 10);
+    }
+}
+
+function drawLegend(ctx, entries) {
+    ctx.font = font(14);
+    ctx.textBaseline = "middle";
+    ctx.textAlign = "left";
+    let x = PLOT.left;
+    entries.forEach(({ label, color }) => {
+        ctx.fillStyle = color;
+        ctx.fillRect(x, 48, 14, 14);
+        ctx.fillStyle = COLORS.text;
+        ctx.fillText(label, x + 20, 55);
+        x += 34 + ctx.measureText(label).width;
+    });
+}
+
+// Scale mapping [domainMin, domainMax] onto [rangeMin, rangeMax].
+const linearScale = (domainMin, domainMax, rangeMin, rangeMax) => (value) =>
+    domainMax === domainMin ? (rangeMin + rangeMax) / 2 : rangeMin + (value - domainMin) / (domainMax - domainMin) * (rangeMax - rangeMin);
+
+// `series` is [{ label, points: [{ time, value }], color? }]; `unit` is "usd", "percent" or omitted.
+// A single series is shaded down to the bottom of the plot; several series get a legend. -> PNG buffer or null.
+function renderLineChart({ title, series, unit = null }) {
+    const visible = series.filter(s => s.points.length > 0);
+    if (visible.length === 0) return null;
+    const { canvas, ctx } = createFrame(title);
+    const times = visible.flatMap(s => s.points.map(p => p.time));
+    const values = visible.flatMap(s => s.points.map(p => p.value));
+    const [start, end] = [Math.min(...times), Math.max(...times)];
+    const ticks = niceTicks(Math.min(...values), Math.max(...values));
+    const x = linearScale(start, end, PLOT.left, PLOT.right);
+    const y = linearScale(ticks[0], ticks[ticks.length - 1], PLOT.bottom, PLOT.top);
+    drawAxes(ctx, ticks, y, unit, (px) => start + (px - PLOT.left) / (PLOT.right - PLOT.left) * (end - start), end - start);
+
+    visible.forEach((s, i) => {
+        const color = s.color || SERIES_COLORS[i % SERIES_COLORS.length];
+        ctx.beginPath();
+        s.points.forEach((p, j) => j === 0 ? ctx.moveTo(x(p.time), y(p.value)) : ctx.lineTo(x(p.time), y(p.value)));
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2.5;
+        ctx.lineJoin = "round";
+        ctx.stroke();
+        if (visible.length === 1) {
+            ctx.lineTo(x(s.points[s.points.length - 1].time), PLOT.bottom);
+            ctx.lineTo(x(s.points[0].time), PLOT.bottom);
+            ctx.closePath();
+            ctx.globalAlpha = 0.12;
+            ctx.fillStyle = color;
+            ctx.fill();
+            ctx.globalAlpha = 1;
+        }
+    });
+    if (visible.length > 1) drawLegend(ctx, visible.map((s, i) => ({ label: s.label, color: s.color || SERIES_COLORS[i % SERIES_COLORS.length] })));
+    return canvas.toBuffer("image/png");
+}
+
+// Label in a colored box against the right edge of the plot, centered on `y`.
+function drawPriceTag(ctx, y, text, color) {
+    ctx.font = font(12, "bold");
+    ctx.textAlign = "left";
+    ctx.textBaseline = "middle";
+    const width = ctx.measureText(text).width + 10;
+    ctx.fillStyle = color;
+    ctx.fillRect(PLOT.right - width, y - 10, width, 20);
+    ctx.fillStyle = "#ffffff";
+    ctx.fillText(text, PLOT.right - width + 5, y);
+}
+
+// `candles` are { time, open, high, low, close }, oldest first. `markers` ([{ time, price, kind: "entry" | "exit",
+// label? }]) point at the candle containing `time`; `levels` ([{ price, kind: "entry" | "takeProfit" | "stopLoss" |
+// "trailing" | "price", label }]) are dashed lines across the chart. -> PNG buffer or null.
+function renderCandlestickChart({ title, candles, markers = [], levels = [] }) {
+    if (candles.length === 0) return null;
+    const { canvas, ctx } = createFrame(title);
+    const prices = candles.flatMap(c => [c.high, c.low]).concat(levels.map(l => l.price), markers.map(m => m.price)).filter(p => p > 0);
+    const ticks = niceTicks(Math.min(...prices), Math.max(...prices));
+    const y = linearScale(ticks[0], ticks[ticks.length - 1], PLOT.bottom, PLOT.top);
+    const slot = (PLOT.right - PLOT.left) / candles.length;
+    const xAt = (i) => PLOT.left + slot * (i + 0.5);
+    const indexAt = (px) => Math.min(candles.length - 1, Math.max(0, Math.floor((px - PLOT.left) / slot)));
+    drawAxes(ctx, ticks, y, null, (px) => candles[indexAt(px)].time, candles[candles.length - 1].time - candles[0].time);
+
+    const bodyWidth = Math.max(1, slot * 0.7);
+    candles.forEach((c, i) => {
+        const color = c.close >= c.open ? COLORS.up : COLORS.down;
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(xAt(i), y(c.high));
+        ctx.lineTo(xAt(i), y(c.low));
+        ctx.stroke();
+        const top = y(Math.max(c.open, c.close));
+        ctx.fillRect(xAt(i) - bodyWidth / 2, top, bodyWidth, Math.max(1, y(Math.min(c.open, c.close)) - top));
+    });
+
+    levels.filter(l => l.price > 0).forEach(level => {
+        const color = COLORS[level.kind] || COLORS.price;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        ctx.moveTo(PLOT.left, y(level.price));
+        ctx.lineTo(PLOT.right, y(level.price));
+        ctx.stroke();
+        ctx.setLineDash([]);
+        drawPriceTag(ctx, y(level.price), `${level.label} ${formatAxisValue(level.price)}`, color);
+    });
+
+    markers.forEach(marker => {
+        // The candle that contains the marker's time; markers before the first candle are left out.
+        const index = candles.reduce((found, c, i) => c.time <= marker.time ? i : found, -1);
+        if (index < 0 || !(marker.price > 0)) return;
+        const [px, py] = [xAt(index), y(marker.price)];
+        const pointsUp = marker.kind === "entry";
+        const tip = pointsUp ? py + 4 : py - 4;
+        const base = pointsUp ? tip + 14 : tip - 14;
+        ctx.fillStyle = COLORS[marker.kind] || COLORS.price;
+        ctx.beginPath();
+        ctx.moveTo(px, tip);
+        ctx.lineTo(px - 8, base);
+        ctx.lineTo(px + 8, base);
+        ctx.closePath();
+        ctx.fill();
+        if (marker.label) {
+            ctx.font = font(13, "bold");
+            ctx.textAlign = "center";
+            ctx.textBaseline = pointsUp ? "top" : "bottom";
+            ctx.fillText(marker.label, px, pointsUp ? base + 3 : base - 3);
+        }
+    });
+    return canvas.toBuffer("image/png");
+}
+
+// `slices` are [{ label, value }]. Beyond MAX_PIE_SLICES the smallest are grouped under `otherLabel`.
+// -> PNG buffer or null.
+function renderPieChart({ title, slices, otherLabel = "أخرى" }) {
+    const positive = slices.filter(s => s.value > 0).sort((a, b) => b.value - a.value);
+    const total = positive.reduce((sum, s) => sum + s.value, 0);
+    if (!(total > 0)) return null;
+    const shown = positive.length > MAX_PIE_SLICES
+        ? [...positive.slice(0, MAX_PIE_SLICES - 1), { label: otherLabel, value: positive.slice(MAX_PIE_SLICES - 1).reduce((sum, s) => sum + s.value, 0) }]
+        : positive;
+    const { canvas, ctx } = createFrame(title);
+    const [cx, cy, radius] = [WIDTH * 0.33, (HEIGHT + 40) / 2, 210];
+    let angle = -Math.PI / 2;
+    shown.forEach((slice, i) => {
+        const sweep = slice.value / total * Math.PI * 2;
+        ctx.beginPath();
+        ctx.moveTo(cx, cy);
+        ctx.arc(cx, cy, radius, angle, angle + sweep);
+        ctx.closePath();
+        ctx.fillStyle = SERIES_COLORS[i % SERIES_COLORS.length];
+        ctx.fill();
+        ctx.strokeStyle = COLORS.background;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        angle += sweep;
+    });
+
+    ctx.font = font(17);
+    ctx.textBaseline = "middle";
+    ctx.textAlign = "left";
+    const top = cy - shown.length * 36 / 2;
+    shown.forEach((slice, i) => {
+        const rowY = top + i * 36 + 18;
+        ctx.fillStyle = SERIES_COLORS[i % SERIES_COLORS.length];
+        ctx.fillRect(WIDTH * 0.62, rowY - 9, 18, 18);
+        ctx.fillStyle = COLORS.text;
+        // Percent and label are drawn apart so an Arabic label does not reorder the figures.
+        ctx.fillText(`${(slice.value / total * 100).toFixed(1)}%`, WIDTH * 0.62 + 28, rowY);
+        ctx.fillText(slice.label, WIDTH * 0.62 + 100, rowY);
+    });
+    return canvas.toBuffer("image/png");
+}
+
+// Renders a chart description built by the formatters: { type: "line" | "candlestick" | "pie", ... }.
+function renderChart(chart) {
+    if (!chart) return null;
+    if (chart.type === "line") return renderLineChart(chart);
+    if (chart.type === "candlestick") return renderCandlestickChart(chart);
+    if (chart.type === "pie") return renderPieChart(chart);
+    return null;
+}
+
+
+
+module.exports = { niceTicks, renderLineChart, renderCandlestickChart, renderPieChart, renderChart };
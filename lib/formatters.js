@@ -0,0 +1,722 @@
+// lib/formatters.js
+
+const { formatNumber, formatDuration, escapeMarkdown } = require("./utils.js");
+const { calculatePerformanceStats, getFlowAdjustedReturns } = require("./performance.js");
+const { virtualTradeResult } = require("./virtualTrades.js");
+const { COST_METHOD_LABELS } = require("./ledger.js");
+const { TEMPLATE_SLOTS, DEFAULT_PUBLISHING_TARGET, renderTemplate, templateFor } = require("./publishing.js");
+const { ROLE_LABELS } = require("./access.js");
+
+
+
+// NEW: Function to format the review of a closed trade
+function formatClosedTradeReview(trade, currentPrice) {
+    const { asset, avgBuyPrice, avgSellPrice, quantity, pnl: actualPnl, pnlPercent: actualPnlPercent } = trade;
+    let msg = `*🔍 مراجعة صفقة مغلقة | ${asset}*\n`;
+    msg += `━━━━━━━━━━━━━━━━━━━━\n`;
+    msg += `*ملاحظة: هذا تحليل "ماذا لو" لصفقة مغلقة، ولا يؤثر على محفظتك الحالية.*\n\n`;
+    msg += `*ملخص الأسعار الرئيسي:*\n`;
+    msg += `  - 💵 *سعر الشراء الأصلي:* \`$${formatNumber(avgBuyPrice, 4)}\`\n`;
+    msg += `  - ✅ *سعر الإغلاق الفعلي:* \`$${formatNumber(avgSellPrice, 4)}\`\n`;
+    msg += `  - 📈 *السعر الحالي للسوق:* \`$${formatNumber(currentPrice, 4)}\`\n\n`;
+    const actualPnlSign = actualPnl >= 0 ? '+' : '';
+    const actualEmoji = actualPnl >= 0 ? '🟢' : '🔴';
+    msg += `*الأداء الفعلي للصفقة (عند الإغلاق):*\n`;
+    msg += `  - *النتيجة:* \`${actualPnlSign}$${formatNumber(actualPnl)}\` ${actualEmoji}\n`;
+    msg += `  - *نسبة العائد:* \`${actualPnlSign}${formatNumber(actualPnlPercent)}%\`\n\n`;
+    const hypotheticalPnl = (currentPrice - avgBuyPrice) * quantity;
+    const hypotheticalPnlPercent = (avgBuyPrice > 0) ? (hypotheticalPnl / (avgBuyPrice * quantity)) * 100 : 0;
+    const hypotheticalPnlSign = hypotheticalPnl >= 0 ? '+' : '';
+    const hypotheticalEmoji = hypotheticalPnl >= 0 ? '🟢' : '🔴';
+    msg += `*الأداء الافتراضي (لو بقيت الصفقة مفتوحة):*\n`;
+    msg += `  - *النتيجة الحالية:* \`${hypotheticalPnlSign}$${formatNumber(hypotheticalPnl)}\` ${hypotheticalEmoji}\n`;
+    msg += `  - *نسبة العائد الحالية:* \`${hypotheticalPnlSign}${formatNumber(hypotheticalPnlPercent)}%\`\n\n`;
+    const priceChangeSinceClose = currentPrice - avgSellPrice;
+    const priceChangePercent = (avgSellPrice > 0) ? (priceChangeSinceClose / avgSellPrice) * 100 : 0;
+    const changeSign = priceChangeSinceClose >= 0 ? '⬆️' : '⬇️';
+    msg += `*تحليل قرار الخروج:*\n`;
+    msg += `  - *حركة السعر منذ الإغلاق:* \`${formatNumber(priceChangePercent)}%\` ${changeSign}\n`;
+    if (priceChangeSinceClose > 0) {
+        msg += `  - *الخلاصة:* 📈 لقد واصل السعر الصعود بعد خروجك. كانت هناك فرصة لتحقيق ربح أكبر.\n`;
+    } else {
+        msg += `  - *الخلاصة:* ✅ لقد كان قرارك بالخروج صائبًا، حيث انخفض السعر بعد ذلك وتجنبت خسارة أو تراجع في الأرباح.\n`;
+    }
+    return msg;
+}
+function formatPrivateBuy(details) { const { asset, price, amountChange, tradeValue, feeUsd, time, oldTotalValue, newAssetWeight, newUsdtValue, newCashPercent } = details; const tradeSizePercent = oldTotalValue > 0 ? (tradeValue / oldTotalValue) * 100 : 0; let msg = `*مراقبة الأصول 🔬:*\n**عملية استحواذ جديدة 🟢**\n━━━━━━━━━━━━━━━━━━━━\n`; msg += `🔸 **الأصل المستهدف:** \`${asset}/USDT\`\n`; msg += `🔸 **نوع العملية:** تعزيز مركز / بناء مركز جديد\n`; msg += `━━━━━━━━━━━━━━━━━━━━\n*تحليل الصفقة:*\n`; msg += ` ▪️ **سعر التنفيذ:** \`$${formatNumber(price, 4)}\`\n`; msg += ` ▪️ **الكمية المضافة:** \`${formatNumber(Math.abs(amountChange), 6)}\`\n`; msg += ` ▪️ **التكلفة الإجمالية للصفقة:** \`$${formatNumber(tradeValue)}\`\n`; if (feeUsd > 0) { msg += ` ▪️ **رسوم التنفيذ:** \`$${formatNumber(feeUsd, 4)}\`\n`; } msg += `━━━━━━━━━━━━━━━━━━━━\n*التأثير على هيكل المحفظة:*\n`; msg += ` ▪️ **حجم الصفقة من إجمالي المحفظة:** \`${formatNumber(tradeSizePercent)}%\`\n`; msg += ` ▪️ **الوزن الجديد للأصل:** \`${formatNumber(newAssetWeight)}%\`\n`; msg += ` ▪️ **السيولة المتبقية (USDT):** \`$${formatNumber(newUsdtValue)}\`\n`; msg += ` ▪️ **مؤشر السيولة الحالي:** \`${formatNumber(newCashPercent)}%\`\n`; msg += `━━━━━━━━━━━━━━━━━━━━\n*بتاريخ:* ${new Date(time || Date.now()).toLocaleString("ar-EG", { timeZone: "Africa/Cairo" })}`; return msg; }
+function formatPrivateSell(details) { const { asset, price, amountChange, tradeValue, feeUsd, time, oldTotalValue, newAssetWeight, newUsdtValue, newCashPercent } = details; const tradeSizePercent = oldTotalValue > 0 ? (tradeValue / oldTotalValue) * 100 : 0; let msg = `*مراقبة الأصول 🔬:*\n**مناورة تكتيكية 🟠**\n━━━━━━━━━━━━━━━━━━━━\n`; msg += `🔸 **الأصل المستهدف:** \`${asset}/USDT\`\n`; msg += `🔸 **نوع العملية:** تخفيف المركز / جني أرباح جزئي\n`; msg += `━━━━━━━━━━━━━━━━━━━━\n*تحليل الصفقة:*\n`; msg += ` ▪️ **سعر التنفيذ:** \`$${formatNumber(price, 4)}\`\n`; msg += ` ▪️ **الكمية المخففة:** \`${formatNumber(Math.abs(amountChange), 6)}\`\n`; msg += ` ▪️ **العائد الإجمالي للصفقة:** \`$${formatNumber(tradeValue)}\`\n`; if (feeUsd > 0) { msg += ` ▪️ **رسوم التنفيذ:** \`$${formatNumber(feeUsd, 4)}\`\n`; } msg += `━━━━━━━━━━━━━━━━━━━━\n*التأثير على هيكل المحفظة:*\n`; msg += ` ▪️ **حجم الصفقة من إجمالي المحفظة:** \`${formatNumber(tradeSizePercent)}%\`\n`; msg += ` ▪️ **الوزن الجديد للأصل:** \`${formatNumber(newAssetWeight)}%\`\n`; msg += ` ▪️ **السيولة الجديدة (USDT):** \`$${formatNumber(newUsdtValue)}\`\n`; msg += ` ▪️ **مؤشر السيولة الحالي:** \`${formatNumber(newCashPercent)}%\`\n`; msg += `━━━━━━━━━━━━━━━━━━━━\n*بتاريخ:* ${new Date(time || Date.now()).toLocaleString("ar-EG", { timeZone: "Africa/Cairo" })}`; return msg; }
+function formatPrivateCloseReport(details) { const { asset, avgBuyPrice, avgSellPrice, pnl, pnlPercent, durationDays, highestPrice, lowestPrice } = details; const pnlSign = pnl >= 0 ? '+' : ''; const emoji = pnl >= 0 ? '🟢' : '🔴'; let msg = `*ملف المهمة المكتملة 📂:*\n**تم إغلاق مركز ${asset} بنجاح ✅**\n━━━━━━━━━━━━━━━━━━━━\n`; msg += `*النتيجة النهائية للمهمة:*\n`; msg += ` ▪️ **الحالة:** **${pnl >= 0 ? "مربحة" : "خاسرة"}**\n`; msg += ` ▪️ **صافي الربح/الخسارة:** \`${pnlSign}$${formatNumber(pnl)}\` ${emoji}\n`; msg += ` ▪️ **نسبة العائد على الاستثمار (ROI):** \`${pnlSign}${formatNumber(pnlPercent)}%\`\n`; msg += `━━━━━━━━━━━━━━━━━━━━\n*الجدول الزمني والأداء:*\n`; msg += ` ▪️ **مدة الاحتفاظ بالمركز:** \`${formatNumber(durationDays, 1)} يوم\`\n`; msg += ` ▪️ **متوسط سعر الدخول:** \`$${formatNumber(avgBuyPrice, 4)}\`\n`; msg += ` ▪️ **متوسط سعر الخروج:** \`$${formatNumber(avgSellPrice, 4)}\`\n`; msg += ` ▪️ **أعلى قمة سعرية مسجلة:** \`$${formatNumber(highestPrice, 4)}\`\n`; msg += ` ▪️ **أدنى قاع سعري مسجل:** \`$${formatNumber(lowestPrice, 4)}\`\n`; msg += `━━━━━━━━━━━━━━━━━━━━\n*بتاريخ الإغلاق:* ${new Date(details.closedAt || Date.now()).toLocaleString("ar-EG", { timeZone: "Africa/Cairo" })}`; return msg; }
+// MODIFIED: Public posts are rendered from the templates of a publishing target (see lib/publishing.js);
+// without one, from the default Arabic templates.
+const publicVars = (target, vars) => ({ ...vars, showSize: !target.hideSize, hashtags: target.hashtags || '' });
+function formatPublicBuy(details, target = DEFAULT_PUBLISHING_TARGET) {
+    const { asset, price, oldTotalValue, tradeValue, oldUsdtValue, newCashPercent } = details;
+    const tradeSizePercent = oldTotalValue > 0 ? (tradeValue / oldTotalValue) * 100 : 0;
+    const cashConsumedPercent = (oldUsdtValue > 0) ? (tradeValue / oldUsdtValue) * 100 : 0;
+    return renderTemplate(templateFor(target, 'buy'), publicVars(target, { asset, price: formatNumber(price, 4), sizePercent: formatNumber(tradeSizePercent), cashUsedPercent: formatNumber(cashConsumedPercent), cashLeftPercent: formatNumber(newCashPercent) }));
+}
+function formatPublicSell(details, target = DEFAULT_PUBLISHING_TARGET) {
+    const { asset, price, amountChange, position } = details;
+    const totalPositionAmountBeforeSale = position.totalAmountBought - (position.totalAmountSold - Math.abs(amountChange));
+    const soldPercent = totalPositionAmountBeforeSale > 0 ? (Math.abs(amountChange) / totalPositionAmountBeforeSale) * 100 : 0;
+    const partialPnlPercent = position.avgBuyPrice > 0 ? ((price - position.avgBuyPrice) / position.avgBuyPrice) * 100 : 0;
+    return renderTemplate(templateFor(target, 'sell'), publicVars(target, { asset, price: formatNumber(price, 4), soldPercent: formatNumber(soldPercent), pnlPercent: formatNumber(partialPnlPercent) }));
+}
+function formatPublicClose(details, target = DEFAULT_PUBLISHING_TARGET) {
+    const { asset, pnlPercent, durationDays, avgBuyPrice, avgSellPrice } = details;
+    return renderTemplate(templateFor(target, 'close'), publicVars(target, {
+        asset, avgBuyPrice: formatNumber(avgBuyPrice, 4), avgSellPrice: formatNumber(avgSellPrice, 4), pnlPercent: signed(pnlPercent),
+        pnlEmoji: pnlPercent >= 0 ? '🟢' : '🔴', profit: pnlPercent >= 0, durationDays: formatNumber(durationDays, 1),
+    }));
+}
+// The copy-trading report of the trades closed over the last day. Trades are weighted by their entry size.
+function formatPublicDailyReport(closedTrades, target = DEFAULT_PUBLISHING_TARGET, date = new Date()) {
+    const trades = closedTrades.filter(t => t.pnlPercent !== undefined && t.entryCapitalPercent !== undefined);
+    const weighted = trades.filter(t => t.entryCapitalPercent > 0);
+    const totalWeight = weighted.reduce((sum, t) => sum + t.entryCapitalPercent, 0);
+    const totalPnl = totalWeight > 0 ? weighted.reduce((sum, t) => sum + t.pnlPercent * t.entryCapitalPercent, 0) / totalWeight : 0;
+    return renderTemplate(templateFor(target, 'daily_report'), publicVars(target, {
+        date: `${date.getDate().toString().padStart(2, '0')}/${(date.getMonth() + 1).toString().padStart(2, '0')}/${date.getFullYear()}`,
+        trades: trades.map(t => ({
+            asset: t.asset, entryPercent: formatNumber(t.entryCapitalPercent), avgBuyPrice: formatNumber(t.avgBuyPrice, 4), avgSellPrice: formatNumber(t.avgSellPrice, 4),
+            exitPercent: formatNumber(t.exitQuantityPercent), pnlPercent: signed(t.pnlPercent), pnlEmoji: t.pnlPercent >= 0 ? '🔼' : '🔽',
+        })),
+        totalPnl: signed(totalPnl), totalEmoji: totalPnl >= 0 ? '📈' : '📉', footer: templateFor(target, 'footer'),
+    }));
+}
+function formatPortfolioMsg(assets, total, capital, netFlows = 0, positions = {}, accountText = null) { const usdtAsset = assets.find(a => a.asset === "USDT") || { value: 0 }; const cashPercent = total > 0 ? (usdtAsset.value / total) * 100 : 0; const investedPercent = 100 - cashPercent; const pnl = capital > 0 ? total - capital : 0; const pnlPercent = capital > 0 ? (pnl / capital) * 100 : 0; const pnlSign = pnl >= 0 ? '+' : ''; const pnlEmoji = pnl >= 0 ? '🟢⬆️' : '🔴⬇️'; let dailyPnlText = " `لا توجد بيانات كافية`"; let totalValue24hAgo = 0; assets.forEach(asset => { if (asset.asset === 'USDT') totalValue24hAgo += asset.value; else if (asset.change24h !== undefined && asset.price > 0) totalValue24hAgo += asset.amount * (asset.price / (1 + asset.change24h)); else totalValue24hAgo += asset.value; }); if (totalValue24hAgo > 0) { const dailyPnl = total - totalValue24hAgo; const dailyPnlPercent = (dailyPnl / totalValue24hAgo) * 100; const dailySign = dailyPnl >= 0 ? '+' : ''; const dailyEmoji = dailyPnl >= 0 ? '🟢⬆️' : '🔴⬇️'; dailyPnlText = ` ${dailyEmoji} \`$${dailySign}${formatNumber(dailyPnl)}\` (\`${dailySign}${formatNumber(dailyPnlPercent)}%\`)`; } let caption = `🧾 *التقرير التحليلي للمحفظة*\n\n`; caption += `*بتاريخ: ${new Date().toLocaleString("ar-EG", { timeZone: "Africa/Cairo" })}*\n`; if (accountText) { caption += `*الحساب:* ${accountText}\n`; } caption += `━━━━━━━━━━━━━━━━━━━\n*نظرة عامة على الأداء:*\n`; caption += ` ▫️ *القيمة الإجمالية:* \`$${formatNumber(total)}\`\n`; if (capital > 0) { caption += ` ▫️ *رأس المال:* \`$${formatNumber(capital)}\`\n`; } if (netFlows !== 0) { caption += ` ▫️ *صافي التدفقات الخارجية:* \`${netFlows >= 0 ? '+' : ''}$${formatNumber(netFlows)}\` (مضمّنة في رأس المال)\n`; } caption += ` ▫️ *إجمالي الربح غير المحقق:* ${pnlEmoji} \`$${pnlSign}${formatNumber(pnl)}\` (\`${pnlSign}${formatNumber(pnlPercent)}%\`)\n`; caption += ` ▫️ *الأداء اليومي (24س):*${dailyPnlText}\n`; caption += ` ▫️ *السيولة:* 💵 نقدي ${formatNumber(cashPercent)}% / 📈 مستثمر ${formatNumber(investedPercent)}%\n`; caption += `━━━━━━━━━━━━━━━━━━━━\n*مكونات المحفظة:*\n`; const cryptoAssets = assets.filter(a => a.asset !== "USDT"); cryptoAssets.forEach((a, index) => { const percent = total > 0 ? (a.value / total) * 100 : 0; const position = positions[a.asset]; caption += `\n╭─ *${a.asset}/USDT*\n`; caption += `├─ *القيمة الحالية:* \`$${formatNumber(a.value)}\` (*الوزن:* \`${formatNumber(percent)}%\`)\n`; if (position?.avgBuyPrice) { caption += `├─ *متوسط الشراء:* \`$${formatNumber(position.avgBuyPrice, 4)}\`\n`; } const protectionText = formatProtectionLevels(position?.protection); if (protectionText) { caption += `├─ *الحماية:* ${protectionText}\n`; } caption += `├─ *سعر السوق:* \`$${formatNumber(a.price, 4)}\`\n`; const dailyChangeEmoji = a.change24h >= 0 ? '🟢⬆️' : '🔴⬇️'; caption += `├─ *الأداء اليومي:* ${dailyChangeEmoji} \`${formatNumber(a.change24h * 100)}%\`\n`; if (position?.avgBuyPrice > 0) { const totalCost = position.avgBuyPrice * a.amount; const assetPnl = a.value - totalCost; const assetPnlPercent = totalCost > 0 ? (assetPnl / totalCost) * 100 : 0; const assetPnlEmoji = assetPnl >= 0 ? '🟢' : '🔴'; const assetPnlSign = assetPnl >= 0 ? '+' : ''; caption += `╰─ *ربح/خسارة غير محقق:* ${assetPnlEmoji} \`$${assetPnlSign}${formatNumber(assetPnl)}\` (\`${assetPnlSign}${formatNumber(assetPnlPercent)}%\`)`; } else { caption += `╰─ *ربح/خسارة غير محقق:* \`غير مسجل\``; } if (index < cryptoAssets.length - 1) { caption += `\n━━━━━━━━━━━━━━━━━━━━`; } }); caption += `\n\n━━━━━━━━━━━━━━━━━━━━\n*USDT (الرصيد النقدي)* 💵\n`; caption += `*القيمة:* \`$${formatNumber(usdtAsset.value)}\` (*الوزن:* \`${formatNumber(cashPercent)}%\`)`; return { caption, chart: { type: 'pie', title: 'توزيع المحفظة', slices: assets.map(a => ({ label: a.asset, value: a.value })) } }; }
+function formatAdvancedMarketAnalysis(prices, ownedAssets = []) { if (!prices || prices.error) return `❌ فشل جلب بيانات السوق. ${prices.error || ''}`; const marketData = Object.entries(prices).map(([instId, data]) => ({ instId, ...data })).filter(d => d.volCcy24h > 10000 && d.change24h !== undefined); marketData.sort((a, b) => b.change24h - a.change24h); const topGainers = marketData.slice(0, 5); const topLosers = marketData.slice(-5).reverse(); marketData.sort((a, b) => b.volCcy24h - a.volCcy24h); const highVolume = marketData.slice(0, 5); const ownedSymbols = ownedAssets.map(a => a.asset); let msg = `🚀 *تحليل السوق المتقدم (OKX)* | ${new Date().toLocaleDateString("ar-EG")}\n`; msg += `━━━━━━━━━━━━━━━━━━━\n`; const avgGainerChange = topGainers.length > 0 ? topGainers.reduce((sum, g) => sum + g.change24h, 0) / topGainers.length : 0; const avgLoserChange = topLosers.length > 0 ? topLosers.reduce((sum, l) => sum + Math.abs(l.change24h), 0) / topLosers.length : 0; let sentimentText = "محايدة 😐\n(هناك فرص للنمو لكن التقلبات عالية)"; if (avgGainerChange > avgLoserChange * 1.5) { sentimentText = "صعودي 🟢\n(معنويات السوق إيجابية، والرابحون يتفوقون)"; } else if (avgLoserChange > avgGainerChange * 1.5) { sentimentText = "هبوطي 🔴\n(معنويات السوق سلبية، والخاسرون يسيطرون)"; } msg += `📊 *معنويات السوق:* ${sentimentText}\n━━━━━━━━━━━━━━━━━━━\n\n`; msg += "📈 *أكبر الرابحين (24س):*\n" + topGainers.map(c => { const symbol = c.instId.split('-')[0]; const ownedMark = ownedSymbols.includes(symbol) ? ' ✅' : ''; return ` - \`${c.instId}\`: \`+${formatNumber(c.change24h * 100)}%\`${ownedMark}`; }).join('\n') + "\n\n"; msg += "📉 *أكبر الخاسرين (24س):*\n" + topLosers.map(c => { const symbol = c.instId.split('-')[0]; const ownedMark = ownedSymbols.includes(symbol) ? ' ✅' : ''; return ` - \`${c.instId}\`: \`${formatNumber(c.change24h * 100)}%\`${ownedMark}`; }).join('\n') + "\n\n"; msg += "📊 *الأعلى في حجم التداول:*\n" + highVolume.map(c => ` - \`${c.instId}\`: \`${(c.volCcy24h / 1e6).toFixed(2)}M\` USDT`).join('\n') + "\n\n"; let smartRecommendation = "💡 *توصية:* راقب الأصول ذات حجم التداول المرتفع، فهي غالبًا ما تقود اتجاه السوق."; const ownedGainers = topGainers.filter(g => ownedSymbols.includes(g.instId.split('-')[0])); const ownedLosers = topLosers.filter(l => ownedSymbols.includes(l.instId.split('-')[0])); if (ownedGainers.length > 0) { smartRecommendation = `💡 *توصية ذكية:* عملة *${ownedGainers[0].instId.split('-')[0]}* التي تملكها ضمن أكبر الرابحين. قد تكون فرصة جيدة لتقييم المركز.`; } else if (ownedLosers.length > 0) { smartRecommendation = `💡 *توصية ذكية:* عملة *${ownedLosers[0].instId.split('-')[0]}* التي تملكها ضمن أكبر الخاسرين. قد يتطلب الأمر مراجعة وقف الخسارة أو استراتيجيتك.`; } msg += `${smartRecommendation}`; return msg; }
+function formatPerformanceReport(period, periodLabel, history, btcHistory, cashFlows = []) { const stats = calculatePerformanceStats(history, cashFlows); if (!stats) return { error: "ℹ️ لا توجد بيانات كافية لهذه الفترة." }; let btcPerformanceText = " `لا تتوفر بيانات`"; let benchmarkComparison = ""; if (btcHistory && btcHistory.length >= 2) { const btcStart = btcHistory[0].close; const btcEnd = btcHistory[btcHistory.length - 1].close; const btcChange = (btcEnd - btcStart) / btcStart * 100; btcPerformanceText = `\`${btcChange >= 0 ? '+' : ''}${formatNumber(btcChange)}%\``; if (stats.twrPercent > btcChange) { benchmarkComparison = `▪️ *النتيجة:* أداء أعلى من السوق ✅`; } else { benchmarkComparison = `▪️ *النتيجة:* أداء أقل من السوق ⚠️`; } } const chart = formatPerformanceChart(history, btcHistory, cashFlows, periodLabel); const pnlSign = stats.pnl >= 0 ? '+' : ''; const emoji = stats.pnl >= 0 ? '🟢⬆️' : '🔴⬇️'; let caption = `📊 *تحليل أداء المحفظة | ${periodLabel}*\n\n`; caption += `📈 *النتيجة:* ${emoji} \`$${pnlSign}${formatNumber(stats.pnl)}\` (\`${pnlSign}${formatNumber(stats.pnlPercent)}%\`)\n`; caption += `*التغير الصافي: من \`$${formatNumber(stats.startValue)}\` إلى \`$${formatNumber(stats.endValue)}\`*\n`; if (stats.netFlows !== 0) { caption += `*صافي التدفقات الخارجية (مستبعد من النتيجة):* \`${stats.netFlows >= 0 ? '+' : ''}$${formatNumber(stats.netFlows)}\`\n`; } caption += `\n`; caption += `*📝 مقارنة معيارية (Benchmark):*\n`; caption += `▪️ *أداء محفظتك (TWR):* \`${stats.twrPercent >= 0 ? '+' : ''}${formatNumber(stats.twrPercent)}%\`\n`; caption += `▪️ *أداء عملة BTC:* ${btcPerformanceText}\n`; caption += `${benchmarkComparison}\n\n`; caption += `*📈 مؤشرات الأداء الرئيسية:*\n`; caption += `▪️ *أفضل يوم:* \`+${formatNumber(stats.bestDayChange)}%\`\n`; caption += `▪️ *أسوأ يوم:* \`${formatNumber(stats.worstDayChange)}%\`\n`; caption += `▪️ *مستوى التقلب:* ${stats.volText}\n\n`; caption += `*📐 مقاييس العائد والمخاطر:*\n`; caption += `▪️ *العائد الموزون زمنيًا (TWR):* \`${stats.twrPercent >= 0 ? '+' : ''}${formatNumber(stats.twrPercent)}%\`\n`; if (stats.mwrPercent !== null) { caption += `▪️ *العائد الموزون بالأموال (MWR/IRR):* \`${stats.mwrPercent >= 0 ? '+' : ''}${formatNumber(stats.mwrPercent)}%\``; if (stats.mwrAnnualizedPercent !== null) caption += ` (سنويًا \`${formatNumber(stats.mwrAnnualizedPercent)}%\`)`; caption += `\n`; } if (stats.drawdown && stats.drawdown.maxDrawdown > 0) { const recoveryText = stats.drawdown.recoveryMs !== null ? `تعافى خلال \`${formatDuration(stats.drawdown.recoveryMs)}\`` : `لم يتعافَ بعد`; caption += `▪️ *أقصى تراجع (Max Drawdown):* \`-${formatNumber(stats.drawdown.maxDrawdown)}%\` (${recoveryText})\n`; } else { caption += `▪️ *أقصى تراجع (Max Drawdown):* \`0.00%\`\n`; } caption += `▪️ *نسبة شارب (Sharpe):* \`${stats.sharpe !== null ? formatNumber(stats.sharpe) : 'غير متاح'}\`\n`; caption += `▪️ *نسبة سورتينو (Sortino):* \`${stats.sortino !== null ? formatNumber(stats.sortino) : 'غير متاح'}\``; return { caption, chart }; }
+// Time-weighted return of the portfolio against BTC, both in percent from the start of the period.
+function formatPerformanceChart(history, btcHistory, cashFlows, periodLabel) {
+    let growth = 1;
+    const portfolio = [{ time: history[0].time, value: 0 }, ...getFlowAdjustedReturns(history, cashFlows).map(r => {
+        growth *= 1 + r.value;
+        return { time: r.time, value: (growth - 1) * 100 };
+    })];
+    const series = [{ label: 'المحفظة', points: portfolio }];
+    if (btcHistory && btcHistory.length >= 2) series.push({ label: 'BTC', points: btcHistory.map(c => ({ time: c.time, value: (c.close / btcHistory[0].close - 1) * 100 })) });
+    return { type: 'line', title: `أداء المحفظة مقابل BTC - ${periodLabel}`, unit: 'percent', series };
+}
+function formatAssetContributions(contributions, periodLabel) {
+    if (contributions.length === 0) return null;
+    const totalAbs = contributions.reduce((sum, c) => sum + Math.abs(c.pnl), 0);
+    let msg = `🧩 *مساهمة الأصول في الأداء | ${periodLabel}*\n━━━━━━━━━━━━━━━━━━━━\n`;
+    contributions.forEach(c => {
+        const sign = c.pnl >= 0 ? '+' : '';
+        const share = totalAbs > 0 ? (Math.abs(c.pnl) / totalAbs) * 100 : 0;
+        msg += `${c.pnl >= 0 ? '🟢' : '🔴'} *${c.asset}:* \`${sign}$${formatNumber(c.pnl)}\` (حصة \`${formatNumber(share)}%\` من الحركة)\n`;
+    });
+    msg += `━━━━━━━━━━━━━━━━━━━━\n*ملاحظة:* المساهمة محسوبة من أثر تغير السعر على الكميات المحتفظ بها بين اللقطات.`;
+    return msg;
+}
+
+// Two-step confirmation of an order placed from Telegram: the estimated fill, fees and guardrail verdict.
+function formatOrderPreview(preview) {
+    const { side, asset, size, estimate, bestPrice, feeUsd, violations, accountText, expiresInMinutes } = preview;
+    const isBuy = side === 'buy';
+    const slippagePercent = bestPrice > 0 ? Math.abs(estimate.avgPrice - bestPrice) / bestPrice * 100 : 0;
+    let msg = `🧾 *تأكيد أمر ${isBuy ? 'شراء 🟢' : 'بيع 🔴'} | ${asset}/USDT*\n`;
+    if (accountText) msg += `*الحساب:* ${accountText}\n`;
+    msg += `━━━━━━━━━━━━━━━━━━━━\n*تفاصيل الأمر (بسعر السوق):*\n`;
+    if (isBuy) {
+        msg += ` ▪️ *المبلغ:* \`$${formatNumber(size)}\`\n`;
+        msg += ` ▪️ *الكمية المقدرة:* \`${formatNumber(estimate.baseSize, 6)}\`\n`;
+    } else {
+        msg += ` ▪️ *الكمية:* \`${formatNumber(size, 6)}\`\n`;
+        msg += ` ▪️ *العائد المقدر:* \`$${formatNumber(estimate.quoteSize)}\`\n`;
+    }
+    msg += ` ▪️ *متوسط سعر التنفيذ المقدر:* \`$${formatNumber(estimate.avgPrice, 4)}\`\n`;
+    msg += ` ▪️ *الانزلاق المقدر:* \`${formatNumber(slippagePercent)}%\`\n`;
+    msg += ` ▪️ *الرسوم المقدرة:* \`$${formatNumber(feeUsd, 4)}\`\n`;
+    msg += `━━━━━━━━━━━━━━━━━━━━\n`;
+    if (!estimate.complete) msg += `⚠️ *تنبيه:* عمق دفتر الأوامر لا يغطي كامل الكمية، وقد يختلف التنفيذ الفعلي عن التقدير.\n`;
+    if (violations.length > 0) {
+        msg += `⛔ *تم رفض الأمر وفق حدود التداول:*\n`;
+        violations.forEach(v => { msg += ` ▪️ ${v}\n`; });
+        return msg.trimEnd();
+    }
+    msg += `*هل تؤكد إرسال الأمر؟* (صالح لمدة ${expiresInMinutes} دقيقة)`;
+    return msg;
+}
+
+
+const PROTECTION_LABELS = { takeProfit: "جني الأرباح 🎯", stopLoss: "وقف الخسارة 🛑", trailing: "الوقف المتحرك 📉" };
+
+// One-line summary of a position's active protective exits, or null when there are none.
+function formatProtectionLevels(protection) {
+    if (!protection || protection.status !== 'active') return null;
+    const parts = [];
+    if (protection.takeProfit) parts.push(`🎯 \`$${formatNumber(protection.takeProfit, 4)}\``);
+    if (protection.stopLoss) parts.push(`🛑 \`$${formatNumber(protection.stopLoss, 4)}\``);
+    if (protection.trailingPercent) parts.push(`📉 \`${formatNumber(protection.trailingPercent)}%\`${protection.trailingStop ? ` (\`$${formatNumber(protection.trailingStop, 4)}\`)` : ''}`);
+    if (parts.length === 0) return null;
+    if (protection.mode !== 'exchange') return `${parts.join(' | ')} (يراقبها البوت)`;
+    return `${parts.join(' | ')} ${protection.botTrailing ? '(على المنصة، والوقف المتحرك يراقبه البوت)' : '(على المنصة)'}`;
+}
+
+function formatPositionDetail(asset, position, currentPrice, amount, accountText = null) {
+    const protection = position.protection?.status === 'active' ? position.protection : {};
+    const cost = position.avgBuyPrice * amount;
+    const pnl = currentPrice * amount - cost;
+    const pnlPercent = cost > 0 ? (pnl / cost) * 100 : 0;
+    const sign = pnl >= 0 ? '+' : '';
+    const notSet = '`غير محدد`';
+    let msg = `📂 *تفاصيل مركز ${asset}*\n`;
+    if (accountText) msg += `*الحساب:* ${accountText}\n`;
+    msg += `━━━━━━━━━━━━━━━━━━━━\n`;
+    msg += ` ▪️ *الكمية:* \`${formatNumber(amount, 6)}\`\n`;
+    msg += ` ▪️ *متوسط الشراء:* \`$${formatNumber(position.avgBuyPrice, 4)}\`\n`;
+    msg += ` ▪️ *السعر الحالي:* \`$${formatNumber(currentPrice, 4)}\`\n`;
+    msg += ` ▪️ *ربح/خسارة غير محقق:* ${pnl >= 0 ? '🟢' : '🔴'} \`${sign}$${formatNumber(pnl)}\` (\`${sign}${formatNumber(pnlPercent)}%\`)\n`;
+    msg += ` ▪️ *أعلى/أدنى سعر منذ الفتح:* \`$${formatNumber(position.highestPrice, 4)}\` / \`$${formatNumber(position.lowestPrice, 4)}\`\n`;
+    msg += `━━━━━━━━━━━━━━━━━━━━\n*مستويات الحماية:*\n`;
+    msg += ` ▪️ *${PROTECTION_LABELS.takeProfit}:* ${protection.takeProfit ? `\`$${formatNumber(protection.takeProfit, 4)}\`` : notSet}\n`;
+    msg += ` ▪️ *${PROTECTION_LABELS.stopLoss}:* ${protection.stopLoss ? `\`$${formatNumber(protection.stopLoss, 4)}\`` : notSet}\n`;
+    msg += ` ▪️ *${PROTECTION_LABELS.trailing}:* ${protection.trailingPercent ? `\`${formatNumber(protection.trailingPercent)}%\`` + (protection.trailingStop ? ` (الوقف الحالي \`$${formatNumber(protection.trailingStop, 4)}\`)` : '') : notSet}\n`;
+    if (protection.mode) msg += ` ▪️ *التنفيذ:* ${protection.mode === 'exchange' ? `أمر مشروط على المنصة${protection.botTrailing ? '، والوقف المتحرك يراقبه البوت وينفذ بأمر سوق' : ''}` : 'يراقبها البوت وينفذ بأمر سوق'}\n`;
+    return msg.trimEnd();
+}
+
+// Notice sent when a protective exit fires. `result` is the market order the bot placed, or null when the exchange executed it.
+function formatProtectionTriggered(asset, kind, triggerPrice, marketPrice, result) {
+    let msg = `${result?.error ? '⚠️' : '🔔'} *تم تفعيل ${PROTECTION_LABELS[kind]} | ${asset}*\n━━━━━━━━━━━━━━━━━━━━\n`;
+    if (triggerPrice) msg += ` ▪️ *مستوى التفعيل:* \`$${formatNumber(triggerPrice, 4)}\`\n`;
+    if (marketPrice) msg += ` ▪️ *سعر السوق:* \`$${formatNumber(marketPrice, 4)}\`\n`;
+    if (!result) {
+        msg += ` ▪️ *التنفيذ:* نفذت المنصة أمر البيع المشروط.\n`;
+    } else if (result.error) {
+        msg += ` ▪️ *التنفيذ:* ❌ تعذر إرسال أمر البيع: ${escapeMarkdown(result.error)}\n━━━━━━━━━━━━━━━━━━━━\n*يرجى إغلاق المركز يدويًا.*`;
+        return msg;
+    } else {
+        msg += ` ▪️ *التنفيذ:* أرسل البوت أمر بيع بسعر السوق (رقم الأمر: \`${result.orderId}\`).\n`;
+    }
+    msg += `━━━━━━━━━━━━━━━━━━━━\nسيصلك تقرير الإغلاق فور رصد التنفيذ.`;
+    return msg;
+}
+
+
+const formatAlertTime = (time) => new Date(time).toLocaleString("ar-EG", { timeZone: "Africa/Cairo" });
+
+// Human-readable condition of an alert, without its options.
+function formatAlertCondition(alert) {
+    const price = (value) => `\`$${formatNumber(value, 4)}\``;
+    switch (alert.type) {
+        case 'price': return `${alert.asset} ${alert.direction === 'above' ? 'أعلى من' : 'أدنى من'} ${price(alert.price)}`;
+        case 'move': return `${alert.asset} ${alert.percent > 0 ? 'يرتفع' : 'ينخفض'} \`${formatNumber(Math.abs(alert.percent))}%\` عن ${price(alert.reference)}`;
+        case 'band': return `${alert.asset} ${alert.mode === 'enter' ? 'يدخل النطاق' : 'يخرج من النطاق'} ${price(alert.low)} - ${price(alert.high)}`;
+        case 'rsi': return `RSI(${alert.period}) لـ ${alert.asset} على إطار ${alert.bar} ${alert.direction === 'above' ? 'يتجاوز' : 'ينزل تحت'} \`${alert.level}\``;
+        case 'sma': return `${alert.asset} يخترق SMA(${alert.period}) على إطار ${alert.bar} ${alert.direction === 'above' ? 'صعودًا' : 'هبوطًا'}`;
+        case 'avg': return `${alert.asset} ${alert.percent > 0 ? 'أعلى' : 'أدنى'} من متوسط الشراء بـ \`${formatNumber(Math.abs(alert.percent))}%\``;
+        default: return `${alert.asset} (${alert.type})`;
+    }
+}
+
+// Repeat, expiry and snooze status of an alert, or an empty string.
+function formatAlertOptions(alert, now = Date.now()) {
+    const parts = [];
+    if (alert.repeat) {
+        const cooldown = alert.cooldownMinutes % 60 === 0 ? formatDuration(alert.cooldownMinutes * 60 * 1000) : `${formatNumber(alert.cooldownMinutes, 0)} دقيقة`;
+        parts.push(alert.cooldownMinutes > 0 ? `🔁 متكرر (مرة كل ${cooldown} على الأكثر)` : '🔁 متكرر');
+    }
+    if (alert.expiresAt) parts.push(`⌛ حتى ${formatAlertTime(alert.expiresAt)}`);
+    if (alert.snoozedUntil && new Date(alert.snoozedUntil).getTime() > now) parts.push(`😴 موقوف حتى ${formatAlertTime(alert.snoozedUntil)}`);
+    return parts.join(' | ');
+}
+
+function formatAlertsList(alerts, now = Date.now()) {
+    if (alerts.length === 0) return "🔔 *التنبيهات*\n\nℹ️ لا توجد تنبيهات مسجلة. اضغط \"➕ تنبيه جديد\" لإضافة تنبيه.";
+    let msg = `🔔 *التنبيهات (${alerts.length})*\n━━━━━━━━━━━━━━━━━━━━\n`;
+    alerts.forEach((alert, i) => {
+        msg += `*${i + 1}.* ${formatAlertCondition(alert)}\n`;
+        const options = formatAlertOptions(alert, now);
+        if (options) msg += `      ${options}\n`;
+    });
+    return msg.trimEnd();
+}
+
+// Notice sent when an alert fires. `value` is the indicator reading or target price the price was compared with.
+function formatAlertTriggered(alert, price, value) {
+    let msg = `🚨 *تنبيه | ${alert.asset}*\n━━━━━━━━━━━━━━━━━━━━\n`;
+    msg += ` ▪️ *الشرط:* ${formatAlertCondition(alert)}\n`;
+    msg += ` ▪️ *السعر الحالي:* \`$${formatNumber(price, 4)}\`\n`;
+    if (alert.type === 'rsi' && value !== null) msg += ` ▪️ *قيمة RSI:* \`${formatNumber(value)}\`\n`;
+    if (alert.type === 'sma' && value !== null) msg += ` ▪️ *قيمة المتوسط:* \`$${formatNumber(value, 4)}\`\n`;
+    if (alert.type === 'avg' && value !== null) msg += ` ▪️ *المستوى المستهدف:* \`$${formatNumber(value, 4)}\`\n`;
+    if (alert.repeat) msg += `━━━━━━━━━━━━━━━━━━━━\n🔁 سيبقى التنبيه فعالًا وينبهك عند تحقق الشرط مجددًا.`;
+    return msg.trimEnd();
+}
+
+
+const MOVEMENT_BASELINE_LABELS = { lastAlert: "سعر آخر تنبيه", open24h: "سعر افتتاح 24 ساعة", entry: "متوسط سعر الشراء" };
+
+function formatMovementSettings(settings) {
+    const overrides = Object.entries(settings.overrides || {});
+    let msg = `🚨 *إدارة تنبيهات حركة الأسعار*\n━━━━━━━━━━━━━━━━━━━━\n`;
+    msg += ` ▪️ *النسبة العامة:* \`${settings.global}%\`\n`;
+    msg += ` ▪️ *النسب المخصصة:* ${overrides.length > 0 ? overrides.map(([asset, percent]) => `${asset} \`${percent}%\``).join('، ') : 'لا يوجد'}\n`;
+    msg += ` ▪️ *تُقاس الحركة من:* ${MOVEMENT_BASELINE_LABELS[settings.baseline]}\n`;
+    msg += ` ▪️ *ساعات الهدوء:* ${settings.quietHours ? `\`${settings.quietHours.start} - ${settings.quietHours.end}\` (بتوقيت القاهرة)` : 'غير مفعلة'}\n`;
+    msg += ` ▪️ *وضع الملخص:* ${settings.digest ? 'رسالة واحدة تجمع كل الحركات' : 'رسالة لكل أصل'}`;
+    return msg;
+}
+
+// One asset's move; `move` comes from checkMovement() in lib/movements.js.
+function formatMovementAlert(asset, move, baseline) {
+    const movementText = move.changePercent > 0 ? 'صعود' : 'هبوط';
+    let msg = `📈 *تنبيه حركة سعر لأصل!* \`${asset}\`\n`;
+    msg += `*الحركة:* ${movementText} بنسبة \`${formatNumber(move.changePercent)}%\` عن ${MOVEMENT_BASELINE_LABELS[baseline]} (\`$${formatNumber(move.from, 4)}\`)\n`;
+    msg += `*السعر الحالي:* \`$${formatNumber(move.price, 4)}\``;
+    return msg;
+}
+
+// Several moves in one message. `held` marks moves kept back during quiet hours.
+function formatMovementDigest(moves, baseline, held = false) {
+    let msg = held ? `🌙 *حركات الأسعار خلال ساعات الهدوء (${moves.length})*\n` : `📈 *ملخص حركة الأسعار (${moves.length})*\n`;
+    msg += `_تُقاس الحركة من ${MOVEMENT_BASELINE_LABELS[baseline]}_\n━━━━━━━━━━━━━━━━━━━━\n`;
+    moves.forEach(move => {
+        const emoji = move.changePercent > 0 ? '🟢⬆️' : '🔴⬇️';
+        msg += `${emoji} *${move.asset}:* \`${move.changePercent > 0 ? '+' : ''}${formatNumber(move.changePercent)}%\` (من \`$${formatNumber(move.from, 4)}\` إلى \`$${formatNumber(move.price, 4)}\`)\n`;
+    });
+    return msg.trimEnd();
+}
+
+
+const VIRTUAL_TRADE_STATUS_LABELS = { completed: "🎯 اكتملت الأهداف", stopped: "🛑 أُغلقت بالوقف", closed: "🔒 أُغلقت يدويًا" };
+const signed = (value, decimals = 2) => `${value >= 0 ? '+' : ''}${formatNumber(value, decimals)}`;
+const signedUsd = (value) => `${value >= 0 ? '+' : '-'}$${formatNumber(Math.abs(value))}`;
+const formatR = (rMultiple) => rMultiple === null ? 'غير متاح' : `${signed(rMultiple)}R`;
+
+// Targets with their share of the position, reached ones ticked, e.g. "✅ $68000 (50%) | $70000 (50%)".
+function formatVirtualTargets(trade) {
+    return trade.targets.map(t => `${t.hitAt ? '✅ ' : ''}\`$${formatNumber(t.price, 4)}\` (${formatNumber(t.percent, 0)}%)`).join(' | ');
+}
+
+// Active trades with their open P/L at `prices`; the realized part of partly closed trades is included.
+function formatVirtualTradesList(trades, prices) {
+    let msg = "📈 *متابعة حية للتوصيات النشطة:*\n━━━━━━━━━━━━━━━━━━━━\n";
+    trades.forEach((trade, i) => {
+        const currentPrice = prices[trade.instId]?.price;
+        msg += `*${i + 1}. ${trade.instId}*`;
+        if (!currentPrice) {
+            msg += `\n ▫️ \`لا يمكن جلب السعر الحالي.\`\n`;
+        } else {
+            const openPnl = trade.virtualAmount * trade.remainingPercent / 100 * (currentPrice - trade.entryPrice) / trade.entryPrice;
+            const pnl = trade.realizedPnl + openPnl;
+            const pnlPercent = trade.virtualAmount > 0 ? (pnl / trade.virtualAmount) * 100 : 0;
+            msg += ` ${pnl >= 0 ? '🟢' : '🔴'}\n`;
+            msg += ` ▫️ *الدخول:* \`$${formatNumber(trade.entryPrice, 4)}\` | *الحالي:* \`$${formatNumber(currentPrice, 4)}\`\n`;
+            msg += ` ▫️ *ربح/خسارة:* \`${signedUsd(pnl)}\` (\`${signed(pnlPercent)}%\`)\n`;
+        }
+        msg += ` ▫️ *الأهداف:* ${formatVirtualTargets(trade)}\n`;
+        msg += ` ▫️ *الوقف:* \`$${formatNumber(trade.stopLossPrice, 4)}\``;
+        if (trade.trailingPercent) msg += ` | *المتحرك:* \`${formatNumber(trade.trailingPercent)}%\`${trade.trailingStop ? ` (\`$${formatNumber(trade.trailingStop, 4)}\`)` : ''}`;
+        msg += `\n`;
+        if (trade.remainingPercent < 100) msg += ` ▫️ *المتبقي من المركز:* \`${formatNumber(trade.remainingPercent, 0)}%\`\n`;
+        msg += "━━━━━━━━━━━━━━━━━━━━\n";
+    });
+    return msg.trimEnd();
+}
+
+// Notice for a target, a stop, a manual close or the stop moving to the entry. Once the trade is closed
+// it ends with the overall result.
+function formatVirtualTradeEvent(trade, event) {
+    let msg;
+    if (event.kind === 'breakeven') {
+        return `🛡️ *تم نقل الوقف إلى سعر الدخول (توصية افتراضية)*\n\n*العملة:* \`${trade.instId}\`\n*الوقف الجديد:* \`$${formatNumber(event.price, 4)}\``;
+    }
+    if (event.kind === 'target') {
+        msg = `🎯 *الهدف ${event.index + 1} تحقق (توصية افتراضية)!* ✅\n\n`;
+        msg += `*العملة:* \`${trade.instId}\`\n*سعر الدخول:* \`$${formatNumber(trade.entryPrice, 4)}\`\n*سعر الهدف:* \`$${formatNumber(event.price, 4)}\`\n`;
+    } else if (event.kind === 'stop') {
+        msg = `🛑 *تم تفعيل ${event.trailing ? 'الوقف المتحرك' : 'وقف الخسارة'} (توصية افتراضية)!* 🔻\n\n`;
+        msg += `*العملة:* \`${trade.instId}\`\n*سعر الدخول:* \`$${formatNumber(trade.entryPrice, 4)}\`\n*سعر الوقف:* \`$${formatNumber(event.stopPrice, 4)}\`\n`;
+        msg += `*سعر التنفيذ (مع الانزلاق):* \`$${formatNumber(event.price, 4)}\`\n`;
+    } else {
+        msg = `🔒 *تم إغلاق التوصية الافتراضية يدويًا*\n\n`;
+        msg += `*العملة:* \`${trade.instId}\`\n*سعر الدخول:* \`$${formatNumber(trade.entryPrice, 4)}\`\n*سعر الإغلاق (مع الانزلاق):* \`$${formatNumber(event.price, 4)}\`\n`;
+    }
+    const trancheValue = trade.virtualAmount * event.percent / 100;
+    msg += `\n${event.pnl >= 0 ? '💰' : '💸'} *نتيجة الجزء المغلق (${formatNumber(event.percent, 0)}%):* \`${signedUsd(event.pnl)}\` (\`${signed(trancheValue > 0 ? event.pnl / trancheValue * 100 : 0)}%\`)`;
+    if (trade.status === 'active') return msg + `\n*المتبقي من المركز:* \`${formatNumber(trade.remainingPercent, 0)}%\``;
+    const result = virtualTradeResult(trade);
+    msg += `\n━━━━━━━━━━━━━━━━━━━━\n*النتيجة النهائية:* \`${signedUsd(result.pnl)}\` (\`${signed(result.pnlPercent)}%\`) | \`${formatR(result.rMultiple)}\``;
+    return msg;
+}
+
+// Stats of closed trades followed by the most recent ones. `stats` comes from calculateVirtualTradeStats().
+function formatVirtualTradesHistory(trades, stats) {
+    if (!stats) return "📜 *سجل التوصيات الافتراضية*\n\nℹ️ لا توجد توصيات مغلقة بعد.";
+    let msg = `📜 *سجل التوصيات الافتراضية*\n━━━━━━━━━━━━━━━━━━━━\n*الإحصائيات (${stats.count} توصية):*\n`;
+    msg += ` ▪️ *نسبة النجاح:* \`${formatNumber(stats.winRate)}%\` (${stats.wins} رابحة / ${stats.losses} خاسرة)\n`;
+    msg += ` ▪️ *متوسط R:* \`${formatR(stats.avgR)}\` (الرابحة \`${formatR(stats.avgWinR)}\` / الخاسرة \`${formatR(stats.avgLossR)}\`)\n`;
+    msg += ` ▪️ *التوقع الرياضي لكل توصية:* \`${signedUsd(stats.expectancy)}\` (\`${signed(stats.expectancyPercent)}%\`)\n`;
+    msg += ` ▪️ *إجمالي الربح/الخسارة:* \`${signedUsd(stats.totalPnl)}\`\n`;
+    msg += `━━━━━━━━━━━━━━━━━━━━\n*آخر التوصيات المغلقة:*\n`;
+    trades.forEach(trade => {
+        const result = virtualTradeResult(trade);
+        msg += `\n${result.pnl > 0 ? '🟢' : '🔴'} *${trade.instId}* - ${VIRTUAL_TRADE_STATUS_LABELS[trade.status]}\n`;
+        msg += `    \`${signed(result.pnlPercent)}%\` | \`${formatR(result.rMultiple)}\` | ${new Date(trade.closedAt).toLocaleDateString("ar-EG")}`;
+    });
+    return msg;
+}
+
+
+const BACKTEST_EXIT_LABELS = { target: "🎯 هدف", stop: "🛑 وقف", trailing: "📉 وقف متحرك", signal: "🔁 إشارة" };
+
+// Summary and equity chart of a backtest, plus the trade list as a separate message.
+function formatBacktestReport(result, spec) {
+    const rule = spec.rule.type === 'sma' ? `تقاطع SMA ${spec.rule.fast}/${spec.rule.slow}` : `RSI ${spec.rule.buyBelow}/${spec.rule.sellAbove}`;
+    const exits = [];
+    if (spec.exits.targets.length > 0) exits.push(`🎯 ${spec.exits.targets.map(t => `+${formatNumber(t)}%`).join(' ')}`);
+    if (spec.exits.stopPercent) exits.push(`🛑 -${formatNumber(spec.exits.stopPercent)}%`);
+    if (spec.exits.trailingPercent) exits.push(`📉 ${formatNumber(spec.exits.trailingPercent)}%`);
+    if (spec.exits.breakevenAfterTp1) exits.push('🛡️ تعادل بعد الهدف الأول');
+    const fmtDate = (time) => new Date(time).toLocaleDateString('en-GB', { day: '2-digit', month: '2-digit', year: '2-digit', timeZone: 'UTC' });
+
+    let caption = `🧪 *نتيجة الاختبار التاريخي | ${spec.instId} (${spec.bar})*\n`;
+    caption += `*الفترة:* ${spec.label}\n*القاعدة:* ${rule}${exits.length > 0 ? ` | ${exits.join(' ')}` : ''}\n`;
+    caption += `━━━━━━━━━━━━━━━━━━━━\n`;
+    caption += ` ▪️ *العائد بعد الرسوم:* \`${signed(result.returnPercent)}%\` (\`$${formatNumber(result.initialCapital)}\` ← \`$${formatNumber(result.finalValue)}\`)\n`;
+    if (result.buyAndHoldPercent !== null) caption += ` ▪️ *الشراء والاحتفاظ:* \`${signed(result.buyAndHoldPercent)}%\`\n`;
+    caption += ` ▪️ *الصفقات:* \`${result.trades.length}\`${result.winRate !== null ? ` | *نسبة النجاح:* \`${formatNumber(result.winRate)}%\`` : ''}\n`;
+    caption += ` ▪️ *أقصى تراجع:* \`-${formatNumber(result.maxDrawdown)}%\`\n`;
+    caption += ` ▪️ *الرسوم المدفوعة:* \`$${formatNumber(result.fees)}\` (\`${formatNumber(spec.feePercent)}%\` لكل عملية)`;
+    if (result.openTrade) caption += `\n ▪️ *مركز مفتوح في النهاية:* منذ ${fmtDate(result.openTrade.entryTime)} (\`${signed(result.openTrade.pnlPercent)}%\`)`;
+
+    const chart = { type: 'line', title: `${spec.instId} ${spec.bar} - ${rule}`, unit: 'usd', series: [{ label: 'قيمة المحفظة', points: result.equity.map(p => ({ time: p.time, value: p.total })) }] };
+
+    let tradesText = null;
+    if (result.trades.length > 0) {
+        const shown = result.trades.slice(-20);
+        tradesText = `📋 *الصفقات${result.trades.length > shown.length ? ` (آخر ${shown.length} من ${result.trades.length})` : ''}:*\n`;
+        shown.forEach(t => {
+            tradesText += `\n${t.pnl > 0 ? '🟢' : '🔴'} ${fmtDate(t.entryTime)} \`$${formatNumber(t.entryPrice, 4)}\` ← ${fmtDate(t.exitTime)} \`$${formatNumber(t.exitPrice, 4)}\` | \`${signed(t.pnlPercent)}%\` ${BACKTEST_EXIT_LABELS[t.reason]}`;
+        });
+    }
+    return { caption, chart, tradesText };
+}
+
+
+const TREND_LABELS = { bullish: "صاعد 🟢", bearish: "هابط 🔴", neutral: "عرضي ⚪️" };
+
+// Section of the coin report with the indicators of every timeframe and the overall verdict.
+// `stop` is the ATR stop from suggestAtrStop, with the `bar` and `multiplier` it was computed on.
+function formatTechnicalAnalysis(analysis, stop = null) {
+    const usd = (value) => value === null || value === undefined ? '`غير متاح`' : `\`$${formatNumber(value, 4)}\``;
+    let msg = `🧭 *الاتجاه العام:* ${TREND_LABELS[analysis.verdict.trend]} (قوة \`${signed(analysis.verdict.strength * 100, 0)}%\`)\n`;
+    Object.entries(analysis.timeframes).forEach(([bar, tf]) => {
+        msg += `━━━━━━━━━━━━━━━━━━━━\n`;
+        if (!tf) {
+            msg += `*⏱️ ${bar}:* بيانات غير كافية\n`;
+            return;
+        }
+        msg += `*⏱️ ${bar}:* ${TREND_LABELS[tf.trend]} (\`${tf.score > 0 ? '+' : ''}${tf.score}\`)\n`;
+        let rsiText = "";
+        if (tf.rsi > 70) rsiText = " تشبع شرائي 🔴";
+        if (tf.rsi < 30) rsiText = " تشبع بيعي 🟢";
+        msg += ` ▪️ *RSI:* \`${formatNumber(tf.rsi)}\`${rsiText}`;
+        if (tf.macd) msg += ` | *MACD:* \`${signed(tf.macd.macd, 4)}\` (الهستوجرام \`${signed(tf.macd.histogram, 4)}\`)`;
+        msg += `\n ▪️ *EMA20 / EMA50:* ${usd(tf.ema20)} / ${usd(tf.ema50)} (السعر *${tf.price > tf.ema20 ? 'فوق' : 'تحت'}* EMA20)\n`;
+        if (tf.bollinger) msg += ` ▪️ *بولنجر:* ${usd(tf.bollinger.lower)} - ${usd(tf.bollinger.upper)} (العرض \`${formatNumber(tf.bollinger.width)}%\`)\n`;
+        msg += ` ▪️ *ATR:* ${usd(tf.atr)}${tf.atr ? ` (\`${formatNumber(tf.atr / tf.price * 100)}%\`)` : ''} | *VWAP:* ${usd(tf.vwap)}\n`;
+        if (tf.pivots) msg += ` ▪️ *الدعوم:* ${usd(tf.pivots.s1)} / ${usd(tf.pivots.s2)} | *المقاومات:* ${usd(tf.pivots.r1)} / ${usd(tf.pivots.r2)}\n`;
+        if (tf.volumeProfile) msg += ` ▪️ *ملف الحجم:* نقطة التحكم ${usd(tf.volumeProfile.poc)} | منطقة القيمة ${usd(tf.volumeProfile.valueAreaLow)} - ${usd(tf.volumeProfile.valueAreaHigh)}\n`;
+    });
+    if (stop) {
+        msg += `━━━━━━━━━━━━━━━━━━━━\n`;
+        msg += `🛡️ *وقف مقترح (${formatNumber(stop.multiplier, 1)}×ATR ${stop.bar}):* ${usd(stop.price)} (مسافة \`${formatNumber(stop.percent)}%\`)`;
+    }
+    return msg.trimEnd();
+}
+
+
+// Candlestick chart of the coin report with the position's average buy price and its protective exits.
+function formatCoinChart(instId, bar, candles, position = null, atrStop = null) {
+    const levels = [];
+    const markers = [];
+    if (position?.avgBuyPrice) {
+        levels.push({ price: position.avgBuyPrice, kind: 'entry', label: 'متوسط الشراء' });
+        if (position.openDate) markers.push({ time: new Date(position.openDate).getTime(), price: position.avgBuyPrice, kind: 'entry', label: 'دخول' });
+        const protection = position.protection?.status === 'active' ? position.protection : {};
+        if (protection.takeProfit) levels.push({ price: protection.takeProfit, kind: 'takeProfit', label: 'TP' });
+        if (protection.stopLoss) levels.push({ price: protection.stopLoss, kind: 'stopLoss', label: 'SL' });
+        if (protection.trailingStop) levels.push({ price: protection.trailingStop, kind: 'trailing', label: 'وقف متحرك' });
+    }
+    if (atrStop) levels.push({ price: atrStop.price, kind: 'price', label: 'وقف ATR' });
+    return { type: 'candlestick', title: `${instId} (${bar})`, candles, markers, levels };
+}
+
+// Candlestick chart of a closed trade from its opening to now, with the entry, the exit and today's price.
+function formatTradeReviewChart(trade, bar, candles, currentPrice) {
+    const closedAt = new Date(trade.closedAt).getTime();
+    const openedAt = closedAt - (trade.durationDays || 0) * 24 * 60 * 60 * 1000;
+    return {
+        type: 'candlestick',
+        title: `مراجعة صفقة ${trade.asset} (${bar})`,
+        candles,
+        markers: [
+            { time: openedAt, price: trade.avgBuyPrice, kind: 'entry', label: 'دخول' },
+            { time: closedAt, price: trade.avgSellPrice, kind: 'exit', label: 'خروج' },
+        ],
+        levels: [{ price: currentPrice, kind: 'price', label: 'السعر الحالي' }],
+    };
+}
+
+// Target weights and bands, as shown in the rebalancing menu. `rows` is the current allocation, when known.
+function formatRebalanceTargets(settings, rows = null) {
+    let msg = `⚖️ *إعادة توازن المحفظة*\n━━━━━━━━━━━━━━━━━━━━\n`;
+    const assets = Object.keys(settings.targets);
+    if (assets.length === 0) {
+        msg += `لم يتم تحديد أوزان مستهدفة بعد.\n\nأرسل الأوزان من زر "✏️ تعديل الأوزان" لتظهر هنا خطة إعادة التوازن وتنبيهات الانحراف.`;
+        return msg;
+    }
+    msg += `*الأوزان المستهدفة (نطاق السماح الافتراضي ±${formatNumber(settings.band)}%):*\n`;
+    const list = rows || assets.map(asset => ({ asset, target: settings.targets[asset].weight, band: settings.targets[asset].band ?? settings.band }));
+    list.forEach(row => {
+        const name = row.asset === 'USDT' ? 'USDT (نقد)' : row.asset;
+        msg += ` ▪️ *${name}:* \`${formatNumber(row.target)}%\` ±${formatNumber(row.band)}`;
+        if (row.weight !== undefined) msg += ` | الحالي \`${formatNumber(row.weight)}%\` ${row.outside ? '⚠️' : '✅'}`;
+        msg += `\n`;
+    });
+    msg += `━━━━━━━━━━━━━━━━━━━━\n*تنبيهات الانحراف:* ${settings.driftAlerts ? 'مفعلة ✅' : 'معطلة ❌'}`;
+    return msg;
+}
+
+// The orders of a rebalancing plan with their exact sizes. `plan` is buildRebalancePlan()'s result plus the
+// allocation `rows`, the portfolio `total` and the buys' guardrail `violations`.
+function formatRebalancePlan(plan) {
+    const { rows, total, orders, skipped, cashAfter, violations, accountText, expiresInMinutes } = plan;
+    let msg = `⚖️ *خطة إعادة التوازن*\n`;
+    if (accountText) msg += `*الحساب:* ${accountText}\n`;
+    msg += `*قيمة المحفظة:* \`$${formatNumber(total)}\`\n━━━━━━━━━━━━━━━━━━━━\n*التوزيع الحالي مقابل المستهدف:*\n`;
+    rows.forEach(row => {
+        const sign = row.drift >= 0 ? '+' : '';
+        msg += ` ${row.outside ? '⚠️' : '▪️'} *${row.asset}:* \`${formatNumber(row.weight)}%\` ← \`${formatNumber(row.target)}%\` (\`${sign}${formatNumber(row.drift)}\`)\n`;
+    });
+    msg += `━━━━━━━━━━━━━━━━━━━━\n`;
+    if (orders.length === 0) {
+        msg += `✅ لا توجد أوامر مطلوبة؛ كل الفروقات أقل من الحد الأدنى للمنصة.`;
+        return msg;
+    }
+    msg += `*الأوامر المطلوبة (بسعر السوق):*\n`;
+    orders.forEach(order => {
+        if (order.side === 'sell') msg += ` 🔴 *بيع* \`${formatNumber(order.size, 6)} ${order.asset}\` (~\`$${formatNumber(order.value)}\`)\n`;
+        else msg += ` 🟢 *شراء* ${order.asset} بقيمة \`$${formatNumber(order.size)}\`\n`;
+    });
+    if (skipped.length > 0) {
+        msg += `\n*فروقات أقل من الحد الأدنى للمنصة (لن تُنفذ):*\n`;
+        skipped.forEach(s => { msg += ` ▪️ ${s.side === 'buy' ? 'شراء' : 'بيع'} ${s.asset} \`$${formatNumber(s.value)}\`\n`; });
+    }
+    msg += `\n*النقد المتبقي بعد التنفيذ:* \`$${formatNumber(cashAfter)}\`\n━━━━━━━━━━━━━━━━━━━━\n`;
+    if (violations.length > 0) {
+        msg += `⛔ *لا يمكن تنفيذ الخطة وفق حدود التداول:*\n`;
+        violations.forEach(v => { msg += ` ▪️ ${v}\n`; });
+        return msg.trimEnd();
+    }
+    if (expiresInMinutes) msg += `*هل تؤكد تنفيذ الخطة؟* تُرسل أوامر البيع أولاً ثم الشراء (صالحة لمدة ${expiresInMinutes} دقيقة)`;
+    return msg.trimEnd();
+}
+
+// Outcome of each order of an executed plan.
+function formatRebalanceResults(results) {
+    let msg = `*نتيجة تنفيذ الخطة:*\n`;
+    results.forEach(({ order, orderId, error }) => {
+        const what = order.side === 'sell' ? `بيع \`${formatNumber(order.size, 6)} ${order.asset}\`` : `شراء ${order.asset} بقيمة \`$${formatNumber(order.size)}\``;
+        msg += error ? ` ❌ ${what}: ${escapeMarkdown(error)}\n` : ` ✅ ${what} (رقم الأمر: \`${orderId}\`)\n`;
+    });
+    msg += `\nسيصلك إشعار تنفيذ كل أمر فور رصده.`;
+    return msg;
+}
+
+function formatDriftAlert(alerts, accountText = null) {
+    let msg = `⚖️ *تنبيه انحراف عن التوزيع المستهدف*\n`;
+    if (accountText) msg += `*الحساب:* ${accountText}\n`;
+    msg += `━━━━━━━━━━━━━━━━━━━━\n`;
+    alerts.forEach(row => {
+        const sign = row.drift >= 0 ? '+' : '';
+        msg += ` ▪️ *${row.asset}:* الوزن \`${formatNumber(row.weight)}%\` والمستهدف \`${formatNumber(row.target)}%\` (\`${sign}${formatNumber(row.drift)}\`، النطاق ±${formatNumber(row.band)})\n`;
+    });
+    msg += `━━━━━━━━━━━━━━━━━━━━\nاستخدم /rebalance لعرض خطة العودة إلى التوزيع المستهدف.`;
+    return msg;
+}
+
+
+const CONCENTRATION_LABELS = { low: "منخفض 🟢", medium: "متوسط 🟡", high: "مرتفع 🔴" };
+
+// Risk report of analyzeRisk(): concentration, correlations, beta, VaR/CVaR and the BTC stress scenarios.
+function formatRiskReport(report, accountText = null) {
+    const { concentration, correlation, betas, historical, parametric, stress } = report;
+    const confidence = formatNumber(report.confidence * 100, 0);
+    let msg = `⚠️ *تقرير مخاطر المحفظة*\n`;
+    if (accountText) msg += `*الحساب:* ${accountText}\n`;
+    msg += `_مبني على آخر ${report.days} يومًا من الشموع اليومية._\n━━━━━━━━━━━━━━━━━━━━\n`;
+
+    msg += `*🎯 التركّز:* ${CONCENTRATION_LABELS[concentration.level]}\n`;
+    if (concentration.largest) msg += ` ▪️ *أكبر مركز:* ${concentration.largest.asset} \`${formatNumber(concentration.largest.percent)}%\`\n`;
+    msg += ` ▪️ *أكبر 3 مراكز:* \`${formatNumber(concentration.top3Percent)}%\`\n`;
+    msg += ` ▪️ *النقد (USDT):* \`${formatNumber(concentration.cashPercent)}%\`\n`;
+    msg += ` ▪️ *العدد الفعلي للمراكز:* \`${formatNumber(concentration.effectivePositions, 1)}\`\n━━━━━━━━━━━━━━━━━━━━\n`;
+
+    msg += `*📐 الحساسية لـ BTC (بيتا):*\n`;
+    msg += ` ▪️ *بيتا المحفظة:* \`${formatNumber(report.portfolioBeta)}\` | *التقلب السنوي:* \`${formatNumber(report.volatilityPercent)}%\`\n`;
+    betas.forEach(b => { msg += ` ▪️ *${b.asset}* (\`${formatNumber(b.weight)}%\`): \`${formatNumber(b.beta)}\`${b.proxied ? ' _(تقدير)_' : ''}\n`; });
+    if (correlation.assets.length > 1) {
+        const cell = (value) => (value >= 0 ? ' ' : '') + value.toFixed(2);
+        msg += `\n*🔗 مصفوفة الارتباط:*\n\`\`\`\n      ${correlation.assets.map(a => a.slice(0, 5).padStart(5)).join(' ')}\n`;
+        correlation.matrix.forEach((row, i) => { msg += `${correlation.assets[i].slice(0, 5).padEnd(5)} ${row.map(cell).join(' ')}\n`; });
+        msg += `\`\`\`\n`;
+    }
+    msg += `━━━━━━━━━━━━━━━━━━━━\n*📉 القيمة المعرضة للخطر (يوم واحد، ثقة ${confidence}%):*\n`;
+    msg += ` ▪️ *تاريخية:* VaR \`$${formatNumber(historical.usd)}\` (\`${formatNumber(historical.percent)}%\`) | CVaR \`$${formatNumber(historical.cvarUsd)}\` (\`${formatNumber(historical.cvarPercent)}%\`)\n`;
+    msg += ` ▪️ *معيارية:* VaR \`$${formatNumber(parametric.usd)}\` (\`${formatNumber(parametric.percent)}%\`) | CVaR \`$${formatNumber(parametric.cvarUsd)}\` (\`${formatNumber(parametric.cvarPercent)}%\`)\n`;
+    msg += `━━━━━━━━━━━━━━━━━━━━\n*🧪 سيناريوهات الضغط:*\n`;
+    stress.forEach(s => { msg += ` ▪️ *BTC ${s.move}%:* \`${signedUsd(s.usd)}\` (\`${formatNumber(s.percent)}%\`)\n`; });
+    const main = stress.find(s => s.move === -20) || stress[0];
+    const biggest = main.impacts.filter(i => i.usd < 0).slice(0, 5);
+    if (biggest.length > 0) msg += `   _الأكثر تأثرًا عند BTC ${main.move}%:_ ${biggest.map(i => `${i.asset} \`${signedUsd(i.usd)}\``).join('، ')}\n`;
+    if (report.proxied.length > 0) msg += `\n_ℹ️ لا يتوفر تاريخ كافٍ لـ ${report.proxied.join('، ')}، فتم تقديرها كحركة BTC (بيتا 1)._`;
+    return msg.trimEnd();
+}
+
+// Realized gains and losses of a tax year per asset, from summarizeDisposals().
+function formatTaxSummary(year, summary, methods, accountText = null) {
+    const { assets, totals } = summary;
+    let msg = `🧾 *الأرباح والخسائر المحققة | ${year}*\n`;
+    if (accountText) msg += `*الحساب:* ${accountText}\n`;
+    msg += `*طريقة حساب التكلفة:* ${methods.map(m => COST_METHOD_LABELS[m] || m).join('، ')}\n━━━━━━━━━━━━━━━━━━━━\n`;
+    assets.forEach(a => {
+        msg += `${a.pnl >= 0 ? '🟢' : '🔴'} *${a.asset}:* \`${signedUsd(a.pnl)}\` من \`${a.count}\` عملية بيع\n`;
+        msg += `   العائد \`$${formatNumber(a.proceeds)}\` | التكلفة \`$${formatNumber(a.costBasis)}\`\n`;
+    });
+    msg += `━━━━━━━━━━━━━━━━━━━━\n`;
+    msg += ` ▪️ *إجمالي الأرباح:* \`${signedUsd(totals.gains)}\`\n`;
+    msg += ` ▪️ *إجمالي الخسائر:* \`${signedUsd(totals.losses)}\`\n`;
+    msg += ` ▪️ *الصافي:* \`${signedUsd(totals.pnl)}\` | *الرسوم المدفوعة:* \`$${formatNumber(totals.fees)}\`\n`;
+    if (totals.unmatched > 0) msg += `\n⚠️ ${totals.unmatched} عملية بيع شملت كمية بلا تكلفة شراء مسجلة (مثل عملات محولة من خارج المنصة)، ولم يُحتسب ربح لهذا الجزء.`;
+    return msg.trimEnd();
+}
+
+const PUBLICATION_KIND_LABELS = { buy: "صفقة شراء", sell: "بيع جزئي", close: "إغلاق مركز", daily_report: "تقرير النسخ اليومي" };
+const PUBLICATION_STATUS_LABELS = { draft: "📝 مسودة", scheduled: "⏰ مؤجل", publishing: "⏳ قيد النشر", published: "✅ منشور", discarded: "🗑️ متجاهل", deleted: "❌ محذوف من القناة" };
+const publicationTitle = (publication) => `${PUBLICATION_KIND_LABELS[publication.kind] || publication.kind}${publication.asset ? ` ${publication.asset}` : ''}`;
+
+// A publication from the `publications` queue with the exact text the channel gets (or got).
+function formatPublicationCard(publication) {
+    let msg = `📢 *منشور القناة | ${publicationTitle(publication)}*\n`;
+    if (publication.targetName) msg += `*القناة:* ${escapeMarkdown(publication.targetName)}\n`;
+    msg += `*الحالة:* ${PUBLICATION_STATUS_LABELS[publication.status]}`;
+    if (publication.status === 'scheduled') msg += ` حتى ${formatAlertTime(publication.publishAt)}`;
+    if (publication.status === 'published') msg += ` ${formatAlertTime(publication.publishedAt)}${publication.editedAt ? ' _(معدّل)_' : ''}`;
+    msg += `\n`;
+    if (publication.replyTo) msg += `🧵 _نُشر ردًا على أول منشور للصفقة._\n`;
+    msg += `━━━━━━━━━━━━━━━━━━━━\n${publication.text}`;
+    return msg;
+}
+
+function formatPublicationsList(publications) {
+    if (publications.length === 0) return "📢 *منشورات القناة*\n\nℹ️ لا توجد منشورات بعد.";
+    let msg = `📢 *منشورات القناة (آخر ${publications.length}):*\n━━━━━━━━━━━━━━━━━━━━\n`;
+    publications.forEach((p, i) => {
+        msg += `*${i + 1}.* ${PUBLICATION_STATUS_LABELS[p.status]} | ${publicationTitle(p)}${p.targetName ? ` ← ${escapeMarkdown(p.targetName)}` : ''} - ${formatAlertTime(p.publishedAt || p.createdAt)}\n`;
+    });
+    return msg + `\nاختر منشورًا لمراجعته أو تعديله.`;
+}
+
+const PUBLISHING_LANGUAGE_LABELS = { ar: "العربية", en: "English" };
+const TEMPLATE_SLOT_LABELS = { ...PUBLICATION_KIND_LABELS, footer: "تذييل التقرير اليومي" };
+
+function formatPublishingTargets(targets) {
+    let msg = "🎯 *قنوات النشر*\n━━━━━━━━━━━━━━━━━━━━\n";
+    if (targets.length === 0) return msg + "ℹ️ لا توجد قنوات نشر. أضف قناة ليبدأ النشر.";
+    targets.forEach(t => {
+        msg += `${t.enabled ? '✅' : '⏸️'} *${escapeMarkdown(t.name)}* (\`${t.chatId}\`) | ${PUBLISHING_LANGUAGE_LABELS[t.language]}`;
+        msg += `${t.minTradePercent > 0 ? ` | ≥ \`${formatNumber(t.minTradePercent)}%\`` : ''}${t.delayMinutes > 0 ? ` | ⏰ \`${t.delayMinutes}\` د` : ''}\n`;
+    });
+    return msg + "\nالبوت يجب أن يكون مشرفًا في كل قناة ليتمكن من النشر فيها.";
+}
+
+function formatPublishingTarget(target) {
+    const customized = TEMPLATE_SLOTS.filter(slot => target.templates?.[slot] !== undefined);
+    let msg = `🎯 *قناة النشر: ${escapeMarkdown(target.name)}*\n━━━━━━━━━━━━━━━━━━━━\n`;
+    msg += ` ▪️ *المعرف:* \`${target.chatId}\`\n`;
+    msg += ` ▪️ *الحالة:* ${target.enabled ? '✅ مفعلة' : '⏸️ موقوفة'} | *اللغة:* ${PUBLISHING_LANGUAGE_LABELS[target.language]}\n`;
+    msg += ` ▪️ *المنشورات:* ${target.kinds.map(k => PUBLICATION_KIND_LABELS[k]).join('، ') || 'لا شيء'}\n`;
+    msg += ` ▪️ *الحد الأدنى لحجم الصفقة:* ${target.minTradePercent > 0 ? `\`${formatNumber(target.minTradePercent)}%\` من المحفظة` : 'بدون'}\n`;
+    msg += ` ▪️ *التأخير:* ${target.delayMinutes > 0 ? `\`${target.delayMinutes}\` دقيقة` : 'فوري'} | *حجم المركز:* ${target.hideSize ? 'مخفي' : 'ظاهر'}\n`;
+    msg += ` ▪️ *الوسوم الإضافية:* ${target.hashtags ? `\`${target.hashtags}\`` : 'لا يوجد'}\n`;
+    msg += ` ▪️ *القوالب المعدلة:* ${customized.length > 0 ? customized.map(slot => TEMPLATE_SLOT_LABELS[slot]).join('، ') : 'الافتراضية'}`;
+    return msg;
+}
+
+function formatBotUsers(users) {
+    let msg = "👥 *مستخدمو البوت*\n━━━━━━━━━━━━━━━━━━━━\n";
+    users.forEach(u => { msg += `${ROLE_LABELS[u.role]} | \`${u.id}\`${u.name ? ` ${escapeMarkdown(u.name)}` : ''}\n`; });
+    msg += "━━━━━━━━━━━━━━━━━━━━\n*الإدارة:*\n";
+    msg += "`/users add <المعرف> <الصلاحية> [الاسم]`\n`/users role <المعرف> <الصلاحية>`\n`/users remove <المعرف>`\n\n";
+    msg += "*الصلاحيات:* `viewer` يطّلع على التقارير، `manager` يعدل الإعدادات ويتداول وينشر، `owner` يدير المستخدمين أيضًا.";
+    return msg;
+}
+
+// A template slot rendered with sample figures, to check an edited template before it is saved.
+function formatTemplatePreview(target, slot) {
+    const position = { totalAmountBought: 0.03, totalAmountSold: 0.01, avgBuyPrice: 60000, entryCapitalPercent: 10 };
+    switch (slot) {
+        case 'buy': return formatPublicBuy({ asset: "BTC", price: 60000, oldTotalValue: 10000, tradeValue: 1000, oldUsdtValue: 4000, newCashPercent: 30 }, target);
+        case 'sell': return formatPublicSell({ asset: "BTC", price: 66000, amountChange: -0.01, position }, target);
+        case 'close': return formatPublicClose({ asset: "BTC", pnlPercent: 8.5, durationDays: 3.2, avgBuyPrice: 60000, avgSellPrice: 65100 }, target);
+        default: return formatPublicDailyReport([{ asset: "BTC", pnlPercent: 8.5, entryCapitalPercent: 10, avgBuyPrice: 60000, avgSellPrice: 65100, exitQuantityPercent: 100 }], target);
+    }
+}
+
+
+
+module.exports = {
+    formatClosedTradeReview,
+    formatPrivateBuy,
+    formatPrivateSell,
+    formatPrivateCloseReport,
+    formatPublicBuy,
+    formatPublicSell,
+    formatPublicClose,
+    formatPublicDailyReport,
+    formatPortfolioMsg,
+    formatAdvancedMarketAnalysis,
+    formatPerformanceReport,
+    formatAssetContributions,
+    formatOrderPreview,
+    PROTECTION_LABELS,
+    formatProtectionLevels,
+    formatPositionDetail,
+    formatProtectionTriggered,
+    formatAlertCondition,
+    formatAlertOptions,
+    formatAlertsList,
+    formatAlertTriggered,
+    MOVEMENT_BASELINE_LABELS,
+    formatMovementSettings,
+    formatMovementAlert,
+    formatMovementDigest,
+    formatVirtualTradesList,
+    formatVirtualTradeEvent,
+    formatVirtualTradesHistory,
+    formatBacktestReport,
+    formatTechnicalAnalysis,
+    formatCoinChart,
+    formatTradeReviewChart,
+    formatRebalanceTargets,
+    formatRebalancePlan,
+    formatRebalanceResults,
+    formatDriftAlert,
+    formatRiskReport,
+    formatTaxSummary,
+    PUBLICATION_KIND_LABELS,
+    formatPublicationCard,
+    formatPublicationsList,
+    PUBLISHING_LANGUAGE_LABELS,
+    TEMPLATE_SLOT_LABELS,
+    formatPublishingTargets,
+    formatPublishingTarget,
+    formatTemplatePreview,
+    formatBotUsers,
+};
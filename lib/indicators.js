@@ -0,0 +1,166 @@
+// lib/indicators.js
+
+
+
+function calculateSMA(closes, period) { if (closes.length < period) return null; const sum = closes.slice(-period).reduce((acc, val) => acc + val, 0); return sum / period; }
+function calculateRSI(closes, period = 14) { if (closes.length < period + 1) return null; let gains = 0, losses = 0; for (let i = 1; i <= period; i++) { const diff = closes[i] - closes[i - 1]; diff > 0 ? gains += diff : losses -= diff; } let avgGain = gains / period, avgLoss = losses / period; for (let i = period + 1; i < closes.length; i++) { const diff = closes[i] - closes[i - 1]; if (diff > 0) { avgGain = (avgGain * (period - 1) + diff) / period; avgLoss = (avgLoss * (period - 1)) / period; } else { avgLoss = (avgLoss * (period - 1) - diff) / period; avgGain = (avgGain * (period - 1)) / period; } } if (avgLoss === 0) return 100; const rs = avgGain / avgLoss; return 100 - (100 / (1 + rs)); }
+
+
+// EMA values for every close from index `period - 1` on, seeded with the SMA of the first `period` closes.
+function emaSeries(closes, period) {
+    if (closes.length < period) return [];
+    const k = 2 / (period + 1);
+    const series = [closes.slice(0, period).reduce((acc, val) => acc + val, 0) / period];
+    for (let i = period; i < closes.length; i++) series.push(closes[i] * k + series[series.length - 1] * (1 - k));
+    return series;
+}
+
+function calculateEMA(closes, period) {
+    const series = emaSeries(closes, period);
+    return series.length > 0 ? series[series.length - 1] : null;
+}
+
+// -> { macd, signal, histogram } or null. The signal line is the EMA of the MACD line.
+function calculateMACD(closes, fast = 12, slow = 26, signalPeriod = 9) {
+    const slowSeries = emaSeries(closes, slow);
+    if (slowSeries.length < signalPeriod) return null;
+    const fastSeries = emaSeries(closes, fast).slice(slow - fast);
+    const macdLine = slowSeries.map((value, i) => fastSeries[i] - value);
+    const macd = macdLine[macdLine.length - 1];
+    const signal = calculateEMA(macdLine, signalPeriod);
+    return { macd, signal, histogram: macd - signal };
+}
+
+// -> { upper, middle, lower, width, percentB } or null. `width` is the band width in percent of the middle
+// band; `percentB` is where the last close sits (0 = lower band, 1 = upper band).
+function calculateBollingerBands(closes, period = 20, multiplier = 2) {
+    if (closes.length < period) return null;
+    const window = closes.slice(-period);
+    const middle = window.reduce((acc, val) => acc + val, 0) / period;
+    const deviation = Math.sqrt(window.reduce((acc, val) => acc + (val - middle) ** 2, 0) / period);
+    const upper = middle + multiplier * deviation;
+    const lower = middle - multiplier * deviation;
+    const last = closes[closes.length - 1];
+    return { upper, middle, lower, width: middle > 0 ? (upper - lower) / middle * 100 : 0, percentB: upper > lower ? (last - lower) / (upper - lower) : 0.5 };
+}
+
+// Average true range with Wilder smoothing. `candles` are { high, low, close }, oldest first.
+function calculateATR(candles, period = 14) {
+    if (candles.length < period + 1) return null;
+    const trueRanges = candles.slice(1).map((c, i) => Math.max(c.high - c.low, Math.abs(c.high - candles[i].close), Math.abs(c.low - candles[i].close)));
+    let atr = trueRanges.slice(0, period).reduce((acc, val) => acc + val, 0) / period;
+    for (let i = period; i < trueRanges.length; i++) atr = (atr * (period - 1) + trueRanges[i]) / period;
+    return atr;
+}
+
+// Volume-weighted average of the typical price over `candles`, or null without volume.
+function calculateVWAP(candles) {
+    let value = 0, volume = 0;
+    candles.forEach(c => { value += (c.high + c.low + c.close) / 3 * (c.volume || 0); volume += c.volume || 0; });
+    return volume > 0 ? value / volume : null;
+}
+
+// Spreads each candle's volume evenly over the price bins it covers.
+// -> { poc, valueAreaLow, valueAreaHigh, bins: [{ low, high, volume }] } or null. `poc` is the middle of
+// the busiest bin; the value area is the band of bins around it holding `valueAreaShare` of the volume.
+function calculateVolumeProfile(candles, binCount = 24, valueAreaShare = 0.7) {
+    const traded = candles.filter(c => c.volume > 0);
+    if (traded.length === 0) return null;
+    const low = Math.min(...traded.map(c => c.low));
+    const high = Math.max(...traded.map(c => c.high));
+    if (!(high > low)) return { poc: low, valueAreaLow: low, valueAreaHigh: high, bins: [{ low, high, volume: traded.reduce((acc, c) => acc + c.volume, 0) }] };
+    const size = (high - low) / binCount;
+    const bins = [...Array(binCount)].map((_, i) => ({ low: low + i * size, high: low + (i + 1) * size, volume: 0 }));
+    traded.forEach(c => {
+        const first = Math.min(binCount - 1, Math.floor((c.low - low) / size));
+        const last = Math.min(binCount - 1, Math.floor((c.high - low) / size));
+        for (let i = first; i <= last; i++) bins[i].volume += c.volume / (last - first + 1);
+    });
+    const total = bins.reduce((acc, b) => acc + b.volume, 0);
+    const pocIndex = bins.reduce((best, b, i) => b.volume > bins[best].volume ? i : best, 0);
+    let [from, to, covered] = [pocIndex, pocIndex, bins[pocIndex].volume];
+    while (covered < total * valueAreaShare && (from > 0 || to < binCount - 1)) {
+        const below = from > 0 ? bins[from - 1].volume : -1;
+        const above = to < binCount - 1 ? bins[to + 1].volume : -1;
+        if (above >= below) covered += bins[++to].volume;
+        else covered += bins[--from].volume;
+    }
+    return { poc: (bins[pocIndex].low + bins[pocIndex].high) / 2, valueAreaLow: bins[from].low, valueAreaHigh: bins[to].high, bins };
+}
+
+// Classic floor pivots from a completed candle: { pivot, r1, r2, s1, s2 }.
+function calculatePivots(candle) {
+    if (!candle) return null;
+    const pivot = (candle.high + candle.low + candle.close) / 3;
+    const range = candle.high - candle.low;
+    return { pivot, r1: 2 * pivot - candle.low, r2: pivot + range, s1: 2 * pivot - candle.high, s2: pivot - range };
+}
+
+// Reads one timeframe's candles (oldest first, the last one may still be forming). The trend score adds one
+// point for each bullish reading and removes one for each bearish one: price vs EMA20, EMA20 vs EMA50, the
+// MACD histogram and RSI vs 50. -> { price, rsi, ema20, ema50, macd, bollinger, atr, vwap, volumeProfile,
+// pivots, score, trend: "bullish" | "bearish" | "neutral" } or null without enough candles.
+function analyzeTimeframe(candles, { vwapBars = 24 } = {}) {
+    if (candles.length < 51) return null;
+    const closes = candles.map(c => c.close);
+    const price = closes[closes.length - 1];
+    const analysis = {
+        price,
+        rsi: calculateRSI(closes, 14),
+        ema20: calculateEMA(closes, 20),
+        ema50: calculateEMA(closes, 50),
+        macd: calculateMACD(closes),
+        bollinger: calculateBollingerBands(closes),
+        atr: calculateATR(candles),
+        vwap: calculateVWAP(candles.slice(-vwapBars)),
+        volumeProfile: calculateVolumeProfile(candles),
+        pivots: calculatePivots(candles[candles.length - 2]),
+    };
+    const votes = [
+        Math.sign(price - analysis.ema20),
+        Math.sign(analysis.ema20 - analysis.ema50),
+        analysis.macd ? Math.sign(analysis.macd.histogram) : 0,
+        Math.sign(analysis.rsi - 50),
+    ];
+    analysis.score = votes.reduce((acc, v) => acc + v, 0);
+    analysis.trend = analysis.score >= 2 ? "bullish" : analysis.score <= -2 ? "bearish" : "neutral";
+    return analysis;
+}
+
+// Weighted verdict over several timeframes, the longer ones counting more.
+// `timeframes` is { [bar]: analysis | null }; `weights` is { [bar]: weight }.
+function combineTrends(timeframes, weights) {
+    let score = 0, total = 0;
+    Object.entries(timeframes).forEach(([bar, analysis]) => {
+        if (!analysis) return;
+        score += analysis.score * (weights[bar] || 1);
+        total += 4 * (weights[bar] || 1);
+    });
+    if (total === 0) return null;
+    const strength = score / total;
+    return { strength, trend: strength >= 0.25 ? "bullish" : strength <= -0.25 ? "bearish" : "neutral" };
+}
+
+// A stop `multiplier` ATRs below `price`: { distance, price, percent }.
+function suggestAtrStop(price, atr, multiplier = 2) {
+    if (!(price > 0) || !(atr > 0)) return null;
+    const distance = atr * multiplier;
+    return { distance, price: Math.max(0, price - distance), percent: distance / price * 100 };
+}
+
+
+
+module.exports = {
+    calculateSMA,
+    calculateRSI,
+    calculateEMA,
+    calculateMACD,
+    calculateBollingerBands,
+    calculateATR,
+    calculateVWAP,
+    calculateVolumeProfile,
+    calculatePivots,
+    analyzeTimeframe,
+    combineTrends,
+    suggestAtrStop,
+};
@@ -0,0 +1,110 @@
+// lib/ledger.js
+
+
+
+// Every buy opens a lot and every sell is a disposal matched against the open lots, so partial sells realize
+// their own P&L. The matching method is a setting and applies to the sells recorded after it changes.
+const COST_METHODS = ["fifo", "lifo", "average"];
+const COST_METHOD_LABELS = { fifo: "FIFO (الأقدم أولاً)", lifo: "LIFO (الأحدث أولاً)", average: "متوسط التكلفة" };
+const DEFAULT_LEDGER_SETTINGS = { method: "fifo" };
+// Quantities below this are rounding left-overs of the exchange's lot sizes.
+const LOT_DUST = 1e-12;
+
+// The lot opened by a buy execution (see aggregateFillsByOrder). Fees paid in USDT are part of the cost;
+// fees paid in the asset are already missing from the quantity received.
+function createLot(execution) {
+    const { asset, price, grossValue, quoteFee, feeUsd, amountChange, time, ordId } = execution;
+    const cost = grossValue + (quoteFee || 0);
+    return { asset, time: new Date(time), quantity: amountChange, remaining: amountChange, unitCost: cost / amountChange, price, fee: feeUsd || 0, ordId: ordId || null };
+}
+
+// An opening lot for a position that was bought before the ledger existed.
+function createOpeningLot(asset, position) {
+    const quantity = (position.totalAmountBought || 0) - (position.totalAmountSold || 0);
+    if (!(quantity > LOT_DUST) || !(position.avgBuyPrice > 0)) return null;
+    return { asset, time: new Date(position.openDate || Date.now()), quantity, remaining: quantity, unitCost: position.avgBuyPrice, price: position.avgBuyPrice, fee: 0, ordId: null, opening: true };
+}
+
+// Matches a sell execution against `lots` (the asset's lots, any order). The lots are not modified; the
+// disposal lists how much it took from each one. A quantity the lots cannot cover (coins that arrived by
+// transfer, for instance) gets no cost basis and is reported as `unmatchedQuantity`.
+// -> { disposal, consumed: [{ lot, quantity }] }
+function matchDisposal(lots, execution, method = DEFAULT_LEDGER_SETTINGS.method) {
+    const { asset, price, grossValue, quoteFee, feeUsd, amountChange, time, ordId } = execution;
+    const quantity = Math.abs(amountChange);
+    const open = lots.filter(l => l.remaining > LOT_DUST);
+    const consumed = [];
+    if (method === "average") {
+        const held = open.reduce((sum, l) => sum + l.remaining, 0);
+        const share = held > 0 ? Math.min(1, quantity / held) : 0;
+        open.forEach(lot => consumed.push({ lot, quantity: lot.remaining * share }));
+    } else {
+        const ordered = [...open].sort((a, b) => method === "lifo" ? b.time - a.time : a.time - b.time);
+        let left = quantity;
+        for (const lot of ordered) {
+            if (left <= LOT_DUST) break;
+            const taken = Math.min(lot.remaining, left);
+            consumed.push({ lot, quantity: taken });
+            left -= taken;
+        }
+    }
+    const matchedQuantity = consumed.reduce((sum, c) => sum + c.quantity, 0);
+    const costBasis = consumed.reduce((sum, c) => sum + c.quantity * c.lot.unitCost, 0);
+    const proceeds = grossValue - (quoteFee || 0);
+    const unmatchedQuantity = Math.max(0, quantity - matchedQuantity);
+    // Only the matched part has a known gain; the rest of the proceeds is reported without one.
+    const matchedProceeds = quantity > 0 ? proceeds * (quantity - unmatchedQuantity) / quantity : 0;
+    const acquiredAt = consumed.length > 0 ? new Date(Math.min(...consumed.map(c => new Date(c.lot.time).getTime()))) : null;
+    const disposal = {
+        asset, time: new Date(time), quantity, price, proceeds, fee: feeUsd || 0, costBasis, pnl: matchedProceeds - costBasis,
+        unmatchedQuantity: unmatchedQuantity > LOT_DUST ? unmatchedQuantity : 0, method, acquiredAt, ordId: ordId || null,
+        lots: consumed.map(c => ({ lotId: c.lot._id, quantity: c.quantity, unitCost: c.lot.unitCost })),
+    };
+    return { disposal, consumed };
+}
+
+// Gains and losses per asset over `disposals`, largest result first. -> { assets: [...], totals }
+function summarizeDisposals(disposals) {
+    const byAsset = new Map();
+    const totals = { count: 0, proceeds: 0, costBasis: 0, fees: 0, gains: 0, losses: 0, pnl: 0, unmatched: 0 };
+    disposals.forEach(d => {
+        const row = byAsset.get(d.asset) || { asset: d.asset, count: 0, quantity: 0, proceeds: 0, costBasis: 0, fees: 0, gains: 0, losses: 0, pnl: 0, unmatched: 0 };
+        byAsset.set(d.asset, row);
+        [row, totals].forEach(target => {
+            target.count++;
+            target.proceeds += d.proceeds;
+            target.costBasis += d.costBasis;
+            target.fees += d.fee;
+            if (d.pnl >= 0) target.gains += d.pnl; else target.losses += d.pnl;
+            target.pnl += d.pnl;
+            if (d.unmatchedQuantity > 0) target.unmatched++;
+        });
+        row.quantity += d.quantity;
+    });
+    return { assets: [...byAsset.values()].sort((a, b) => Math.abs(b.pnl) - Math.abs(a.pnl)), totals };
+}
+
+const csvField = (value) => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+const isoDate = (date) => date ? new Date(date).toISOString().slice(0, 10) : "";
+
+// One line per disposal, oldest first, in USD.
+function disposalsToCsv(disposals) {
+    const header = ["date_sold", "asset", "quantity", "date_acquired", "proceeds_usd", "cost_basis_usd", "fees_usd", "gain_usd", "method", "unmatched_quantity", "order_id"];
+    const lines = [...disposals].sort((a, b) => new Date(a.time) - new Date(b.time)).map(d => [
+        new Date(d.time).toISOString(), d.asset, d.quantity.toFixed(8), isoDate(d.acquiredAt), d.proceeds.toFixed(2), d.costBasis.toFixed(2),
+        d.fee.toFixed(2), d.pnl.toFixed(2), d.method, d.unmatchedQuantity ? d.unmatchedQuantity.toFixed(8) : "", d.ordId || "",
+    ].map(csvField).join(","));
+    return [header.join(","), ...lines].join("\n") + "\n";
+}
+
+// "/tax 2024" -> { year, from, to } in UTC, or { error }. Without a year, the current one.
+function parseTaxYear(text, now = new Date()) {
+    const value = String(text || "").trim();
+    const year = value ? Number(value) : now.getUTCFullYear();
+    if (!Number.isInteger(year) || year < 2009 || year > now.getUTCFullYear()) return { error: "سنة غير صالحة." };
+    return { year, from: new Date(Date.UTC(year, 0, 1)), to: new Date(Date.UTC(year + 1, 0, 1)) };
+}
+
+
+
+module.exports = { COST_METHODS, COST_METHOD_LABELS, DEFAULT_LEDGER_SETTINGS, createLot, createOpeningLot, matchDisposal, summarizeDisposals, disposalsToCsv, parseTaxYear };
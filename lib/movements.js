@@ -0,0 +1,56 @@
+// lib/movements.js
+
+
+
+// What a move is measured from: the price at the last alert for the asset, the 24h open, or the
+// position's average buy price.
+const MOVEMENT_BASELINES = ["lastAlert", "open24h", "entry"];
+const DEFAULT_MOVEMENT_SETTINGS = { global: 5, overrides: {}, baseline: "lastAlert", quietHours: null, digest: false };
+
+// Reads "23:00-07:00" into { start, end } ("HH:MM" strings), or { error }. The range may wrap past midnight.
+function parseQuietHours(text) {
+    const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(String(text || "").trim());
+    if (!match) return { error: "صيغة غير صحيحة. مثال: `23:00-07:00`" };
+    const [hour1, minute1, hour2, minute2] = match.slice(1).map(Number);
+    if (hour1 > 23 || hour2 > 23 || minute1 > 59 || minute2 > 59) return { error: "الوقت غير صالح." };
+    if (hour1 === hour2 && minute1 === minute2) return { error: "بداية الفترة ونهايتها متطابقتان." };
+    const pad = (n) => String(n).padStart(2, "0");
+    return { start: `${pad(hour1)}:${pad(minute1)}`, end: `${pad(hour2)}:${pad(minute2)}` };
+}
+
+// Whether `minuteOfDay` (0-1439, local time) falls within the quiet hours; the end is exclusive.
+function isQuietTime(quietHours, minuteOfDay) {
+    if (!quietHours) return false;
+    const toMinutes = (time) => { const [h, m] = time.split(":").map(Number); return h * 60 + m; };
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    return start < end ? minuteOfDay >= start && minuteOfDay < end : minuteOfDay >= start || minuteOfDay < end;
+}
+
+// Checks one asset's price against its baseline. `state` is what was stored for the asset last time.
+// With "lastAlert" the baseline moves to the alerting price, as in the original alerts. With a fixed
+// baseline (24h open, entry) an alert fires each time the move reaches a further multiple of the
+// threshold, and again after the price comes back within the threshold or the baseline changes.
+// Returns the state to store and the move to report ({ from, price, changePercent }), or null.
+function checkMovement(state, { baseline, reference, price, threshold }) {
+    if (!(price > 0) || !(threshold > 0)) return { state, move: null };
+    if (baseline === "lastAlert") {
+        if (!(state?.reference > 0)) return { state: { reference: price }, move: null };
+        const changePercent = (price - state.reference) / state.reference * 100;
+        if (Math.abs(changePercent) < threshold) return { state, move: null };
+        return { state: { reference: price }, move: { from: state.reference, price, changePercent } };
+    }
+    if (!(reference > 0)) return { state, move: null };
+    const changePercent = (price - reference) / reference * 100;
+    const level = Math.trunc(changePercent / threshold) || 0;
+    const previous = state?.reference === reference ? state.level || 0 : 0;
+    const next = { reference, level };
+    const reached = level !== 0 && (Math.sign(level) !== Math.sign(previous) || Math.abs(level) > Math.abs(previous));
+    if (reached) return { state: next, move: { from: reference, price, changePercent } };
+    // Keep the furthest level reached until the price returns within the threshold.
+    return { state: level === 0 ? next : { reference, level: previous }, move: null };
+}
+
+
+
+module.exports = { MOVEMENT_BASELINES, DEFAULT_MOVEMENT_SETTINGS, parseQuietHours, isQuietTime, checkMovement };
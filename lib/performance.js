@@ -0,0 +1,169 @@
+// lib/performance.js
+
+
+
+// Period returns of a snapshot series with external flows removed: r_i = (V_i - F_i) / V_(i-1) - 1,
+// where F_i are the capital flows recorded between the two snapshots. `interval` is the time the return spans.
+function getFlowAdjustedReturns(history, cashFlows = []) {
+    const capitalFlows = cashFlows.filter(f => f.affectsCapital).map(f => ({ time: new Date(f.time).getTime(), usdValue: f.usdValue }));
+    const flowsBetween = (from, to) => capitalFlows.filter(f => f.time > from && f.time <= to).reduce((sum, f) => sum + f.usdValue, 0);
+    const returns = [];
+    for (let i = 1; i < history.length; i++) {
+        const previous = history[i - 1];
+        const current = history[i];
+        if (previous.total > 0) returns.push({ time: current.time, interval: current.time - previous.time, value: (current.total - flowsBetween(previous.time, current.time)) / previous.total - 1 });
+    }
+    return returns;
+}
+function calculateTimeWeightedReturn(returns) { return returns.reduce((growth, r) => growth * (1 + r.value), 1) - 1; }
+// IRR of the investor's cash flows (start value and deposits in, end value out), solved by bisection.
+// The rate is solved over the whole period; the annualized figure is only given for periods of 30 days or more.
+function calculateMoneyWeightedReturn(history, cashFlows = []) {
+    if (history.length < 2) return null;
+    const yearMs = 365 * 24 * 60 * 60 * 1000;
+    const startTime = history[0].time;
+    const endTime = history[history.length - 1].time;
+    const periodMs = endTime - startTime;
+    if (periodMs <= 0 || history[0].total <= 0) return null;
+    const flows = [{ time: startTime, amount: -history[0].total }];
+    cashFlows.filter(f => f.affectsCapital).forEach(f => { const time = new Date(f.time).getTime(); if (time > startTime && time <= endTime) flows.push({ time, amount: -f.usdValue }); });
+    flows.push({ time: endTime, amount: history[history.length - 1].total });
+    const npv = (rate) => flows.reduce((sum, f) => sum + f.amount / Math.pow(1 + rate, (f.time - startTime) / periodMs), 0);
+    let low = -0.9999, high = 1000;
+    if (npv(low) * npv(high) > 0) return null;
+    for (let i = 0; i < 200; i++) {
+        const mid = (low + high) / 2;
+        if (npv(low) * npv(mid) <= 0) high = mid; else low = mid;
+    }
+    const periodReturn = (low + high) / 2;
+    const annualized = periodMs >= 30 * 24 * 60 * 60 * 1000 ? Math.pow(1 + periodReturn, yearMs / periodMs) - 1 : null;
+    return { periodReturn, annualized };
+}
+// Max drawdown of the flow-neutral growth index, with the time it took to get back to the previous peak.
+function calculateDrawdown(history, returns) {
+    if (history.length < 2) return null;
+    let index = 1, peak = 1, peakTime = history[0].time, candidatePeakTime = peakTime;
+    let maxDrawdown = 0, troughTime = null, recoveryTime = null, peakLevel = 1;
+    for (const r of returns) {
+        index *= 1 + r.value;
+        if (index >= peak) {
+            if (maxDrawdown > 0 && recoveryTime === null && troughTime !== null && index >= peakLevel && r.time > troughTime) recoveryTime = r.time;
+            peak = index;
+            candidatePeakTime = r.time;
+            continue;
+        }
+        const drawdown = (peak - index) / peak;
+        if (drawdown > maxDrawdown) {
+            maxDrawdown = drawdown;
+            peakTime = candidatePeakTime;
+            peakLevel = peak;
+            troughTime = r.time;
+            recoveryTime = null;
+        }
+    }
+    return { maxDrawdown: maxDrawdown * 100, peakTime, troughTime, recoveryTime, recoveryMs: recoveryTime !== null ? recoveryTime - troughTime : null };
+}
+// Sharpe and Sortino ratios (risk-free rate of 0), annualized from the time each return spans rather than a fixed
+// number of periods per year: the series of a long range mixes daily and weekly snapshots. The mean return and the
+// variances are taken per unit of time, so with evenly spaced snapshots this is the usual sqrt(periods per year) scaling.
+function calculateRiskAdjustedRatios(returns) {
+    const spans = returns.filter(r => r.interval > 0);
+    if (spans.length < 2) return { sharpe: null, sortino: null };
+    const yearMs = 365 * 24 * 60 * 60 * 1000;
+    const totalMs = spans.reduce((sum, r) => sum + r.interval, 0);
+    const meanRate = spans.reduce((sum, r) => sum + r.value, 0) / totalMs;
+    const variance = spans.reduce((sum, r) => sum + Math.pow(r.value - meanRate * r.interval, 2) / r.interval, 0) / (spans.length - 1);
+    const downsideVariance = spans.reduce((sum, r) => sum + Math.pow(Math.min(r.value, 0), 2) / r.interval, 0) / spans.length;
+    const scale = Math.sqrt(yearMs);
+    return {
+        sharpe: variance > 0 ? (meanRate / Math.sqrt(variance)) * scale : null,
+        sortino: downsideVariance > 0 ? (meanRate / Math.sqrt(downsideVariance)) * scale : null,
+    };
+}
+// MODIFIED: Returns are computed net of external cash flows (transfers in/out of the trading account).
+function calculatePerformanceStats(history, cashFlows = []) {
+    if (history.length < 2) return null;
+    const values = history.map(h => h.total);
+    const times = history.map(h => h.time);
+    const capitalFlows = cashFlows.filter(f => f.affectsCapital).map(f => ({ time: new Date(f.time).getTime(), usdValue: f.usdValue }));
+    const startValue = values[0];
+    const endValue = values[values.length - 1];
+    const startTime = times[0];
+    const endTime = times[times.length - 1];
+    const periodFlows = capitalFlows.filter(f => f.time > startTime && f.time <= endTime);
+    const netFlows = periodFlows.reduce((sum, f) => sum + f.usdValue, 0);
+    const pnl = endValue - startValue - netFlows;
+    // Modified Dietz: each flow is weighted by the share of the period it was invested.
+    const periodMs = endTime - startTime;
+    const weightedFlows = periodFlows.reduce((sum, f) => sum + f.usdValue * (periodMs > 0 ? (endTime - f.time) / periodMs : 0), 0);
+    const averageCapital = startValue + weightedFlows;
+    const pnlPercent = (averageCapital > 0) ? (pnl / averageCapital) * 100 : 0;
+    const maxValue = Math.max(...values);
+    const minValue = Math.min(...values);
+    const avgValue = values.reduce((sum, val) => sum + val, 0) / values.length;
+    const returns = getFlowAdjustedReturns(history, cashFlows);
+    const dailyReturns = returns.map(r => r.value);
+    const bestDayChange = dailyReturns.length > 0 ? Math.max(...dailyReturns) * 100 : 0;
+    const worstDayChange = dailyReturns.length > 0 ? Math.min(...dailyReturns) * 100 : 0;
+    const avgReturn = dailyReturns.length > 0 ? dailyReturns.reduce((sum, ret) => sum + ret, 0) / dailyReturns.length : 0;
+    const volatility = dailyReturns.length > 0 ? Math.sqrt(dailyReturns.map(x => Math.pow(x - avgReturn, 2)).reduce((a, b) => a + b) / dailyReturns.length) * 100 : 0;
+    let volText = "متوسط";
+    if (volatility < 1) volText = "منخفض";
+    if (volatility > 5) volText = "مرتفع";
+    const twrPercent = calculateTimeWeightedReturn(returns) * 100;
+    const mwr = calculateMoneyWeightedReturn(history, cashFlows);
+    const drawdown = calculateDrawdown(history, returns);
+    const { sharpe, sortino } = calculateRiskAdjustedRatios(returns);
+    return { startValue, endValue, netFlows, pnl, pnlPercent, maxValue, minValue, avgValue, bestDayChange, worstDayChange, volatility, volText, twrPercent, mwrPercent: mwr ? mwr.periodReturn * 100 : null, mwrAnnualizedPercent: mwr && mwr.annualized !== null ? mwr.annualized * 100 : null, drawdown, sharpe, sortino };
+}
+// NEW: Performance periods are resolved into snapshot queries over the snapshot collection.
+function resolvePerformancePeriod(period) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const now = new Date();
+    const daily = ['daily', 'weekly'];
+    switch (period) {
+        case '24h': return { from: new Date(now.getTime() - dayMs), to: now, label: "آخر 24 ساعة", granularities: ['hourly'], bar: '1H' };
+        case '7d': return { from: new Date(now.getTime() - 7 * dayMs), to: now, label: "آخر 7 أيام", granularities: daily, bar: '1D' };
+        case '30d': return { from: new Date(now.getTime() - 30 * dayMs), to: now, label: "آخر 30 يومًا", granularities: daily, bar: '1D' };
+        case '90d': return { from: new Date(now.getTime() - 90 * dayMs), to: now, label: "آخر 90 يومًا", granularities: daily, bar: '1D' };
+        case 'ytd': return { from: new Date(Date.UTC(now.getUTCFullYear(), 0, 1)), to: now, label: "منذ بداية العام", granularities: daily, bar: '1D' };
+        case '1y': return { from: new Date(now.getTime() - 365 * dayMs), to: now, label: "آخر سنة", granularities: daily, bar: '1D' };
+        case 'all': return { from: new Date(0), to: now, label: "منذ البداية", granularities: daily, bar: '1D' };
+        default: return null;
+    }
+}
+function parseCustomPerformanceRange(text) {
+    const match = text.trim().match(/^(\d{4}-\d{2}-\d{2})\s*\.\.\s*(\d{4}-\d{2}-\d{2})$/);
+    if (!match) return null;
+    const from = new Date(`${match[1]}T00:00:00Z`);
+    const to = new Date(`${match[2]}T23:59:59Z`);
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) return null;
+    return { from, to, label: `${match[1]} ← ${match[2]}`, granularities: ['daily', 'weekly'], bar: '1D' };
+}
+// Price contribution of each asset: the amount held at each snapshot times the price move to the next one.
+function calculateAssetContributions(snapshots) {
+    const contributions = {};
+    for (let i = 1; i < snapshots.length; i++) {
+        const previous = new Map((snapshots[i - 1].assets || []).map(a => [a.asset, a]));
+        for (const a of snapshots[i].assets || []) {
+            const p = previous.get(a.asset);
+            if (!p || a.asset === 'USDT' || !p.price || !a.price) continue;
+            contributions[a.asset] = (contributions[a.asset] || 0) + p.amount * (a.price - p.price);
+        }
+    }
+    return Object.entries(contributions).map(([asset, pnl]) => ({ asset, pnl })).sort((a, b) => b.pnl - a.pnl);
+}
+
+
+
+module.exports = {
+    getFlowAdjustedReturns,
+    calculateTimeWeightedReturn,
+    calculateMoneyWeightedReturn,
+    calculateDrawdown,
+    calculateRiskAdjustedRatios,
+    calculatePerformanceStats,
+    resolvePerformancePeriod,
+    parseCustomPerformanceRange,
+    calculateAssetContributions,
+};
@@ -0,0 +1,182 @@
+// lib/positions.js
+
+
+
+// Sums portfolios asset by asset; the price of a merged asset is its value-weighted price.
+function mergePortfolios(portfolios) {
+    const merged = new Map();
+    let total = 0, usdtValue = 0;
+    for (const portfolio of portfolios) {
+        total += portfolio.total;
+        usdtValue += portfolio.usdtValue || 0;
+        for (const a of portfolio.assets) {
+            const m = merged.get(a.asset);
+            if (!m) { merged.set(a.asset, { ...a }); continue; }
+            m.amount += a.amount;
+            m.value += a.value;
+            if (m.amount > 0) m.price = m.value / m.amount;
+        }
+    }
+    return { assets: [...merged.values()].sort((a, b) => b.value - a.value), total, usdtValue };
+}
+// Groups raw fills by order so a market order split across several fills is reported once,
+// at its volume-weighted fill price, with the fees of all its fills.
+function aggregateFillsByOrder(fills) {
+    const executions = [];
+    const byOrder = new Map();
+    for (const fill of fills) {
+        if (!fill.instId || !fill.instId.endsWith('-USDT')) continue;
+        const asset = fill.instId.split('-')[0];
+        let execution = byOrder.get(fill.ordId);
+        if (!execution) {
+            execution = { ordId: fill.ordId, instId: fill.instId, asset, side: fill.side, size: 0, grossValue: 0, baseFee: 0, quoteFee: 0, time: fill.time, lastBillId: fill.billId, fillCount: 0 };
+            byOrder.set(fill.ordId, execution);
+            executions.push(execution);
+        }
+        execution.size += fill.size;
+        execution.grossValue += fill.size * fill.price;
+        if (fill.feeCcy === asset) execution.baseFee += fill.fee;
+        else if (fill.feeCcy === 'USDT') execution.quoteFee += fill.fee;
+        execution.time = Math.max(execution.time, fill.time);
+        execution.lastBillId = fill.billId;
+        execution.fillCount++;
+    }
+    executions.forEach(e => {
+        e.price = e.size > 0 ? e.grossValue / e.size : 0;
+        e.feeUsd = e.quoteFee + e.baseFee * e.price;
+        // Net change of the base asset balance caused by this execution.
+        e.amountChange = e.side === 'buy' ? e.size - e.baseFee : -(e.size + e.baseFee);
+    });
+    return executions;
+}
+// Applies one execution (fill price, size, fee and time) to `positions`, which is modified in place.
+// Returns the analysis used for notifications and, when the position got closed, the closed trade to record.
+// A sell closes the position once what is left of it (capped by the live balance `newTotalAmount`) is worth under $1.
+function applyExecution(positions, execution, oldTotalValue, newTotalAmount) {
+    const { asset, side, price, grossValue, quoteFee, feeUsd, amountChange, time } = execution;
+    if (!asset || price === undefined || price === null || isNaN(price) || price <= 0) return { analysisResult: null, closedTrade: null };
+    let closedTrade = null;
+    let position = positions[asset];
+    let analysisResult = { type: 'none', data: {} };
+    const executionDate = new Date(time || Date.now());
+    if (side === 'buy') {
+        const tradeCost = grossValue + quoteFee;
+        const entryCapitalPercent = oldTotalValue > 0 ? (grossValue / oldTotalValue) * 100 : 0;
+        if (!position) {
+            positions[asset] = {
+                totalAmountBought: amountChange,
+                totalCost: tradeCost,
+                avgBuyPrice: tradeCost / amountChange,
+                openDate: executionDate.toISOString(),
+                totalAmountSold: 0,
+                realizedValue: 0,
+                totalFees: feeUsd,
+                highestPrice: price,
+                lowestPrice: price,
+                entryCapitalPercent: entryCapitalPercent,
+            };
+            position = positions[asset];
+        } else {
+            position.totalAmountBought += amountChange;
+            position.totalCost += tradeCost;
+            position.totalFees = (position.totalFees || 0) + feeUsd;
+            position.avgBuyPrice = position.totalCost / position.totalAmountBought;
+            if (price > position.highestPrice) position.highestPrice = price;
+            if (price < position.lowestPrice) position.lowestPrice = price;
+        }
+        analysisResult.type = 'buy';
+    } else if (side === 'sell' && position) {
+        const soldAmount = Math.abs(amountChange);
+        position.realizedValue = (position.realizedValue || 0) + (grossValue - quoteFee);
+        position.totalAmountSold = (position.totalAmountSold || 0) + soldAmount;
+        position.totalFees = (position.totalFees || 0) + feeUsd;
+        const remainingAmount = position.totalAmountBought - position.totalAmountSold;
+        const heldAmount = newTotalAmount !== undefined ? Math.min(remainingAmount, newTotalAmount) : remainingAmount;
+        if (heldAmount * price < 1) {
+            const closedQuantity = position.totalAmountBought;
+            const investedCapital = position.avgBuyPrice * closedQuantity;
+            const realizedValue = position.realizedValue;
+            const finalPnl = realizedValue - investedCapital;
+            const finalPnlPercent = investedCapital > 0 ? (finalPnl / investedCapital) * 100 : 0;
+            const closeDate = executionDate;
+            const openDate = new Date(position.openDate);
+            const durationDays = (closeDate.getTime() - openDate.getTime()) / (1000 * 60 * 60 * 24);
+            const avgSellPrice = position.totalAmountSold > 0 ? position.realizedValue / position.totalAmountSold : 0;
+            const closeReportData = {
+                asset,
+                pnl: finalPnl,
+                pnlPercent: finalPnlPercent,
+                durationDays,
+                avgBuyPrice: position.avgBuyPrice,
+                avgSellPrice,
+                highestPrice: position.highestPrice,
+                lowestPrice: position.lowestPrice,
+                entryCapitalPercent: position.entryCapitalPercent,
+                exitQuantityPercent: 100,
+                quantity: closedQuantity,
+                fees: position.totalFees || 0,
+                closedAt: closeDate
+            };
+            closedTrade = { ...closeReportData };
+            analysisResult = { type: 'close', data: closeReportData };
+            delete positions[asset];
+        } else {
+            analysisResult.type = 'sell';
+        }
+    }
+    analysisResult.data.position = positions[asset] || position;
+    return { analysisResult, closedTrade };
+}
+// The balances `previousBalances` lead to once the executions and the recorded transfers are applied.
+function expectedBalances(previousBalances, executions, cashFlows) {
+    const expected = { ...previousBalances };
+    for (const flow of cashFlows) {
+        if (flow.affectsCapital) expected[flow.ccy] = (expected[flow.ccy] || 0) + flow.amount;
+    }
+    for (const e of executions) {
+        const usdtChange = e.side === 'buy' ? -(e.grossValue + e.quoteFee) : (e.grossValue - e.quoteFee);
+        expected[e.asset] = (expected[e.asset] || 0) + e.amountChange;
+        expected['USDT'] = (expected['USDT'] || 0) + usdtChange;
+    }
+    return expected;
+}
+// Balance snapshots are no longer a trade source: anything the processed executions and
+// recorded transfers do not explain (airdrops, manual adjustments...) is only flagged.
+function findUnexplainedBalanceChanges(previousBalances, currentBalance, executions, cashFlows, prices) {
+    const expected = expectedBalances(previousBalances, executions, cashFlows);
+    const unexplained = [];
+    const allAssets = new Set([...Object.keys(currentBalance), ...Object.keys(expected)]);
+    for (const asset of allAssets) {
+        const difference = (currentBalance[asset] || 0) - (expected[asset] || 0);
+        const price = asset === 'USDT' ? 1 : prices[`${asset}-USDT`]?.price;
+        if (!price || isNaN(price) || Math.abs(difference * price) < 1) continue;
+        unexplained.push({ asset, amount: difference, value: difference * price });
+    }
+    return unexplained;
+}
+// Merges the positions of several accounts: the same asset is merged at its weighted average cost.
+function mergePositions(positionSets) {
+    const merged = {};
+    for (const positions of positionSets) {
+        for (const [asset, p] of Object.entries(positions)) {
+            const m = merged[asset];
+            if (!m) { merged[asset] = { ...p }; continue; }
+            // Each account protects its own holding; a merged position has no single set of levels.
+            delete m.protection;
+            m.totalAmountBought += p.totalAmountBought;
+            m.totalCost += p.totalCost;
+            m.avgBuyPrice = m.totalAmountBought > 0 ? m.totalCost / m.totalAmountBought : m.avgBuyPrice;
+            m.totalAmountSold = (m.totalAmountSold || 0) + (p.totalAmountSold || 0);
+            m.realizedValue = (m.realizedValue || 0) + (p.realizedValue || 0);
+            m.totalFees = (m.totalFees || 0) + (p.totalFees || 0);
+            if (new Date(p.openDate) < new Date(m.openDate)) m.openDate = p.openDate;
+            m.highestPrice = Math.max(m.highestPrice || 0, p.highestPrice || 0);
+            m.lowestPrice = Math.min(m.lowestPrice || Infinity, p.lowestPrice || Infinity);
+        }
+    }
+    return merged;
+}
+
+
+
+module.exports = { mergePortfolios, aggregateFillsByOrder, applyExecution, expectedBalances, findUnexplainedBalanceChanges, mergePositions };
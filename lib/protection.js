@@ -0,0 +1,60 @@
+// lib/protection.js
+
+
+
+// Reads "<take profit> <stop loss> <trailing %>" as sent from the position view. Take profit and stop loss
+// are prices, or percentages of the average buy price ("+20%", "-8%"); 0 or "-" leaves a level unset.
+// Returns { takeProfit, stopLoss, trailingPercent } (null when unset) or { error }.
+function parseProtectionLevels(text, avgBuyPrice, currentPrice) {
+    const parts = String(text || "").trim().split(/\s+/);
+    if (parts.length !== 3) return { error: "يجب إرسال ثلاث قيم: الهدف ثم الوقف ثم نسبة الوقف المتحرك." };
+    // The whole value must be a number: "5x" or "abc" are NaN and refused below.
+    const readNumber = (value) => value === "" ? NaN : Number(value);
+    const readPrice = (value) => {
+        if (value === "-" || readNumber(value) === 0) return null;
+        if (value.endsWith("%")) {
+            const percent = readNumber(value.slice(0, -1));
+            return isNaN(percent) || !(avgBuyPrice > 0) ? NaN : avgBuyPrice * (1 + percent / 100);
+        }
+        return readNumber(value);
+    };
+    const readPercent = (value) => {
+        if (value === "-") return null;
+        const percent = readNumber(value.endsWith("%") ? value.slice(0, -1) : value);
+        return percent === 0 ? null : percent;
+    };
+    const takeProfit = readPrice(parts[0]);
+    const stopLoss = readPrice(parts[1]);
+    const trailingPercent = readPercent(parts[2]);
+    if ([takeProfit, stopLoss, trailingPercent].some(v => v !== null && (isNaN(v) || v <= 0))) return { error: "القيم يجب أن تكون أرقامًا موجبة." };
+    if (takeProfit === null && stopLoss === null && trailingPercent === null) return { error: "يجب تحديد مستوى واحد على الأقل." };
+    if (takeProfit !== null && takeProfit <= currentPrice) return { error: "سعر الهدف يجب أن يكون أعلى من السعر الحالي." };
+    if (stopLoss !== null && stopLoss >= currentPrice) return { error: "سعر وقف الخسارة يجب أن يكون أقل من السعر الحالي." };
+    if (trailingPercent !== null && trailingPercent >= 100) return { error: "نسبة الوقف المتحرك يجب أن تكون أقل من 100%." };
+    return { takeProfit, stopLoss, trailingPercent };
+}
+
+// Checks protection levels against the current price. The trailing stop follows the highest price seen
+// since the levels were set. Returns the updated protection, whether it changed, and the level that fired.
+function evaluateProtection(protection, price) {
+    const next = { ...protection };
+    if (next.trailingPercent) {
+        if (!next.trailingHigh || price > next.trailingHigh) next.trailingHigh = price;
+        next.trailingStop = next.trailingHigh * (1 - next.trailingPercent / 100);
+    }
+    const changed = next.trailingHigh !== protection.trailingHigh || next.trailingStop !== protection.trailingStop;
+    let triggered = null;
+    if (next.takeProfit && price >= next.takeProfit) triggered = 'takeProfit';
+    else if (next.stopLoss && price <= next.stopLoss) triggered = 'stopLoss';
+    else if (next.trailingStop && price <= next.trailingStop) triggered = 'trailing';
+    return { protection: next, changed, triggered };
+}
+
+// Price at which a level fires; for the trailing stop, its current value.
+function triggerPriceOf(protection, kind) {
+    return { takeProfit: protection.takeProfit, stopLoss: protection.stopLoss, trailing: protection.trailingStop }[kind];
+}
+
+
+
+module.exports = { parseProtectionLevels, evaluateProtection, triggerPriceOf };
@@ -0,0 +1,221 @@
+// lib/publishing.js
+
+
+
+// Every publishing target (a channel or group) gets its own copy of each public post, rendered from its own
+// templates in its language and filtered by its settings. Templates use {{name}} placeholders and
+// {{#name}}...{{/name}} sections, shown when the value is set (once per item for a list) or, with
+// {{^name}}...{{/name}}, when it is not.
+const PUBLICATION_KINDS = ["buy", "sell", "close", "daily_report"];
+// The footer is not a post of its own: it is appended to the daily report through {{footer}}.
+const TEMPLATE_SLOTS = [...PUBLICATION_KINDS, "footer"];
+const PUBLISHING_LANGUAGES = ["ar", "en"];
+const DEFAULT_PUBLISHING_TARGET = { enabled: true, language: "ar", hashtags: "", delayMinutes: 0, minTradePercent: 0, hideSize: false, kinds: PUBLICATION_KINDS, templates: {} };
+
+const HASHTAGS = "{{#hashtags}} {{hashtags}}{{/hashtags}}";
+const DEFAULT_TEMPLATES = {
+    ar: {
+        buy: [
+            "*💡 توصية جديدة: بناء مركز في {{asset}} 🟢*", "━━━━━━━━━━━━━━━━━━━━",
+            "*الأصل:* `{{asset}}/USDT`", "*سعر الدخول الحالي:* `${{price}}`", "━━━━━━━━━━━━━━━━━━━━",
+            "{{#showSize}}*استراتيجية إدارة المحفظة:*",
+            " ▪️ *حجم الدخول:* تم تخصيص `{{sizePercent}}%` من المحفظة لهذه الصفقة.",
+            " ▪️ *استهلاك السيولة:* استهلك هذا الدخول `{{cashUsedPercent}}%` من السيولة النقدية المتاحة.",
+            " ▪️ *السيولة المتبقية:* بعد الصفقة، أصبحت السيولة تشكل `{{cashLeftPercent}}%` من المحفظة.",
+            "━━━━━━━━━━━━━━━━━━━━",
+            "{{/showSize}}*ملاحظات:*", "نرى في هذه المستويات فرصة واعدة. المراقبة مستمرة، وسنوافيكم بتحديثات إدارة الصفقة.",
+            `#توصية #{{asset}}${HASHTAGS}`,
+        ].join("\n"),
+        sell: [
+            "*⚙️ تحديث التوصية: إدارة مركز {{asset}} 🟠*", "━━━━━━━━━━━━━━━━━━━━",
+            "*الأصل:* `{{asset}}/USDT`", "*سعر البيع الجزئي:* `${{price}}`", "━━━━━━━━━━━━━━━━━━━━",
+            "*استراتيجية إدارة المحفظة:*",
+            " ▪️ *الإجراء:* تم بيع `{{soldPercent}}%` من مركزنا لتأمين الأرباح.",
+            " ▪️ *النتيجة:* ربح محقق على الجزء المباع بنسبة `{{pnlPercent}}%` 🟢.",
+            " ▪️ *حالة المركز:* لا يزال المركز مفتوحًا بالكمية المتبقية.",
+            "━━━━━━━━━━━━━━━━━━━━",
+            "*ملاحظات:*", "خطوة استباقية لإدارة المخاطر وحماية رأس المال. نستمر في متابعة الأهداف الأعلى.",
+            `#إدارة_مخاطر #{{asset}}${HASHTAGS}`,
+        ].join("\n"),
+        close: [
+            "*🏆 النتيجة النهائية لتوصية {{asset}} ✅*", "━━━━━━━━━━━━━━━━━━━━",
+            "*الأصل:* `{{asset}}/USDT`", "*الحالة:* **تم إغلاق الصفقة بالكامل.**", "━━━━━━━━━━━━━━━━━━━━",
+            "*ملخص أداء التوصية:*",
+            " ▪️ **متوسط سعر الدخول:** `${{avgBuyPrice}}`",
+            " ▪️ **متوسط سعر الخروج:** `${{avgSellPrice}}`",
+            " ▪️ **العائد النهائي على الاستثمار (ROI):** `{{pnlPercent}}%` {{pnlEmoji}}",
+            " ▪️ **مدة التوصية:** `{{durationDays}} يوم`",
+            "━━━━━━━━━━━━━━━━━━━━",
+            "*الخلاصة:*",
+            "{{#profit}}صفقة موفقة أثبتت أن الصبر على التحليل يؤتي ثماره.",
+            "{{/profit}}{{^profit}}الخروج بانضباط وفقًا للخطة هو نجاح بحد ذاته. نحافظ على رأس المال للفرصة القادمة.",
+            "{{/profit}}",
+            "نبارك لمن اتبع التوصية. نستعد الآن للبحث عن الفرصة التالية.",
+            `#نتائجتوصيات #{{asset}}${HASHTAGS}`,
+        ].join("\n"),
+        daily_report: [
+            "📊 تقرير النسخ اليومي – خلال الـ24 ساعة الماضية", "🗓 التاريخ: {{date}}", "",
+            "{{#trades}}🔸اسم العملة: {{asset}}",
+            "{{#showSize}}🔸 نسبة الدخول من رأس المال: {{entryPercent}}%",
+            "{{/showSize}}🔸 متوسط سعر الشراء: {{avgBuyPrice}}",
+            "🔸 سعر الخروج: {{avgSellPrice}}",
+            "{{#showSize}}🔸 نسبة الخروج من الكمية: {{exitPercent}}%",
+            "{{/showSize}}🔸 النتيجة: {{pnlPercent}}% {{pnlEmoji}}", "",
+            "{{/trades}}إجمالي الربح الحالي خدمة النسخ: {{totalPnl}}% {{totalEmoji}}", "",
+            "✍️ يمكنك الدخول في اي وقت تراه مناسب، الخدمة مفتوحة للجميع{{#footer}}", "", "{{footer}}{{/footer}}",
+        ].join("\n"),
+        footer: "",
+    },
+    en: {
+        buy: [
+            "*💡 New signal: opening a position in {{asset}} 🟢*", "━━━━━━━━━━━━━━━━━━━━",
+            "*Asset:* `{{asset}}/USDT`", "*Entry price:* `${{price}}`", "━━━━━━━━━━━━━━━━━━━━",
+            "{{#showSize}}*Portfolio management:*",
+            " ▪️ *Position size:* `{{sizePercent}}%` of the portfolio.",
+            " ▪️ *Cash used:* `{{cashUsedPercent}}%` of the available cash.",
+            " ▪️ *Cash left:* `{{cashLeftPercent}}%` of the portfolio.",
+            "━━━━━━━━━━━━━━━━━━━━",
+            "{{/showSize}}*Notes:*", "We see a promising opportunity at these levels. We keep monitoring and will post updates on the trade.",
+            `#signal #{{asset}}${HASHTAGS}`,
+        ].join("\n"),
+        sell: [
+            "*⚙️ Signal update: managing the {{asset}} position 🟠*", "━━━━━━━━━━━━━━━━━━━━",
+            "*Asset:* `{{asset}}/USDT`", "*Partial sell price:* `${{price}}`", "━━━━━━━━━━━━━━━━━━━━",
+            "*Portfolio management:*",
+            " ▪️ *Action:* sold `{{soldPercent}}%` of the position to lock in profits.",
+            " ▪️ *Result:* `{{pnlPercent}}%` realized on the part sold 🟢.",
+            " ▪️ *Position:* still open with the remaining quantity.",
+            "━━━━━━━━━━━━━━━━━━━━",
+            "*Notes:*", "A proactive step to manage risk and protect capital. We keep following the higher targets.",
+            `#RiskManagement #{{asset}}${HASHTAGS}`,
+        ].join("\n"),
+        close: [
+            "*🏆 Final result of the {{asset}} signal ✅*", "━━━━━━━━━━━━━━━━━━━━",
+            "*Asset:* `{{asset}}/USDT`", "*Status:* **position fully closed.**", "━━━━━━━━━━━━━━━━━━━━",
+            "*Performance:*",
+            " ▪️ **Average entry:** `${{avgBuyPrice}}`",
+            " ▪️ **Average exit:** `${{avgSellPrice}}`",
+            " ▪️ **Final ROI:** `{{pnlPercent}}%` {{pnlEmoji}}",
+            " ▪️ **Duration:** `{{durationDays}} days`",
+            "━━━━━━━━━━━━━━━━━━━━",
+            "*Summary:*",
+            "{{#profit}}A successful trade that rewarded patience with the analysis.",
+            "{{/profit}}{{^profit}}Exiting with discipline, as planned, is a success in itself. We protect the capital for the next opportunity.",
+            "{{/profit}}",
+            "Congratulations to everyone who followed the signal. On to the next opportunity.",
+            `#results #{{asset}}${HASHTAGS}`,
+        ].join("\n"),
+        daily_report: [
+            "📊 Daily copy-trading report – last 24 hours", "🗓 Date: {{date}}", "",
+            "{{#trades}}🔸 Coin: {{asset}}",
+            "{{#showSize}}🔸 Entry size: {{entryPercent}}% of capital",
+            "{{/showSize}}🔸 Average buy price: {{avgBuyPrice}}",
+            "🔸 Exit price: {{avgSellPrice}}",
+            "{{#showSize}}🔸 Quantity sold: {{exitPercent}}%",
+            "{{/showSize}}🔸 Result: {{pnlPercent}}% {{pnlEmoji}}", "",
+            "{{/trades}}Total result of the copy-trading service: {{totalPnl}}% {{totalEmoji}}", "",
+            "✍️ You can join at any time, the service is open to everyone{{#footer}}", "", "{{footer}}{{/footer}}",
+        ].join("\n"),
+        footer: "",
+    },
+};
+
+// The placeholders each template may use, for validation and for the help shown when editing.
+const TEMPLATE_VARIABLES = {
+    buy: ["asset", "price", "sizePercent", "cashUsedPercent", "cashLeftPercent", "showSize", "hashtags"],
+    sell: ["asset", "price", "soldPercent", "pnlPercent", "showSize", "hashtags"],
+    close: ["asset", "avgBuyPrice", "avgSellPrice", "pnlPercent", "pnlEmoji", "profit", "durationDays", "showSize", "hashtags"],
+    daily_report: ["date", "trades", "asset", "entryPercent", "avgBuyPrice", "avgSellPrice", "exitPercent", "pnlPercent", "pnlEmoji", "totalPnl", "totalEmoji", "showSize", "hashtags", "footer"],
+    footer: [],
+};
+
+const isEmpty = (value) => !value || (Array.isArray(value) && value.length === 0);
+
+function renderTemplate(template, vars) {
+    const withSections = template.replace(/\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (match, type, name, inner) => {
+        const value = vars[name];
+        if (type === '^') return isEmpty(value) ? renderTemplate(inner, vars) : '';
+        if (Array.isArray(value)) return value.map(item => renderTemplate(inner, { ...vars, ...item })).join('');
+        return isEmpty(value) ? '' : renderTemplate(inner, vars);
+    });
+    return withSections.replace(/\{\{(\w+)\}\}/g, (match, name) => vars[name] ?? '');
+}
+
+// Unknown placeholders and unbalanced sections in a template for `slot`. -> {} or { error }
+function checkTemplate(template, slot) {
+    const allowed = TEMPLATE_VARIABLES[slot];
+    const tags = [...String(template).matchAll(/\{\{([#^/]?)(\w+)\}\}/g)];
+    const unknown = [...new Set(tags.map(t => t[2]).filter(name => !allowed.includes(name)))];
+    if (unknown.length > 0) return { error: `متغيرات غير معروفة: ${unknown.map(n => `{{${n}}}`).join('، ')}` };
+    const open = [];
+    for (const [, type, name] of tags) {
+        if (type === '#' || type === '^') open.push(name);
+        else if (type === '/' && open.pop() !== name) return { error: `القسم {{/${name}}} لا يطابق ما قبله.` };
+    }
+    if (open.length > 0) return { error: `القسم {{#${open[open.length - 1]}}} غير مغلق.` };
+    return {};
+}
+
+const templateFor = (target, slot) => target.templates?.[slot] ?? DEFAULT_TEMPLATES[target.language]?.[slot] ?? DEFAULT_TEMPLATES.ar[slot];
+
+// Trades are filtered by their entry size, in percent of the portfolio; an unknown size only passes without a minimum.
+const meetsMinTradeSize = (target, sizePercent) => !(target.minTradePercent > 0) || (sizePercent !== null && sizePercent >= target.minTradePercent);
+
+// Whether a post goes to `target`. The daily report filters its trades one by one instead.
+function acceptsPublication(target, kind, sizePercent = null) {
+    if (!target.enabled || !target.kinds.includes(kind)) return false;
+    return kind === 'daily_report' || meetsMinTradeSize(target, sizePercent);
+}
+
+const KIND_ALIASES = { buy: "buy", sell: "sell", close: "close", report: "daily_report", daily_report: "daily_report" };
+
+// Reads the options of a target, one per line: "name <text>", "chat <id>", "min <percent>", "delay <minutes>",
+// "tags <#tags>" ("tags -" clears them) and "kinds buy sell close report". -> { updates } or { error }
+function parseTargetOptions(text) {
+    const updates = {};
+    const lines = String(text || "").split("\n").map(l => l.trim()).filter(Boolean);
+    for (const line of lines) {
+        const [key, ...rest] = line.split(/\s+/);
+        const value = rest.join(" ");
+        switch (key.toLowerCase()) {
+            case "name":
+                if (!value) return { error: "الاسم فارغ." };
+                updates.name = value;
+                break;
+            case "chat":
+                if (!/^(-?\d+|@\w{4,})$/.test(value)) return { error: "معرف القناة يجب أن يكون رقمًا مثل `-1001234567890` أو اسمًا مثل `@channel`." };
+                updates.chatId = value;
+                break;
+            case "min": {
+                const percent = parseFloat(value);
+                if (isNaN(percent) || percent < 0 || percent > 100) return { error: "الحد الأدنى لحجم الصفقة يجب أن يكون بين 0 و 100." };
+                updates.minTradePercent = percent;
+                break;
+            }
+            case "delay": {
+                const minutes = parseInt(value);
+                if (isNaN(minutes) || minutes < 0 || minutes > 24 * 60) return { error: "التأخير يجب أن يكون بين 0 و 1440 دقيقة." };
+                updates.delayMinutes = minutes;
+                break;
+            }
+            case "tags":
+                if (value !== "-" && !value.split(/\s+/).every(tag => /^#\S+$/.test(tag))) return { error: "الوسوم يجب أن تبدأ بـ `#`." };
+                updates.hashtags = value === "-" ? "" : value;
+                break;
+            case "kinds": {
+                const kinds = rest.map(k => KIND_ALIASES[k.toLowerCase()]);
+                if (kinds.length === 0 || kinds.some(k => !k)) return { error: "الأنواع المتاحة: `buy sell close report`." };
+                updates.kinds = PUBLICATION_KINDS.filter(k => kinds.includes(k));
+                break;
+            }
+            default:
+                return { error: `خيار غير معروف: \`${key}\`` };
+        }
+    }
+    if (Object.keys(updates).length === 0) return { error: "لم يتم تحديد أي خيار." };
+    return { updates };
+}
+
+
+
+module.exports = { PUBLICATION_KINDS, TEMPLATE_SLOTS, PUBLISHING_LANGUAGES, DEFAULT_PUBLISHING_TARGET, DEFAULT_TEMPLATES, TEMPLATE_VARIABLES, renderTemplate, checkTemplate, templateFor, meetsMinTradeSize, acceptsPublication, parseTargetOptions };
@@ -0,0 +1,116 @@
+// lib/rebalance.js
+
+const { floorToLot } = require("./trading.js");
+
+
+
+// Target weights (percent of the portfolio) per asset, with USDT standing for cash. An asset's tolerance
+// band, in percentage points either side of its target, falls back to `band`.
+const DEFAULT_REBALANCE_SETTINGS = { targets: {}, band: 5, driftAlerts: true };
+// Holdings without a target are sold by the plan; anything worth less than this is left alone as dust.
+const REBALANCE_DUST_USD = 1;
+
+// Reads one target per line, "<asset> <weight> [band]", plus an optional "band <points>" line for the
+// default band. The weights, USDT included, must add up to 100. -> { targets, band } or { error }.
+function parseRebalanceTargets(text, defaultBand = DEFAULT_REBALANCE_SETTINGS.band) {
+    const targets = {};
+    let band = defaultBand;
+    const lines = String(text || "").split(/[\n,]/).map(l => l.trim()).filter(Boolean);
+    for (const line of lines) {
+        const [name, ...values] = line.split(/\s+/);
+        const numbers = values.map(v => parseFloat(v.replace(/[%±]/g, "")));
+        if (numbers.some(isNaN)) return { error: `سطر غير صالح: \`${line}\`` };
+        if (name.toLowerCase() === "band") {
+            if (numbers.length !== 1 || !(numbers[0] > 0 && numbers[0] < 100)) return { error: "نطاق السماح يجب أن يكون بين 0 و 100." };
+            band = numbers[0];
+            continue;
+        }
+        const asset = name.toUpperCase().replace(/-USDT$/, "");
+        if (!/^[A-Z0-9]+$/.test(asset)) return { error: `رمز غير صالح: \`${name}\`` };
+        if (targets[asset]) return { error: `العملة ${asset} مكررة.` };
+        if (numbers.length < 1 || numbers.length > 2) return { error: `سطر غير صالح: \`${line}\`` };
+        const [weight, assetBand] = numbers;
+        if (!(weight >= 0 && weight <= 100)) return { error: `وزن ${asset} يجب أن يكون بين 0 و 100.` };
+        if (assetBand !== undefined && !(assetBand > 0 && assetBand < 100)) return { error: `نطاق السماح لـ ${asset} غير صالح.` };
+        targets[asset] = { weight, band: assetBand ?? null };
+    }
+    if (Object.keys(targets).length === 0) return { error: "لم يتم تحديد أي أوزان." };
+    const total = Object.values(targets).reduce((sum, t) => sum + t.weight, 0);
+    if (Math.abs(total - 100) > 0.01) return { error: `مجموع الأوزان \`${Math.round(total * 100) / 100}%\` ويجب أن يساوي 100%.` };
+    return { targets, band };
+}
+
+// Current and target weight of every targeted or held asset, largest target first.
+// -> [{ asset, value, price, weight, target, band, drift, outside }] where `drift` is in percentage points.
+function calculateAllocation(assets, total, settings) {
+    const assetNames = new Set(Object.keys(settings.targets));
+    assets.filter(a => a.value >= REBALANCE_DUST_USD || a.asset === "USDT").forEach(a => assetNames.add(a.asset));
+    return [...assetNames].map(asset => {
+        const holding = assets.find(a => a.asset === asset);
+        const value = holding?.value || 0;
+        const weight = total > 0 ? value / total * 100 : 0;
+        const target = settings.targets[asset]?.weight ?? 0;
+        const band = settings.targets[asset]?.band ?? settings.band;
+        const drift = weight - target;
+        return { asset, value, price: holding?.price || 0, weight, target, band, drift, outside: Math.abs(drift) > band };
+    }).sort((a, b) => b.target - a.target || b.value - a.value);
+}
+
+// Orders that bring the portfolio back to its targets at the current prices: sells first, then buys paid for
+// by the cash on hand plus the sales, fees included. `prices` is { [asset]: price } and `rules` is
+// { [asset]: { minSize, lotSize, takerFeeRate } }. Sell sizes are in the asset and buy sizes in USDT, as in
+// market orders. Differences below the exchange minimum are reported in `skipped` instead.
+// -> { orders: [{ asset, side, size, value }], skipped: [{ asset, side, value }], cashAfter }
+function buildRebalancePlan(rows, total, prices, rules) {
+    const orders = [];
+    const skipped = [];
+    const cash = rows.find(r => r.asset === "USDT")?.value || 0;
+    let available = cash;
+    const wanted = [];
+    rows.filter(r => r.asset !== "USDT").forEach(row => {
+        const price = prices[row.asset];
+        const rule = rules[row.asset];
+        const difference = row.target / 100 * total - row.value;
+        if (!price || !rule || Math.abs(difference) < 0.01) return;
+        if (difference < 0) {
+            const size = floorToLot(-difference / price, rule.lotSize);
+            if (size <= 0 || size < rule.minSize) {
+                skipped.push({ asset: row.asset, side: 'sell', value: -difference });
+                return;
+            }
+            orders.push({ asset: row.asset, side: 'sell', size, value: size * price });
+            available += size * price * (1 - (rule.takerFeeRate || 0));
+        } else {
+            wanted.push({ asset: row.asset, value: difference, price, rule });
+        }
+    });
+    // Rounding and fees can leave less cash than the buys need; they are then scaled down together.
+    const needed = wanted.reduce((sum, w) => sum + w.value * (1 + (w.rule.takerFeeRate || 0)), 0);
+    const scale = needed > available ? available / needed : 1;
+    wanted.forEach(w => {
+        const size = Math.floor(w.value * scale * 100) / 100;
+        if (size <= 0 || size / w.price < w.rule.minSize) {
+            skipped.push({ asset: w.asset, side: 'buy', value: w.value });
+            return;
+        }
+        orders.push({ asset: w.asset, side: 'buy', size, value: size });
+        available -= size * (1 + (w.rule.takerFeeRate || 0));
+    });
+    return { orders, skipped, cashAfter: Math.max(0, available) };
+}
+
+// Assets that have just left their band since the last check, and the set to remember for next time.
+// `previous` is { [asset]: true } for the assets that were outside. -> { alerts: [row], outside }
+function checkDrift(rows, previous = {}) {
+    const outside = {};
+    const alerts = [];
+    rows.filter(r => r.outside).forEach(row => {
+        outside[row.asset] = true;
+        if (!previous[row.asset]) alerts.push(row);
+    });
+    return { alerts, outside };
+}
+
+
+
+module.exports = { DEFAULT_REBALANCE_SETTINGS, REBALANCE_DUST_USD, parseRebalanceTargets, calculateAllocation, buildRebalancePlan, checkDrift };
@@ -0,0 +1,140 @@
+// lib/risk.js
+
+
+
+// Daily closes over this many days feed every figure of the risk report.
+const RISK_LOOKBACK_DAYS = 90;
+// Assets with fewer common daily returns than this are measured through BTC instead (beta 1).
+const MIN_RISK_OBSERVATIONS = 20;
+const RISK_CONFIDENCE = 0.95;
+const STRESS_BTC_MOVES = [-10, -20, -30];
+// The correlation matrix only lists the largest holdings so that it stays readable in a message.
+const MAX_CORRELATION_ASSETS = 6;
+// One-sided standard normal quantiles for the parametric VaR.
+const Z_SCORES = { 0.95: 1.6449, 0.99: 2.3263 };
+
+// Variances below this are rounding noise of a flat series.
+const EPSILON = 1e-12;
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+function covariance(a, b) {
+    const [meanA, meanB] = [mean(a), mean(b)];
+    return a.reduce((sum, v, i) => sum + (v - meanA) * (b[i] - meanB), 0) / (a.length - 1);
+}
+const standardDeviation = (values) => Math.sqrt(covariance(values, values));
+
+// Close-to-close returns of daily candles -> Map(time -> return), keyed by the later candle.
+function dailyReturns(candles) {
+    const sorted = [...candles].sort((a, b) => a.time - b.time);
+    const returns = new Map();
+    for (let i = 1; i < sorted.length; i++) {
+        if (sorted[i - 1].close > 0) returns.set(sorted[i].time, sorted[i].close / sorted[i - 1].close - 1);
+    }
+    return returns;
+}
+
+// Returns of every asset over the days that BTC and all the assets with enough history share.
+// `candlesByAsset` is { [asset]: candles } and must include BTC. -> { times, returns: { [asset]: [r] }, proxied } or { error }
+function alignReturns(candlesByAsset) {
+    const series = Object.fromEntries(Object.entries(candlesByAsset).map(([asset, candles]) => [asset, dailyReturns(candles || [])]));
+    if (!series.BTC || series.BTC.size < MIN_RISK_OBSERVATIONS) return { error: "لا تتوفر بيانات يومية كافية لـ BTC." };
+    const btcTimes = [...series.BTC.keys()];
+    const proxied = [];
+    let times = btcTimes;
+    Object.entries(series).forEach(([asset, returns]) => {
+        if (asset === "BTC") return;
+        const shared = times.filter(t => returns.has(t));
+        if (shared.length < MIN_RISK_OBSERVATIONS) proxied.push(asset);
+        else times = shared;
+    });
+    times.sort((a, b) => a - b);
+    const returns = {};
+    Object.entries(series).forEach(([asset, assetReturns]) => {
+        returns[asset] = times.map(t => proxied.includes(asset) ? series.BTC.get(t) : assetReturns.get(t));
+    });
+    return { times, returns, proxied };
+}
+
+function calculateCorrelation(a, b) {
+    const deviations = standardDeviation(a) * standardDeviation(b);
+    return deviations > EPSILON ? covariance(a, b) / deviations : 0;
+}
+
+function calculateBeta(returns, marketReturns) {
+    const variance = covariance(marketReturns, marketReturns);
+    return variance > EPSILON ? covariance(returns, marketReturns) / variance : 0;
+}
+
+// Weight of the largest positions, the cash share and the effective number of positions (1 / Herfindahl
+// index of the non-cash weights). -> { largest, top3Percent, cashPercent, hhi, effectivePositions, level }
+function calculateConcentration(assets, total) {
+    const held = assets.filter(a => a.asset !== "USDT" && a.value > 0).sort((a, b) => b.value - a.value);
+    const invested = held.reduce((sum, a) => sum + a.value, 0);
+    const cash = assets.find(a => a.asset === "USDT")?.value || 0;
+    const hhi = invested > 0 ? held.reduce((sum, a) => sum + (a.value / invested) ** 2, 0) : 0;
+    return {
+        largest: held[0] ? { asset: held[0].asset, percent: held[0].value / total * 100 } : null,
+        top3Percent: held.slice(0, 3).reduce((sum, a) => sum + a.value, 0) / total * 100,
+        cashPercent: cash / total * 100,
+        hhi,
+        effectivePositions: hhi > 0 ? 1 / hhi : 0,
+        level: hhi > 0.5 ? "high" : hhi > 0.25 ? "medium" : "low",
+    };
+}
+
+// Loss, as a positive fraction, that the daily returns exceeded on (1 - confidence) of the days, and the
+// average loss on those days (CVaR / expected shortfall). -> { var, cvar }
+function calculateHistoricalVaR(returns, confidence = RISK_CONFIDENCE) {
+    const sorted = [...returns].sort((a, b) => a - b);
+    const tail = sorted.slice(0, Math.max(1, Math.floor(sorted.length * (1 - confidence))));
+    return { var: Math.max(0, -tail[tail.length - 1]), cvar: Math.max(0, -mean(tail)) };
+}
+
+// The same under a normal distribution with the returns' mean and standard deviation. -> { var, cvar }
+function calculateParametricVaR(returns, confidence = RISK_CONFIDENCE) {
+    const z = Z_SCORES[confidence];
+    const [mu, sigma] = [mean(returns), standardDeviation(returns)];
+    const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+    return { var: Math.max(0, z * sigma - mu), cvar: Math.max(0, sigma * density / (1 - confidence) - mu) };
+}
+
+// The full report for a portfolio: `assets` and `total` as getPortfolio() returns them, `candlesByAsset`
+// the daily candles of every held asset and of BTC. Amounts are in USD and returns in percent.
+function analyzeRisk(assets, total, candlesByAsset, confidence = RISK_CONFIDENCE) {
+    if (!(total > 0)) return { error: "المحفظة فارغة." };
+    const aligned = alignReturns(candlesByAsset);
+    if (aligned.error) return aligned;
+    const { times, returns, proxied } = aligned;
+    const held = assets.filter(a => a.asset !== "USDT" && a.value > 0).sort((a, b) => b.value - a.value);
+    const btc = returns.BTC;
+    const betas = held.map(a => ({ asset: a.asset, weight: a.value / total * 100, beta: proxied.includes(a.asset) ? 1 : calculateBeta(returns[a.asset], btc), proxied: proxied.includes(a.asset) }));
+    const portfolioBeta = betas.reduce((sum, b) => sum + b.weight / 100 * b.beta, 0);
+    const portfolioReturns = times.map((_, day) => held.reduce((sum, a) => sum + a.value / total * returns[a.asset][day], 0));
+
+    const matrixAssets = held.filter(a => !proxied.includes(a.asset)).slice(0, MAX_CORRELATION_ASSETS).map(a => a.asset);
+    const matrix = matrixAssets.map(a => matrixAssets.map(b => a === b ? 1 : calculateCorrelation(returns[a], returns[b])));
+
+    const toReport = ({ var: valueAtRisk, cvar }) => ({ percent: valueAtRisk * 100, usd: valueAtRisk * total, cvarPercent: cvar * 100, cvarUsd: cvar * total });
+    const stress = STRESS_BTC_MOVES.map(move => {
+        const impacts = betas.map(b => ({ asset: b.asset, usd: b.weight / 100 * total * b.beta * move / 100 })).sort((a, b) => a.usd - b.usd);
+        const usd = impacts.reduce((sum, i) => sum + i.usd, 0);
+        return { move, usd, percent: usd / total * 100, impacts };
+    });
+    return {
+        days: times.length,
+        confidence,
+        concentration: calculateConcentration(assets, total),
+        correlation: { assets: matrixAssets, matrix },
+        betas,
+        portfolioBeta,
+        volatilityPercent: portfolioReturns.length > 1 ? standardDeviation(portfolioReturns) * Math.sqrt(365) * 100 : 0,
+        historical: toReport(calculateHistoricalVaR(portfolioReturns, confidence)),
+        parametric: toReport(calculateParametricVaR(portfolioReturns, confidence)),
+        stress,
+        proxied: proxied.filter(asset => held.some(a => a.asset === asset)),
+    };
+}
+
+
+
+module.exports = { RISK_LOOKBACK_DAYS, MIN_RISK_OBSERVATIONS, RISK_CONFIDENCE, STRESS_BTC_MOVES, dailyReturns, alignReturns, calculateCorrelation, calculateBeta, calculateConcentration, calculateHistoricalVaR, calculateParametricVaR, analyzeRisk };
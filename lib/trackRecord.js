@@ -0,0 +1,210 @@
+// lib/trackRecord.js
+
+const crypto = require("crypto");
+const { formatNumber, escapeHtml } = require("./utils.js");
+
+
+
+// The public track record only ever shows percentages and prices; amounts, quantities and fees stay private.
+// Each section is served by its own endpoint; the sections listed in `privateSections` need the API key.
+const TRACK_RECORD_SECTIONS = ["summary", "trades", "open"];
+const DEFAULT_TRACK_RECORD_SETTINGS = { apiKey: null, cacheSeconds: 300, privateSections: ["open"] };
+// The closed trades list is capped so that the page and the API stay small.
+const MAX_TRACK_RECORD_TRADES = 500;
+const EQUITY_INDEX_BASE = 100;
+
+// TRACK_RECORD_API_KEY, TRACK_RECORD_CACHE_SECONDS and TRACK_RECORD_PRIVATE ("open,trades", or "none").
+function parseTrackRecordSettings(env = {}) {
+    const cacheSeconds = parseInt(env.TRACK_RECORD_CACHE_SECONDS, 10);
+    const privateText = env.TRACK_RECORD_PRIVATE;
+    const privateSections = privateText === undefined
+        ? DEFAULT_TRACK_RECORD_SETTINGS.privateSections
+        : String(privateText).split(/[\s,]+/).map(s => s.trim().toLowerCase()).filter(s => TRACK_RECORD_SECTIONS.includes(s));
+    return {
+        apiKey: env.TRACK_RECORD_API_KEY || DEFAULT_TRACK_RECORD_SETTINGS.apiKey,
+        cacheSeconds: cacheSeconds >= 0 ? cacheSeconds : DEFAULT_TRACK_RECORD_SETTINGS.cacheSeconds,
+        privateSections,
+    };
+}
+
+const toTime = (date) => date ? new Date(date).getTime() : null;
+
+// A closed trade as it may be shown to anyone. -> { asset, openedAt, closedAt, durationDays, entryPercent, ... }
+function publicTrade(trade) {
+    const closedAt = toTime(trade.closedAt);
+    const openedAt = closedAt !== null && trade.durationDays !== undefined ? closedAt - trade.durationDays * 24 * 60 * 60 * 1000 : null;
+    return {
+        asset: trade.asset,
+        openedAt: openedAt !== null ? new Date(openedAt).toISOString() : null,
+        closedAt: closedAt !== null ? new Date(closedAt).toISOString() : null,
+        durationDays: trade.durationDays ?? null,
+        entryPercent: trade.entryCapitalPercent ?? null,
+        pnlPercent: trade.pnlPercent,
+        avgBuyPrice: trade.avgBuyPrice ?? null,
+        avgSellPrice: trade.avgSellPrice ?? null,
+    };
+}
+
+// Closed trades with a result, oldest first.
+const closedTradesOf = (trades) => trades.filter(t => typeof t.pnlPercent === "number" && t.closedAt).sort((a, b) => toTime(a.closedAt) - toTime(b.closedAt));
+
+// Growth of 100 when every trade moves the portfolio by its result times the share of the portfolio it used
+// (pnlPercent x entryCapitalPercent), compounded in closing order. Trades recorded without that share have no
+// effect on the curve. -> [{ time, value }], starting with the opening of the first trade.
+function buildEquityCurve(trades) {
+    const closed = closedTradesOf(trades);
+    if (closed.length === 0) return [];
+    const first = publicTrade(closed[0]);
+    let index = EQUITY_INDEX_BASE;
+    const curve = [{ time: toTime(first.openedAt || first.closedAt), value: index }];
+    closed.forEach(t => {
+        const weight = t.entryCapitalPercent > 0 ? t.entryCapitalPercent / 100 : 0;
+        index *= 1 + t.pnlPercent / 100 * weight;
+        curve.push({ time: toTime(t.closedAt), value: index });
+    });
+    return curve;
+}
+
+// Largest fall of the curve from a previous high, in percent.
+function curveDrawdown(curve) {
+    let peak = 0, maxDrawdown = 0;
+    curve.forEach(p => {
+        peak = Math.max(peak, p.value);
+        if (peak > 0) maxDrawdown = Math.max(maxDrawdown, (peak - p.value) / peak * 100);
+    });
+    return maxDrawdown;
+}
+
+// Figures of the track record. `avgRoi` is the plain average of the trades' results; `totalReturnPercent`
+// is the end of the equity curve. Returns null without closed trades.
+function summarizeTrackRecord(trades) {
+    const closed = closedTradesOf(trades);
+    if (closed.length === 0) return null;
+    const results = closed.map(t => t.pnlPercent);
+    const wins = results.filter(r => r > 0);
+    const losses = results.filter(r => r <= 0);
+    const average = (values) => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+    const durations = closed.map(t => t.durationDays).filter(d => typeof d === "number");
+    const curve = buildEquityCurve(closed);
+    return {
+        trades: closed.length,
+        wins: wins.length,
+        losses: losses.length,
+        winRate: wins.length / closed.length * 100,
+        avgRoi: average(results),
+        avgWin: average(wins),
+        avgLoss: average(losses),
+        best: Math.max(...results),
+        worst: Math.min(...results),
+        avgDurationDays: average(durations),
+        totalReturnPercent: curve[curve.length - 1].value - EQUITY_INDEX_BASE,
+        maxDrawdownPercent: curveDrawdown(curve),
+        since: new Date(curve[0].time).toISOString(),
+        until: new Date(curve[curve.length - 1].time).toISOString(),
+    };
+}
+
+// The open positions as recommendations, largest entry first. `positions` is { [asset]: position } and
+// `prices` is keyed by instrument ("BTC-USDT") as getMarketPrices() returns it.
+function openRecommendations(positions, prices = {}) {
+    return Object.entries(positions).map(([asset, position]) => {
+        const price = prices[`${asset}-USDT`]?.price ?? null;
+        const protection = position.protection || {};
+        return {
+            asset,
+            openedAt: position.openDate ? new Date(position.openDate).toISOString() : null,
+            entryPercent: position.entryCapitalPercent ?? null,
+            avgBuyPrice: position.avgBuyPrice ?? null,
+            currentPrice: price,
+            changePercent: price && position.avgBuyPrice > 0 ? (price / position.avgBuyPrice - 1) * 100 : null,
+            takeProfit: protection.takeProfit ?? null,
+            stopLoss: protection.trailingStop ?? protection.stopLoss ?? null,
+        };
+    }).sort((a, b) => (b.entryPercent || 0) - (a.entryPercent || 0));
+}
+
+// A string equality check that takes the same time wherever the strings differ.
+function keysMatch(given, expected) {
+    if (!given || !expected) return false;
+    const a = Buffer.from(String(given));
+    const b = Buffer.from(String(expected));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Whether a request may read `section`: public sections always, private ones with the configured key.
+function canReadSection(settings, section, key) {
+    if (!settings.privateSections.includes(section)) return true;
+    return keysMatch(key, settings.apiKey);
+}
+
+const signed = (value) => value === null || value === undefined ? "-" : `${value >= 0 ? "+" : ""}${formatNumber(value)}%`;
+const priceText = (value) => value === null || value === undefined ? "-" : formatNumber(value, 4);
+const dateText = (iso) => iso ? iso.slice(0, 10) : "-";
+const resultClass = (value) => value > 0 ? "up" : value < 0 ? "down" : "";
+
+// The equity curve as an inline SVG line, so the page needs no script or external file.
+function equityCurveSvg(curve, width = 640, height = 200) {
+    if (curve.length < 2) return "";
+    const [minTime, maxTime] = [curve[0].time, curve[curve.length - 1].time];
+    const values = curve.map(p => p.value);
+    const [minValue, maxValue] = [Math.min(...values, EQUITY_INDEX_BASE), Math.max(...values, EQUITY_INDEX_BASE)];
+    const x = (time) => maxTime > minTime ? (time - minTime) / (maxTime - minTime) * width : 0;
+    const y = (value) => maxValue > minValue ? height - (value - minValue) / (maxValue - minValue) * height : height / 2;
+    const points = curve.map(p => `${x(p.time).toFixed(1)},${y(p.value).toFixed(1)}`).join(" ");
+    const base = y(EQUITY_INDEX_BASE).toFixed(1);
+    return `<svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" role="img" aria-label="منحنى الأداء">`
+        + `<line x1="0" y1="${base}" x2="${width}" y2="${base}" class="base"/><polyline points="${points}" class="curve"/></svg>`;
+}
+
+// The public page. Sections the visitor may not read are left undefined and are not shown; a null summary
+// means there are no closed trades yet.
+// `data` is { summary, curve, trades, open, generatedAt }.
+function renderTrackRecordPage(data) {
+    const { summary, curve, trades, open, generatedAt } = data;
+    const parts = [];
+    if (summary === null) {
+        parts.push(`<p class="empty">لا توجد صفقات مغلقة بعد.</p>`);
+    } else if (summary) {
+        const cards = [
+            ["العائد التراكمي", signed(summary.totalReturnPercent), resultClass(summary.totalReturnPercent)],
+            ["نسبة النجاح", `${formatNumber(summary.winRate)}%`, ""],
+            ["متوسط العائد للصفقة", signed(summary.avgRoi), resultClass(summary.avgRoi)],
+            ["عدد الصفقات", `${summary.trades} (${summary.wins} رابحة / ${summary.losses} خاسرة)`, ""],
+            ["أقصى تراجع", `-${formatNumber(summary.maxDrawdownPercent)}%`, summary.maxDrawdownPercent > 0 ? "down" : ""],
+            ["أفضل / أسوأ صفقة", `${signed(summary.best)} / ${signed(summary.worst)}`, ""],
+        ];
+        parts.push(`<div class="cards">${cards.map(([label, value, cls]) => `<div class="card"><span>${label}</span><b class="${cls}">${escapeHtml(value)}</b></div>`).join("")}</div>`);
+        parts.push(`<h2>منحنى الأداء (مؤشر يبدأ من ${EQUITY_INDEX_BASE})</h2>${equityCurveSvg(curve || [])}`);
+        parts.push(`<p class="note">من ${dateText(summary.since)} إلى ${dateText(summary.until)}. كل صفقة تؤثر على المنحنى بقدر نسبتها من المحفظة عند الدخول.</p>`);
+    }
+    if (open) {
+        const rows = open.map(o => `<tr><td>${escapeHtml(o.asset)}</td><td>${dateText(o.openedAt)}</td><td>${o.entryPercent !== null ? `${formatNumber(o.entryPercent)}%` : "-"}</td>`
+            + `<td>${priceText(o.avgBuyPrice)}</td><td>${priceText(o.currentPrice)}</td><td class="${resultClass(o.changePercent)}">${signed(o.changePercent)}</td>`
+            + `<td>${priceText(o.takeProfit)}</td><td>${priceText(o.stopLoss)}</td></tr>`).join("");
+        parts.push(`<h2>التوصيات المفتوحة</h2>`);
+        parts.push(open.length > 0
+            ? `<table><tr><th>العملة</th><th>تاريخ الدخول</th><th>حجم الدخول</th><th>سعر الدخول</th><th>السعر الحالي</th><th>التغير</th><th>الهدف</th><th>الوقف</th></tr>${rows}</table>`
+            : `<p class="empty">لا توجد توصيات مفتوحة حاليًا.</p>`);
+    }
+    if (trades) {
+        const rows = [...trades].reverse().map(t => `<tr><td>${escapeHtml(t.asset)}</td><td>${dateText(t.openedAt)}</td><td>${dateText(t.closedAt)}</td>`
+            + `<td>${t.entryPercent !== null ? `${formatNumber(t.entryPercent)}%` : "-"}</td><td>${priceText(t.avgBuyPrice)}</td><td>${priceText(t.avgSellPrice)}</td>`
+            + `<td class="${resultClass(t.pnlPercent)}">${signed(t.pnlPercent)}</td></tr>`).join("");
+        parts.push(`<h2>الصفقات المغلقة</h2>`);
+        parts.push(trades.length > 0
+            ? `<table><tr><th>العملة</th><th>الدخول</th><th>الخروج</th><th>حجم الدخول</th><th>متوسط الشراء</th><th>متوسط البيع</th><th>النتيجة</th></tr>${rows}</table>`
+            : `<p class="empty">لا توجد صفقات مغلقة بعد.</p>`);
+    }
+    const style = "body{font-family:system-ui,sans-serif;max-width:960px;margin:0 auto;padding:16px;color:#1d2330;background:#f6f7fb}"
+        + ".cards{display:flex;flex-wrap:wrap;gap:8px}.card{flex:1 1 180px;background:#fff;border-radius:8px;padding:12px}.card span{display:block;color:#667;font-size:13px}"
+        + "table{width:100%;border-collapse:collapse;background:#fff;font-size:14px}th,td{padding:6px;border-bottom:1px solid #e3e6ee;text-align:start}"
+        + "svg{width:100%;height:200px;background:#fff;border-radius:8px}.curve{fill:none;stroke:#2a6df4;stroke-width:2}.base{stroke:#bbb;stroke-dasharray:4}"
+        + ".up{color:#0a8f4a}.down{color:#d2353b}.note,.empty,footer{color:#667;font-size:13px}";
+    return `<!DOCTYPE html><html lang="ar" dir="rtl"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1">`
+        + `<title>سجل الأداء</title><style>${style}</style></head><body><h1>📊 سجل الأداء</h1>${parts.join("\n")}`
+        + `<footer>النتائج بالنسب المئوية فقط. آخر تحديث: ${escapeHtml(generatedAt || "")}</footer></body></html>`;
+}
+
+
+
+module.exports = { TRACK_RECORD_SECTIONS, DEFAULT_TRACK_RECORD_SETTINGS, MAX_TRACK_RECORD_TRADES, EQUITY_INDEX_BASE, parseTrackRecordSettings, publicTrade, buildEquityCurve, summarizeTrackRecord, openRecommendations, canReadSection, renderTrackRecordPage };
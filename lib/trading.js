@@ -0,0 +1,82 @@
+// lib/trading.js
+
+const { formatNumber } = require("./utils.js");
+
+
+
+// Guardrails applied to every order placed from Telegram; 0 disables a limit.
+// They only restrict buys: a sell always reduces exposure and is never blocked.
+const DEFAULT_TRADING_LIMITS = { maxOrderUsd: 1000, maxPortfolioPercent: 25, dailyLossLimitUsd: 0 };
+
+// Number of decimals of a lot size such as 0.0001 or 1e-8.
+function lotDecimals(lotSize) {
+    const [mantissa, exponent] = String(lotSize).split("e-");
+    const decimals = (mantissa.split(".")[1] || "").length;
+    return exponent ? decimals + parseInt(exponent) : decimals;
+}
+
+// Rounds a size down to a whole number of lots, without floating point leftovers.
+function floorToLot(size, lotSize) {
+    if (!(lotSize > 0)) return size;
+    const lots = Math.floor(size / lotSize + 1e-9);
+    return parseFloat((lots * lotSize).toFixed(lotDecimals(lotSize)));
+}
+
+// Parses the arguments of /buy and /sell: "<asset> <amount>" or "<asset> <percent>%".
+// A buy amount is in USDT and its percent is of the available USDT; a sell amount is a
+// quantity of the asset and its percent is of the holding.
+function parseOrderArgs(args) {
+    const parts = String(args || "").trim().split(/\s+/);
+    if (parts.length !== 2) return { error: "صيغة غير صحيحة." };
+    const asset = parts[0].toUpperCase().replace(/-USDT$/, "");
+    if (!/^[A-Z0-9]+$/.test(asset) || asset === "USDT") return { error: "رمز العملة غير صالح." };
+    const isPercent = parts[1].endsWith("%");
+    const value = parseFloat(isPercent ? parts[1].slice(0, -1) : parts[1]);
+    if (isNaN(value) || value <= 0) return { error: "الكمية يجب أن تكون رقمًا موجبًا." };
+    if (isPercent) {
+        if (value > 100) return { error: "النسبة يجب ألا تتجاوز 100%." };
+        return { asset, percent: value };
+    }
+    return { asset, amount: value };
+}
+
+// Walks the order book to estimate a market order. `size` is in USDT for buys and in the base
+// currency for sells, like the order itself. `complete` is false when the book is too thin.
+function estimateMarketOrder(book, side, size) {
+    const levels = side === "buy" ? book.asks : book.bids;
+    let remaining = size, baseSize = 0, quoteSize = 0, worstPrice = null;
+    for (const [price, available] of levels) {
+        if (remaining <= 0) break;
+        const take = side === "buy" ? Math.min(available, remaining / price) : Math.min(available, remaining);
+        baseSize += take;
+        quoteSize += take * price;
+        remaining -= side === "buy" ? take * price : take;
+        worstPrice = price;
+    }
+    const complete = remaining <= size * 1e-9;
+    return { baseSize, quoteSize, avgPrice: baseSize > 0 ? quoteSize / baseSize : 0, worstPrice, complete };
+}
+
+// Returns the reasons an order must be refused, in Arabic; an empty list means the order may go through.
+// `context` holds the portfolio total, the current value of the asset and today's realized P&L.
+function checkGuardrails(order, limits, context) {
+    const violations = [];
+    if (order.side !== "buy") return violations;
+    if (limits.maxOrderUsd > 0 && order.notional > limits.maxOrderUsd) {
+        violations.push(`قيمة الأمر \`$${formatNumber(order.notional)}\` تتجاوز الحد الأقصى للأمر الواحد \`$${limits.maxOrderUsd}\`.`);
+    }
+    if (limits.maxPortfolioPercent > 0 && context.portfolioTotal > 0) {
+        const newWeight = ((context.assetValue + order.notional) / context.portfolioTotal) * 100;
+        if (newWeight > limits.maxPortfolioPercent) {
+            violations.push(`سيصبح وزن ${order.asset} \`${formatNumber(newWeight)}%\` من المحفظة، والحد الأقصى \`${limits.maxPortfolioPercent}%\`.`);
+        }
+    }
+    if (limits.dailyLossLimitUsd > 0 && -context.realizedPnlToday >= limits.dailyLossLimitUsd) {
+        violations.push(`الخسارة المحققة اليوم \`$${formatNumber(-context.realizedPnlToday)}\` بلغت الحد اليومي \`$${limits.dailyLossLimitUsd}\`.`);
+    }
+    return violations;
+}
+
+
+
+module.exports = { DEFAULT_TRADING_LIMITS, floorToLot, parseOrderArgs, estimateMarketOrder, checkGuardrails };
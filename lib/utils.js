@@ -0,0 +1,15 @@
+// lib/utils.js
+
+
+
+function formatNumber(num, decimals = 2) { const number = parseFloat(num); if (isNaN(number) || !isFinite(number)) return (0).toFixed(decimals); return number.toFixed(decimals); }
+function formatDuration(ms) { const hours = ms / (1000 * 60 * 60); if (hours < 48) return `${formatNumber(hours, 0)} ساعة`; return `${formatNumber(hours / 24, 1)} يوم`; }
+// Escapes the characters that legacy Telegram Markdown treats as formatting (_ * ` [), so names
+// coming from users or config (account names, symbols...) cannot break a message.
+function escapeMarkdown(text) { return String(text ?? '').replace(/([_*`\[])/g, '\\$1'); }
+// The same for the pages served over HTTP (track record, admin dashboard).
+function escapeHtml(text) { return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]); }
+
+
+
+module.exports = { formatNumber, formatDuration, escapeMarkdown, escapeHtml };
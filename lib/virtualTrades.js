@@ -0,0 +1,226 @@
+// lib/virtualTrades.js
+
+
+
+// Stops and manual closes are market exits: they fill below the trigger by this much unless the trade sets its own.
+const DEFAULT_STOP_SLIPPAGE_PERCENT = 0.1;
+const CLOSED_VIRTUAL_TRADE_STATUSES = ['completed', 'stopped', 'closed'];
+
+// Trades saved before tranches existed have a single `targetPrice`.
+function normalizeVirtualTrade(trade) {
+    if (trade.targets) return trade;
+    return {
+        ...trade,
+        targets: [{ price: trade.targetPrice, percent: 100 }],
+        initialStop: trade.stopLossPrice,
+        breakevenAfterTp1: false,
+        trailingPercent: null,
+        slippagePercent: DEFAULT_STOP_SLIPPAGE_PERCENT,
+        remainingPercent: 100,
+        realizedPnl: 0,
+        exits: [],
+    };
+}
+
+// "68000 70000 72000" splits the position equally; "68000:50 70000:30 72000:20" sets each tranche's share.
+// The shares must add up to `totalPercent`. Returns [{ price, percent }] or { error }.
+function parseTargets(tokens, totalPercent = 100) {
+    if (tokens.length === 0) return { error: "يجب تحديد هدف واحد على الأقل." };
+    const weighted = tokens.some(t => t.includes(":"));
+    if (weighted && !tokens.every(t => t.includes(":"))) return { error: "حدد نسبة لكل الأهداف أو لا تحددها لأي منها." };
+    const targets = tokens.map((token, i) => {
+        const [price, percent] = token.split(":").map(parseFloat);
+        return { price, percent: weighted ? percent : (i === tokens.length - 1 ? totalPercent - (totalPercent / tokens.length) * i : totalPercent / tokens.length) };
+    });
+    if (targets.some(t => !(t.price > 0) || !(t.percent > 0))) return { error: "الأهداف يجب أن تكون أرقامًا موجبة." };
+    if (Math.abs(targets.reduce((sum, t) => sum + t.percent, 0) - totalPercent) > 1e-6) return { error: `مجموع نسب الأهداف يجب أن يساوي ${totalPercent}%.` };
+    if (targets.some((t, i) => i > 0 && t.price <= targets[i - 1].price)) return { error: "الأهداف يجب أن تكون تصاعدية." };
+    return targets;
+}
+
+// Reads `be`, `trail <percent>` and `slip <percent>` from the optional options line.
+function parseOptions(tokens) {
+    const options = {};
+    for (let i = 0; i < tokens.length; i++) {
+        const keyword = tokens[i].toLowerCase();
+        if (keyword === "be") {
+            options.breakevenAfterTp1 = true;
+        } else if (keyword === "trail" || keyword === "slip") {
+            const value = parseFloat(String(tokens[++i]).replace("%", ""));
+            if (isNaN(value) || value < 0 || value >= 100) return { error: `قيمة \`${keyword}\` غير صالحة.` };
+            if (keyword === "trail") options.trailingPercent = value || null;
+            else options.slippagePercent = value;
+        } else {
+            return { error: `خيار غير معروف: ${tokens[i]}` };
+        }
+    }
+    return options;
+}
+
+// Reads a new trade: symbol, entry, targets, stop and amount on separate lines, optionally followed by an
+// options line ("be trail 3 slip 0.2"). Returns the trade to save or { error }.
+function parseVirtualTrade(text) {
+    const lines = String(text || "").split("\n").map(line => line.trim()).filter(Boolean);
+    if (lines.length < 5 || lines.length > 6) return { error: "التنسيق غير صحيح، يجب أن يتكون من 5 أسطر (والسادس اختياري للخيارات)." };
+    const instId = lines[0].toUpperCase();
+    if (!instId.endsWith("-USDT")) return { error: "رمز العملة يجب أن ينتهي بـ -USDT." };
+    const entryPrice = parseFloat(lines[1]);
+    const stopLossPrice = parseFloat(lines[3]);
+    const virtualAmount = parseFloat(lines[4]);
+    if ([entryPrice, stopLossPrice, virtualAmount].some(isNaN)) return { error: "تأكد من أن جميع القيم المدخلة هي أرقام صالحة." };
+    if (entryPrice <= 0 || stopLossPrice <= 0 || virtualAmount <= 0) return { error: "جميع القيم الرقمية يجب أن تكون أكبر من صفر." };
+    const targets = parseTargets(lines[2].split(/\s+/));
+    if (targets.error) return targets;
+    if (targets[0].price <= entryPrice) return { error: "سعر الهدف يجب أن يكون أعلى من سعر الدخول." };
+    if (stopLossPrice >= entryPrice) return { error: "سعر وقف الخسارة يجب أن يكون أقل من سعر الدخول." };
+    const options = parseOptions(lines[5] ? lines[5].split(/\s+/) : []);
+    if (options.error) return options;
+    return {
+        instId, entryPrice, targets, stopLossPrice, initialStop: stopLossPrice, virtualAmount,
+        breakevenAfterTp1: !!options.breakevenAfterTp1,
+        trailingPercent: options.trailingPercent || null,
+        slippagePercent: options.slippagePercent ?? DEFAULT_STOP_SLIPPAGE_PERCENT,
+        remainingPercent: 100, realizedPnl: 0, exits: [], status: 'active',
+    };
+}
+
+// Reads changes to an active trade: `sl <price>`, `tp <targets>` (replaces the targets not reached yet),
+// `trail <percent>` (0 turns it off) and `be on|off`, in any combination. Returns the fields to set or { error }.
+function parseVirtualTradeEdit(text, trade, currentPrice) {
+    const tokens = String(text || "").trim().split(/\s+/).filter(Boolean);
+    const keywords = ["sl", "tp", "trail", "be"];
+    const changes = {};
+    for (let i = 0; i < tokens.length; i++) {
+        const keyword = tokens[i].toLowerCase();
+        if (keyword === "sl") {
+            const stop = parseFloat(tokens[++i]);
+            if (!(stop > 0) || stop >= currentPrice) return { error: "وقف الخسارة يجب أن يكون أقل من السعر الحالي." };
+            changes.stopLossPrice = stop;
+        } else if (keyword === "tp") {
+            const targetTokens = [];
+            while (i + 1 < tokens.length && !keywords.includes(tokens[i + 1].toLowerCase())) targetTokens.push(tokens[++i]);
+            const hit = trade.targets.filter(t => t.hitAt);
+            const targets = parseTargets(targetTokens, trade.remainingPercent);
+            if (targets.error) return targets;
+            if (targets[0].price <= currentPrice) return { error: "الأهداف يجب أن تكون أعلى من السعر الحالي." };
+            changes.targets = [...hit, ...targets];
+        } else if (keyword === "trail") {
+            const value = parseFloat(String(tokens[++i]).replace("%", ""));
+            if (isNaN(value) || value < 0 || value >= 100) return { error: "نسبة الوقف المتحرك غير صالحة." };
+            changes.trailingPercent = value || null;
+            changes.trailingHigh = null;
+            changes.trailingStop = null;
+        } else if (keyword === "be") {
+            const value = String(tokens[++i]).toLowerCase();
+            if (!["on", "off"].includes(value)) return { error: "استخدم `be on` أو `be off`." };
+            changes.breakevenAfterTp1 = value === "on";
+        } else {
+            return { error: `أمر غير معروف: ${tokens[i]}` };
+        }
+    }
+    if (Object.keys(changes).length === 0) return { error: "لم يتم تحديد أي تعديل." };
+    return changes;
+}
+
+const trancheValue = (trade, percent) => trade.virtualAmount * percent / 100;
+const exitPnl = (trade, percent, price) => trancheValue(trade, percent) * (price - trade.entryPrice) / trade.entryPrice;
+const slippedPrice = (trade, price) => price * (1 - (trade.slippagePercent ?? DEFAULT_STOP_SLIPPAGE_PERCENT) / 100);
+const effectiveStop = (trade) => Math.max(trade.stopLossPrice || 0, trade.trailingStop || 0);
+
+// Records an exit of `percent` of the original size and closes the trade once nothing remains.
+function applyExit(trade, exit, status, now) {
+    const pnl = exitPnl(trade, exit.percent, exit.price);
+    const next = {
+        ...trade,
+        remainingPercent: Math.max(0, trade.remainingPercent - exit.percent),
+        realizedPnl: trade.realizedPnl + pnl,
+        exits: [...trade.exits, { ...exit, pnl, time: new Date(now) }],
+    };
+    if (next.remainingPercent <= 1e-9) Object.assign(next, { remainingPercent: 0, status, closePrice: exit.price, closedAt: new Date(now) });
+    return { trade: next, event: { ...exit, pnl } };
+}
+
+// Moves an active trade forward with the latest price and the high/low seen since the last check.
+// Targets fill at their price, in order; the first one can lift the stop to the entry. The trailing stop
+// follows the high, and a stop fills below its level (or below the market, when the price gapped through it)
+// by the trade's slippage. A range that reaches both a target and the stop in force does not tell which came
+// first, so the stop is assumed. Returns the updated trade, the events to report, and whether anything changed.
+function stepVirtualTrade(trade, { price, high = price, low = price }, now = Date.now()) {
+    let next = { ...trade };
+    const events = [];
+    const stopOut = (stop) => {
+        const trailing = !!next.trailingStop && next.trailingStop > (next.stopLossPrice || 0);
+        const exit = applyExit(next, { kind: 'stop', trailing, stopPrice: stop, price: slippedPrice(next, Math.min(stop, price)), percent: next.remainingPercent }, 'stopped', now);
+        next = exit.trade;
+        events.push(exit.event);
+    };
+    if (low <= effectiveStop(next)) {
+        stopOut(effectiveStop(next));
+        return { trade: next, events, changed: true };
+    }
+    const targets = trade.targets.map((target, index) => {
+        if (target.hitAt || next.status !== 'active' || high < target.price) return target;
+        const exit = applyExit(next, { kind: 'target', index, price: target.price, percent: target.percent }, 'completed', now);
+        next = exit.trade;
+        events.push(exit.event);
+        if (index === 0 && next.breakevenAfterTp1 && next.status === 'active' && next.stopLossPrice < next.entryPrice) {
+            next.stopLossPrice = next.entryPrice;
+            events.push({ kind: 'breakeven', price: next.entryPrice });
+        }
+        return { ...target, hitAt: new Date(now) };
+    });
+    next.targets = targets;
+    if (next.status !== 'active') return { trade: next, events, changed: true };
+
+    if (next.trailingPercent && (!next.trailingHigh || high > next.trailingHigh)) {
+        next.trailingHigh = high;
+        next.trailingStop = high * (1 - next.trailingPercent / 100);
+    }
+    // A stop raised by this range (breakeven or trailing) can still be hit within it.
+    if (low <= effectiveStop(next)) stopOut(effectiveStop(next));
+    const changed = events.length > 0 || next.trailingHigh !== trade.trailingHigh;
+    return { trade: next, events, changed };
+}
+
+// Closes what is left of a trade at the market price, less slippage.
+function closeVirtualTrade(trade, price, now = Date.now()) {
+    return applyExit(trade, { kind: 'manual', price: slippedPrice(trade, price), percent: trade.remainingPercent }, 'closed', now);
+}
+
+// Result of a trade so far: realized P/L in dollars and percent of the amount, and in R, the multiple of
+// the initial risk (entry to the initial stop).
+function virtualTradeResult(trade) {
+    const pnlPercent = trade.virtualAmount > 0 ? (trade.realizedPnl / trade.virtualAmount) * 100 : 0;
+    const riskPercent = (trade.entryPrice - trade.initialStop) / trade.entryPrice * 100;
+    return { pnl: trade.realizedPnl, pnlPercent, rMultiple: riskPercent > 0 ? pnlPercent / riskPercent : null };
+}
+
+// Win rate, average R and expectancy (average result per trade, in dollars and R) of closed trades.
+function calculateVirtualTradeStats(trades) {
+    const closed = trades.filter(t => CLOSED_VIRTUAL_TRADE_STATUSES.includes(t.status)).map(normalizeVirtualTrade);
+    if (closed.length === 0) return null;
+    const results = closed.map(virtualTradeResult);
+    const wins = results.filter(r => r.pnl > 0);
+    const losses = results.filter(r => r.pnl <= 0);
+    const withR = results.filter(r => r.rMultiple !== null);
+    const average = (values) => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+    return {
+        count: closed.length,
+        wins: wins.length,
+        losses: losses.length,
+        winRate: wins.length / closed.length * 100,
+        totalPnl: results.reduce((sum, r) => sum + r.pnl, 0),
+        avgWinR: average(wins.filter(r => r.rMultiple !== null).map(r => r.rMultiple)),
+        avgLossR: average(losses.filter(r => r.rMultiple !== null).map(r => r.rMultiple)),
+        avgR: average(withR.map(r => r.rMultiple)),
+        expectancy: average(results.map(r => r.pnl)),
+        expectancyPercent: average(results.map(r => r.pnlPercent)),
+    };
+}
+
+
+
+module.exports = {
+    DEFAULT_STOP_SLIPPAGE_PERCENT, CLOSED_VIRTUAL_TRADE_STATUSES, normalizeVirtualTrade, parseVirtualTrade, parseVirtualTradeEdit,
+    stepVirtualTrade, closeVirtualTrade, virtualTradeResult, calculateVirtualTradeStats,
+};
@@ -0,0 +1,209 @@
+// marketData.js
+
+const WebSocket = require("ws");
+
+
+
+const OKX_PUBLIC_WS_URL = "wss://ws.okx.com:8443/ws/v5/public";
+// OKX drops a connection that stays silent for 30 seconds.
+const PING_MS = 20 * 1000;
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 60 * 1000;
+// How long a full REST ticker list is reused. Streamed instruments stay live in between; while the
+// socket is down, the list is refreshed more often so watched prices keep up.
+const REST_TTL_STREAMING_MS = 60 * 1000;
+const REST_TTL_POLLING_MS = 10 * 1000;
+
+
+
+// Shared market data for every job: one in-memory price cache filled from the full REST ticker list
+// and, for the instruments somebody watches, from the OKX public WebSocket `tickers` channel.
+// Without a connection (or with `streaming: false`, as in offline runs) it falls back to REST alone.
+class MarketDataService {
+    constructor({ adapter, streaming = true, url = OKX_PUBLIC_WS_URL, restTtlMs = null, WebSocketImpl = WebSocket } = {}) {
+        this.adapter = adapter;
+        this.streaming = streaming;
+        this.url = url;
+        this.restTtlMs = restTtlMs;
+        this.WebSocketImpl = WebSocketImpl;
+        this.prices = {};
+        this.lastRestAt = 0;
+        this.restRequest = null;
+        this.watchLists = new Map();
+        this.subscribed = new Set();
+        this.listeners = new Set();
+        this.extremeWindows = new Map();
+        this.socket = null;
+        this.connected = false;
+        this.stopped = true;
+        this.reconnectDelay = RECONNECT_MIN_MS;
+        this.reconnectTimer = null;
+        this.pingTimer = null;
+    }
+
+    // --- Cache ---
+
+    // Same shape as ExchangeAdapter.getMarketPrices(): { "BTC-USDT": { price, open24h, change24h, volCcy24h } }.
+    async getMarketPrices() {
+        const ttl = this.restTtlMs ?? (this.connected ? REST_TTL_STREAMING_MS : REST_TTL_POLLING_MS);
+        if (Date.now() - this.lastRestAt >= ttl) {
+            const result = await this.refreshFromRest();
+            if (result.error && Object.keys(this.prices).length === 0) return result;
+        }
+        return { ...this.prices };
+    }
+
+    getPrice(instId) {
+        return this.prices[instId];
+    }
+
+    // One REST request at a time; concurrent callers share it.
+    refreshFromRest() {
+        if (!this.restRequest) {
+            const startedAt = Date.now();
+            this.restRequest = this.adapter.getMarketPrices()
+                .then(prices => {
+                    if (!prices || prices.error) return prices || { error: "تعذر جلب أسعار السوق." };
+                    Object.entries(prices).forEach(([instId, tick]) => {
+                        // A streamed tick received while the request was in flight is newer than the REST one.
+                        if (this.connected && this.subscribed.has(instId) && this.prices[instId]?.updatedAt > startedAt) return;
+                        this.updatePrice(instId, { ...tick, updatedAt: startedAt, source: "rest" });
+                    });
+                    this.lastRestAt = startedAt;
+                    return prices;
+                })
+                .catch(e => ({ error: e.message }))
+                .finally(() => { this.restRequest = null; });
+        }
+        return this.restRequest;
+    }
+
+    updatePrice(instId, tick) {
+        const previous = this.prices[instId];
+        this.prices[instId] = tick;
+        if (!this.isWatched(instId)) return;
+        this.extremeWindows.forEach(window => {
+            const seen = window.get(instId);
+            if (!seen) window.set(instId, { high: tick.price, low: tick.price });
+            else window.set(instId, { high: Math.max(seen.high, tick.price), low: Math.min(seen.low, tick.price) });
+        });
+        if (previous?.price === tick.price) return;
+        this.listeners.forEach(listener => {
+            try { listener(instId, tick, previous); } catch (e) { console.error("Error in market data listener:", e); }
+        });
+    }
+
+    // --- Watch lists and hooks ---
+
+    // Replaces the instruments watched by `owner` (a job, a feature...); the socket follows the union of all lists.
+    setWatchList(owner, instIds) {
+        this.watchLists.set(owner, new Set(instIds));
+        this.syncSubscriptions();
+    }
+
+    isWatched(instId, owner = null) {
+        if (owner) return !!this.watchLists.get(owner)?.has(instId);
+        for (const list of this.watchLists.values()) if (list.has(instId)) return true;
+        return false;
+    }
+
+    watchedInstruments() {
+        const all = new Set();
+        this.watchLists.forEach(list => list.forEach(instId => all.add(instId)));
+        return all;
+    }
+
+    // `listener(instId, tick, previousTick)` runs whenever the price of a watched instrument changes.
+    // Returns a function that removes it.
+    onPriceUpdate(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    // Highest and lowest prices seen for each watched instrument since `consumer` last asked, so a job
+    // running every minute still sees the spikes in between. The first call only opens the window.
+    takeExtremes(consumer) {
+        const window = this.extremeWindows.get(consumer) || new Map();
+        this.extremeWindows.set(consumer, new Map());
+        return window;
+    }
+
+    // --- WebSocket ---
+
+    start() {
+        if (!this.streaming || !this.stopped) return;
+        this.stopped = false;
+        this.connect();
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.pingTimer);
+        if (this.socket) this.socket.close();
+        this.socket = null;
+        this.connected = false;
+        this.subscribed.clear();
+    }
+
+    connect() {
+        const socket = new this.WebSocketImpl(this.url);
+        this.socket = socket;
+        socket.on("open", () => {
+            this.connected = true;
+            this.reconnectDelay = RECONNECT_MIN_MS;
+            this.subscribed.clear();
+            this.syncSubscriptions();
+            this.pingTimer = setInterval(() => { if (socket.readyState === WebSocket.OPEN) socket.send("ping"); }, PING_MS);
+            console.log("[Market Data]: WebSocket connected.");
+        });
+        socket.on("message", (raw) => this.handleMessage(raw.toString()));
+        socket.on("error", (e) => console.error("[Market Data]: WebSocket error:", e.message));
+        socket.on("close", () => {
+            clearInterval(this.pingTimer);
+            this.connected = false;
+            this.subscribed.clear();
+            if (this.stopped || this.socket !== socket) return;
+            console.log(`[Market Data]: WebSocket closed, reconnecting in ${this.reconnectDelay / 1000}s (REST meanwhile).`);
+            this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+            this.reconnectDelay = Math.min(this.reconnectDelay * 2, RECONNECT_MAX_MS);
+        });
+    }
+
+    syncSubscriptions() {
+        if (!this.connected) return;
+        const wanted = this.watchedInstruments();
+        const toAdd = [...wanted].filter(instId => !this.subscribed.has(instId));
+        const toRemove = [...this.subscribed].filter(instId => !wanted.has(instId));
+        if (toAdd.length > 0) this.send("subscribe", toAdd);
+        if (toRemove.length > 0) this.send("unsubscribe", toRemove);
+        toAdd.forEach(instId => this.subscribed.add(instId));
+        toRemove.forEach(instId => this.subscribed.delete(instId));
+    }
+
+    send(op, instIds) {
+        this.socket.send(JSON.stringify({ op, args: instIds.map(instId => ({ channel: "tickers", instId })) }));
+    }
+
+    handleMessage(text) {
+        if (text === "pong") return;
+        let message;
+        try { message = JSON.parse(text); } catch (e) { return; }
+        if (message.event === "error") {
+            console.error(`[Market Data]: subscription error: ${message.msg}`);
+            return;
+        }
+        if (message.arg?.channel !== "tickers" || !Array.isArray(message.data)) return;
+        message.data.forEach(t => {
+            const price = parseFloat(t.last);
+            const open24h = parseFloat(t.open24h);
+            if (!(price > 0)) return;
+            const change24h = open24h > 0 ? (price - open24h) / open24h : 0;
+            this.updatePrice(t.instId, { price, open24h, change24h, volCcy24h: parseFloat(t.volCcy24h), updatedAt: Date.now(), source: "stream" });
+        });
+    }
+}
+
+
+
+module.exports = { MarketDataService, OKX_PUBLIC_WS_URL };
@@ -0,0 +1,225 @@
+// memoryDatabase.js
+
+// In-memory stand-in for the subset of the MongoDB driver the bot uses, for offline scenarios.
+// Documents are deep-copied on the way in and out, like they would be over the wire.
+
+
+
+const clone = (value) => structuredClone(value);
+
+function getPath(doc, path) {
+    return path.split(".").reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), doc);
+}
+
+function setPath(doc, path, value) {
+    const keys = path.split(".");
+    let target = doc;
+    keys.slice(0, -1).forEach(key => {
+        if (typeof target[key] !== "object" || target[key] === null) target[key] = {};
+        target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+}
+
+function unsetPath(doc, path) {
+    const keys = path.split(".");
+    const parent = keys.length > 1 ? getPath(doc, keys.slice(0, -1).join(".")) : doc;
+    if (parent && typeof parent === "object") delete parent[keys[keys.length - 1]];
+}
+
+const comparable = (value) => value instanceof Date ? value.getTime() : value;
+
+function valuesEqual(a, b) {
+    if (a instanceof Date || b instanceof Date) return comparable(a) === comparable(b);
+    if (Array.isArray(a)) return a.some(item => valuesEqual(item, b));
+    if (a && b && typeof a === "object" && typeof b === "object") return JSON.stringify(a) === JSON.stringify(b);
+    return a === b;
+}
+
+function matchesCondition(value, condition) {
+    const isOperatorObject = condition && typeof condition === "object" && !(condition instanceof Date) && !Array.isArray(condition) && Object.keys(condition).some(k => k.startsWith("$"));
+    if (!isOperatorObject) return valuesEqual(value, condition);
+    return Object.entries(condition).every(([op, operand]) => {
+        switch (op) {
+            case "$eq": return valuesEqual(value, operand);
+            case "$ne": return !valuesEqual(value, operand);
+            case "$gt": return value !== undefined && comparable(value) > comparable(operand);
+            case "$gte": return value !== undefined && comparable(value) >= comparable(operand);
+            case "$lt": return value !== undefined && comparable(value) < comparable(operand);
+            case "$lte": return value !== undefined && comparable(value) <= comparable(operand);
+            case "$in": return operand.some(item => valuesEqual(value, item));
+            case "$nin": return !operand.some(item => valuesEqual(value, item));
+            case "$exists": return (value !== undefined) === !!operand;
+            default: throw new Error(`memoryDatabase: unsupported query operator ${op}`);
+        }
+    });
+}
+
+function matches(doc, filter = {}) {
+    return Object.entries(filter).every(([key, condition]) => {
+        if (key === "$or") return condition.some(sub => matches(doc, sub));
+        if (key === "$and") return condition.every(sub => matches(doc, sub));
+        if (key === "$nor") return !condition.some(sub => matches(doc, sub));
+        return matchesCondition(getPath(doc, key), condition);
+    });
+}
+
+function applyUpdate(doc, update, isInsert) {
+    Object.entries(update).forEach(([op, fields]) => {
+        if (op === "$setOnInsert" && !isInsert) return;
+        Object.entries(fields).forEach(([path, value]) => {
+            switch (op) {
+                case "$set": case "$setOnInsert": setPath(doc, path, clone(value)); break;
+                case "$unset": unsetPath(doc, path); break;
+                case "$inc": setPath(doc, path, (getPath(doc, path) || 0) + value); break;
+                case "$max": { const current = getPath(doc, path); if (current === undefined || comparable(value) > comparable(current)) setPath(doc, path, clone(value)); break; }
+                case "$min": { const current = getPath(doc, path); if (current === undefined || comparable(value) < comparable(current)) setPath(doc, path, clone(value)); break; }
+                case "$push": { const list = getPath(doc, path) || []; list.push(clone(value)); setPath(doc, path, list); break; }
+                default: throw new Error(`memoryDatabase: unsupported update operator ${op}`);
+            }
+        });
+    });
+}
+
+// Fields of an equality filter that become part of an upserted document.
+function seedFromFilter(filter) {
+    const seed = {};
+    Object.entries(filter).forEach(([key, condition]) => {
+        if (key.startsWith("$")) return;
+        const isOperatorObject = condition && typeof condition === "object" && !(condition instanceof Date) && Object.keys(condition).some(k => k.startsWith("$"));
+        if (!isOperatorObject) setPath(seed, key, clone(condition));
+    });
+    return seed;
+}
+
+function compareBy(sort) {
+    const entries = Object.entries(sort);
+    return (a, b) => {
+        for (const [path, direction] of entries) {
+            const x = comparable(getPath(a, path)), y = comparable(getPath(b, path));
+            if (x === y) continue;
+            if (x === undefined) return -direction;
+            if (y === undefined) return direction;
+            return (x < y ? -1 : 1) * direction;
+        }
+        return 0;
+    };
+}
+
+class MemoryCursor {
+    constructor(docs) {
+        this.docs = docs;
+        this.sortSpec = null;
+        this.skipCount = 0;
+        this.limitCount = 0;
+    }
+
+    sort(spec) { this.sortSpec = spec; return this; }
+    skip(count) { this.skipCount = count; return this; }
+    limit(count) { this.limitCount = count; return this; }
+
+    async toArray() {
+        let docs = [...this.docs];
+        if (this.sortSpec) docs.sort(compareBy(this.sortSpec));
+        docs = docs.slice(this.skipCount);
+        if (this.limitCount > 0) docs = docs.slice(0, this.limitCount);
+        return docs.map(clone);
+    }
+}
+
+class MemoryCollection {
+    constructor(name) {
+        this.name = name;
+        this.docs = [];
+        this.nextId = 1;
+    }
+
+    find(filter = {}) { return new MemoryCursor(this.docs.filter(d => matches(d, filter))); }
+
+    async findOne(filter = {}) {
+        const doc = this.docs.find(d => matches(d, filter));
+        return doc ? clone(doc) : null;
+    }
+
+    async countDocuments(filter = {}, options = {}) {
+        const count = this.docs.filter(d => matches(d, filter)).length;
+        return options.limit ? Math.min(count, options.limit) : count;
+    }
+
+    async insertOne(doc) {
+        const stored = clone(doc);
+        if (stored._id === undefined) stored._id = String(this.nextId++);
+        if (this.docs.some(d => valuesEqual(d._id, stored._id))) {
+            const error = new Error(`E11000 duplicate key error collection: ${this.name} dup key: { _id: ${stored._id} }`);
+            error.code = 11000;
+            throw error;
+        }
+        this.docs.push(stored);
+        return { acknowledged: true, insertedId: stored._id };
+    }
+
+    async insertMany(docs) {
+        const insertedIds = [];
+        for (const doc of docs) insertedIds.push((await this.insertOne(doc)).insertedId);
+        return { acknowledged: true, insertedCount: insertedIds.length, insertedIds };
+    }
+
+    async updateOne(filter, update, options = {}) { return this.update(filter, update, options, false); }
+    async updateMany(filter, update, options = {}) { return this.update(filter, update, options, true); }
+
+    async update(filter, update, options, many) {
+        const targets = this.docs.filter(d => matches(d, filter));
+        const selected = many ? targets : targets.slice(0, 1);
+        selected.forEach(doc => applyUpdate(doc, update, false));
+        if (selected.length === 0 && options.upsert) {
+            const doc = seedFromFilter(filter);
+            applyUpdate(doc, update, true);
+            const { insertedId } = await this.insertOne(doc);
+            return { acknowledged: true, matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: insertedId };
+        }
+        return { acknowledged: true, matchedCount: selected.length, modifiedCount: selected.length, upsertedCount: 0, upsertedId: null };
+    }
+
+    // Like the MongoDB 6 driver: returns the matched document (before the update unless `returnDocument: "after"`), or null.
+    async findOneAndUpdate(filter, update, options = {}) {
+        const doc = this.docs.find(d => matches(d, filter));
+        if (!doc) return null;
+        const before = clone(doc);
+        applyUpdate(doc, update, false);
+        return options.returnDocument === "after" ? clone(doc) : before;
+    }
+
+    async deleteOne(filter = {}) {
+        const index = this.docs.findIndex(d => matches(d, filter));
+        if (index !== -1) this.docs.splice(index, 1);
+        return { acknowledged: true, deletedCount: index !== -1 ? 1 : 0 };
+    }
+
+    async deleteMany(filter = {}) {
+        const before = this.docs.length;
+        this.docs = this.docs.filter(d => !matches(d, filter));
+        return { acknowledged: true, deletedCount: before - this.docs.length };
+    }
+
+    async createIndex() { return "memory_index"; }
+}
+
+class MemoryDatabase {
+    constructor() {
+        this.collections = new Map();
+    }
+
+    collection(name) {
+        if (!this.collections.has(name)) this.collections.set(name, new MemoryCollection(name));
+        return this.collections.get(name);
+    }
+
+    async dropDatabase() {
+        this.collections.clear();
+        return true;
+    }
+}
+
+
+
+module.exports = { MemoryDatabase };
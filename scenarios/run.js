@@ -0,0 +1,158 @@
+// scenarios/run.js
+// Replays a simulator scenario end to end: the jobs run against the simulated exchange and the
+// in-memory database, and every Telegram call is captured instead of sent.
+//
+// Usage: node scenarios/run.js <scenario.json>
+//
+// On top of the simulator fields (see exchanges/simulator.js), a scenario may contain:
+//   "configs": { "<config id>": data }          seeded into the `configs` collection before the run
+//   "collections": { "<name>": [docs] }         seeded documents for other collections
+// and every step may contain:
+//   "run": ["monitorTradeFills", ...]           jobs to run after the step (default: DEFAULT_JOBS); a nested list
+//                                                such as ["monitorPositionProtection", "monitorTradeFills"] runs its jobs at the same time
+//   "send": "📊 عرض المحفظة"                     a text message sent to the bot by the authorized user
+//   "callback": "chart_7d"                       an inline button pressed by the authorized user
+//   "press": "✅ تأكيد الأمر"                     the button with this label on the latest message showing it
+//   "from": 2000                                 sends the message or presses the button as another user, in their own chat
+//   "expect": [{ "chat": "user", "text": "..." } | { "includes": ["..."] }]
+// When "expect" is given, the step must produce exactly that many messages, in that order. An entry may also
+// check the Telegram "method", e.g. "sendPhoto" or "sendDocument" (whose text is the caption),
+// "reply" (true or false) whether it is sent as a reply to another message, and "buttons" (true or false)
+// whether it carries inline buttons.
+// The first step should not contain fills: the first run only anchors the cursors.
+
+const path = require("path");
+
+const scenarioFile = process.argv[2];
+if (!scenarioFile) {
+    console.error("Usage: node scenarios/run.js <scenario.json>");
+    process.exit(1);
+}
+
+// A scenario always runs a single simulator account, whatever the local environment configures.
+process.env.EXCHANGE_ACCOUNTS = "";
+process.env.SIMULATOR_SCENARIO = path.resolve(scenarioFile);
+process.env.MONGO_URI = "memory://scenario";
+process.env.TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || "0:simulator";
+process.env.AUTHORIZED_USER_ID = process.env.AUTHORIZED_USER_ID || "1000";
+process.env.TARGET_CHANNEL_ID = process.env.TARGET_CHANNEL_ID || "-1000";
+
+const { connectDB, getDB } = require("../database.js");
+const botModule = require("../index.js");
+
+const DEFAULT_JOBS = ["monitorTradeFills", "trackPositionHighLow", "checkPriceAlerts", "monitorVirtualTrades", "monitorPositionProtection"];
+const MESSAGE_METHODS = ["sendMessage", "editMessageText", "sendPhoto", "sendDocument"];
+const USER_ID = parseInt(process.env.AUTHORIZED_USER_ID);
+
+const captured = [];
+let nextMessageId = 1;
+let nextUpdateId = 1;
+
+function chatName(chatId) {
+    if (String(chatId) === String(USER_ID)) return "user";
+    if (String(chatId) === String(process.env.TARGET_CHANNEL_ID)) return "channel";
+    return String(chatId);
+}
+
+function interceptTelegram(bot) {
+    bot.botInfo = { id: 1, is_bot: true, first_name: "Simulator", username: "simulator_bot", can_join_groups: false, can_read_all_group_messages: false, supports_inline_queries: false };
+    bot.api.config.use(async (prev, method, payload) => {
+        if (MESSAGE_METHODS.includes(method)) {
+            captured.push({ method, chat: chatName(payload.chat_id), text: payload.text ?? payload.caption ?? "", replyTo: payload.reply_parameters?.message_id ?? null, buttons: (payload.reply_markup?.inline_keyboard || []).flat() });
+            const message = { message_id: payload.message_id || nextMessageId++, date: Math.floor(Date.now() / 1000), chat: { id: payload.chat_id, type: "private" }, text: payload.text };
+            return { ok: true, result: message };
+        }
+        return { ok: true, result: true };
+    });
+}
+
+// Callback data of the most recent button labelled `label`, with the text of the message carrying it.
+function findButton(label) {
+    for (let i = captured.length - 1; i >= 0; i--) {
+        const button = captured[i].buttons.find(b => b.text === label);
+        if (button) return { data: button.callback_data, text: captured[i].text };
+    }
+    throw new Error(`No button labelled "${label}" has been sent`);
+}
+
+function userUpdate(step) {
+    const userId = step.from || USER_ID;
+    const from = { id: userId, is_bot: false, first_name: "Scenario" };
+    const chat = { id: userId, type: "private" };
+    const date = Math.floor(Date.now() / 1000);
+    if (step.send) {
+        const entities = step.send.startsWith("/") ? [{ type: "bot_command", offset: 0, length: step.send.split(/\s/)[0].length }] : undefined;
+        return { update_id: nextUpdateId++, message: { message_id: nextMessageId++, date, chat, from, text: step.send, entities } };
+    }
+    const { data, text } = step.press ? findButton(step.press) : { data: step.callback, text: "" };
+    return { update_id: nextUpdateId++, callback_query: { id: String(nextUpdateId), from, chat_instance: "scenario", data, message: { message_id: nextMessageId++, date, chat, text } } };
+}
+
+async function seed(scenario) {
+    const db = getDB();
+    for (const [id, data] of Object.entries(scenario.configs || {})) {
+        await db.collection("configs").updateOne({ _id: id }, { $set: { data } }, { upsert: true });
+    }
+    for (const [name, docs] of Object.entries(scenario.collections || {})) {
+        if (docs.length > 0) await db.collection(name).insertMany(docs);
+    }
+}
+
+function checkExpectations(step, messages) {
+    if (!step.expect) return [];
+    const failures = [];
+    if (messages.length !== step.expect.length) failures.push(`expected ${step.expect.length} message(s), got ${messages.length}`);
+    step.expect.forEach((expected, i) => {
+        const message = messages[i];
+        if (!message) return;
+        if (expected.chat && expected.chat !== message.chat) failures.push(`message ${i + 1}: expected chat "${expected.chat}", got "${message.chat}"`);
+        if (expected.method && expected.method !== message.method) failures.push(`message ${i + 1}: expected ${expected.method}, got ${message.method}`);
+        if (expected.reply !== undefined && expected.reply !== (message.replyTo !== null)) failures.push(`message ${i + 1}: expected ${expected.reply ? "a reply" : "no reply"}`);
+        if (expected.buttons !== undefined && expected.buttons !== (message.buttons.length > 0)) failures.push(`message ${i + 1}: expected ${expected.buttons ? "buttons" : "no buttons"}`);
+        if (expected.text !== undefined && expected.text !== message.text) failures.push(`message ${i + 1}: text differs\n--- expected\n${expected.text}\n--- actual\n${message.text}`);
+        (expected.includes || []).forEach(part => {
+            if (!message.text.includes(part)) failures.push(`message ${i + 1}: missing "${part}"`);
+        });
+    });
+    return failures;
+}
+
+async function run() {
+    const { bot, accounts } = botModule;
+    const simulator = accounts[0].adapter;
+    interceptTelegram(bot);
+    await connectDB();
+    await botModule.ensureSnapshotIndexes();
+    await seed(simulator.scenario);
+    await botModule.migrateLegacyAlerts();
+    await botModule.seedLedgerFromPositions();
+
+    let failed = 0;
+    while (simulator.hasNextStep()) {
+        const step = simulator.advance();
+        const label = step.name || `step ${simulator.stepIndex + 1}`;
+        const before = captured.length;
+        if (step.send || step.callback || step.press) await bot.handleUpdate(userUpdate(step));
+        for (const entry of step.run || DEFAULT_JOBS) {
+            const jobs = Array.isArray(entry) ? entry : [entry];
+            jobs.forEach(job => { if (typeof botModule[job] !== "function") throw new Error(`Unknown job "${job}" in ${label}`); });
+            await Promise.all(jobs.map(job => botModule[job]()));
+        }
+        const messages = captured.slice(before);
+        console.log(`\n=== ${label} (${new Date(simulator.now()).toISOString()}) ===`);
+        messages.forEach(m => console.log(`--> [${m.chat}] ${m.method}\n${m.text}\n`));
+        const failures = checkExpectations(step, messages);
+        if (failures.length > 0) {
+            failed++;
+            failures.forEach(f => console.log(`✗ ${f}`));
+        } else if (step.expect) {
+            console.log(`✓ ${messages.length} message(s) as expected`);
+        }
+    }
+    console.log(failed > 0 ? `\n${failed} step(s) failed.` : "\nScenario passed.");
+    return failed === 0;
+}
+
+run()
+    .then(passed => process.exit(passed ? 0 : 1))
+    .catch(e => { console.error("Scenario crashed:", e); process.exit(1); });
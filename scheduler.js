@@ -0,0 +1,209 @@
+// scheduler.js
+
+const { getDB } = require("./database.js");
+
+
+
+// Every wall-clock schedule is evaluated in this timezone, like the dates the bot prints.
+const DEFAULT_TIMEZONE = "Africa/Cairo";
+const TICK_MS = 15 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const jobs = new Map();
+const jobStates = new Map();
+let timer = null;
+
+
+
+function getZonedParts(date, timeZone = DEFAULT_TIMEZONE) {
+    const formatter = new Intl.DateTimeFormat("en-US", { timeZone, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit", weekday: "short" });
+    const parts = {};
+    formatter.formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+    return { year: +parts.year, month: +parts.month, day: +parts.day, hour: +parts.hour, minute: +parts.minute, second: +parts.second, weekday: WEEKDAYS.indexOf(parts.weekday) };
+}
+
+function getOffsetMs(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Converts a wall-clock time in `timeZone` to an instant. The second pass settles DST transitions.
+function zonedTimeToDate(year, month, day, hour, minute, timeZone = DEFAULT_TIMEZONE) {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+    let guess = asUtc - getOffsetMs(new Date(asUtc), timeZone);
+    guess = asUtc - getOffsetMs(new Date(guess), timeZone);
+    return new Date(guess);
+}
+
+function parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || "").trim());
+    if (!match) return null;
+    const hour = parseInt(match[1]), minute = parseInt(match[2]);
+    if (hour > 23 || minute > 59) return null;
+    return { hour, minute };
+}
+
+function shiftDay(parts, days) {
+    const d = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + days));
+    return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+// Most recent scheduled instant at or before `now` for a wall-clock schedule:
+// { hourly: minute }, { daily: "HH:MM" } or { weekly: { day: 0-6, time: "HH:MM" } }.
+function getLastSlot(schedule, now = new Date(), timeZone = DEFAULT_TIMEZONE) {
+    const p = getZonedParts(now, timeZone);
+    if (schedule.hourly !== undefined) {
+        // Counted back from `now` within its hour, so each pass through an hour repeated by DST has its own slot.
+        const slot = new Date(Math.floor(now.getTime() / 60000) * 60000 - (p.minute - schedule.hourly) * 60000);
+        return slot > now ? new Date(slot.getTime() - HOUR_MS) : slot;
+    }
+    if (schedule.daily) {
+        const time = parseTime(schedule.daily);
+        if (!time) return null;
+        let slot = zonedTimeToDate(p.year, p.month, p.day, time.hour, time.minute, timeZone);
+        if (slot > now) {
+            const y = shiftDay(p, -1);
+            slot = zonedTimeToDate(y.year, y.month, y.day, time.hour, time.minute, timeZone);
+        }
+        return slot;
+    }
+    if (schedule.weekly) {
+        const time = parseTime(schedule.weekly.time);
+        if (!time) return null;
+        const back = (p.weekday - schedule.weekly.day + 7) % 7;
+        let d = shiftDay(p, -back);
+        let slot = zonedTimeToDate(d.year, d.month, d.day, time.hour, time.minute, timeZone);
+        if (slot > now) {
+            d = shiftDay(p, -back - 7);
+            slot = zonedTimeToDate(d.year, d.month, d.day, time.hour, time.minute, timeZone);
+        }
+        return slot;
+    }
+    return null;
+}
+
+function getNextRun(schedule, state, now = new Date(), timeZone = DEFAULT_TIMEZONE) {
+    if (schedule.every) {
+        const lastRun = state?.lastRunAt ? new Date(state.lastRunAt).getTime() : 0;
+        return new Date(Math.max(now.getTime(), lastRun + schedule.every));
+    }
+    const last = getLastSlot(schedule, now, timeZone);
+    if (!last) return null;
+    // Probe far enough past the last slot to land after the next one, whatever DST does in between.
+    const probeMs = schedule.hourly !== undefined ? HOUR_MS : schedule.daily ? 25 * HOUR_MS : 7 * 24 * HOUR_MS + HOUR_MS;
+    return getLastSlot(schedule, new Date(last.getTime() + probeMs), timeZone);
+}
+
+async function resolveSchedule(job) {
+    return typeof job.schedule === "function" ? await job.schedule() : job.schedule;
+}
+
+async function saveJobState(name, state) {
+    jobStates.set(name, state);
+    try {
+        await getDB().collection("jobRuns").updateOne({ _id: name }, { $set: state }, { upsert: true });
+    } catch (e) {
+        console.error(`Failed to persist state of job ${name}`, e);
+    }
+}
+
+async function runJob(job, slot = null) {
+    if (job.running) return;
+    job.running = true;
+    const startedAt = new Date();
+    let lastStatus = "ok", lastError = null;
+    try {
+        await job.handler();
+    } catch (e) {
+        lastStatus = "error";
+        lastError = e.message;
+        console.error(`Scheduled job ${job.name} failed:`, e);
+    } finally {
+        job.running = false;
+    }
+    const previous = jobStates.get(job.name) || {};
+    await saveJobState(job.name, { ...previous, lastRunAt: startedAt, lastSlot: slot || previous.lastSlot || null, lastStatus, lastError, durationMs: Date.now() - startedAt.getTime() });
+}
+
+async function tick() {
+    const now = new Date();
+    for (const job of jobs.values()) {
+        if (job.running) continue;
+        try {
+            const schedule = await resolveSchedule(job);
+            const state = jobStates.get(job.name);
+            if (schedule.every) {
+                if (!state?.lastRunAt || now.getTime() - new Date(state.lastRunAt).getTime() >= schedule.every) runJob(job);
+                continue;
+            }
+            const slot = getLastSlot(schedule, now, job.timeZone);
+            if (!slot) continue;
+            if (!state?.lastSlot) {
+                // A job seen for the first time either runs now or waits for its next slot.
+                if (job.runWhenNew) runJob(job, slot);
+                else await saveJobState(job.name, { ...state, lastSlot: slot });
+            } else if (new Date(state.lastSlot) < slot) {
+                // Catch-up: a missed slot (e.g. during downtime) runs once, as soon as we notice it.
+                runJob(job, slot);
+            }
+        } catch (e) {
+            console.error(`Scheduler tick failed for job ${job.name}:`, e);
+        }
+    }
+}
+
+// Registers a background job. `schedule` is { every: ms } for polling jobs or a wall-clock schedule
+// (see getLastSlot); it may also be a function returning one, so settings are read at every tick.
+function scheduleJob(name, schedule, handler, options = {}) {
+    jobs.set(name, { name, schedule, handler, label: options.label || name, runWhenNew: !!options.runWhenNew, timeZone: options.timeZone || DEFAULT_TIMEZONE, running: false });
+}
+
+async function startScheduler() {
+    try {
+        const states = await getDB().collection("jobRuns").find({}).toArray();
+        states.forEach(s => { const { _id, ...state } = s; jobStates.set(_id, state); });
+    } catch (e) {
+        console.error("Failed to load scheduler state", e);
+    }
+    const loop = async () => {
+        await tick();
+        timer = setTimeout(loop, TICK_MS);
+    };
+    await loop();
+}
+
+function stopScheduler() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+}
+
+async function runJobNow(name) {
+    const job = jobs.get(name);
+    if (!job) throw new Error(`Unknown job: ${name}`);
+    await runJob(job);
+}
+
+// Marks the current slot of a wall-clock job as done, e.g. after its time was changed,
+// so the new time does not trigger an immediate catch-up run.
+async function skipToNextSlot(name) {
+    const job = jobs.get(name);
+    if (!job) return;
+    const schedule = await resolveSchedule(job);
+    const slot = getLastSlot(schedule, new Date(), job.timeZone);
+    if (slot) await saveJobState(name, { ...(jobStates.get(name) || {}), lastSlot: slot });
+}
+
+async function getJobStatuses(now = new Date()) {
+    const statuses = [];
+    for (const job of jobs.values()) {
+        const schedule = await resolveSchedule(job);
+        const state = jobStates.get(job.name) || {};
+        statuses.push({ name: job.name, label: job.label, schedule, running: job.running, lastRunAt: state.lastRunAt || null, lastStatus: state.lastStatus || null, lastError: state.lastError || null, nextRunAt: getNextRun(schedule, state, now, job.timeZone) });
+    }
+    return statuses;
+}
+
+
+
+module.exports = { DEFAULT_TIMEZONE, scheduleJob, startScheduler, stopScheduler, runJobNow, skipToNextSlot, getJobStatuses, getLastSlot, getNextRun, getZonedParts, parseTime };
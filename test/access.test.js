@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    PROMPT_TIMEOUT_MINUTES, hasPermission, callbackPermission, commandPermission, withOwner, roleOf, recipientsFor, parseUsersCommand, sessionKey,
+    createSessionStorage, createPrompt, isPromptExpired,
+} = require("../lib/access.js");
+const { MemoryDatabase } = require("../memoryDatabase.js");
+
+test("roles and what they may do", () => {
+    assert.equal(hasPermission("owner", "admin"), true);
+    assert.equal(hasPermission("manager", "manage"), true);
+    assert.equal(hasPermission("manager", "admin"), false);
+    assert.equal(hasPermission("viewer", "view"), true);
+    assert.equal(hasPermission("viewer", "manage"), false);
+    assert.equal(hasPermission(undefined, "view"), false);
+
+    assert.equal(callbackPermission("chart_7d"), "view");
+    assert.equal(callbackPermission("pub_view_abc"), "view");
+    assert.equal(callbackPermission("pub_approve_abc"), "manage");
+    assert.equal(callbackPermission("toggle_debug"), "manage");
+    assert.equal(callbackPermission("switch_account_all"), "view");
+    assert.equal(callbackPermission("some_new_button"), "manage");
+    assert.equal(callbackPermission("delete_all_data"), "admin");
+    assert.equal(commandPermission("pnl"), "view");
+    assert.equal(commandPermission("buy"), "manage");
+    assert.equal(commandPermission("users"), "admin");
+});
+
+test("users, roles and notification recipients", () => {
+    const users = withOwner([{ id: 1, role: "viewer" }, { id: 2, role: "manager" }, { id: 1000, role: "viewer" }], 1000);
+    assert.deepEqual(users.map(u => [u.id, u.role]), [[1000, "owner"], [1, "viewer"], [2, "manager"]]);
+    assert.equal(roleOf(users, 2), "manager");
+    assert.equal(roleOf(users, 3), null);
+    assert.deepEqual(recipientsFor(users, "trades").map(u => u.id), [1000, 1, 2]);
+    assert.deepEqual(recipientsFor(users, "publishing").map(u => u.id), [1000, 2]);
+    assert.deepEqual(recipientsFor(users, "system").map(u => u.id), [1000]);
+});
+
+test("parseUsersCommand", () => {
+    assert.deepEqual(parseUsersCommand(""), { action: "list" });
+    assert.deepEqual(parseUsersCommand("add 123 viewer Sara Ali"), { action: "add", id: 123, role: "viewer", name: "Sara Ali" });
+    assert.deepEqual(parseUsersCommand("add 123 manager"), { action: "add", id: 123, role: "manager", name: null });
+    assert.deepEqual(parseUsersCommand("role 123 owner"), { action: "role", id: 123, role: "owner" });
+    assert.deepEqual(parseUsersCommand(" remove  123 "), { action: "remove", id: 123 });
+    assert.ok(parseUsersCommand("ban 123").error);
+    assert.ok(parseUsersCommand("add abc viewer").error);
+    assert.ok(parseUsersCommand("add 123 admin").error);
+    assert.ok(parseUsersCommand("role 123").error);
+});
+
+test("sessions and prompts", async () => {
+    assert.equal(sessionKey({ chat: { id: -5 }, from: { id: 7 } }), "-5:7");
+    assert.equal(sessionKey({ chat: { id: -5 } }), undefined);
+
+    const db = new MemoryDatabase();
+    const storage = createSessionStorage(() => db.collection("sessions"));
+    assert.equal(await storage.read("1:1"), undefined);
+    await storage.write("1:1", { prompt: { state: "coin_info" } });
+    await storage.write("1:2", { prompt: null });
+    assert.deepEqual(await storage.read("1:1"), { prompt: { state: "coin_info" } });
+    await storage.delete("1:1");
+    assert.equal(await storage.read("1:1"), undefined);
+    assert.deepEqual(await storage.read("1:2"), { prompt: null });
+
+    const prompt = createPrompt("edit_alert", "abc", 0);
+    assert.deepEqual(prompt, { state: "edit_alert", data: "abc", expiresAt: PROMPT_TIMEOUT_MINUTES * 60 * 1000 });
+    assert.equal(isPromptExpired(prompt, PROMPT_TIMEOUT_MINUTES * 60 * 1000 - 1), false);
+    assert.equal(isPromptExpired(prompt, PROMPT_TIMEOUT_MINUTES * 60 * 1000), true);
+});
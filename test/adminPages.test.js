@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    parseAdminSettings, checkAdminCredentials, adminCsrfToken, checkAdminCsrf, markdownToText, selectedIds, matchesQuery, paginate, parseDateRange, parseSettingsForm,
+    protectionLevelsText, adminUrl, renderAdminLayout, renderPositionsPage, renderHistoryPage,
+} = require("../lib/adminPages.js");
+
+const basic = (user, password) => `Basic ${Buffer.from(`${user}:${password}`).toString("base64")}`;
+
+test("admin credentials and form token", () => {
+    assert.deepEqual(parseAdminSettings({}), { username: "admin", password: null });
+    const settings = parseAdminSettings({ ADMIN_USERNAME: "ops", ADMIN_PASSWORD: "p:w" });
+    assert.equal(checkAdminCredentials(settings, basic("ops", "p:w")), true);
+    assert.equal(checkAdminCredentials(settings, basic("ops", "nope")), false);
+    assert.equal(checkAdminCredentials(settings, basic("admin", "p:w")), false);
+    assert.equal(checkAdminCredentials(settings, "Bearer x"), false);
+    assert.equal(checkAdminCredentials(parseAdminSettings({}), basic("admin", "")), false);
+    assert.equal(checkAdminCsrf(settings, adminCsrfToken(settings)), true);
+    assert.equal(checkAdminCsrf(settings, "forged"), false);
+    assert.equal(checkAdminCsrf(settings, undefined), false);
+});
+
+test("markdownToText, selectedIds, matchesQuery and paginate", () => {
+    assert.equal(markdownToText("*BTC* أعلى من `$65000` a\\_b"), "BTC أعلى من $65000 a_b");
+    assert.deepEqual(selectedIds({ ids: "a" }), ["a"]);
+    assert.deepEqual(selectedIds({ ids: ["a", "b", ""] }), ["a", "b"]);
+    assert.deepEqual(selectedIds({}), []);
+    assert.equal(matchesQuery(["BTC", "price"], "bt"), true);
+    assert.equal(matchesQuery(["ETH"], "btc"), false);
+    assert.equal(matchesQuery(["ETH"], " "), true);
+    const items = Array.from({ length: 120 }, (_, i) => i);
+    assert.deepEqual(paginate(items, "3"), { items: items.slice(100), page: 3, pages: 3 });
+    assert.equal(paginate(items, "9").page, 3);
+    assert.deepEqual(paginate([], undefined), { items: [], page: 1, pages: 1 });
+});
+
+test("parseDateRange", () => {
+    assert.deepEqual(parseDateRange("", undefined), { from: null, to: null });
+    const { from, to } = parseDateRange("2024-01-01", "2024-01-31");
+    assert.equal(from.toISOString(), "2024-01-01T00:00:00.000Z");
+    assert.equal(to.toISOString(), "2024-01-31T23:59:59.999Z");
+    assert.ok(parseDateRange("01/02/2024", "").error);
+    assert.ok(parseDateRange("2024-02-01", "2024-01-01").error);
+});
+
+test("parseSettingsForm", () => {
+    const body = { dailySummary: "on", dailyReportTime: "9:30", movementPercent: "4", movementDigest: "on", maxOrderUsd: "500", maxPortfolioPercent: "20", dailyLossLimitUsd: "0", capital_main: "1000" };
+    const parsed = parseSettingsForm(body, ["main"]);
+    assert.deepEqual(parsed.settings, { dailySummary: true, autoPostToChannel: false, debugMode: false, weeklyRiskReport: false, dailyReportTime: "09:30" });
+    assert.deepEqual(parsed.alertSettings, { global: 4, digest: true });
+    assert.deepEqual(parsed.tradingLimits, { maxOrderUsd: 500, maxPortfolioPercent: 20, dailyLossLimitUsd: 0 });
+    assert.deepEqual(parsed.capitals, { main: 1000 });
+    assert.ok(parseSettingsForm({ ...body, dailyReportTime: "25:00" }, ["main"]).error);
+    assert.ok(parseSettingsForm({ ...body, movementPercent: "0" }, ["main"]).error);
+    assert.ok(parseSettingsForm({ ...body, maxOrderUsd: "-1" }, ["main"]).error);
+    assert.ok(parseSettingsForm(body, ["main", "second"]).error);
+});
+
+test("pages escape their data and keep the filters", () => {
+    assert.equal(adminUrl("/"), "/admin");
+    assert.equal(adminUrl("/history", { q: "BTC", account: "", page: 2 }), "/admin/history?q=BTC&page=2");
+    assert.equal(protectionLevelsText({ status: "active", takeProfit: 70000, stopLoss: null, trailingPercent: 3 }), "70000 - 3");
+    assert.equal(protectionLevelsText({ status: "triggered", takeProfit: 70000 }), "- - -");
+
+    const page = renderAdminLayout({ title: "<x>", path: "/alerts", body: "", notice: { text: "<b>", error: true } });
+    assert.match(page, /&lt;x&gt;/);
+    assert.match(page, /class="notice error">&lt;b&gt;/);
+    assert.match(page, /<a href="\/admin\/alerts" class="active">/);
+
+    const positions = renderPositionsPage({
+        rows: [{ id: "main:BTC", accountId: "main", accountName: "<main>", asset: "BTC", position: { avgBuyPrice: 100, totalAmountBought: 2, totalAmountSold: 0.5, protection: { status: "active", stopLoss: 90 } }, price: 110 }],
+        query: { q: "BTC" }, accountOptions: [["all", "كل الحسابات"]], csrf: "token",
+    });
+    assert.match(positions, /value="main:BTC"/);
+    assert.match(positions, /&lt;main&gt;/);
+    assert.match(positions, /\+10\.00%/);
+    assert.match(positions, /name="csrf" value="token"/);
+
+    const history = renderHistoryPage({ trades: [], summary: { count: 0 }, page: 2, pages: 3, query: { q: "ETH" }, accountOptions: [], csrf: "token" });
+    assert.match(history, /action="\/admin\/history\?q=ETH"/);
+    assert.match(history, /href="\/admin\/history\?q=ETH&page=3"/);
+});
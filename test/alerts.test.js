@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseDuration, parseAlertSpec, evaluateAlert, initialAlertState, stepAlert, fromLegacyAlert } = require("../lib/alerts.js");
+
+test("parseDuration reads minutes, hours and days", () => {
+    assert.equal(parseDuration("30m"), 30 * 60 * 1000);
+    assert.equal(parseDuration("4H"), 4 * 60 * 60 * 1000);
+    assert.equal(parseDuration("2d"), 2 * 24 * 60 * 60 * 1000);
+    assert.equal(parseDuration("soon"), null);
+    assert.equal(parseDuration("0m"), null);
+});
+
+test("parseAlertSpec reads every alert type", () => {
+    assert.deepEqual(parseAlertSpec("btc > 65000"), { asset: "BTC", instId: "BTC-USDT", repeat: false, cooldownMinutes: 0, expiresInMs: null, type: "price", direction: "above", price: 65000 });
+    assert.equal(parseAlertSpec("ETH -5%").percent, -5);
+    assert.deepEqual((({ type, mode, low, high }) => ({ type, mode, low, high }))(parseAlertSpec("BTC out 62000 58000")), { type: "band", mode: "exit", low: 58000, high: 62000 });
+    const rsi = parseAlertSpec("SOL rsi < 30 tf 4h");
+    assert.equal(rsi.type, "rsi");
+    assert.equal(rsi.direction, "below");
+    assert.equal(rsi.bar, "4H");
+    const sma = parseAlertSpec("BTC sma 50 up");
+    assert.equal(sma.period, 50);
+    assert.equal(sma.bar, "1H");
+    assert.equal(parseAlertSpec("BTC avg +10%").type, "avg");
+});
+
+test("parseAlertSpec reads repeat, cooldown and expiry options in any order", () => {
+    const spec = parseAlertSpec("BTC < 58000 exp 24h repeat 30m");
+    assert.equal(spec.repeat, true);
+    assert.equal(spec.cooldownMinutes, 30);
+    assert.equal(spec.expiresInMs, 24 * 60 * 60 * 1000);
+    assert.equal(parseAlertSpec("BTC < 58000 repeat").repeat, true);
+    assert.ok(parseAlertSpec("BTC < 58000 repeat soon").error);
+    assert.ok(parseAlertSpec("BTC rsi > 70 tf 2W").error);
+});
+
+test("parseAlertSpec rejects malformed definitions", () => {
+    assert.ok(parseAlertSpec("BTC").error);
+    assert.ok(parseAlertSpec("BTC = 100").error);
+    assert.ok(parseAlertSpec("BTC 5%").error);
+    assert.ok(parseAlertSpec("BTC in 100").error);
+    assert.ok(parseAlertSpec("BTC rsi > 120").error);
+    assert.ok(parseAlertSpec("BTC sma 1 up").error);
+    assert.ok(parseAlertSpec("USDT > 1").error);
+});
+
+test("evaluateAlert compares the price, indicators and average buy price", () => {
+    assert.equal(evaluateAlert({ type: "move", percent: -5, reference: 100 }, { price: 95 }).active, true);
+    assert.equal(evaluateAlert({ type: "band", mode: "enter", low: 90, high: 110 }, { price: 100 }).active, true);
+    assert.equal(evaluateAlert({ type: "band", mode: "exit", low: 90, high: 110 }, { price: 100 }).active, false);
+    const closes = [10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24];
+    assert.equal(evaluateAlert({ type: "rsi", direction: "above", level: 70, period: 14 }, { price: 24, closes }).active, true);
+    assert.equal(evaluateAlert({ type: "rsi", direction: "above", level: 70, period: 14 }, { price: 24 }).active, null);
+    const sma = evaluateAlert({ type: "sma", direction: "below", period: 3 }, { price: 20, closes });
+    assert.equal(sma.value, 23);
+    assert.equal(sma.active, true);
+    assert.equal(evaluateAlert({ type: "avg", percent: 10 }, { price: 111, avgBuyPrice: 100 }).active, true);
+    assert.equal(evaluateAlert({ type: "avg", percent: 10 }, { price: 111 }).active, null);
+});
+
+test("initialAlertState anchors move alerts and bands to the current price", () => {
+    const now = Date.parse("2024-06-01T00:00:00Z");
+    const move = initialAlertState(parseAlertSpec("BTC +5% exp 1d"), 60000, now);
+    assert.equal(move.reference, 60000);
+    assert.equal(move.lastActive, false);
+    assert.equal(move.expiresAt.toISOString(), "2024-06-02T00:00:00.000Z");
+    assert.equal("expiresInMs" in move, false);
+    assert.equal(initialAlertState(parseAlertSpec("BTC in 59000 61000"), 60000, now).lastActive, true);
+    assert.equal(initialAlertState(parseAlertSpec("BTC sma 20 up"), 60000, now).lastActive, undefined);
+});
+
+test("stepAlert fires on the condition starting to hold and respects the cooldown", () => {
+    const now = Date.parse("2024-06-01T00:00:00Z");
+    const minute = 60 * 1000;
+    assert.deepEqual(stepAlert({ lastActive: undefined }, true, now), { changes: { lastActive: true }, fire: false, done: false });
+    assert.equal(stepAlert({ lastActive: false }, null, now).fire, false);
+
+    const once = stepAlert({ lastActive: false, repeat: false }, true, now);
+    assert.equal(once.fire, true);
+    assert.equal(once.done, true);
+
+    let alert = { lastActive: false, repeat: true, cooldownMinutes: 30 };
+    let step = stepAlert(alert, true, now);
+    assert.equal(step.fire, true);
+    assert.equal(step.done, false);
+    alert = { ...alert, ...step.changes };
+    alert = { ...alert, ...stepAlert(alert, false, now + minute).changes };
+    step = stepAlert(alert, true, now + 2 * minute);
+    assert.equal(step.fire, false);
+    assert.deepEqual(step.changes, {});
+    assert.equal(stepAlert(alert, true, now + 31 * minute).fire, true);
+});
+
+test("fromLegacyAlert converts the original price alerts", () => {
+    assert.deepEqual(fromLegacyAlert({ instId: "BTC-USDT", condition: "<", price: 50000 }), { asset: "BTC", instId: "BTC-USDT", type: "price", direction: "below", price: 50000, repeat: false, cooldownMinutes: 0 });
+});
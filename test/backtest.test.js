@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseBacktestArgs, warmupBars, runBacktest } = require("../lib/backtest.js");
+const { mergeRanges, missingRanges, getCachedCandles } = require("../candleCache.js");
+const { MemoryDatabase } = require("../memoryDatabase.js");
+
+const HOUR = 60 * 60 * 1000;
+// Falls for 10 hours, rises for 10, then falls again.
+const closes = [...Array(10)].map((_, i) => 100 - i).concat([...Array(10)].map((_, i) => 92 + i * 2), [...Array(10)].map((_, i) => 110 - i * 3));
+const candles = closes.map((close, i) => {
+    const open = i > 0 ? closes[i - 1] : close;
+    return { time: i * HOUR, open, high: Math.max(open, close) + 0.5, low: Math.min(open, close) - 0.5, close };
+});
+const spec = (overrides = {}) => ({
+    instId: "BTC-USDT", bar: "1H", from: 3 * HOUR, to: 29 * HOUR, rule: { type: "sma", fast: 2, slow: 3 },
+    exits: { targets: [], stopPercent: null, trailingPercent: null, breakevenAfterTp1: false }, feePercent: 0, slippagePercent: 0, ...overrides,
+});
+
+test("parseBacktestArgs reads the rule, range and exits", () => {
+    const parsed = parseBacktestArgs("btc 4h 2024-01-01..2024-06-30 sma 20 50 tp 10 5 sl 4 be fee 0");
+    assert.equal(parsed.instId, "BTC-USDT");
+    assert.equal(parsed.bar, "4H");
+    assert.equal(parsed.from, Date.UTC(2024, 0, 1));
+    assert.deepEqual(parsed.rule, { type: "sma", fast: 20, slow: 50 });
+    assert.deepEqual(parsed.exits, { targets: [5, 10], stopPercent: 4, trailingPercent: null, breakevenAfterTp1: true });
+    assert.equal(parsed.feePercent, 0);
+    assert.equal(warmupBars(parsed.rule), 50);
+    assert.deepEqual(parseBacktestArgs("ETH-USDT 1D 90d rsi 30 70").rule, { type: "rsi", period: 14, buyBelow: 30, sellAbove: 70 });
+});
+
+test("parseBacktestArgs rejects invalid arguments", () => {
+    assert.ok(parseBacktestArgs("").error);
+    assert.ok(parseBacktestArgs("BTC 2H 90d sma 20 50").error);
+    assert.ok(parseBacktestArgs("BTC 1H 1y sma 20 50").error, "too many candles");
+    assert.ok(parseBacktestArgs("BTC 1D 90d sma 50 20").error);
+    assert.ok(parseBacktestArgs("BTC 1D 90d rsi 70 30").error);
+    assert.ok(parseBacktestArgs("BTC 1D 90d sl 5").error, "no entry rule");
+    assert.ok(parseBacktestArgs("BTC 1D 90d sma 20 50 rsi 30 70").error);
+    assert.ok(parseBacktestArgs("BTC 1D 90d sma 20 50 hedge").error);
+});
+
+test("runBacktest enters on a crossover at the next open and exits on the opposite signal", () => {
+    const result = runBacktest(candles, spec());
+    assert.equal(result.equity[0].time, 3 * HOUR, "warm-up candles are not part of the curve");
+    assert.equal(result.trades.length, 1);
+    const [trade] = result.trades;
+    assert.equal(trade.entryPrice, 94);
+    assert.equal(trade.exitPrice, 107);
+    assert.equal(trade.reason, "signal");
+    assert.ok(Math.abs(result.returnPercent - (107 / 94 - 1) * 100) < 1e-9);
+    assert.equal(result.winRate, 100);
+    assert.ok(result.buyAndHoldPercent < 0);
+    assert.ok(result.maxDrawdown > 0);
+    assert.equal(result.openTrade, null);
+});
+
+test("runBacktest uses virtual-trade exits and charges fees on both sides", () => {
+    const result = runBacktest(candles, spec({ exits: { targets: [5], stopPercent: null, trailingPercent: null, breakevenAfterTp1: false }, feePercent: 0.1 }));
+    const [trade] = result.trades;
+    assert.equal(trade.reason, "target");
+    assert.ok(Math.abs(trade.exitPrice - 98.7) < 1e-9);
+    const expected = 999 * 1.05 * 0.999 - 1000;
+    assert.ok(Math.abs(trade.pnl - expected) < 1e-9);
+    assert.ok(Math.abs(result.fees - (1 + 999 * 1.05 * 0.001)) < 1e-9);
+    assert.ok(runBacktest([], spec()).error);
+});
+
+test("runBacktest counts a candle that reaches both the stop and the target as stopped", () => {
+    // The candle after the entry at 94 swings through the 5% target and the 3% stop.
+    const wide = candles.map((c, i) => i === 13 ? { ...c, high: 100, low: 90 } : c);
+    const [trade] = runBacktest(wide, spec({ exits: { targets: [5], stopPercent: 3, trailingPercent: null, breakevenAfterTp1: false } })).trades;
+    assert.equal(trade.entryPrice, 94);
+    assert.equal(trade.reason, "stop");
+    assert.ok(Math.abs(trade.exitPrice - 94 * 0.97) < 1e-9);
+});
+
+test("missingRanges finds the gaps around cached ranges", () => {
+    assert.deepEqual(mergeRanges([[10, 20], [0, 5], [6, 8], [15, 30]]), [[0, 8], [10, 30]]);
+    assert.deepEqual(missingRanges([[10, 20], [30, 40]], 0, 50), [[0, 9], [21, 29], [41, 50]]);
+    assert.deepEqual(missingRanges([[0, 50]], 10, 20), []);
+});
+
+test("getCachedCandles only downloads closed candles it has not stored yet", async () => {
+    const calls = [];
+    const adapter = {
+        async getCandlesBetween(instId, bar, start, end) {
+            calls.push([start, end]);
+            return candles.filter(c => c.time >= start && c.time <= end);
+        },
+    };
+    const db = new MemoryDatabase();
+    const now = 25 * HOUR + 1;
+    const first = await getCachedCandles(db, adapter, "BTC-USDT", "1H", 5 * HOUR, 10 * HOUR, now);
+    assert.deepEqual(first.map(c => c.close), closes.slice(5, 11));
+    assert.deepEqual(calls, [[5 * HOUR, 10 * HOUR]]);
+
+    calls.length = 0;
+    const second = await getCachedCandles(db, adapter, "BTC-USDT", "1H", 0, 25 * HOUR, now);
+    assert.deepEqual(second.map(c => c.close), closes.slice(0, 26));
+    assert.deepEqual(calls, [[0, 5 * HOUR - 1], [10 * HOUR + 1, 24 * HOUR + 1], [24 * HOUR + 2, 25 * HOUR]], "the forming candle is fetched live");
+
+    calls.length = 0;
+    await getCachedCandles(db, adapter, "BTC-USDT", "1H", 2 * HOUR, 20 * HOUR, now);
+    assert.deepEqual(calls, []);
+});
@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { BinanceAdapter } = require("../exchanges/binance.js");
+const { CASH_FLOW_LOOKBACK_MS } = require("../exchanges/ExchangeAdapter.js");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// A Binance account whose signed endpoints answer from `routes` ({ path: (params) => response }).
+function fakeAccount(routes) {
+    const adapter = new BinanceAdapter({ apiKey: "k", secretKey: "s" });
+    adapter.calls = [];
+    adapter.signedGet = async (path, params = {}) => {
+        adapter.calls.push({ path, params });
+        if (!routes[path]) throw new Error(`unexpected call ${path}`);
+        return routes[path](params);
+    };
+    return adapter;
+}
+
+test("getCashFlows reads deposits that complete after a newer one", async () => {
+    // Completed deposits only, filtered on their insert time like the real endpoint.
+    const deposits = [];
+    const adapter = fakeAccount({
+        "/sapi/v1/capital/deposit/hisrec": (params) => deposits.filter(d => !params.startTime || d.insertTime >= Number(params.startTime)),
+        "/sapi/v1/capital/withdraw/history": () => [],
+    });
+    deposits.push({ id: "a", coin: "USDT", amount: "100", insertTime: 10 * DAY });
+    let cursors = adapter.advanceCashFlowCursors({}, (await adapter.getCashFlows({})).flows);
+
+    deposits.push({ id: "b", coin: "USDT", amount: "50", insertTime: 10 * DAY + 1000 });
+    deposits.push({ id: "late", coin: "BTC", amount: "0.1", insertTime: 9 * DAY });
+    const { flows } = await adapter.getCashFlows(cursors);
+    assert.deepEqual(flows.map(f => [f.id, f.ccy, f.amount]), [["late", "BTC", 0.1], ["b", "USDT", 50]]);
+    assert.equal(adapter.calls.at(-2).params.startTime, String(10 * DAY - CASH_FLOW_LOOKBACK_MS));
+
+    cursors = adapter.advanceCashFlowCursors(cursors, flows);
+    assert.deepEqual((await adapter.getCashFlows(cursors)).flows, []);
+});
+
+// Trades of one symbol served like /api/v3/myTrades: by id, by a time window of 24 hours at most, or the newest.
+function tradeList(trades) {
+    return (params) => {
+        const limit = Number(params.limit || 500);
+        let list = trades.filter(t => t.symbol === params.symbol);
+        if (params.fromId) return list.filter(t => t.id >= Number(params.fromId)).slice(0, limit);
+        if (params.startTime) {
+            assert.ok(Number(params.endTime) - Number(params.startTime) < DAY, "time window over 24 hours");
+            return list.filter(t => t.time >= Number(params.startTime) && t.time <= Number(params.endTime)).slice(0, limit);
+        }
+        return list.slice(-limit);
+    };
+}
+
+const trade = (symbol, id, time, isBuyer = true) => ({ symbol, id, orderId: id, price: "100", qty: "1", commission: "0", commissionAsset: "USDT", isBuyer, time });
+
+test("getFills fails as a whole when one symbol cannot be read, and skips assets without a market", async () => {
+    let failing = true;
+    const trades = [trade("BTCUSDT", 5, 10 * DAY), trade("ETHUSDT", 7, 10 * DAY + 1)];
+    const adapter = fakeAccount({
+        "/api/v3/account": () => ({ balances: [{ asset: "BTC", free: "1", locked: "0" }, { asset: "ETH", free: "1", locked: "0" }, { asset: "LDUSDT", free: "5", locked: "0" }] }),
+        "/api/v3/openOrders": () => [],
+        "/api/v3/myTrades": (params) => {
+            if (params.symbol === "LDUSDTUSDT") throw Object.assign(new Error("Invalid symbol."), { code: -1121 });
+            if (params.symbol === "ETHUSDT" && failing) throw new Error("Too many requests");
+            return tradeList(trades)(params);
+        },
+    });
+    const cursor = JSON.stringify({ since: 9 * DAY, ids: { BTCUSDT: 4, ETHUSDT: 6 } });
+    const failed = await adapter.getFills(cursor);
+    assert.match(failed.error, /Too many requests/);
+
+    failing = false;
+    const { fills, truncated } = await adapter.getFills(cursor);
+    assert.equal(truncated, false);
+    assert.deepEqual(fills.map(f => f.billId), ["BTCUSDT:5", "ETHUSDT:7"]);
+});
+
+test("getFills reads a coin that was held on the previous run and sold off since", async () => {
+    const balances = [{ asset: "SOL", free: "2", locked: "0" }];
+    const trades = [];
+    const adapter = fakeAccount({
+        "/api/v3/account": () => ({ balances }),
+        "/api/v3/openOrders": () => [],
+        "/api/v3/myTrades": tradeList(trades),
+    });
+    // The SOL was deposited, so there is no trade id for it yet.
+    const cursor = JSON.stringify({ since: 10 * DAY, ids: {} });
+    const first = await adapter.getFills(cursor);
+    assert.deepEqual(first.fills, []);
+    assert.deepEqual(first.resume, { watched: ["SOLUSDT"] });
+
+    balances.length = 0;
+    trades.push(trade("SOLUSDT", 40, 10 * DAY + 5000, false));
+    const { fills } = await adapter.getFills(cursor, first.resume);
+    assert.deepEqual(fills.map(f => [f.instId, f.side, f.billId]), [["SOL-USDT", "sell", "SOLUSDT:40"]]);
+});
+
+test("getFills reads a new coin's long history in windows of 24 hours, then by id", async () => {
+    // 1500 trades of a coin bought after the cursor time, spread over three days.
+    const trades = Array.from({ length: 1500 }, (_, i) => trade("ADAUSDT", 1001 + i, 10 * DAY + i * 3 * 60 * 1000));
+    const adapter = fakeAccount({
+        "/api/v3/account": () => ({ balances: [{ asset: "ADA", free: "1500", locked: "0" }] }),
+        "/api/v3/openOrders": () => [],
+        "/api/v3/myTrades": tradeList(trades),
+    });
+    let cursor = JSON.stringify({ since: 8 * DAY, ids: {} });
+    const seen = [];
+    for (let run = 0; run < 3; run++) {
+        const { fills, error } = await adapter.getFills(cursor);
+        assert.equal(error, undefined);
+        seen.push(...fills.map(f => f.tradeId));
+        cursor = adapter.advanceFillsCursor(cursor, fills);
+    }
+    assert.deepEqual(seen, trades.map(t => t.id));
+    assert.equal(JSON.parse(cursor).ids.ADAUSDT, 2500);
+});
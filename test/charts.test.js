@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { niceTicks, renderLineChart, renderCandlestickChart, renderPieChart, renderChart } = require("../lib/charts.js");
+
+const DAY = 24 * 60 * 60 * 1000;
+const isPng = (buffer) => Buffer.isBuffer(buffer) && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+const candles = [...Array(30)].map((_, i) => ({ time: i * DAY, open: 100 + i, high: 103 + i, low: 98 + i, close: 101 + i + (i % 3 === 0 ? -3 : 0) }));
+
+test("niceTicks covers the range with round steps", () => {
+    assert.deepEqual(niceTicks(3, 97), [0, 20, 40, 60, 80, 100]);
+    assert.deepEqual(niceTicks(-4.2, 12.7), [-5, 0, 5, 10, 15]);
+    const flat = niceTicks(50, 50);
+    assert.ok(flat[0] < 50 && flat[flat.length - 1] > 50);
+});
+
+test("renderLineChart draws one or several series", () => {
+    const points = candles.map(c => ({ time: c.time, value: c.close }));
+    assert.ok(isPng(renderLineChart({ title: "قيمة المحفظة", unit: "usd", series: [{ label: "المحفظة", points }] })));
+    assert.ok(isPng(renderLineChart({ title: "المحفظة مقابل BTC", unit: "percent", series: [{ label: "المحفظة", points }, { label: "BTC", points: points.slice(5) }] })));
+    assert.equal(renderLineChart({ title: "", series: [{ label: "", points: [] }] }), null);
+});
+
+test("renderCandlestickChart draws candles with markers and levels", () => {
+    const image = renderCandlestickChart({
+        title: "BTC-USDT (1D)",
+        candles,
+        markers: [{ time: 5 * DAY + 1000, price: 105, kind: "entry", label: "دخول" }, { time: -DAY, price: 99, kind: "exit" }],
+        levels: [{ price: 140, kind: "takeProfit", label: "TP" }, { price: 90, kind: "stopLoss", label: "SL" }],
+    });
+    assert.ok(isPng(image));
+    assert.equal(renderCandlestickChart({ title: "", candles: [] }), null);
+});
+
+test("renderPieChart groups the smallest slices and skips empty portfolios", () => {
+    const slices = [...Array(12)].map((_, i) => ({ label: `A${i}`, value: 12 - i }));
+    assert.ok(isPng(renderPieChart({ title: "توزيع المحفظة", slices })));
+    assert.equal(renderPieChart({ title: "", slices: [{ label: "USDT", value: 0 }] }), null);
+});
+
+test("renderChart dispatches on the chart type", () => {
+    assert.ok(isPng(renderChart({ type: "pie", title: "", slices: [{ label: "BTC", value: 1 }] })));
+    assert.equal(renderChart({ type: "radar" }), null);
+    assert.equal(renderChart(null), null);
+});
@@ -0,0 +1,200 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { formatNumber, formatDuration, escapeMarkdown } = require("../lib/utils.js");
+const { formatPortfolioMsg, formatPrivateBuy, formatPrivateCloseReport, formatPublicClose, formatPerformanceReport, formatAssetContributions, formatProtectionLevels, formatProtectionTriggered, formatAlertsList, formatAlertTriggered, formatMovementDigest, formatTechnicalAnalysis, formatRiskReport, formatPublicationCard, formatPublicationsList, formatTradeReviewChart } = require("../lib/formatters.js");
+const { analyzeTimeframe } = require("../lib/indicators.js");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test("formatNumber falls back to zero for non-numbers", () => {
+    assert.equal(formatNumber(1.005, 1), "1.0");
+    assert.equal(formatNumber("2.5"), "2.50");
+    assert.equal(formatNumber(NaN), "0.00");
+    assert.equal(formatNumber(Infinity, 3), "0.000");
+});
+
+test("formatDuration switches from hours to days after 48 hours", () => {
+    assert.equal(formatDuration(5 * 60 * 60 * 1000), "5 ساعة");
+    assert.equal(formatDuration(3 * DAY), "3.0 يوم");
+});
+
+test("escapeMarkdown escapes legacy Markdown entities", () => {
+    assert.equal(escapeMarkdown("sub_account*1"), "sub\\_account\\*1");
+    assert.equal(escapeMarkdown("[main] `okx`"), "\\[main] \\`okx\\`");
+    assert.equal(escapeMarkdown(null), "");
+});
+
+const assets = [
+    { asset: "BTC", amount: 0.01, price: 60000, value: 600, change24h: 0.02 },
+    { asset: "USDT", amount: 400, price: 1, value: 400, change24h: 0 },
+];
+
+test("formatPortfolioMsg with zero capital shows no capital line and no P&L percentage", () => {
+    const { caption } = formatPortfolioMsg(assets, 1000, 0);
+    assert.ok(!caption.includes("*رأس المال:*"));
+    assert.ok(caption.includes("`$+0.00` (`+0.00%`)"));
+    assert.ok(caption.includes("`غير مسجل`"));
+    assert.ok(caption.includes("نقدي 40.00%"));
+});
+
+test("formatPortfolioMsg reports unrealized P&L against the position cost", () => {
+    const positions = { BTC: { avgBuyPrice: 50000 } };
+    const { caption } = formatPortfolioMsg(assets, 1000, 800, 100, positions, "🏦 sub\\_1");
+    assert.ok(caption.includes("*رأس المال:* `$800.00`"));
+    assert.ok(caption.includes("`+$100.00` (مضمّنة في رأس المال)"));
+    assert.ok(caption.includes("`$+100.00` (`+20.00%`)"));
+    assert.ok(caption.includes("*الحساب:* 🏦 sub\\_1"));
+});
+
+test("formatPortfolioMsg lists the active protection levels of a position", () => {
+    const positions = { BTC: { avgBuyPrice: 50000, protection: { takeProfit: 70000, stopLoss: 45000, mode: 'exchange', status: 'active' } } };
+    const { caption } = formatPortfolioMsg(assets, 1000, 800, 0, positions);
+    assert.ok(caption.includes("├─ *الحماية:* 🎯 `$70000.0000` | 🛑 `$45000.0000` (على المنصة)"));
+    positions.BTC.protection.status = 'triggered';
+    assert.ok(!formatPortfolioMsg(assets, 1000, 800, 0, positions).caption.includes("*الحماية:*"));
+});
+
+test("formatProtectionLevels shows the current trailing stop", () => {
+    assert.equal(formatProtectionLevels(undefined), null);
+    assert.equal(formatProtectionLevels({ trailingPercent: 5, trailingStop: 95, mode: 'bot', status: 'active' }), "📉 `5.00%` (`$95.0000`) (يراقبها البوت)");
+});
+
+test("formatProtectionTriggered asks for a manual close when the sell fails", () => {
+    const msg = formatProtectionTriggered("BTC", "stopLoss", 55000, 54000, { error: "insufficient_balance" });
+    assert.ok(msg.startsWith("⚠️ *تم تفعيل وقف الخسارة 🛑 | BTC*"));
+    assert.ok(msg.includes("insufficient\\_balance"));
+    assert.ok(msg.includes("*يرجى إغلاق المركز يدويًا.*"));
+});
+
+test("formatPortfolioMsg handles an empty portfolio", () => {
+    const { caption } = formatPortfolioMsg([], 0, 0);
+    assert.ok(caption.includes("`$0.00`"));
+    assert.ok(!caption.includes("NaN"));
+});
+
+test("formatPrivateBuy shows the execution price, size and fee", () => {
+    const msg = formatPrivateBuy({ asset: "BTC", price: 60000, amountChange: 0.005, tradeValue: 300, feeUsd: 0.3, time: Date.parse("2024-03-01T09:00:00Z"), oldTotalValue: 1000, newAssetWeight: 30, newUsdtValue: 700, newCashPercent: 70, oldUsdtValue: 1000, position: {} });
+    assert.ok(msg.includes("`BTC/USDT`"));
+    assert.ok(msg.includes("**سعر التنفيذ:** `$60000.0000`"));
+    assert.ok(msg.includes("**الكمية المضافة:** `0.005000`"));
+    assert.ok(msg.includes("**رسوم التنفيذ:** `$0.3000`"));
+    assert.ok(msg.includes("**حجم الصفقة من إجمالي المحفظة:** `30.00%`"));
+});
+
+test("formatPrivateBuy does not divide by a zero portfolio value", () => {
+    const msg = formatPrivateBuy({ asset: "BTC", price: 100, amountChange: 1, tradeValue: 100, feeUsd: 0, time: Date.now(), oldTotalValue: 0, newAssetWeight: 0, newUsdtValue: 0, newCashPercent: 0, oldUsdtValue: 0, position: {} });
+    assert.ok(!msg.includes("NaN") && !msg.includes("Infinity"));
+});
+
+const closedTrade = { asset: "ETH", pnl: -25, pnlPercent: -5, durationDays: 1.5, avgBuyPrice: 2000, avgSellPrice: 1900, highestPrice: 2100, lowestPrice: 1850, closedAt: new Date("2024-03-06T09:00:00Z") };
+
+test("formatPrivateCloseReport dates the report at the closing fill", () => {
+    const msg = formatPrivateCloseReport(closedTrade);
+    assert.ok(msg.includes("**تم إغلاق مركز ETH بنجاح ✅**"));
+    assert.ok(msg.includes(new Date("2024-03-06T09:00:00Z").toLocaleString("ar-EG", { timeZone: "Africa/Cairo" })));
+});
+
+test("formatPublicClose signs losses and gains", () => {
+    assert.ok(formatPublicClose(closedTrade).includes("`-5.00%` 🔴"));
+    assert.ok(formatPublicClose({ ...closedTrade, pnlPercent: 7 }).includes("`+7.00%` 🟢"));
+});
+
+test("formatPerformanceReport needs two snapshots", () => {
+    assert.deepEqual(formatPerformanceReport("7d", "آخر 7 أيام", [{ time: 0, total: 100 }], []), { error: "ℹ️ لا توجد بيانات كافية لهذه الفترة." });
+});
+
+test("formatPerformanceReport compares the time-weighted return with BTC", () => {
+    const history = [{ time: 0, total: 1000 }, { time: DAY, total: 1050 }, { time: 2 * DAY, total: 1100 }];
+    const btc = [{ time: 0, close: 100 }, { time: 2 * DAY, close: 105 }];
+    const { caption, chart } = formatPerformanceReport("7d", "آخر 7 أيام", history, btc);
+    assert.ok(caption.includes("*أداء محفظتك (TWR):* `+10.00%`"));
+    assert.ok(caption.includes("*أداء عملة BTC:* `+5.00%`"));
+    assert.ok(caption.includes("أداء أعلى من السوق ✅"));
+    assert.deepEqual(chart.series.map(s => s.label), ["المحفظة", "BTC"]);
+    assert.deepEqual(chart.series[0].points.map(p => Math.round(p.value * 100) / 100), [0, 5, 10]);
+    assert.deepEqual(chart.series[1].points.map(p => Math.round(p.value * 100) / 100), [0, 5]);
+});
+
+test("formatAssetContributions returns null without contributions", () => {
+    assert.equal(formatAssetContributions([], "x"), null);
+    assert.ok(formatAssetContributions([{ asset: "BTC", pnl: 30 }, { asset: "ETH", pnl: -10 }], "x").includes("*BTC:* `+$30.00` (حصة `75.00%` من الحركة)"));
+});
+
+test("formatAlertsList shows each alert with its repeat and snooze status", () => {
+    const now = Date.parse("2024-06-01T00:00:00Z");
+    const alerts = [
+        { asset: "BTC", type: "price", direction: "above", price: 65000 },
+        { asset: "ETH", type: "band", mode: "exit", low: 3000, high: 3200, repeat: true, cooldownMinutes: 90, snoozedUntil: new Date(now + 60 * 60 * 1000) },
+    ];
+    const msg = formatAlertsList(alerts, now);
+    assert.ok(msg.includes("*1.* BTC أعلى من `$65000.0000`"));
+    assert.ok(msg.includes("*2.* ETH يخرج من النطاق `$3000.0000` - `$3200.0000`"));
+    assert.ok(msg.includes("🔁 متكرر (مرة كل 90 دقيقة على الأكثر) | 😴 موقوف حتى"));
+    assert.ok(formatAlertsList([], now).includes("لا توجد تنبيهات مسجلة"));
+});
+
+test("formatAlertTriggered includes the indicator reading", () => {
+    const msg = formatAlertTriggered({ asset: "SOL", type: "rsi", direction: "below", level: 30, period: 14, bar: "4H" }, 120, 27.5);
+    assert.ok(msg.includes(" ▪️ *الشرط:* RSI(14) لـ SOL على إطار 4H ينزل تحت `30`"));
+    assert.ok(msg.includes(" ▪️ *قيمة RSI:* `27.50`"));
+});
+
+test("formatMovementDigest lists every move against its baseline", () => {
+    const msg = formatMovementDigest([{ asset: "BTC", from: 59000, price: 63000, changePercent: 6.78 }, { asset: "ETH", from: 2950, price: 2700, changePercent: -8.47 }], "open24h", true);
+    assert.match(msg, /حركات الأسعار خلال ساعات الهدوء \(2\)/);
+    assert.match(msg, /🟢⬆️ \*BTC:\* `\+6\.78%`/);
+    assert.match(msg, /🔴⬇️ \*ETH:\* `-8\.47%`/);
+});
+
+test("formatTechnicalAnalysis lists every timeframe, the verdict and the ATR stop", () => {
+    const daily = analyzeTimeframe([...Array(60)].map((_, i) => ({ high: 101 + i * i / 10, low: 99 + i * i / 10, close: 100 + i * i / 10, volume: 5 })));
+    const msg = formatTechnicalAnalysis({ timeframes: { "1H": null, "1D": daily }, verdict: { trend: "bullish", strength: 0.75 } }, { price: 440, percent: 2, bar: "1D", multiplier: 2 });
+    assert.match(msg, /الاتجاه العام:\* صاعد 🟢 \(قوة `\+75%`\)/);
+    assert.match(msg, /⏱️ 1H:\* بيانات غير كافية/);
+    assert.match(msg, /⏱️ 1D:\* صاعد 🟢 \(`\+4`\)/);
+    assert.match(msg, /نقطة التحكم/);
+    assert.match(msg, /وقف مقترح \(2.0×ATR 1D\):\* `\$440.0000`/);
+});
+
+test("formatTradeReviewChart marks the entry, the exit and today's price", () => {
+    const trade = { asset: "BTC", avgBuyPrice: 100, avgSellPrice: 120, durationDays: 3, closedAt: new Date(10 * DAY) };
+    const chart = formatTradeReviewChart(trade, "4H", [], 130);
+    assert.equal(chart.type, "candlestick");
+    assert.deepEqual(chart.markers.map(m => [m.kind, m.time, m.price]), [["entry", 7 * DAY, 100], ["exit", 10 * DAY, 120]]);
+    assert.deepEqual(chart.levels.map(l => l.price), [130]);
+});
+
+test("formatRiskReport lists the matrix, VaR and stress scenarios", () => {
+    const figures = { percent: 4, usd: 40, cvarPercent: 5, cvarUsd: 50 };
+    const msg = formatRiskReport({
+        days: 90, confidence: 0.95,
+        concentration: { largest: { asset: "BTC", percent: 60 }, top3Percent: 80, cashPercent: 20, hhi: 0.625, effectivePositions: 1.6, level: "high" },
+        correlation: { assets: ["BTC", "ETH"], matrix: [[1, 0.8], [0.8, 1]] },
+        betas: [{ asset: "BTC", weight: 60, beta: 1, proxied: false }, { asset: "PEPE", weight: 20, beta: 1, proxied: true }],
+        portfolioBeta: 0.8, volatilityPercent: 55, historical: figures, parametric: figures,
+        stress: [{ move: -20, usd: -160, percent: -16, impacts: [{ asset: "BTC", usd: -120 }, { asset: "PEPE", usd: -40 }] }],
+        proxied: ["PEPE"],
+    });
+    assert.ok(msg.includes("*🎯 التركّز:* مرتفع 🔴"));
+    assert.ok(msg.includes("BTC    1.00  0.80\nETH    0.80  1.00"));
+    assert.ok(msg.includes(" ▪️ *تاريخية:* VaR `$40.00` (`4.00%`) | CVaR `$50.00` (`5.00%`)"));
+    assert.ok(msg.includes(" ▪️ *BTC -20%:* `-$160.00` (`-16.00%`)"));
+    assert.ok(msg.includes("BTC `-$120.00`، PEPE `-$40.00`"));
+    assert.ok(msg.includes("*PEPE* (`20.00%`): `1.00` _(تقدير)_"));
+});
+
+test("formatPublicationCard shows the status, the thread and the public text", () => {
+    const draft = { kind: "sell", asset: "ETH", status: "draft", text: "*ETH* جني أرباح", threadKey: "okx:ETH:1" };
+    const msg = formatPublicationCard(draft);
+    assert.match(msg, /📢 \*منشور القناة \| بيع جزئي ETH\*/);
+    assert.match(msg, /\*الحالة:\* 📝 مسودة\n/);
+    assert.ok(msg.endsWith("━━━━━━━━━━━━━━━━━━━━\n*ETH* جني أرباح"));
+    assert.doesNotMatch(msg, /🧵/);
+
+    const published = formatPublicationCard({ ...draft, status: "published", publishedAt: new Date(0), editedAt: new Date(0), replyTo: 12 });
+    assert.match(published, /✅ منشور .*_\(معدّل\)_/);
+    assert.match(published, /🧵 _نُشر ردًا على أول منشور للصفقة._/);
+
+    assert.match(formatPublicationsList([]), /لا توجد منشورات بعد/);
+    assert.match(formatPublicationsList([{ ...draft, kind: "daily_report", asset: null, createdAt: new Date(0) }]), /\*1\.\* 📝 مسودة \| تقرير النسخ اليومي - /);
+});
@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { calculateSMA, calculateRSI } = require("../lib/indicators.js");
+
+test("calculateSMA averages the last `period` closes", () => {
+    assert.equal(calculateSMA([1, 2, 3, 4, 5], 3), 4);
+    assert.equal(calculateSMA([10, 20], 2), 15);
+});
+
+test("calculateSMA needs at least `period` closes", () => {
+    assert.equal(calculateSMA([1, 2], 3), null);
+});
+
+test("calculateRSI needs period + 1 closes", () => {
+    assert.equal(calculateRSI([1, 2, 3], 3), null);
+});
+
+test("calculateRSI is 100 when prices only rise and 0 when they only fall", () => {
+    assert.equal(calculateRSI([1, 2, 3, 4, 5, 6], 3), 100);
+    assert.equal(calculateRSI([6, 5, 4, 3, 2, 1], 3), 0);
+});
+
+test("calculateRSI applies Wilder smoothing after the first period", () => {
+    // Seed: avgGain = avgLoss = 0.5; then +1 -> (0.75, 0.25); then -1 -> (0.375, 0.625); RS = 0.6.
+    assert.equal(calculateRSI([10, 11, 10, 11, 10], 2), 37.5);
+});
+
+const {
+    calculateEMA, calculateMACD, calculateBollingerBands, calculateATR, calculateVWAP,
+    calculateVolumeProfile, calculatePivots, analyzeTimeframe, combineTrends, suggestAtrStop,
+} = require("../lib/indicators.js");
+
+const candle = (close, spread = 1, volume = 10) => ({ open: close, high: close + spread, low: close - spread, close, volume });
+
+test("calculateEMA seeds with the SMA and weights recent closes", () => {
+    assert.equal(calculateEMA([1, 2, 3], 3), 2);
+    // k = 0.5: 2 -> 0.5 * 6 + 0.5 * 2 = 4
+    assert.equal(calculateEMA([1, 2, 3, 6], 3), 4);
+    assert.equal(calculateEMA([1, 2], 3), null);
+});
+
+test("calculateMACD is zero on a flat series and positive in an uptrend", () => {
+    assert.equal(calculateMACD(Array(30).fill(5)), null, "needs slow + signal periods");
+    assert.deepEqual(calculateMACD(Array(40).fill(5)), { macd: 0, signal: 0, histogram: 0 });
+    const rising = calculateMACD([...Array(60)].map((_, i) => 100 + i));
+    assert.ok(rising.macd > 0 && rising.signal > 0);
+});
+
+test("calculateBollingerBands uses the population deviation", () => {
+    const bands = calculateBollingerBands([2, 4, 4, 4, 5, 5, 7, 9], 8, 2);
+    assert.equal(bands.middle, 5);
+    assert.equal(bands.upper, 9);
+    assert.equal(bands.lower, 1);
+    assert.equal(bands.percentB, 1);
+    assert.equal(bands.width, 160);
+});
+
+test("calculateATR includes gaps from the previous close", () => {
+    const candles = [{ high: 11, low: 9, close: 10 }, { high: 12, low: 10, close: 11 }, { high: 16, low: 14, close: 15 }];
+    // True ranges: 2, 5 (16 - 11)
+    assert.equal(calculateATR(candles, 2), 3.5);
+    assert.equal(calculateATR(candles, 3), null);
+});
+
+test("calculateVWAP weights the typical price by volume", () => {
+    assert.equal(calculateVWAP([candle(10, 0, 1), candle(20, 0, 3)]), 17.5);
+    assert.equal(calculateVWAP([candle(10, 0, 0)]), null);
+});
+
+test("calculateVolumeProfile finds the busiest price and the value area", () => {
+    const profile = calculateVolumeProfile([candle(10, 0.5, 1), candle(20, 0.5, 8), candle(30, 0.5, 1)], 10);
+    assert.ok(Math.abs(profile.poc - 20) < 1.5);
+    assert.ok(profile.valueAreaLow <= 20 && profile.valueAreaHigh >= 20);
+    assert.ok(profile.valueAreaHigh - profile.valueAreaLow < 20);
+    assert.equal(calculateVolumeProfile([candle(10, 1, 0)]), null);
+});
+
+test("calculatePivots uses the classic floor formulas", () => {
+    assert.deepEqual(calculatePivots({ high: 12, low: 6, close: 9 }), { pivot: 9, r1: 12, r2: 15, s1: 6, s2: 3 });
+});
+
+test("analyzeTimeframe scores the trend and combineTrends weighs the timeframes", () => {
+    const up = analyzeTimeframe([...Array(80)].map((_, i) => candle(100 + i * i / 10)));
+    const down = analyzeTimeframe([...Array(80)].map((_, i) => candle(1000 - i * i / 10)));
+    assert.equal(up.trend, "bullish");
+    assert.equal(up.score, 4);
+    assert.equal(down.trend, "bearish");
+    assert.equal(analyzeTimeframe([candle(1)]), null);
+    assert.equal(combineTrends({ "1H": down, "1D": up }, { "1H": 1, "1D": 3 }).trend, "bullish");
+    assert.equal(combineTrends({ "1H": up, "1D": down }, { "1H": 1, "1D": 1 }).trend, "neutral");
+    assert.equal(combineTrends({ "1H": null }, {}), null);
+});
+
+test("suggestAtrStop places the stop a multiple of ATR below the price", () => {
+    assert.deepEqual(suggestAtrStop(100, 2.5, 2), { distance: 5, price: 95, percent: 5 });
+    assert.equal(suggestAtrStop(100, null), null);
+});
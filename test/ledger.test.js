@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createLot, createOpeningLot, matchDisposal, summarizeDisposals, disposalsToCsv, parseTaxYear } = require("../lib/ledger.js");
+
+const DAY = 24 * 60 * 60 * 1000;
+const execution = (side, size, price, fee, time) => ({ asset: "BTC", side, price, grossValue: size * price, quoteFee: fee, feeUsd: fee, amountChange: side === 'buy' ? size : -size, time, ordId: `o${time}` });
+const lots = () => [
+    { _id: "a", ...createLot(execution('buy', 1, 100, 1, 0)) },
+    { _id: "b", ...createLot(execution('buy', 1, 200, 2, DAY)) },
+];
+
+test("createLot puts the fees paid in USDT into the cost", () => {
+    const lot = createLot(execution('buy', 2, 100, 2, 0));
+    assert.equal(lot.unitCost, 101);
+    assert.equal(lot.remaining, 2);
+    assert.deepEqual(createOpeningLot("ETH", { totalAmountBought: 3, totalAmountSold: 1, avgBuyPrice: 50, openDate: "2024-01-01T00:00:00Z" }).remaining, 2);
+    assert.equal(createOpeningLot("ETH", { totalAmountBought: 1, totalAmountSold: 1, avgBuyPrice: 50 }), null);
+});
+
+test("matchDisposal takes the oldest or the newest lots first", () => {
+    const sell = execution('sell', 1.5, 300, 4.5, 2 * DAY);
+    const fifo = matchDisposal(lots(), sell, "fifo");
+    assert.deepEqual(fifo.consumed.map(c => [c.lot._id, c.quantity]), [["a", 1], ["b", 0.5]]);
+    assert.equal(fifo.disposal.costBasis, 101 + 101);
+    assert.equal(fifo.disposal.proceeds, 445.5);
+    assert.equal(fifo.disposal.pnl, 445.5 - 202);
+    assert.equal(fifo.disposal.acquiredAt.getTime(), 0);
+    const lifo = matchDisposal(lots(), sell, "lifo");
+    assert.deepEqual(lifo.consumed.map(c => [c.lot._id, c.quantity]), [["b", 1], ["a", 0.5]]);
+    assert.equal(lifo.disposal.costBasis, 202 + 50.5);
+});
+
+test("matchDisposal at average cost takes from every lot in proportion", () => {
+    const { disposal, consumed } = matchDisposal(lots(), execution('sell', 1, 300, 0, 2 * DAY), "average");
+    assert.deepEqual(consumed.map(c => c.quantity), [0.5, 0.5]);
+    assert.equal(disposal.costBasis, 151.5);
+    assert.equal(disposal.method, "average");
+});
+
+test("matchDisposal leaves what the lots cannot cover without a cost basis", () => {
+    const { disposal } = matchDisposal([{ _id: "a", ...createLot(execution('buy', 1, 100, 0, 0)) }], execution('sell', 2, 150, 0, DAY), "fifo");
+    assert.equal(disposal.unmatchedQuantity, 1);
+    assert.equal(disposal.costBasis, 100);
+    assert.equal(disposal.pnl, 50);
+    assert.equal(matchDisposal([], execution('sell', 1, 150, 0, DAY)).disposal.pnl, 0);
+});
+
+test("summarizeDisposals and disposalsToCsv", () => {
+    const won = matchDisposal(lots(), execution('sell', 1, 300, 0, 3 * DAY), "fifo").disposal;
+    const lost = { ...matchDisposal(lots(), execution('sell', 1, 50, 0, 2 * DAY), "lifo").disposal, asset: "ETH" };
+    const summary = summarizeDisposals([won, lost]);
+    assert.deepEqual(summary.assets.map(a => [a.asset, a.pnl]), [["BTC", 199], ["ETH", -152]]);
+    assert.equal(summary.totals.gains, 199);
+    assert.equal(summary.totals.losses, -152);
+    const csv = disposalsToCsv([won, lost]).trim().split("\n");
+    assert.equal(csv[0], "date_sold,asset,quantity,date_acquired,proceeds_usd,cost_basis_usd,fees_usd,gain_usd,method,unmatched_quantity,order_id");
+    assert.equal(csv[1], `1970-01-03T00:00:00.000Z,ETH,1.00000000,1970-01-02,50.00,202.00,0.00,-152.00,lifo,,o${2 * DAY}`);
+    assert.equal(csv.length, 3);
+});
+
+test("parseTaxYear", () => {
+    const now = new Date("2024-08-01T00:00:00Z");
+    assert.deepEqual(parseTaxYear("2023", now), { year: 2023, from: new Date("2023-01-01T00:00:00Z"), to: new Date("2024-01-01T00:00:00Z") });
+    assert.equal(parseTaxYear("", now).year, 2024);
+    assert.ok(parseTaxYear("2025", now).error);
+    assert.ok(parseTaxYear("last", now).error);
+});
@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("node:events");
+const { MarketDataService } = require("../marketData.js");
+
+class FakeSocket extends EventEmitter {
+    constructor(url) {
+        super();
+        this.url = url;
+        this.readyState = 0;
+        this.sent = [];
+        FakeSocket.instances.push(this);
+    }
+    open() { this.readyState = 1; this.emit("open"); }
+    send(text) { this.sent.push(text); }
+    close() { this.readyState = 3; this.emit("close"); }
+    tick(instId, last, open24h = last) { this.emit("message", Buffer.from(JSON.stringify({ arg: { channel: "tickers", instId }, data: [{ instId, last: String(last), open24h: String(open24h), volCcy24h: "1000" }] }))); }
+}
+FakeSocket.instances = [];
+
+function fakeAdapter(prices) {
+    const adapter = { calls: 0, async getMarketPrices() { adapter.calls++; return prices(); } };
+    return adapter;
+}
+
+test("getMarketPrices reuses the REST list and shares a request in flight", async () => {
+    const adapter = fakeAdapter(() => ({ "BTC-USDT": { price: 60000, open24h: 59000, change24h: 0.017, volCcy24h: 1 } }));
+    const service = new MarketDataService({ adapter, streaming: false, restTtlMs: 60 * 1000 });
+    const [a, b] = await Promise.all([service.getMarketPrices(), service.getMarketPrices()]);
+    assert.equal(adapter.calls, 1);
+    assert.equal(a["BTC-USDT"].price, 60000);
+    assert.equal(b["BTC-USDT"].price, 60000);
+    await service.getMarketPrices();
+    assert.equal(adapter.calls, 1);
+
+    const uncached = new MarketDataService({ adapter, streaming: false, restTtlMs: 0 });
+    await uncached.getMarketPrices();
+    await uncached.getMarketPrices();
+    assert.equal(adapter.calls, 3);
+});
+
+test("getMarketPrices returns the REST error only when nothing is cached", async () => {
+    let fail = true;
+    const adapter = fakeAdapter(() => fail ? { error: "down" } : { "BTC-USDT": { price: 60000 } });
+    const service = new MarketDataService({ adapter, streaming: false, restTtlMs: 0 });
+    assert.equal((await service.getMarketPrices()).error, "down");
+    fail = false;
+    await service.getMarketPrices();
+    fail = true;
+    assert.equal((await service.getMarketPrices())["BTC-USDT"].price, 60000);
+});
+
+test("the socket subscribes to watched instruments and streams their tickers", async () => {
+    FakeSocket.instances = [];
+    const service = new MarketDataService({ adapter: fakeAdapter(() => ({})), WebSocketImpl: FakeSocket });
+    service.setWatchList("alerts", ["BTC-USDT", "ETH-USDT"]);
+    service.start();
+    const socket = FakeSocket.instances[0];
+    socket.open();
+    assert.deepEqual(JSON.parse(socket.sent[0]), { op: "subscribe", args: [{ channel: "tickers", instId: "BTC-USDT" }, { channel: "tickers", instId: "ETH-USDT" }] });
+
+    service.setWatchList("alerts", ["BTC-USDT"]);
+    assert.deepEqual(JSON.parse(socket.sent[1]), { op: "unsubscribe", args: [{ channel: "tickers", instId: "ETH-USDT" }] });
+
+    socket.tick("BTC-USDT", 62000, 60000);
+    const tick = service.getPrice("BTC-USDT");
+    assert.equal(tick.price, 62000);
+    assert.ok(Math.abs(tick.change24h - 1 / 30) < 1e-9);
+    assert.equal(tick.source, "stream");
+    service.stop();
+});
+
+test("listeners and extremes follow watched instruments only", () => {
+    const service = new MarketDataService({ adapter: fakeAdapter(() => ({})), streaming: false });
+    service.setWatchList("positions:main", ["BTC-USDT"]);
+    const updates = [];
+    const unsubscribe = service.onPriceUpdate((instId, tick) => updates.push(`${instId}@${tick.price}`));
+    service.takeExtremes("highLow");
+
+    [61000, 61000, 64000, 59000, 62000].forEach(price => service.updatePrice("BTC-USDT", { price }));
+    service.updatePrice("ETH-USDT", { price: 3000 });
+    assert.deepEqual(updates, ["BTC-USDT@61000", "BTC-USDT@64000", "BTC-USDT@59000", "BTC-USDT@62000"]);
+    assert.equal(service.isWatched("BTC-USDT", "positions:main"), true);
+    assert.equal(service.isWatched("BTC-USDT", "alerts"), false);
+
+    const extremes = service.takeExtremes("highLow");
+    assert.deepEqual(extremes.get("BTC-USDT"), { high: 64000, low: 59000 });
+    assert.equal(extremes.has("ETH-USDT"), false);
+    assert.equal(service.takeExtremes("highLow").size, 0);
+
+    unsubscribe();
+    service.updatePrice("BTC-USDT", { price: 65000 });
+    assert.equal(updates.length, 4);
+});
+
+test("a dropped socket reconnects and resubscribes", async (t) => {
+    t.mock.timers.enable({ apis: ["setTimeout", "setInterval"] });
+    FakeSocket.instances = [];
+    const service = new MarketDataService({ adapter: fakeAdapter(() => ({})), WebSocketImpl: FakeSocket });
+    service.setWatchList("virtualTrades", ["SOL-USDT"]);
+    service.start();
+    FakeSocket.instances[0].open();
+    assert.equal(service.connected, true);
+
+    FakeSocket.instances[0].close();
+    assert.equal(service.connected, false);
+    t.mock.timers.tick(1000);
+    assert.equal(FakeSocket.instances.length, 2);
+    FakeSocket.instances[1].open();
+    assert.deepEqual(JSON.parse(FakeSocket.instances[1].sent[0]).args, [{ channel: "tickers", instId: "SOL-USDT" }]);
+
+    service.stop();
+    t.mock.timers.tick(60 * 1000);
+    assert.equal(FakeSocket.instances.length, 2);
+});
@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseQuietHours, isQuietTime, checkMovement } = require("../lib/movements.js");
+
+test("parseQuietHours reads a time range", () => {
+    assert.deepEqual(parseQuietHours("23:00-7:30"), { start: "23:00", end: "07:30" });
+    assert.deepEqual(parseQuietHours("01:00 - 06:00"), { start: "01:00", end: "06:00" });
+    assert.ok(parseQuietHours("23:00").error);
+    assert.ok(parseQuietHours("25:00-07:00").error);
+    assert.ok(parseQuietHours("07:00-07:00").error);
+});
+
+test("isQuietTime handles ranges within a day and past midnight", () => {
+    const night = { start: "23:00", end: "07:00" };
+    assert.equal(isQuietTime(night, 23 * 60), true);
+    assert.equal(isQuietTime(night, 3 * 60), true);
+    assert.equal(isQuietTime(night, 7 * 60), false);
+    assert.equal(isQuietTime(night, 12 * 60), false);
+    assert.equal(isQuietTime({ start: "13:00", end: "15:00" }, 14 * 60), true);
+    assert.equal(isQuietTime({ start: "13:00", end: "15:00" }, 16 * 60), false);
+    assert.equal(isQuietTime(null, 0), false);
+});
+
+test("checkMovement with the last alert baseline moves the reference on each alert", () => {
+    let result = checkMovement(undefined, { baseline: "lastAlert", price: 100, threshold: 5 });
+    assert.deepEqual(result, { state: { reference: 100 }, move: null });
+    result = checkMovement(result.state, { baseline: "lastAlert", price: 104, threshold: 5 });
+    assert.equal(result.move, null);
+    result = checkMovement(result.state, { baseline: "lastAlert", price: 106, threshold: 5 });
+    assert.deepEqual(result.move, { from: 100, price: 106, changePercent: 6 });
+    assert.deepEqual(result.state, { reference: 106 });
+});
+
+test("checkMovement with a fixed baseline alerts once per threshold step", () => {
+    const check = (state, price, reference = 100) => checkMovement(state, { baseline: "open24h", reference, price, threshold: 5 });
+    let result = check(undefined, 103);
+    assert.equal(result.move, null);
+    result = check(result.state, 106);
+    assert.equal(result.move.changePercent, 6);
+    assert.deepEqual(result.state, { reference: 100, level: 1 });
+    result = check(result.state, 108);
+    assert.equal(result.move, null);
+    result = check(result.state, 104);
+    assert.equal(result.move, null);
+    assert.deepEqual(result.state, { reference: 100, level: 0 });
+    result = check(result.state, 105.5);
+    assert.equal(result.move.changePercent, 5.5, "alerts again after coming back within the threshold");
+    result = check(result.state, 111);
+    assert.equal(result.move.changePercent, 11);
+    result = check(result.state, 94);
+    assert.equal(result.move.changePercent, -6);
+    result = check(result.state, 94, 95);
+    assert.equal(result.move, null, "a new baseline starts from its own level");
+    assert.deepEqual(result.state, { reference: 95, level: 0 });
+    assert.equal(checkMovement(undefined, { baseline: "entry", reference: undefined, price: 100, threshold: 5 }).move, null);
+});
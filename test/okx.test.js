@@ -0,0 +1,110 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { OKXAdapter } = require("../exchanges/okx.js");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// An OKX account whose fills history holds the bill ids 1..count, served newest first like the real API.
+function fakeAccount(count) {
+    const adapter = new OKXAdapter({ apiKey: "k", secretKey: "s", passphrase: "p" });
+    adapter.requests = 0;
+    adapter.signedGet = async (path) => {
+        adapter.requests++;
+        const params = new URLSearchParams(path.split("?")[1]);
+        const limit = Number(params.get("limit"));
+        const after = params.get("after") ? Number(params.get("after")) : count + 1;
+        const data = [];
+        for (let id = after - 1; id >= 1 && data.length < limit; id--) {
+            data.push({ billId: String(id), tradeId: String(id), ordId: String(id), instId: "BTC-USDT", side: "buy", fillSz: "1", fillPx: "100", fee: "-0.1", feeCcy: "USDT", ts: String(id) });
+        }
+        return { code: "0", data };
+    };
+    return adapter;
+}
+
+// Runs the monitor loop the way index.js does: process the fills, then store the cursor with the paging state.
+async function catchUp(adapter, cursor, runs, resume = null) {
+    const seen = [];
+    const truncatedRuns = [];
+    for (let run = 0; run < runs; run++) {
+        const result = await adapter.getFills(cursor, resume);
+        assert.equal(result.error, undefined);
+        seen.push(...result.fills.map(f => Number(f.billId)));
+        if (result.truncated) truncatedRuns.push(run);
+        cursor = adapter.advanceFillsCursor(cursor, result.fills);
+        resume = result.resume;
+    }
+    return { seen, cursor, truncatedRuns };
+}
+
+test("getFills reads a short history in one run", async () => {
+    const adapter = fakeAccount(250);
+    const { fills, truncated, resume } = await adapter.getFills("100");
+    assert.equal(truncated, false);
+    assert.equal(resume, null);
+    assert.deepEqual(fills.map(f => Number(f.billId)), Array.from({ length: 150 }, (_, i) => 101 + i));
+    assert.equal(adapter.requests, 2);
+});
+
+test("getFills catches up on a long history over several runs without losing fills", async () => {
+    const first = await fakeAccount(3600).getFills("100");
+    assert.deepEqual(first, { fills: [], truncated: true, resume: "602" });
+    assert.equal(fakeAccount(3600).advanceFillsCursor("100", first.fills), "100");
+
+    // The paging state is stored with the cursor, so a restarted bot goes on where it stopped.
+    const { seen, cursor, truncatedRuns } = await catchUp(fakeAccount(3600), "100", 3, first.resume);
+    assert.deepEqual(seen, Array.from({ length: 3500 }, (_, i) => 101 + i));
+    assert.equal(cursor, "3600");
+    assert.deepEqual(truncatedRuns, [0]);
+});
+
+test("getFills does not get stuck when the backlog ends right at the page limit", async () => {
+    const adapter = fakeAccount(3100);
+    const { seen, cursor } = await catchUp(adapter, "100", 5);
+    assert.deepEqual(seen, Array.from({ length: 3000 }, (_, i) => 101 + i));
+    assert.equal(cursor, "3100");
+});
+
+test("deposits that complete late or share a timestamp are read once", async () => {
+    const adapter = new OKXAdapter({ apiKey: "k", secretKey: "s", passphrase: "p" });
+    const history = { deposit: [], withdrawal: [], bills: [] };
+    adapter.signedGet = async (path) => {
+        const list = path.includes("deposit-history") ? history.deposit : path.includes("withdrawal-history") ? history.withdrawal : history.bills;
+        return { code: "0", data: [...list].sort((a, b) => Number(b.ts) - Number(a.ts)) };
+    };
+    // Only completed deposits are listed, under the time they were created.
+    const deposit = (depId, ts) => history.deposit.push({ depId, ccy: "USDT", amt: "10", ts: String(ts) });
+
+    deposit("d1", 10 * DAY);
+    let cursors = adapter.advanceCashFlowCursors({}, (await adapter.getCashFlows({})).flows);
+    assert.deepEqual(cursors.deposit, { time: 10 * DAY, seen: [["d1", 10 * DAY]] });
+
+    // A second deposit in the same millisecond, a newer one, and one created the day before that completes only now.
+    deposit("d2", 10 * DAY);
+    deposit("d3", 11 * DAY);
+    deposit("d0", 9 * DAY);
+    const { flows } = await adapter.getCashFlows(cursors);
+    assert.deepEqual(flows.map(f => f.id), ["d0", "d2", "d3"]);
+    cursors = adapter.advanceCashFlowCursors(cursors, flows);
+    assert.deepEqual((await adapter.getCashFlows(cursors)).flows, []);
+
+    // Past the lookback window, the ids are no longer kept.
+    deposit("d4", 20 * DAY);
+    cursors = adapter.advanceCashFlowCursors(cursors, (await adapter.getCashFlows(cursors)).flows);
+    assert.deepEqual(cursors.deposit, { time: 20 * DAY, seen: [["d4", 20 * DAY]] });
+});
+
+test("placeProtectionOrders places a single algo order", async () => {
+    const adapter = new OKXAdapter({ apiKey: "k", secretKey: "s", passphrase: "p" });
+    const posted = [];
+    adapter.signedPost = async (path, body) => {
+        posted.push(body);
+        return { code: "0", data: [{ algoId: `a${posted.length}`, sCode: "0" }] };
+    };
+    assert.deepEqual(await adapter.placeProtectionOrders("btc-usdt", 0.01, { takeProfit: 70000, stopLoss: 50000 }), { orderIds: ["a1"] });
+    assert.deepEqual(await adapter.placeProtectionOrders("btc-usdt", 0.01, { trailingPercent: 3 }), { orderIds: ["a2"] });
+    assert.deepEqual(posted.map(b => [b.instId, b.ordType, b.sz, b.tpTriggerPx, b.slTriggerPx, b.callbackRatio]), [
+        ["BTC-USDT", "oco", "0.01", "70000", "50000", undefined],
+        ["BTC-USDT", "move_order_stop", "0.01", undefined, undefined, "0.03"],
+    ]);
+});
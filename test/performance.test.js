@@ -0,0 +1,112 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    calculatePerformanceStats,
+    calculateMoneyWeightedReturn,
+    calculateDrawdown,
+    getFlowAdjustedReturns,
+    parseCustomPerformanceRange,
+    resolvePerformancePeriod,
+    calculateAssetContributions,
+} = require("../lib/performance.js");
+
+const DAY = 24 * 60 * 60 * 1000;
+const series = (...totals) => totals.map((total, i) => ({ time: i * DAY, total }));
+
+test("calculatePerformanceStats needs two snapshots", () => {
+    assert.equal(calculatePerformanceStats(series(100)), null);
+});
+
+test("external capital flows are excluded from P&L and time-weighted return", () => {
+    const history = series(1000, 1100, 1650);
+    const cashFlows = [{ time: new Date(1.5 * DAY), usdValue: 500, affectsCapital: true }, { time: new Date(1.5 * DAY), usdValue: 900, affectsCapital: false }];
+    const stats = calculatePerformanceStats(history, cashFlows);
+    assert.equal(stats.netFlows, 500);
+    assert.equal(stats.pnl, 150);
+    assert.ok(Math.abs(stats.twrPercent - 15) < 1e-9);
+    assert.ok(stats.pnlPercent > 0 && stats.pnlPercent < 15);
+});
+
+test("a zero starting value does not produce NaN or Infinity", () => {
+    const stats = calculatePerformanceStats(series(0, 100, 120));
+    assert.equal(stats.pnlPercent, 0);
+    assert.equal(stats.mwrPercent, null);
+    for (const key of ["pnl", "twrPercent", "bestDayChange", "worstDayChange", "volatility"]) {
+        assert.ok(Number.isFinite(stats[key]), `${key} should be finite`);
+    }
+});
+
+test("getFlowAdjustedReturns skips periods starting from zero", () => {
+    const returns = getFlowAdjustedReturns(series(0, 100, 110));
+    assert.equal(returns.length, 1);
+    assert.ok(Math.abs(returns[0].value - 0.1) < 1e-12);
+});
+
+// Snapshots compounding the given returns, each spanning `days` days.
+const compounded = (steps) => steps.reduce((history, { days, value }) => {
+    const last = history[history.length - 1];
+    return [...history, { time: last.time + days * DAY, total: last.total * (1 + value) }];
+}, [{ time: 0, total: 1000 }]);
+
+test("Sharpe and Sortino of evenly spaced daily snapshots are annualized over 365 periods", () => {
+    const values = [0.03, -0.01, 0.02, -0.02, 0.01];
+    const { sharpe, sortino } = calculatePerformanceStats(compounded(values.map(value => ({ days: 1, value }))));
+    const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+    const stdev = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1));
+    const downside = Math.sqrt(values.reduce((sum, v) => sum + Math.min(v, 0) ** 2, 0) / values.length);
+    assert.ok(Math.abs(sharpe - mean / stdev * Math.sqrt(365)) < 1e-9);
+    assert.ok(Math.abs(sortino - mean / downside * Math.sqrt(365)) < 1e-9);
+});
+
+test("a range mixing weekly and daily snapshots is measured on one time scale", () => {
+    // Weekly returns with the same drift and volatility per day as the daily ones: 7 times the mean, sqrt(7) times the spread.
+    const mean = 0.01, spread = 0.02;
+    const daily = [mean + spread, mean - spread, mean + spread, mean - spread];
+    const weekly = daily.map(v => 7 * mean + Math.sqrt(7) * (v - mean));
+    const mixed = calculatePerformanceStats(compounded([...weekly.map(value => ({ days: 7, value })), ...daily.map(value => ({ days: 1, value }))]));
+    const allDaily = calculatePerformanceStats(compounded([...daily, ...daily].map(value => ({ days: 1, value }))));
+    assert.ok(Math.abs(mixed.sharpe - allDaily.sharpe) < 1e-9);
+});
+
+test("calculateMoneyWeightedReturn matches the simple return without flows", () => {
+    const mwr = calculateMoneyWeightedReturn([{ time: 0, total: 100 }, { time: 365 * DAY, total: 110 }]);
+    assert.ok(Math.abs(mwr.periodReturn - 0.1) < 1e-6);
+    assert.ok(Math.abs(mwr.annualized - 0.1) < 1e-6);
+});
+
+test("calculateMoneyWeightedReturn is not annualized for short periods", () => {
+    const mwr = calculateMoneyWeightedReturn(series(100, 105));
+    assert.ok(Math.abs(mwr.periodReturn - 0.05) < 1e-6);
+    assert.equal(mwr.annualized, null);
+});
+
+test("calculateDrawdown reports the deepest fall and its recovery", () => {
+    const history = series(100, 120, 90, 130);
+    const drawdown = calculateDrawdown(history, getFlowAdjustedReturns(history));
+    assert.ok(Math.abs(drawdown.maxDrawdown - 25) < 1e-9);
+    assert.equal(drawdown.peakTime, 1 * DAY);
+    assert.equal(drawdown.troughTime, 2 * DAY);
+    assert.equal(drawdown.recoveryMs, DAY);
+});
+
+test("parseCustomPerformanceRange accepts YYYY-MM-DD..YYYY-MM-DD only", () => {
+    const range = parseCustomPerformanceRange("2024-01-01..2024-06-30");
+    assert.equal(range.from.toISOString(), "2024-01-01T00:00:00.000Z");
+    assert.equal(range.to.toISOString(), "2024-06-30T23:59:59.000Z");
+    assert.equal(parseCustomPerformanceRange("2024-06-30..2024-01-01"), null);
+    assert.equal(parseCustomPerformanceRange("last week"), null);
+});
+
+test("resolvePerformancePeriod uses hourly snapshots for 24h only", () => {
+    assert.deepEqual(resolvePerformancePeriod("24h").granularities, ["hourly"]);
+    assert.deepEqual(resolvePerformancePeriod("30d").granularities, ["daily", "weekly"]);
+    assert.equal(resolvePerformancePeriod("5y"), null);
+});
+
+test("calculateAssetContributions attributes price moves to held amounts", () => {
+    const snapshots = [
+        { time: 0, assets: [{ asset: "BTC", amount: 2, price: 100 }, { asset: "USDT", amount: 50, price: 1 }] },
+        { time: DAY, assets: [{ asset: "BTC", amount: 2, price: 110 }, { asset: "ETH", amount: 1, price: 10 }] },
+    ];
+    assert.deepEqual(calculateAssetContributions(snapshots), [{ asset: "BTC", pnl: 20 }]);
+});
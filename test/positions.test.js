@@ -0,0 +1,141 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { aggregateFillsByOrder, applyExecution, expectedBalances, findUnexplainedBalanceChanges, mergePositions, mergePortfolios } = require("../lib/positions.js");
+
+const T0 = Date.parse("2024-03-01T00:00:00Z");
+const DAY = 24 * 60 * 60 * 1000;
+let billId = 0;
+const fill = (side, size, price, fee, options = {}) => ({ billId: String(++billId), ordId: options.ordId || `o${billId}`, instId: "BTC-USDT", side, size, price, fee, feeCcy: options.feeCcy || "USDT", time: options.time || T0 });
+const execute = (positions, fills, oldTotalValue = 1000, newTotalAmount) => {
+    const [execution] = aggregateFillsByOrder(fills);
+    return applyExecution(positions, execution, oldTotalValue, newTotalAmount);
+};
+
+test("aggregateFillsByOrder merges the fills of one order at their VWAP", () => {
+    const executions = aggregateFillsByOrder([
+        fill("buy", 1, 100, 0.001, { ordId: "a", feeCcy: "BTC" }),
+        fill("buy", 3, 200, 0.003, { ordId: "a", feeCcy: "BTC" }),
+        fill("sell", 1, 210, 0.21, { ordId: "b" }),
+    ]);
+    assert.equal(executions.length, 2);
+    const [buy, sell] = executions;
+    assert.equal(buy.fillCount, 2);
+    assert.equal(buy.price, 175);
+    assert.ok(Math.abs(buy.amountChange - 3.996) < 1e-12);
+    assert.ok(Math.abs(buy.feeUsd - 0.7) < 1e-12);
+    assert.equal(sell.amountChange, -1);
+    assert.equal(sell.quoteFee, 0.21);
+});
+
+test("aggregateFillsByOrder ignores non-USDT instruments", () => {
+    assert.equal(aggregateFillsByOrder([{ ...fill("buy", 1, 1, 0), instId: "ETH-BTC" }]).length, 0);
+});
+
+test("multiple buys are averaged including quote fees", () => {
+    const positions = {};
+    assert.equal(execute(positions, [fill("buy", 1, 100, 0.1)]).analysisResult.type, "buy");
+    const { analysisResult } = execute(positions, [fill("buy", 1, 200, 0.2, { time: T0 + DAY })]);
+    assert.equal(analysisResult.type, "buy");
+    const position = positions.BTC;
+    assert.equal(position.totalAmountBought, 2);
+    assert.ok(Math.abs(position.totalCost - 300.3) < 1e-9);
+    assert.ok(Math.abs(position.avgBuyPrice - 150.15) < 1e-9);
+    assert.ok(Math.abs(position.totalFees - 0.3) < 1e-9);
+    assert.equal(position.openDate, new Date(T0).toISOString());
+    assert.equal(position.highestPrice, 200);
+    assert.equal(position.lowestPrice, 100);
+});
+
+test("a partial sell realizes value and keeps the position open", () => {
+    const positions = {};
+    execute(positions, [fill("buy", 2, 100, 0)]);
+    const { analysisResult, closedTrade } = execute(positions, [fill("sell", 0.5, 120, 0.06)], 1000, 1.5);
+    assert.equal(analysisResult.type, "sell");
+    assert.equal(closedTrade, null);
+    assert.equal(positions.BTC.totalAmountSold, 0.5);
+    assert.ok(Math.abs(positions.BTC.realizedValue - 59.94) < 1e-9);
+    assert.equal(analysisResult.data.position, positions.BTC);
+});
+
+test("a sell leaving less than $1 closes the position", () => {
+    const positions = {};
+    execute(positions, [fill("buy", 1, 100, 0, { time: T0 })]);
+    const { analysisResult, closedTrade } = execute(positions, [fill("sell", 0.995, 110, 0, { time: T0 + 2 * DAY })], 1000, 0.005);
+    assert.equal(analysisResult.type, "close");
+    assert.equal(positions.BTC, undefined);
+    assert.ok(Math.abs(closedTrade.pnl - (0.995 * 110 - 100)) < 1e-9);
+    assert.equal(closedTrade.durationDays, 2);
+    assert.equal(closedTrade.quantity, 1);
+    assert.equal(closedTrade.closedAt.getTime(), T0 + 2 * DAY);
+    assert.equal(analysisResult.data.asset, "BTC");
+});
+
+test("a sell leaving $1 or more is not a close", () => {
+    const positions = {};
+    execute(positions, [fill("buy", 1, 100, 0)]);
+    assert.equal(execute(positions, [fill("sell", 0.99, 100, 0)], 1000, 0.01).analysisResult.type, "sell");
+});
+
+test("the live balance caps the remaining amount, e.g. after an untracked withdrawal", () => {
+    const positions = {};
+    execute(positions, [fill("buy", 1, 100, 0)]);
+    const { analysisResult } = execute(positions, [fill("sell", 0.5, 100, 0)], 1000, 0);
+    assert.equal(analysisResult.type, "close");
+});
+
+test("sells without a tracked position are ignored", () => {
+    const positions = {};
+    const { analysisResult } = execute(positions, [fill("sell", 1, 100, 0)]);
+    assert.equal(analysisResult.type, "none");
+    assert.deepEqual(positions, {});
+});
+
+test("executions without a valid price are rejected", () => {
+    const positions = {};
+    const { analysisResult } = applyExecution(positions, { asset: "BTC", side: "buy", price: 0 }, 1000);
+    assert.equal(analysisResult, null);
+});
+
+test("a zero previous portfolio value gives a 0% entry size instead of Infinity", () => {
+    const positions = {};
+    execute(positions, [fill("buy", 1, 100, 0)], 0);
+    assert.equal(positions.BTC.entryCapitalPercent, 0);
+});
+
+test("findUnexplainedBalanceChanges flags only what trades and flows do not explain", () => {
+    const executions = aggregateFillsByOrder([fill("buy", 1, 100, 0.1)]);
+    const previous = { USDT: 1000 };
+    const current = { USDT: 899.9 + 50, BTC: 1, DOGE: 100 };
+    const cashFlows = [{ ccy: "USDT", amount: 50, affectsCapital: true }];
+    const prices = { "BTC-USDT": { price: 100 }, "DOGE-USDT": { price: 0.1 } };
+    assert.deepEqual(findUnexplainedBalanceChanges(previous, current, executions, cashFlows, prices), [{ asset: "DOGE", amount: 100, value: 10 }]);
+});
+
+test("expectedBalances applies the executions and the transfers to the previous balances", () => {
+    const executions = aggregateFillsByOrder([fill("buy", 1, 100, 0.1)]);
+    const cashFlows = [{ ccy: "USDT", amount: 50, affectsCapital: true }, { ccy: "ETH", amount: 2, affectsCapital: false }];
+    assert.deepEqual(expectedBalances({ USDT: 1000, SOL: 3 }, executions, cashFlows), { USDT: 949.9, SOL: 3, BTC: 1 });
+});
+
+test("mergePositions combines accounts at the weighted average cost", () => {
+    const merged = mergePositions([
+        { BTC: { totalAmountBought: 1, totalCost: 100, avgBuyPrice: 100, totalAmountSold: 0, openDate: "2024-02-01T00:00:00.000Z", highestPrice: 120, lowestPrice: 90 } },
+        { BTC: { totalAmountBought: 3, totalCost: 600, avgBuyPrice: 200, totalAmountSold: 1, openDate: "2024-01-01T00:00:00.000Z", highestPrice: 210, lowestPrice: 150 } },
+    ]);
+    assert.equal(merged.BTC.avgBuyPrice, 175);
+    assert.equal(merged.BTC.totalAmountSold, 1);
+    assert.equal(merged.BTC.openDate, "2024-01-01T00:00:00.000Z");
+    assert.equal(merged.BTC.highestPrice, 210);
+    assert.equal(merged.BTC.lowestPrice, 90);
+});
+
+test("mergePortfolios sums values asset by asset", () => {
+    const merged = mergePortfolios([
+        { total: 300, usdtValue: 100, assets: [{ asset: "BTC", amount: 2, value: 200, price: 100 }, { asset: "USDT", amount: 100, value: 100, price: 1 }] },
+        { total: 220, usdtValue: 0, assets: [{ asset: "BTC", amount: 2, value: 220, price: 110 }] },
+    ]);
+    assert.equal(merged.total, 520);
+    assert.equal(merged.usdtValue, 100);
+    assert.deepEqual(merged.assets.map(a => a.asset), ["BTC", "USDT"]);
+    assert.equal(merged.assets[0].price, 105);
+});
@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseProtectionLevels, evaluateProtection, triggerPriceOf } = require("../lib/protection.js");
+
+test("parseProtectionLevels reads prices, percentages of the average buy price and blanks", () => {
+    assert.deepEqual(parseProtectionLevels("70000 55000 5", 60000, 61000), { takeProfit: 70000, stopLoss: 55000, trailingPercent: 5 });
+    const relative = parseProtectionLevels("+10% -5% -", 60000, 61000);
+    assert.ok(Math.abs(relative.takeProfit - 66000) < 1e-6);
+    assert.ok(Math.abs(relative.stopLoss - 57000) < 1e-6);
+    assert.equal(relative.trailingPercent, null);
+    assert.deepEqual(parseProtectionLevels("- 0 3%", 60000, 61000), { takeProfit: null, stopLoss: null, trailingPercent: 3 });
+});
+
+test("parseProtectionLevels refuses levels on the wrong side of the market", () => {
+    assert.ok(parseProtectionLevels("60000 55000 -", 60000, 61000).error);
+    assert.ok(parseProtectionLevels("70000 62000 -", 60000, 61000).error);
+    assert.ok(parseProtectionLevels("- - -", 60000, 61000).error);
+    assert.ok(parseProtectionLevels("70000 55000", 60000, 61000).error);
+    assert.ok(parseProtectionLevels("abc 55000 -", 60000, 61000).error);
+    assert.ok(parseProtectionLevels("- - 100", 60000, 61000).error);
+});
+
+test("parseProtectionLevels refuses values that are not whole numbers", () => {
+    assert.ok(parseProtectionLevels("70000 - abc", 60000, 61000).error);
+    assert.ok(parseProtectionLevels("70000 - 5x", 60000, 61000).error);
+    assert.ok(parseProtectionLevels("70000 - 5%%", 60000, 61000).error);
+    assert.ok(parseProtectionLevels("70000x - -", 60000, 61000).error);
+    assert.deepEqual(parseProtectionLevels("70000 - 0", 60000, 61000), { takeProfit: 70000, stopLoss: null, trailingPercent: null });
+});
+
+test("evaluateProtection ratchets the trailing stop up only", () => {
+    let { protection, changed, triggered } = evaluateProtection({ trailingPercent: 10 }, 100);
+    assert.equal(protection.trailingStop, 90);
+    assert.equal(changed, true);
+    assert.equal(triggered, null);
+
+    ({ protection, changed } = evaluateProtection(protection, 120));
+    assert.equal(protection.trailingHigh, 120);
+    assert.equal(protection.trailingStop, 108);
+
+    ({ protection, changed, triggered } = evaluateProtection(protection, 110));
+    assert.equal(protection.trailingStop, 108);
+    assert.equal(changed, false);
+    assert.equal(triggered, null);
+
+    ({ triggered } = evaluateProtection(protection, 107));
+    assert.equal(triggered, "trailing");
+    assert.equal(triggerPriceOf(protection, "trailing"), 108);
+});
+
+test("evaluateProtection fires take profit and stop loss", () => {
+    const protection = { takeProfit: 120, stopLoss: 90, trailingPercent: null };
+    assert.equal(evaluateProtection(protection, 100).triggered, null);
+    assert.equal(evaluateProtection(protection, 125).triggered, "takeProfit");
+    assert.equal(evaluateProtection(protection, 90).triggered, "stopLoss");
+    assert.equal(triggerPriceOf(protection, "stopLoss"), 90);
+});
@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_PUBLISHING_TARGET, DEFAULT_TEMPLATES, TEMPLATE_SLOTS, renderTemplate, checkTemplate, templateFor, acceptsPublication, parseTargetOptions } = require("../lib/publishing.js");
+const { formatPublicBuy, formatPublicDailyReport } = require("../lib/formatters.js");
+
+const target = (options = {}) => ({ ...DEFAULT_PUBLISHING_TARGET, id: "t", name: "Test", chatId: "-100", ...options });
+
+test("renderTemplate fills placeholders, conditional sections and lists", () => {
+    const template = "{{title}}\n{{#items}}- {{name}}{{#note}} ({{note}}){{/note}}\n{{/items}}{{^items}}nothing\n{{/items}}{{#flag}}on{{/flag}}{{^flag}}off{{/flag}}";
+    assert.equal(renderTemplate(template, { title: "T", items: [{ name: "a", note: "x" }, { name: "b" }], flag: true }), "T\n- a (x)\n- b\non");
+    assert.equal(renderTemplate(template, { title: "T", items: [], flag: false }), "T\nnothing\noff");
+    assert.equal(renderTemplate("{{missing}}!", {}), "!");
+});
+
+test("checkTemplate rejects unknown placeholders and unbalanced sections", () => {
+    TEMPLATE_SLOTS.forEach(slot => Object.values(DEFAULT_TEMPLATES).forEach(templates => assert.deepEqual(checkTemplate(templates[slot], slot), {}, `${slot} default`)));
+    assert.match(checkTemplate("{{asset}} {{pnlPercent}}", "buy").error, /{{pnlPercent}}/);
+    assert.ok(checkTemplate("{{#showSize}}{{sizePercent}}", "buy").error);
+    assert.ok(checkTemplate("{{#showSize}}{{#hashtags}}{{/showSize}}{{/hashtags}}", "buy").error);
+});
+
+test("templates fall back to the target's language, then Arabic", () => {
+    assert.equal(templateFor(target({ language: "en" }), "buy"), DEFAULT_TEMPLATES.en.buy);
+    assert.equal(templateFor(target({ language: "en", templates: { buy: "custom" } }), "buy"), "custom");
+    assert.equal(templateFor(target({ language: "fr" }), "close"), DEFAULT_TEMPLATES.ar.close);
+});
+
+test("acceptsPublication applies the kinds and the minimum trade size", () => {
+    assert.equal(acceptsPublication(target(), "buy", null), true);
+    assert.equal(acceptsPublication(target({ enabled: false }), "buy", 50), false);
+    assert.equal(acceptsPublication(target({ kinds: ["close"] }), "buy", 50), false);
+    assert.equal(acceptsPublication(target({ minTradePercent: 5 }), "sell", 4.9), false);
+    assert.equal(acceptsPublication(target({ minTradePercent: 5 }), "close", 5), true);
+    assert.equal(acceptsPublication(target({ minTradePercent: 5 }), "buy", null), false);
+    assert.equal(acceptsPublication(target({ minTradePercent: 5 }), "daily_report", null), true);
+});
+
+test("parseTargetOptions reads every option and rejects invalid ones", () => {
+    assert.deepEqual(parseTargetOptions("name VIP Club\nchat -1001234\nmin 5\ndelay 30\ntags #vip #btc\nkinds close BUY report").updates, {
+        name: "VIP Club", chatId: "-1001234", minTradePercent: 5, delayMinutes: 30, hashtags: "#vip #btc", kinds: ["buy", "close", "daily_report"],
+    });
+    assert.deepEqual(parseTargetOptions("tags -\nchat @my_channel").updates, { hashtags: "", chatId: "@my_channel" });
+    ["chat abc", "min 120", "delay -1", "tags vip", "kinds buy hold", "color red", ""].forEach(text => assert.ok(parseTargetOptions(text).error, text));
+});
+
+test("public posts follow the target's size, hashtags and footer", () => {
+    const details = { asset: "SOL", price: 100, oldTotalValue: 10000, tradeValue: 1000, oldUsdtValue: 10000, newCashPercent: 90 };
+    assert.match(formatPublicBuy(details), /تم تخصيص `10.00%`/);
+    const hidden = formatPublicBuy(details, target({ hideSize: true, hashtags: "#vip" }));
+    assert.doesNotMatch(hidden, /10.00%/);
+    assert.ok(hidden.endsWith("#توصية #SOL #vip"));
+
+    const trades = [{ asset: "SOL", pnlPercent: 10, entryCapitalPercent: 10, avgBuyPrice: 100, avgSellPrice: 110, exitQuantityPercent: 100 }, { asset: "ADA", pnlPercent: -4, entryCapitalPercent: 30, avgBuyPrice: 1, avgSellPrice: 0.96, exitQuantityPercent: 100 }];
+    const report = formatPublicDailyReport(trades, target({ language: "en", templates: { footer: "t.me/example" } }), new Date(2024, 3, 5));
+    assert.match(report, /🗓 Date: 05\/04\/2024/);
+    assert.match(report, /Total result of the copy-trading service: -0.50% 📉/);
+    assert.ok(report.endsWith("open to everyone\n\nt.me/example"));
+    assert.ok(formatPublicDailyReport(trades, target()).endsWith("الخدمة مفتوحة للجميع"));
+});
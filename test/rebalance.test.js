@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_REBALANCE_SETTINGS, parseRebalanceTargets, calculateAllocation, buildRebalancePlan, checkDrift } = require("../lib/rebalance.js");
+
+const settings = (targets, band = 5) => ({ ...DEFAULT_REBALANCE_SETTINGS, targets, band });
+const rules = { minSize: 0.001, lotSize: 0.001, takerFeeRate: 0.001 };
+
+test("parseRebalanceTargets reads weights, bands and the default band", () => {
+    const parsed = parseRebalanceTargets("btc 50\nETH-USDT 30 8%\nUSDT 20\nband 4");
+    assert.deepEqual(parsed.targets, { BTC: { weight: 50, band: null }, ETH: { weight: 30, band: 8 }, USDT: { weight: 20, band: null } });
+    assert.equal(parsed.band, 4);
+    assert.equal(parseRebalanceTargets("BTC 60, USDT 40", 3).band, 3);
+});
+
+test("parseRebalanceTargets rejects invalid targets", () => {
+    assert.ok(parseRebalanceTargets("BTC 50\nETH 30").error, "weights must add up to 100");
+    assert.ok(parseRebalanceTargets("BTC 50\nBTC 50").error);
+    assert.ok(parseRebalanceTargets("BTC fifty\nUSDT 50").error);
+    assert.ok(parseRebalanceTargets("BTC 100 0").error);
+    assert.ok(parseRebalanceTargets("BTC 100\nband 120").error);
+    assert.ok(parseRebalanceTargets("").error);
+});
+
+test("calculateAllocation compares holdings with their targets", () => {
+    const assets = [{ asset: "BTC", value: 700, price: 100 }, { asset: "USDT", value: 250, price: 1 }, { asset: "DOGE", value: 50, price: 0.1 }, { asset: "SHIB", value: 0.5, price: 0.00001 }];
+    const rows = calculateAllocation(assets, 1000, settings({ BTC: { weight: 50, band: null }, ETH: { weight: 30, band: 10 }, USDT: { weight: 20, band: null } }));
+    assert.deepEqual(rows.map(r => [r.asset, r.weight, r.target, r.band, r.outside]), [
+        ["BTC", 70, 50, 5, true],
+        ["ETH", 0, 30, 10, true],
+        ["USDT", 25, 20, 5, false],
+        ["DOGE", 5, 0, 5, false],
+    ]);
+    assert.equal(rows[0].drift, 20);
+});
+
+test("buildRebalancePlan sells first, rounds to lots and skips amounts below the minimum", () => {
+    const rows = calculateAllocation([{ asset: "BTC", value: 700, price: 100 }, { asset: "USDT", value: 300, price: 1 }], 1000, settings({ BTC: { weight: 49.99, band: null }, ETH: { weight: 30, band: null }, USDT: { weight: 20.01, band: null } }));
+    const plan = buildRebalancePlan(rows, 1000, { BTC: 100, ETH: 50 }, { BTC: rules, ETH: rules });
+    assert.deepEqual(plan.orders.map(o => [o.asset, o.side, o.size]), [["BTC", "sell", 2.001], ["ETH", "buy", 300]]);
+    assert.ok(Math.abs(plan.cashAfter - (300 + 200.1 * 0.999 - 300 * 1.001)) < 1e-9);
+    const small = buildRebalancePlan(rows, 1000, { BTC: 100, ETH: 50 }, { BTC: { ...rules, minSize: 5 }, ETH: { ...rules, minSize: 10 } });
+    assert.deepEqual(small.orders, []);
+    assert.deepEqual(small.skipped.map(s => [s.asset, s.side]), [["BTC", "sell"], ["ETH", "buy"]]);
+});
+
+test("buildRebalancePlan scales the buys down to the cash available", () => {
+    const rows = calculateAllocation([{ asset: "USDT", value: 1000, price: 1 }], 1000, settings({ BTC: { weight: 60, band: null }, ETH: { weight: 40, band: null } }));
+    const plan = buildRebalancePlan(rows, 1000, { BTC: 100, ETH: 50 }, { BTC: rules, ETH: rules });
+    assert.deepEqual(plan.orders.map(o => [o.asset, o.size]), [["BTC", 599.4], ["ETH", 399.6]]);
+    assert.ok(plan.orders.reduce((sum, o) => sum + o.size * 1.001, 0) <= 1000);
+});
+
+test("checkDrift alerts once per excursion outside the band", () => {
+    const rows = [{ asset: "BTC", outside: true }, { asset: "ETH", outside: false }];
+    const first = checkDrift(rows);
+    assert.deepEqual(first.alerts.map(r => r.asset), ["BTC"]);
+    assert.deepEqual(checkDrift(rows, first.outside).alerts, []);
+    const back = checkDrift([{ asset: "BTC", outside: false }], first.outside);
+    assert.deepEqual(back.outside, {});
+    assert.equal(checkDrift(rows, back.outside).alerts.length, 1);
+});
@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { dailyReturns, alignReturns, calculateCorrelation, calculateBeta, calculateConcentration, calculateHistoricalVaR, calculateParametricVaR, analyzeRisk } = require("../lib/risk.js");
+
+const DAY = 24 * 60 * 60 * 1000;
+// Daily candles whose closes follow the given returns, starting at 100.
+function candlesFrom(returns, start = 0) {
+    const candles = [{ time: start, close: 100 }];
+    returns.forEach((r, i) => candles.push({ time: start + (i + 1) * DAY, close: candles[i].close * (1 + r) }));
+    return candles;
+}
+const wave = Array.from({ length: 40 }, (_, i) => (i % 4 === 0 ? -0.03 : 0.01) + (i % 7) * 0.002);
+
+test("dailyReturns and alignReturns", () => {
+    const returns = dailyReturns([{ time: DAY, close: 110 }, { time: 0, close: 100 }]);
+    assert.ok(Math.abs(returns.get(DAY) - 0.1) < 1e-12);
+    const aligned = alignReturns({ BTC: candlesFrom(wave), ETH: candlesFrom(wave.slice(5), 5 * DAY), NEW: candlesFrom([0.1, 0.2]) });
+    assert.equal(aligned.times.length, 35);
+    assert.deepEqual(aligned.proxied, ["NEW"]);
+    assert.deepEqual(aligned.returns.NEW, aligned.returns.BTC);
+    assert.ok(alignReturns({ BTC: candlesFrom([0.01]) }).error);
+});
+
+test("calculateCorrelation and calculateBeta", () => {
+    const doubled = wave.map(r => r * 2);
+    assert.ok(Math.abs(calculateCorrelation(wave, doubled) - 1) < 1e-12);
+    assert.ok(Math.abs(calculateCorrelation(wave, wave.map(r => -r)) + 1) < 1e-12);
+    assert.ok(Math.abs(calculateBeta(doubled, wave) - 2) < 1e-12);
+    assert.equal(calculateBeta(wave, wave.map(() => 0.01)), 0);
+});
+
+test("calculateConcentration", () => {
+    const concentration = calculateConcentration([{ asset: "BTC", value: 600 }, { asset: "ETH", value: 200 }, { asset: "USDT", value: 200 }], 1000);
+    assert.deepEqual(concentration.largest, { asset: "BTC", percent: 60 });
+    assert.equal(concentration.cashPercent, 20);
+    assert.equal(concentration.hhi, 0.625);
+    assert.equal(concentration.effectivePositions, 1.6);
+    assert.equal(concentration.level, "high");
+});
+
+test("historical and parametric VaR", () => {
+    const returns = Array.from({ length: 100 }, (_, i) => (i - 50) / 1000);
+    const historical = calculateHistoricalVaR(returns, 0.95);
+    assert.ok(Math.abs(historical.var - 0.046) < 1e-12);
+    assert.ok(Math.abs(historical.cvar - 0.048) < 1e-12);
+    const parametric = calculateParametricVaR([0.01, -0.01, 0.01, -0.01], 0.95);
+    const sigma = Math.sqrt(4 * 0.0001 / 3);
+    assert.ok(Math.abs(parametric.var - 1.6449 * sigma) < 1e-12);
+    assert.ok(parametric.cvar > parametric.var);
+});
+
+test("analyzeRisk combines the figures and stresses the portfolio through beta", () => {
+    const assets = [{ asset: "BTC", value: 500 }, { asset: "ETH", value: 300 }, { asset: "NEW", value: 100 }, { asset: "USDT", value: 100 }];
+    const report = analyzeRisk(assets, 1000, { BTC: candlesFrom(wave), ETH: candlesFrom(wave.map(r => r * 1.5)), NEW: [] });
+    assert.equal(report.days, 40);
+    assert.deepEqual(report.proxied, ["NEW"]);
+    assert.deepEqual(report.betas.map(b => [b.asset, Math.round(b.beta * 100) / 100]), [["BTC", 1], ["ETH", 1.5], ["NEW", 1]]);
+    assert.ok(Math.abs(report.portfolioBeta - 1.05) < 1e-9);
+    assert.deepEqual(report.correlation.assets, ["BTC", "ETH"]);
+    assert.ok(Math.abs(report.correlation.matrix[0][1] - 1) < 1e-9);
+    const stress = report.stress.find(s => s.move === -20);
+    assert.ok(Math.abs(stress.usd + 210) < 1e-9);
+    assert.equal(stress.impacts[0].asset, "BTC");
+    assert.ok(report.historical.usd > 0 && report.parametric.cvarUsd > report.parametric.usd);
+    assert.ok(analyzeRisk([], 0, {}).error);
+});
@@ -0,0 +1,21 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { execFile } = require("child_process");
+
+// Every scenario under scenarios/ runs end to end against the simulator and the in-memory database.
+const scenariosDir = path.join(__dirname, "..", "scenarios");
+const scenarioFiles = fs.readdirSync(scenariosDir).filter(f => f.endsWith(".json"));
+
+for (const file of scenarioFiles) {
+    test(`scenario ${file}`, async () => {
+        const { code, output } = await new Promise(resolve => {
+            execFile(process.execPath, [path.join(scenariosDir, "run.js"), path.join(scenariosDir, file)], { timeout: 60 * 1000 }, (error, stdout, stderr) => {
+                resolve({ code: error ? error.code : 0, output: stdout + stderr });
+            });
+        });
+        assert.equal(code, 0, output);
+        assert.match(output, /Scenario passed\./);
+    });
+}
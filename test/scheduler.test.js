@@ -0,0 +1,77 @@
+process.env.MONGO_URI = "memory://";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { connectDB, getDB } = require("../database.js");
+const { scheduleJob, startScheduler, stopScheduler, getLastSlot, getNextRun } = require("../scheduler.js");
+
+const at = (iso) => new Date(iso);
+
+// Cairo is UTC+2 in winter. In 2024 its clocks went from 00:00 to 01:00 on April 26 and from 24:00 back to 23:00
+// on October 31.
+test("getLastSlot finds the latest wall-clock slot at or before now", () => {
+    const now = at("2024-03-14T10:15:00Z"); // Thursday 12:15 in Cairo
+    assert.deepEqual(getLastSlot({ hourly: 0 }, now), at("2024-03-14T10:00:00Z"));
+    assert.deepEqual(getLastSlot({ hourly: 30 }, now), at("2024-03-14T09:30:00Z"));
+    assert.deepEqual(getLastSlot({ daily: "12:15" }, now), now);
+    assert.deepEqual(getLastSlot({ daily: "23:00" }, now), at("2024-03-13T21:00:00Z"));
+    assert.deepEqual(getLastSlot({ weekly: { day: 1, time: "09:00" } }, now), at("2024-03-11T07:00:00Z"));
+    assert.deepEqual(getLastSlot({ weekly: { day: 4, time: "13:00" } }, now), at("2024-03-07T11:00:00Z"));
+    assert.equal(getLastSlot({ daily: "25:00" }, now), null);
+});
+
+test("getNextRun follows polling and wall-clock schedules", () => {
+    const now = at("2024-03-14T10:15:00Z");
+    assert.deepEqual(getNextRun({ every: 60 * 1000 }, { lastRunAt: at("2024-03-14T10:14:30Z") }, now), at("2024-03-14T10:15:30Z"));
+    assert.deepEqual(getNextRun({ every: 60 * 1000 }, { lastRunAt: at("2024-03-14T09:00:00Z") }, now), now);
+    assert.deepEqual(getNextRun({ every: 60 * 1000 }, null, now), now);
+    assert.deepEqual(getNextRun({ hourly: 5 }, {}, now), at("2024-03-14T11:05:00Z"));
+    assert.deepEqual(getNextRun({ daily: "09:00" }, {}, now), at("2024-03-15T07:00:00Z"));
+    assert.deepEqual(getNextRun({ weekly: { day: 0, time: "10:00" } }, {}, now), at("2024-03-17T08:00:00Z"));
+});
+
+test("a daily slot keeps its wall-clock time across the spring DST change", () => {
+    assert.deepEqual(getLastSlot({ daily: "09:00" }, at("2024-04-25T10:00:00Z")), at("2024-04-25T07:00:00Z"));
+    assert.deepEqual(getNextRun({ daily: "09:00" }, {}, at("2024-04-25T10:00:00Z")), at("2024-04-26T06:00:00Z"));
+    // 00:30 does not exist on April 26: that day's run comes at 01:30, the next at 00:30 again.
+    assert.deepEqual(getNextRun({ daily: "00:30" }, {}, at("2024-04-25T21:00:00Z")), at("2024-04-25T22:30:00Z"));
+    assert.deepEqual(getLastSlot({ daily: "00:30" }, at("2024-04-25T22:10:00Z")), at("2024-04-24T22:30:00Z"));
+    assert.deepEqual(getNextRun({ daily: "00:30" }, {}, at("2024-04-25T22:30:00Z")), at("2024-04-26T21:30:00Z"));
+});
+
+test("hourly slots stay an hour apart through the repeated hour of the autumn DST change", () => {
+    // 23:10 in Cairo occurs at 20:10 (summer time) and again at 21:10 (winter time).
+    assert.deepEqual(getLastSlot({ hourly: 30 }, at("2024-10-31T20:10:00Z")), at("2024-10-31T19:30:00Z"));
+    assert.deepEqual(getLastSlot({ hourly: 30 }, at("2024-10-31T20:40:00Z")), at("2024-10-31T20:30:00Z"));
+    assert.deepEqual(getLastSlot({ hourly: 30 }, at("2024-10-31T21:10:00Z")), at("2024-10-31T20:30:00Z"));
+    assert.deepEqual(getNextRun({ hourly: 30 }, {}, at("2024-10-31T21:10:00Z")), at("2024-10-31T21:30:00Z"));
+    // A daily time inside the repeated hour runs once, at its second occurrence.
+    assert.deepEqual(getNextRun({ daily: "23:30" }, {}, at("2024-10-31T12:00:00Z")), at("2024-10-31T21:30:00Z"));
+    assert.deepEqual(getNextRun({ daily: "23:30" }, {}, at("2024-10-31T21:40:00Z")), at("2024-11-01T21:30:00Z"));
+});
+
+test("a slot missed while the bot was down runs once after a restart", async (t) => {
+    t.mock.timers.enable({ apis: ["Date", "setTimeout"], now: at("2024-03-14T10:15:00Z") });
+    await connectDB();
+    // The last run was the 09:00 slot two days before.
+    await getDB().collection("jobRuns").updateOne({ _id: "dailyReport" }, { $set: { lastSlot: at("2024-03-12T07:00:00Z") } }, { upsert: true });
+    let runs = 0;
+    scheduleJob("dailyReport", { daily: "09:00" }, async () => { runs++; });
+    const restart = async () => {
+        await startScheduler();
+        stopScheduler();
+        await new Promise(resolve => setImmediate(resolve));
+    };
+
+    await restart();
+    assert.equal(runs, 1);
+    const state = await getDB().collection("jobRuns").findOne({ _id: "dailyReport" });
+    assert.deepEqual(new Date(state.lastSlot), at("2024-03-14T07:00:00Z"));
+    assert.equal(state.lastStatus, "ok");
+
+    await restart();
+    assert.equal(runs, 1);
+    t.mock.timers.setTime(at("2024-03-15T07:00:00Z").getTime());
+    await restart();
+    assert.equal(runs, 2);
+});
@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { DEFAULT_TRACK_RECORD_SETTINGS, parseTrackRecordSettings, publicTrade, buildEquityCurve, summarizeTrackRecord, openRecommendations, canReadSection, renderTrackRecordPage } = require("../lib/trackRecord.js");
+
+const DAY = 24 * 60 * 60 * 1000;
+const trades = [
+    { asset: "ETH", pnl: -40, pnlPercent: -5, entryCapitalPercent: 10, durationDays: 1, avgBuyPrice: 20, avgSellPrice: 19, quantity: 40, fees: 1, closedAt: new Date(5 * DAY) },
+    { asset: "BTC", pnl: 500, pnlPercent: 10, entryCapitalPercent: 20, durationDays: 2, avgBuyPrice: 100, avgSellPrice: 110, quantity: 50, fees: 2, closedAt: new Date(3 * DAY) },
+    { asset: "OLD", pnl: 10, pnlPercent: 4, durationDays: 3, closedAt: new Date(7 * DAY) },
+];
+
+test("parseTrackRecordSettings", () => {
+    assert.deepEqual(parseTrackRecordSettings({}), DEFAULT_TRACK_RECORD_SETTINGS);
+    const settings = parseTrackRecordSettings({ TRACK_RECORD_API_KEY: "k", TRACK_RECORD_CACHE_SECONDS: "60", TRACK_RECORD_PRIVATE: "Trades, open, bogus" });
+    assert.deepEqual(settings, { apiKey: "k", cacheSeconds: 60, privateSections: ["trades", "open"] });
+    assert.deepEqual(parseTrackRecordSettings({ TRACK_RECORD_PRIVATE: "none" }).privateSections, []);
+});
+
+test("publicTrade hides amounts", () => {
+    const trade = publicTrade(trades[1]);
+    assert.equal(trade.openedAt, new Date(DAY).toISOString());
+    assert.equal(trade.entryPercent, 20);
+    assert.equal(trade.pnlPercent, 10);
+    ["pnl", "quantity", "fees"].forEach(field => assert.equal(trade[field], undefined));
+});
+
+test("buildEquityCurve and summarizeTrackRecord", () => {
+    const curve = buildEquityCurve(trades);
+    assert.deepEqual(curve.map(p => p.time), [DAY, 3 * DAY, 5 * DAY, 7 * DAY]);
+    assert.ok(Math.abs(curve[1].value - 102) < 1e-9);
+    assert.ok(Math.abs(curve[2].value - 101.49) < 1e-9);
+    assert.ok(Math.abs(curve[3].value - 101.49) < 1e-9);
+    const summary = summarizeTrackRecord(trades);
+    assert.equal(summary.trades, 3);
+    assert.equal(summary.wins, 2);
+    assert.ok(Math.abs(summary.winRate - 200 / 3) < 1e-9);
+    assert.ok(Math.abs(summary.avgRoi - 3) < 1e-9);
+    assert.ok(Math.abs(summary.totalReturnPercent - 1.49) < 1e-9);
+    assert.ok(Math.abs(summary.maxDrawdownPercent - 0.5) < 1e-9);
+    assert.equal(summarizeTrackRecord([]), null);
+});
+
+test("openRecommendations", () => {
+    const positions = {
+        SOL: { avgBuyPrice: 100, entryCapitalPercent: 5, openDate: new Date(DAY).toISOString(), totalAmountBought: 3, protection: { takeProfit: 130, stopLoss: 90, trailingStop: 95 } },
+        BTC: { avgBuyPrice: 50000, entryCapitalPercent: 15, totalAmountBought: 0.2 },
+    };
+    const open = openRecommendations(positions, { "SOL-USDT": { price: 110 } });
+    assert.deepEqual(open.map(o => o.asset), ["BTC", "SOL"]);
+    assert.equal(open[0].changePercent, null);
+    assert.ok(Math.abs(open[1].changePercent - 10) < 1e-9);
+    assert.equal(open[1].stopLoss, 95);
+    assert.equal(open[1].totalAmountBought, undefined);
+});
+
+test("canReadSection and renderTrackRecordPage", () => {
+    const settings = parseTrackRecordSettings({ TRACK_RECORD_API_KEY: "secret" });
+    assert.equal(canReadSection(settings, "summary"), true);
+    assert.equal(canReadSection(settings, "open"), false);
+    assert.equal(canReadSection(settings, "open", "wrong"), false);
+    assert.equal(canReadSection(settings, "open", "secret"), true);
+    assert.equal(canReadSection(parseTrackRecordSettings({}), "open", ""), false);
+
+    const page = renderTrackRecordPage({ summary: summarizeTrackRecord(trades), curve: buildEquityCurve(trades), trades: trades.map(publicTrade), generatedAt: "now" });
+    assert.match(page, /<polyline/);
+    assert.match(page, /\+1\.49%/);
+    assert.doesNotMatch(page, /التوصيات المفتوحة/);
+    assert.match(renderTrackRecordPage({ summary: null, open: [] }), /لا توجد توصيات مفتوحة/);
+    assert.match(renderTrackRecordPage({ summary: null, trades: [{ ...publicTrade(trades[0]), asset: "<b>" }] }), /&lt;b&gt;/);
+});
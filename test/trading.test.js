@@ -0,0 +1,44 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { floorToLot, parseOrderArgs, estimateMarketOrder, checkGuardrails } = require("../lib/trading.js");
+
+test("floorToLot rounds down to whole lots without float noise", () => {
+    assert.equal(floorToLot(0.0033333, 0.00001), 0.00333);
+    assert.equal(floorToLot(1.9999, 0.001), 1.999);
+    assert.equal(floorToLot(0.3, 0.1), 0.3);
+    assert.equal(floorToLot(0.12345678912, 1e-8), 0.12345678);
+});
+
+test("parseOrderArgs reads amounts and percentages", () => {
+    assert.deepEqual(parseOrderArgs("btc 100"), { asset: "BTC", amount: 100 });
+    assert.deepEqual(parseOrderArgs("ETH-USDT 50%"), { asset: "ETH", percent: 50 });
+    assert.ok(parseOrderArgs("BTC").error);
+    assert.ok(parseOrderArgs("BTC -5").error);
+    assert.ok(parseOrderArgs("BTC 150%").error);
+    assert.ok(parseOrderArgs("USDT 10").error);
+});
+
+test("estimateMarketOrder walks the book for buys in USDT and sells in base", () => {
+    const book = { asks: [[100, 1], [101, 2]], bids: [[99, 1], [98, 5]] };
+    const buy = estimateMarketOrder(book, "buy", 201);
+    assert.equal(buy.baseSize, 2);
+    assert.equal(buy.avgPrice, 100.5);
+    assert.equal(buy.worstPrice, 101);
+    assert.equal(buy.complete, true);
+
+    const sell = estimateMarketOrder(book, "sell", 3);
+    assert.equal(sell.quoteSize, 99 + 2 * 98);
+    assert.equal(sell.complete, true);
+
+    assert.equal(estimateMarketOrder(book, "sell", 10).complete, false);
+});
+
+test("checkGuardrails blocks oversized, concentrated or post-loss buys only", () => {
+    const limits = { maxOrderUsd: 500, maxPortfolioPercent: 30, dailyLossLimitUsd: 100 };
+    const context = { portfolioTotal: 1000, assetValue: 100, realizedPnlToday: 0 };
+    assert.deepEqual(checkGuardrails({ side: "buy", asset: "BTC", notional: 150 }, limits, context), []);
+    assert.equal(checkGuardrails({ side: "buy", asset: "BTC", notional: 600 }, limits, context).length, 2);
+    assert.equal(checkGuardrails({ side: "buy", asset: "BTC", notional: 100 }, limits, { ...context, realizedPnlToday: -150 }).length, 1);
+    assert.deepEqual(checkGuardrails({ side: "sell", asset: "BTC", notional: 5000 }, limits, { ...context, realizedPnlToday: -150 }), []);
+    assert.deepEqual(checkGuardrails({ side: "buy", asset: "BTC", notional: 5000 }, { maxOrderUsd: 0, maxPortfolioPercent: 0, dailyLossLimitUsd: 0 }, context), []);
+});
@@ -0,0 +1,106 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeVirtualTrade, parseVirtualTrade, parseVirtualTradeEdit, stepVirtualTrade, closeVirtualTrade, virtualTradeResult, calculateVirtualTradeStats } = require("../lib/virtualTrades.js");
+
+const trade = (text) => ({ ...parseVirtualTrade(text), _id: "t1" });
+
+test("parseVirtualTrade reads tranches and options", () => {
+    const parsed = parseVirtualTrade("btc-usdt\n100\n110 120 130\n95\n1000\nbe trail 5 slip 0.5");
+    assert.equal(parsed.instId, "BTC-USDT");
+    assert.deepEqual(parsed.targets.map(t => t.price), [110, 120, 130]);
+    assert.ok(Math.abs(parsed.targets.reduce((sum, t) => sum + t.percent, 0) - 100) < 1e-9);
+    assert.equal(parsed.breakevenAfterTp1, true);
+    assert.equal(parsed.trailingPercent, 5);
+    assert.equal(parsed.slippagePercent, 0.5);
+    assert.deepEqual(parseVirtualTrade("BTC-USDT\n100\n110:60 120:40\n95\n1000").targets, [{ price: 110, percent: 60 }, { price: 120, percent: 40 }]);
+    assert.equal(parseVirtualTrade("BTC-USDT\n100\n110\n95\n1000\nslip 0").slippagePercent, 0);
+});
+
+test("parseVirtualTrade rejects invalid trades", () => {
+    assert.ok(parseVirtualTrade("BTC-USDT\n100\n110\n95").error);
+    assert.ok(parseVirtualTrade("BTC\n100\n110\n95\n1000").error);
+    assert.ok(parseVirtualTrade("BTC-USDT\n100\n90\n95\n1000").error);
+    assert.ok(parseVirtualTrade("BTC-USDT\n100\n110\n105\n1000").error);
+    assert.ok(parseVirtualTrade("BTC-USDT\n100\n120 110\n95\n1000").error);
+    assert.ok(parseVirtualTrade("BTC-USDT\n100\n110:60 120:30\n95\n1000").error);
+    assert.ok(parseVirtualTrade("BTC-USDT\n100\n110\n95\n1000\nhedge").error);
+});
+
+test("normalizeVirtualTrade converts single-target trades", () => {
+    const legacy = normalizeVirtualTrade({ instId: "BTC-USDT", entryPrice: 100, targetPrice: 110, stopLossPrice: 95, virtualAmount: 1000, status: 'active' });
+    assert.deepEqual(legacy.targets, [{ price: 110, percent: 100 }]);
+    assert.equal(legacy.initialStop, 95);
+    assert.equal(legacy.remainingPercent, 100);
+});
+
+test("stepVirtualTrade fills targets in tranches and moves the stop to the entry", () => {
+    const start = trade("BTC-USDT\n100\n110 120\n95\n1000\nbe");
+    let step = stepVirtualTrade(start, { price: 111, high: 112, low: 108 });
+    assert.deepEqual(step.events.map(e => e.kind), ['target', 'breakeven']);
+    assert.equal(step.events[0].pnl, 50);
+    assert.equal(step.trade.remainingPercent, 50);
+    assert.equal(step.trade.stopLossPrice, 100);
+    assert.equal(step.trade.status, 'active');
+
+    step = stepVirtualTrade(step.trade, { price: 100.5, high: 105, low: 99 });
+    assert.equal(step.events[0].kind, 'stop');
+    assert.ok(Math.abs(step.events[0].price - 99.9) < 1e-9, "fills at the stop less 0.1% slippage");
+    assert.equal(step.trade.status, 'stopped');
+    const result = virtualTradeResult(step.trade);
+    assert.ok(Math.abs(result.pnl - 49.5) < 1e-9);
+    assert.ok(Math.abs(result.rMultiple - 0.99) < 1e-9);
+});
+
+test("stepVirtualTrade completes when every target fills", () => {
+    const step = stepVirtualTrade(trade("BTC-USDT\n100\n110 120\n95\n1000"), { price: 121 });
+    assert.deepEqual(step.events.map(e => e.index), [0, 1]);
+    assert.equal(step.trade.status, 'completed');
+    assert.equal(step.trade.realizedPnl, 150);
+});
+
+test("stepVirtualTrade trails the stop and fills gaps at the market", () => {
+    let step = stepVirtualTrade(trade("BTC-USDT\n100\n150\n90\n1000\ntrail 10 slip 0"), { price: 120, high: 125, low: 118 });
+    assert.equal(step.changed, true);
+    assert.equal(step.trade.trailingStop, 112.5);
+    assert.equal(stepVirtualTrade(step.trade, { price: 115, high: 115, low: 114 }).changed, false);
+    step = stepVirtualTrade(step.trade, { price: 105, high: 115, low: 105 });
+    assert.equal(step.events[0].trailing, true);
+    assert.equal(step.events[0].stopPrice, 112.5);
+    assert.equal(step.events[0].price, 105);
+});
+
+test("stepVirtualTrade assumes the stop came first when one range reaches both the stop and a target", () => {
+    const step = stepVirtualTrade(trade("BTC-USDT\n100\n110 120\n95\n1000\nslip 0"), { price: 100, high: 121, low: 94 });
+    assert.deepEqual(step.events.map(e => e.kind), ['stop']);
+    assert.equal(step.events[0].price, 95);
+    assert.equal(step.trade.status, 'stopped');
+    assert.equal(step.trade.realizedPnl, -50);
+    assert.ok(step.trade.targets.every(t => !t.hitAt));
+});
+
+test("parseVirtualTradeEdit replaces the remaining targets and checks the stop", () => {
+    const partial = stepVirtualTrade(trade("BTC-USDT\n100\n110 120\n95\n1000"), { price: 111 }).trade;
+    const changes = parseVirtualTradeEdit("tp 125 130 sl 105 trail 4", partial, 111);
+    assert.deepEqual(changes.targets.map(t => [t.price, t.percent]), [[110, 50], [125, 25], [130, 25]]);
+    assert.equal(changes.stopLossPrice, 105);
+    assert.equal(changes.trailingPercent, 4);
+    assert.ok(parseVirtualTradeEdit("sl 112", partial, 111).error);
+    assert.ok(parseVirtualTradeEdit("tp 105", partial, 111).error);
+    assert.ok(parseVirtualTradeEdit("be maybe", partial, 111).error);
+    assert.equal(parseVirtualTradeEdit("be off", partial, 111).breakevenAfterTp1, false);
+});
+
+test("closeVirtualTrade and calculateVirtualTradeStats", () => {
+    const closed = closeVirtualTrade(trade("BTC-USDT\n100\n110\n95\n1000\nslip 0"), 90).trade;
+    assert.equal(closed.status, 'closed');
+    assert.equal(closed.realizedPnl, -100);
+    const won = stepVirtualTrade(trade("BTC-USDT\n100\n110\n95\n1000"), { price: 110 }).trade;
+    const stats = calculateVirtualTradeStats([closed, won, trade("ETH-USDT\n100\n110\n95\n1000")]);
+    assert.equal(stats.count, 2);
+    assert.equal(stats.winRate, 50);
+    assert.equal(stats.avgWinR, 2);
+    assert.equal(stats.avgLossR, -2);
+    assert.equal(stats.avgR, 0);
+    assert.equal(stats.expectancy, 0);
+    assert.equal(calculateVirtualTradeStats([]), null);
+});